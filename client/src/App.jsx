@@ -1,23 +1,63 @@
 import { useCallback, useEffect, useMemo, useRef, useState, memo } from 'react';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import { api } from './api';
-import { COLUMN_ORDER, COLUMN_LABELS } from './constants';
+import { applyBoardEvent, subscribeToBoardEvents } from './boardEvents';
+import { activityDetails, describeActivity } from './activityFeed';
+import {
+  EMPTY_BOARD_QUERY,
+  EMPTY_FILTER,
+  fullDropIndex,
+  isFilterActive,
+  matchesFilter,
+  readBoardQuery,
+  writeBoardQuery
+} from './boardFilter';
+import { DUE_LIST_DAYS, describeDue, dueState, formatDueDate, localToday } from './dueDates';
+import { DEFAULT_SORT, PRIORITIES, SORT_OPTIONS, formatPoints, priorityLabel, sumEstimates } from './planning';
+import { openBlockersByItem } from './dependencies';
+import { epicRollups } from './epics';
+import { addToList, nextSelection } from './selection';
+import { FLOW_CHART_HEIGHT, FLOW_CHART_WIDTH, flowBands } from './flowChart';
+import { METRICS, PERCENTILE_KEYS, SCATTER_HEIGHT, SCATTER_WIDTH, formatDays, scatterPoints } from './cycleTime';
+import {
+  NO_SPRINT,
+  SPRINT_STATE_LABELS,
+  activeSprint,
+  compareSprints,
+  describeSprintReport,
+  formatSprintDates,
+  nextPlannedSprint,
+  nextSprintDates,
+  openSprints,
+  sprintBreakdown
+} from './sprints';
+import {
+  DEFAULT_WORKFLOW,
+  EPIC_HAS_CHILDREN_ERROR,
+  ITEM_BLOCKED_ERROR,
+  PROJECT_IN_TRASH_ERROR,
+  VERSION_CONFLICT_ERROR,
+  WIP_LIMIT_ERROR
+} from './constants';
 import './App.css';
 
 const STORAGE_KEY = 'backlog-board-session';
+const AUTHOR_STORAGE_KEY = 'backlog-board-author';
+// Which roster entry the viewer is, per project: `{ [projectId]: collaboratorId }`.
+const VIEWER_STORAGE_KEY = 'backlog-board-viewer';
 
-const createEmptyColumns = () =>
-  COLUMN_ORDER.reduce((acc, status) => {
-    acc[status] = [];
+const createEmptyColumns = (workflow = DEFAULT_WORKFLOW) =>
+  workflow.reduce((acc, { key }) => {
+    acc[key] = [];
     return acc;
   }, {});
 
-const ensureColumns = (incoming) => {
-  const base = createEmptyColumns();
+const ensureColumns = (incoming, workflow = DEFAULT_WORKFLOW) => {
+  const base = createEmptyColumns(workflow);
   if (!incoming) return base;
-  COLUMN_ORDER.forEach((status) => {
-    if (Array.isArray(incoming[status])) {
-      base[status] = incoming[status].map((item) => ({ ...item }));
+  workflow.forEach(({ key }) => {
+    if (Array.isArray(incoming[key])) {
+      base[key] = incoming[key].map((item) => ({ ...item }));
     }
   });
   return base;
@@ -25,14 +65,14 @@ const ensureColumns = (incoming) => {
 
 const cloneColumns = (columns) => {
   const cloned = {};
-  COLUMN_ORDER.forEach((status) => {
+  Object.keys(columns).forEach((status) => {
     cloned[status] = (columns[status] || []).map((item) => ({ ...item }));
   });
   return cloned;
 };
 
 const columnsToIds = (columns) =>
-  COLUMN_ORDER.reduce((acc, status) => {
+  Object.keys(columns).reduce((acc, status) => {
     acc[status] = (columns[status] || []).map((item) => item.id);
     return acc;
   }, {});
@@ -98,34 +138,2241 @@ function ShareLink({ projectId, variant = 'secondary' }) {
   );
 }
 
+const EDITABLE_FIELDS = [
+  { key: 'title', label: 'Title', empty: '' },
+  { key: 'description', label: 'Description', empty: '' },
+  { key: 'labelIds', label: 'Labels', empty: [] },
+  { key: 'assignees', label: 'Assignees', empty: [] },
+  { key: 'blockedBy', label: 'Blockers', empty: [] },
+  { key: 'epicId', label: 'Epic', empty: null },
+  { key: 'sprintId', label: 'Sprint', empty: null },
+  { key: 'dueDate', label: 'Due date', empty: null },
+  { key: 'priority', label: 'Priority', empty: null },
+  { key: 'estimate', label: 'Estimate', empty: null }
+];
+
+// Label ids are compared as sets; everything else by value.
+const sameFieldValue = (a, b) =>
+  Array.isArray(a) && Array.isArray(b) ? [...a].sort().join() === [...b].sort().join() : a === b;
+
+// Three-way merge of the drawer's fields: a field only conflicts when both
+// sides changed it from `base` to different values.
+function mergeItemEdits(base, mine, theirs) {
+  const merged = {};
+  const conflicts = [];
+  EDITABLE_FIELDS.forEach(({ key, empty }) => {
+    const original = base?.[key] ?? empty;
+    const ours = mine[key];
+    const remote = theirs[key] ?? empty;
+    if (sameFieldValue(ours, original) || sameFieldValue(ours, remote)) {
+      merged[key] = remote;
+    } else if (sameFieldValue(remote, original)) {
+      merged[key] = ours;
+    } else {
+      merged[key] = ours;
+      conflicts.push(key);
+    }
+  });
+  return { merged, conflicts };
+}
+
+function CommentEntry({ comment, busy, onReply, onEdit, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(comment.body);
+
+  if (comment.deletedAt) {
+    return <p className="comment-deleted">This comment was deleted.</p>;
+  }
+
+  const handleSave = async () => {
+    if (!draft.trim()) return;
+    if (await onEdit(comment, draft)) setEditing(false);
+  };
+
+  return (
+    <div className="comment">
+      <div className="comment-header">
+        <strong>{comment.authorName}</strong>
+        <span className="drawer-meta">
+          {new Date(comment.createdAt).toLocaleString()}
+          {comment.updatedAt !== comment.createdAt && ' · edited'}
+        </span>
+      </div>
+      {editing ? (
+        <>
+          <textarea
+            rows="3"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            aria-label="Edit comment"
+            disabled={busy}
+          />
+          <div className="comment-actions">
+            <button type="button" className="secondary" onClick={handleSave} disabled={busy}>
+              Save
+            </button>
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => {
+                setDraft(comment.body);
+                setEditing(false);
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="comment-body">{comment.body}</p>
+          <div className="comment-actions">
+            {onReply && (
+              <button type="button" className="ghost" onClick={() => onReply(comment)} disabled={busy}>
+                Reply
+              </button>
+            )}
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => {
+                setDraft(comment.body);
+                setEditing(true);
+              }}
+              disabled={busy}
+            >
+              Edit
+            </button>
+            <button type="button" className="ghost" onClick={() => onDelete(comment)} disabled={busy}>
+              Delete
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// `commentCount` is the board's live count, so collaborators' comments show
+// up as soon as their events change it.
+function CommentThread({ projectId, secretKey, itemId, commentCount, onCountChange }) {
+  const [threads, setThreads] = useState([]);
+  const [authorName, setAuthorName] = useState(
+    () => (typeof window !== 'undefined' && window.localStorage.getItem(AUTHOR_STORAGE_KEY)) || ''
+  );
+  const [body, setBody] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Resolves to the number of live comments so callers can update the card.
+  const load = useCallback(async () => {
+    const { comments, count } = await api.fetchComments(projectId, secretKey, itemId);
+    setThreads(comments);
+    return count;
+  }, [projectId, secretKey, itemId]);
+
+  useEffect(() => {
+    setReplyTo(null);
+    setBody('');
+  }, [itemId]);
+
+  useEffect(() => {
+    load().catch((err) => setError(err.message));
+  }, [load, commentCount]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    const name = authorName.trim();
+    if (!name) {
+      setError('Add your name so others know who commented.');
+      return;
+    }
+    if (!body.trim()) return;
+    await run(async () => {
+      await api.createComment(projectId, secretKey, itemId, {
+        authorName: name,
+        body,
+        parentId: replyTo?.id
+      });
+      window.localStorage.setItem(AUTHOR_STORAGE_KEY, name);
+      setBody('');
+      setReplyTo(null);
+      onCountChange(itemId, await load());
+    });
+  };
+
+  const handleEdit = (comment, text) =>
+    run(async () => {
+      await api.updateComment(projectId, secretKey, itemId, comment.id, { body: text });
+      await load();
+    });
+
+  const handleDelete = (comment) =>
+    run(async () => {
+      await api.deleteComment(projectId, secretKey, itemId, comment.id);
+      onCountChange(itemId, await load());
+    });
+
+  return (
+    <section className="comment-thread" aria-labelledby="comment-thread-title">
+      <h4 id="comment-thread-title">Comments{commentCount > 0 && ` (${commentCount})`}</h4>
+      {threads.length === 0 && <p className="drawer-meta">No comments yet.</p>}
+      <ul className="comment-list">
+        {threads.map((thread) => (
+          <li key={thread.id}>
+            <CommentEntry
+              comment={thread}
+              busy={busy}
+              onReply={setReplyTo}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+            {thread.replies.length > 0 && (
+              <ul className="comment-replies">
+                {thread.replies.map((reply) => (
+                  <li key={reply.id}>
+                    <CommentEntry comment={reply} busy={busy} onEdit={handleEdit} onDelete={handleDelete} />
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form className="form comment-form" onSubmit={handlePost}>
+        {replyTo && (
+          <p className="drawer-meta">
+            Replying to {replyTo.authorName}{' '}
+            <button type="button" className="ghost" onClick={() => setReplyTo(null)}>
+              Cancel reply
+            </button>
+          </p>
+        )}
+        <label htmlFor="comment-author">Your name</label>
+        <input
+          id="comment-author"
+          type="text"
+          value={authorName}
+          onChange={(e) => setAuthorName(e.target.value)}
+          maxLength={80}
+          disabled={busy}
+        />
+        <label htmlFor="comment-body">{replyTo ? 'Reply' : 'Comment'}</label>
+        <textarea
+          id="comment-body"
+          rows="3"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          disabled={busy}
+        />
+        {error && <p className="form-error">{error}</p>}
+        <div className="form-actions">
+          <button type="submit" className="secondary" disabled={busy || !body.trim()}>
+            {busy ? 'Posting…' : replyTo ? 'Post reply' : 'Post comment'}
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
+
+function ChecklistEntry({ entry, index, count, busy, checkboxRef, onToggle, onRename, onDelete, onMove }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(entry.text);
+
+  const handleSave = async () => {
+    if (!draft.trim()) return;
+    if (await onRename(entry, draft)) setEditing(false);
+  };
+
+  const handleCancel = () => {
+    setDraft(entry.text);
+    setEditing(false);
+  };
+
+  // Alt+↑ / Alt+↓ anywhere in the row moves the entry, like the arrow buttons.
+  const handleKeyDown = (e) => {
+    if (editing || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    onMove(entry, e.key === 'ArrowUp' ? -1 : 1);
+  };
+
+  return (
+    <li className={`checklist-entry ${entry.done ? 'is-done' : ''}`} onKeyDown={handleKeyDown}>
+      {editing ? (
+        <>
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleSave();
+              } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                handleCancel();
+              }
+            }}
+            aria-label="Edit checklist entry"
+            maxLength={500}
+            disabled={busy}
+          />
+          <div className="checklist-actions">
+            <button type="button" className="secondary" onClick={handleSave} disabled={busy}>
+              Save
+            </button>
+            <button type="button" className="ghost" onClick={handleCancel}>
+              Cancel
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <label className="checklist-check">
+            <input
+              ref={checkboxRef}
+              type="checkbox"
+              checked={entry.done}
+              onChange={() => onToggle(entry)}
+              disabled={busy}
+            />
+            <span className="checklist-text">{entry.text}</span>
+          </label>
+          <div className="checklist-actions">
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => onMove(entry, -1)}
+              disabled={busy || index === 0}
+              aria-label={`Move "${entry.text}" up`}
+              title="Move up (Alt+↑)"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => onMove(entry, 1)}
+              disabled={busy || index === count - 1}
+              aria-label={`Move "${entry.text}" down`}
+              title="Move down (Alt+↓)"
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => {
+                setDraft(entry.text);
+                setEditing(true);
+              }}
+              disabled={busy}
+            >
+              Edit
+            </button>
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => onDelete(entry)}
+              disabled={busy}
+              aria-label={`Delete "${entry.text}"`}
+            >
+              ✕
+            </button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+}
+
+// `progress` is the board's live summary, so collaborators' changes reload the list.
+function ChecklistEditor({ projectId, secretKey, itemId, progress, onProgressChange }) {
+  const [entries, setEntries] = useState([]);
+  const [text, setText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [announcement, setAnnouncement] = useState('');
+  const checkboxRefs = useRef(new Map());
+  const focusIdRef = useRef(null);
+  const done = progress?.done ?? 0;
+  const total = progress?.total ?? 0;
+
+  const load = useCallback(async () => {
+    const { checklist } = await api.fetchChecklist(projectId, secretKey, itemId);
+    setEntries(checklist);
+  }, [projectId, secretKey, itemId]);
+
+  useEffect(() => {
+    setText('');
+    setAnnouncement('');
+  }, [itemId]);
+
+  useEffect(() => {
+    load().catch((err) => setError(err.message));
+  }, [load, done, total]);
+
+  // Checkboxes are disabled mid-request, so focus returns to a moved entry once it settles.
+  useEffect(() => {
+    if (busy || !focusIdRef.current) return;
+    checkboxRefs.current.get(focusIdRef.current)?.focus();
+    focusIdRef.current = null;
+  }, [entries, busy]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const replaceEntry = (entry) =>
+    setEntries((prev) => prev.map((existing) => (existing.id === entry.id ? entry : existing)));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    await run(async () => {
+      const { entry, progress: next } = await api.createChecklistEntry(projectId, secretKey, itemId, {
+        text
+      });
+      setEntries((prev) => [...prev, entry]);
+      setText('');
+      onProgressChange(itemId, next);
+    });
+  };
+
+  const handleToggle = (entry) =>
+    run(async () => {
+      const { entry: updated, progress: next } = await api.updateChecklistEntry(
+        projectId,
+        secretKey,
+        itemId,
+        entry.id,
+        { done: !entry.done }
+      );
+      replaceEntry(updated);
+      onProgressChange(itemId, next);
+    });
+
+  const handleRename = (entry, draft) =>
+    run(async () => {
+      const { entry: updated } = await api.updateChecklistEntry(projectId, secretKey, itemId, entry.id, {
+        text: draft
+      });
+      replaceEntry(updated);
+    });
+
+  const handleDelete = (entry) =>
+    run(async () => {
+      const { progress: next } = await api.deleteChecklistEntry(projectId, secretKey, itemId, entry.id);
+      setEntries((prev) => prev.filter((existing) => existing.id !== entry.id));
+      onProgressChange(itemId, next);
+    });
+
+  const handleMove = async (entry, offset) => {
+    const from = entries.findIndex((existing) => existing.id === entry.id);
+    const to = from + offset;
+    if (busy || from === -1 || to < 0 || to >= entries.length) return;
+
+    const next = [...entries];
+    next.splice(from, 1);
+    next.splice(to, 0, entry);
+    focusIdRef.current = entry.id;
+    setEntries(next);
+    setAnnouncement(`Moved "${entry.text}" to position ${to + 1} of ${next.length}.`);
+    const saved = await run(async () => {
+      const { checklist } = await api.reorderChecklist(
+        projectId,
+        secretKey,
+        itemId,
+        next.map((existing) => existing.id)
+      );
+      setEntries(checklist);
+    });
+    if (!saved) load().catch(() => {});
+  };
+
+  return (
+    <section className="checklist" aria-labelledby="checklist-title">
+      <h4 id="checklist-title">Checklist{total > 0 && ` (${done}/${total})`}</h4>
+      {total > 0 && (
+        <progress className="checklist-progress" max={total} value={done} aria-label="Checklist progress" />
+      )}
+      {entries.length === 0 ? (
+        <p className="drawer-meta">No checklist entries yet.</p>
+      ) : (
+        <ol className="checklist-list">
+          {entries.map((entry, index) => (
+            <ChecklistEntry
+              key={entry.id}
+              entry={entry}
+              index={index}
+              count={entries.length}
+              busy={busy}
+              checkboxRef={(node) => {
+                if (node) checkboxRefs.current.set(entry.id, node);
+                else checkboxRefs.current.delete(entry.id);
+              }}
+              onToggle={handleToggle}
+              onRename={handleRename}
+              onDelete={handleDelete}
+              onMove={handleMove}
+            />
+          ))}
+        </ol>
+      )}
+      <p className="sr-only" aria-live="polite">
+        {announcement}
+      </p>
+      <form className="checklist-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Add an entry"
+          aria-label="New checklist entry"
+          maxLength={500}
+          disabled={busy}
+        />
+        <button type="submit" className="secondary" disabled={busy || !text.trim()}>
+          Add
+        </button>
+      </form>
+      {error && <p className="form-error">{error}</p>}
+    </section>
+  );
+}
+
+// Picks black or white text, whichever reads better on the label color.
+function labelTextColor(hex) {
+  const [r, g, b] = [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+  return r * 0.299 + g * 0.587 + b * 0.114 > 150 ? '#0f172a' : '#ffffff';
+}
+
+function LabelChip({ label }) {
+  return (
+    <span className="label-chip" style={{ background: label.color, color: labelTextColor(label.color) }}>
+      {label.name}
+    </span>
+  );
+}
+
+// First letters of the first two words, e.g. "Ada Lovelace" → "AL".
+function initialsFor(name, fallback = '?') {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return fallback;
+  const parts = trimmed.split(/\s+/).slice(0, 2);
+  const letters = parts
+    .map((part) => part.charAt(0)?.toUpperCase() || '')
+    .join('');
+  return letters || fallback;
+}
+
+function Avatar({ collaborator }) {
+  return (
+    <span className="avatar" title={collaborator.name}>
+      {collaborator.initials || initialsFor(collaborator.name)}
+    </span>
+  );
+}
+
+function AssigneePicker({ roster, value, onChange, disabled }) {
+  if (roster.length === 0) {
+    return <p className="drawer-meta">Nobody is on the roster yet. Add people from the board’s Team menu.</p>;
+  }
+  const toggle = (collaboratorId) =>
+    onChange(
+      value.includes(collaboratorId)
+        ? value.filter((id) => id !== collaboratorId)
+        : [...value, collaboratorId]
+    );
+  return (
+    <div className="assignee-picker" role="group" aria-labelledby="drawer-assignees-label">
+      {roster.map((collaborator) => (
+        <label key={collaborator.id} className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={value.includes(collaborator.id)}
+            onChange={() => toggle(collaborator.id)}
+            disabled={disabled}
+          />
+          <Avatar collaborator={collaborator} />
+          {collaborator.name}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// `rollup` is the board's live count for the epic, so the list refetches when a card moves.
+function EpicSummary({ projectId, secretKey, epicId, rollup, workflow }) {
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const { done, total } = rollup;
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .fetchEpic(projectId, secretKey, epicId)
+      .then((result) => {
+        if (cancelled) return;
+        setSummary(result);
+        setError('');
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, secretKey, epicId, done, total]);
+
+  const labelFor = (key) => workflow.find((column) => column.key === key)?.label || key;
+
+  return (
+    <section className="epic-summary" aria-labelledby="epic-summary-title">
+      <h4 id="epic-summary-title">Epic progress{summary && ` · ${summary.progress.percent}%`}</h4>
+      {summary && (
+        <>
+          <progress
+            className="epic-progress"
+            max={100}
+            value={summary.progress.percent}
+            aria-label="Epic progress"
+          />
+          <p className="drawer-meta">
+            {summary.progress.done} of {summary.progress.total} cards done
+          </p>
+          <ul className="epic-children">
+            {summary.children.map((child) => (
+              <li key={child.id}>
+                <span>{child.title}</span>
+                <span className="drawer-meta">{labelFor(child.status)}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {error && <p className="form-error">{error}</p>}
+    </section>
+  );
+}
+
+// Cards in the trash stay linked but stop blocking until they are restored.
+function BlockerPicker({ itemId, items, doneStatus, value, onChange, disabled }) {
+  const byId = new Map(items.map((item) => [item.id, item]));
+  const candidates = items.filter((item) => item.id !== itemId && !value.includes(item.id));
+  return (
+    <div className="blocker-picker" role="group" aria-labelledby="drawer-blockers-label">
+      {value.length === 0 ? (
+        <p className="drawer-meta">Nothing blocks this card.</p>
+      ) : (
+        <ul className="blocker-list">
+          {value.map((id) => {
+            const blocker = byId.get(id);
+            const done = blocker?.status === doneStatus;
+            return (
+              <li key={id} className={`blocker-entry ${!blocker || done ? 'is-resolved' : ''}`}>
+                <span className="blocker-title">
+                  {blocker ? blocker.title : 'A card in the trash'}
+                  {done && ' (done)'}
+                </span>
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={() => onChange(value.filter((existing) => existing !== id))}
+                  disabled={disabled}
+                  aria-label={`Remove blocker ${blocker ? blocker.title : ''}`.trim()}
+                >
+                  ✕
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {candidates.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange([...value, e.target.value])}
+          disabled={disabled}
+          aria-label="Add a blocker"
+        >
+          <option value="">Add a blocker…</option>
+          {candidates.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.title}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+function LabelPicker({ labels, value, onChange, disabled }) {
+  if (labels.length === 0) {
+    return <p className="drawer-meta">No labels yet. Add some from the board’s Labels menu.</p>;
+  }
+  const toggle = (labelId) =>
+    onChange(value.includes(labelId) ? value.filter((id) => id !== labelId) : [...value, labelId]);
+  return (
+    <div className="label-picker" role="group" aria-labelledby="drawer-labels-label">
+      {labels.map((label) => (
+        <label key={label.id} className={`label-option ${value.includes(label.id) ? 'is-selected' : ''}`}>
+          <input
+            type="checkbox"
+            checked={value.includes(label.id)}
+            onChange={() => toggle(label.id)}
+            disabled={disabled}
+          />
+          <LabelChip label={label} />
+        </label>
+      ))}
+    </div>
+  );
+}
+
 function TaskDrawer({
   open,
   item,
   busy,
+  projectId,
+  secretKey,
+  labels,
+  roster,
+  sprints,
+  boardItems,
+  workflow,
+  epicRollup,
+  commentCount,
+  checklistProgress,
   onClose,
   onSave,
-  onDelete
+  onDelete,
+  onShowHistory,
+  onCommentCountChange,
+  onChecklistChange
+}) {
+  const [title, setTitle] = useState(item?.title || '');
+  const [description, setDescription] = useState(item?.description || '');
+  const [labelIds, setLabelIds] = useState(item?.labelIds || []);
+  const [assignees, setAssignees] = useState(item?.assignees || []);
+  const [blockedBy, setBlockedBy] = useState(item?.blockedBy || []);
+  const [epicId, setEpicId] = useState(item?.epicId || '');
+  const [sprintId, setSprintId] = useState(item?.sprintId || '');
+  const [dueDate, setDueDate] = useState(item?.dueDate || '');
+  const [priority, setPriority] = useState(item?.priority || '');
+  const [estimate, setEstimate] = useState(item?.estimate ?? '');
+  const [error, setError] = useState('');
+  const [baseItem, setBaseItem] = useState(item);
+  const [conflict, setConflict] = useState(null);
+  const firstFieldRef = useRef(null);
+
+  useEffect(() => {
+    setTitle(item?.title || '');
+    setDescription(item?.description || '');
+    setLabelIds(item?.labelIds || []);
+    setAssignees(item?.assignees || []);
+    setBlockedBy(item?.blockedBy || []);
+    setEpicId(item?.epicId || '');
+    setSprintId(item?.sprintId || '');
+    setDueDate(item?.dueDate || '');
+    setPriority(item?.priority || '');
+    setEstimate(item?.estimate ?? '');
+    setError('');
+    setBaseItem(item);
+    setConflict(null);
+  }, [item?.id]);
+
+  const setField = (key, value) => {
+    if (key === 'title') setTitle(value);
+    else if (key === 'labelIds') setLabelIds(value);
+    else if (key === 'assignees') setAssignees(value);
+    else if (key === 'blockedBy') setBlockedBy(value);
+    else if (key === 'epicId') setEpicId(value || '');
+    else if (key === 'sprintId') setSprintId(value || '');
+    else if (key === 'dueDate') setDueDate(value || '');
+    else if (key === 'priority') setPriority(value || '');
+    else if (key === 'estimate') setEstimate(value ?? '');
+    else setDescription(value);
+  };
+  const describeField = (key, value) => {
+    if (key === 'labelIds') {
+      return labels.filter((label) => value?.includes(label.id)).map((label) => label.name).join(', ');
+    }
+    if (key === 'assignees') {
+      return roster.filter((person) => value?.includes(person.id)).map((person) => person.name).join(', ');
+    }
+    if (key === 'blockedBy') {
+      return boardItems.filter((other) => value?.includes(other.id)).map((other) => other.title).join(', ');
+    }
+    if (key === 'epicId') {
+      return boardItems.find((other) => other.id === value)?.title || '';
+    }
+    if (key === 'sprintId') {
+      return sprints.find((sprint) => sprint.id === value)?.name || '';
+    }
+    if (key === 'dueDate') {
+      return value ? formatDueDate(value) : '';
+    }
+    if (key === 'priority') {
+      return priorityLabel(value);
+    }
+    if (key === 'estimate') {
+      return value === null || value === undefined ? '' : formatPoints(value);
+    }
+    return value;
+  };
+
+  useEffect(() => {
+    if (open) {
+      // Focus first field when opening
+      const id = requestAnimationFrame(() => firstFieldRef.current?.focus());
+      return () => cancelAnimationFrame(id);
+    }
+    return undefined;
+  }, [open]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const t = title.trim();
+    if (!t) {
+      setError('Title cannot be empty.');
+      return;
+    }
+    // Labels, people, epics and sprints removed while the drawer was open are dropped.
+    const mine = {
+      title: t,
+      description: description.trim(),
+      labelIds: labelIds.filter((id) => labels.some((label) => label.id === id)),
+      assignees: assignees.filter((id) => roster.some((person) => person.id === id)),
+      blockedBy,
+      epicId: boardItems.some((other) => other.id === epicId) ? epicId : null,
+      sprintId: sprints.some((sprint) => sprint.id === sprintId) ? sprintId : null,
+      dueDate: dueDate || null,
+      priority: priority || null,
+      estimate: estimate === '' ? null : Number(estimate)
+    };
+    try {
+      await onSave(item.id, { ...mine, version: baseItem?.version });
+      onClose();
+    } catch (err) {
+      const latest = err.details?.item;
+      if (err.code !== VERSION_CONFLICT_ERROR || !latest) {
+        setError(err.message);
+        return;
+      }
+      // Rebase onto the server's copy so the next save carries its version.
+      const { merged, conflicts } = mergeItemEdits(baseItem, mine, latest);
+      setTitle(merged.title);
+      setDescription(merged.description);
+      setLabelIds(merged.labelIds);
+      setAssignees(merged.assignees);
+      setBlockedBy(merged.blockedBy);
+      setEpicId(merged.epicId || '');
+      setSprintId(merged.sprintId || '');
+      setDueDate(merged.dueDate || '');
+      setPriority(merged.priority || '');
+      setEstimate(merged.estimate ?? '');
+      setBaseItem(latest);
+      setConflict({ latest, fields: conflicts });
+      setError('');
+    }
+  };
+
+  const handleTakeTheirs = () => {
+    EDITABLE_FIELDS.forEach(({ key, empty }) => setField(key, conflict.latest[key] ?? empty));
+    setConflict(null);
+  };
+
+  if (!open || !item) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="drawer-title">Edit item</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <form className="form drawer-form" onSubmit={handleSave}>
+          <label htmlFor="drawer-title-input">Title</label>
+          <input
+            id="drawer-title-input"
+            ref={firstFieldRef}
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            disabled={busy}
+          />
+          <label htmlFor="drawer-desc-input">Description</label>
+          <textarea
+            id="drawer-desc-input"
+            rows="6"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            disabled={busy}
+          />
+          <label htmlFor="drawer-due-input">Due date</label>
+          <input
+            id="drawer-due-input"
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            disabled={busy}
+          />
+          <div className="drawer-field-row">
+            <div className="drawer-field">
+              <label htmlFor="drawer-priority-input">Priority</label>
+              <select
+                id="drawer-priority-input"
+                value={priority}
+                onChange={(e) => setPriority(e.target.value)}
+                disabled={busy}
+              >
+                <option value="">None</option>
+                {PRIORITIES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="drawer-field">
+              <label htmlFor="drawer-estimate-input">Estimate (points)</label>
+              <input
+                id="drawer-estimate-input"
+                type="number"
+                min="0"
+                max="999"
+                step="0.5"
+                value={estimate}
+                onChange={(e) => setEstimate(e.target.value)}
+                disabled={busy}
+              />
+            </div>
+          </div>
+          <span className="field-label" id="drawer-labels-label">Labels</span>
+          <LabelPicker labels={labels} value={labelIds} onChange={setLabelIds} disabled={busy} />
+          <span className="field-label" id="drawer-assignees-label">Assignees</span>
+          <AssigneePicker roster={roster} value={assignees} onChange={setAssignees} disabled={busy} />
+          <label htmlFor="drawer-epic-input">Epic</label>
+          {epicRollup ? (
+            <p className="drawer-meta">
+              This card is an epic, so it cannot be part of another one.
+            </p>
+          ) : (
+            <select
+              id="drawer-epic-input"
+              value={epicId}
+              onChange={(e) => setEpicId(e.target.value)}
+              disabled={busy}
+            >
+              <option value="">None</option>
+              {boardItems
+                .filter((other) => other.id !== item.id && !other.epicId)
+                .map((other) => (
+                  <option key={other.id} value={other.id}>
+                    {other.title}
+                  </option>
+                ))}
+            </select>
+          )}
+          <label htmlFor="drawer-sprint-input">Sprint</label>
+          <select
+            id="drawer-sprint-input"
+            value={sprintId}
+            onChange={(e) => setSprintId(e.target.value)}
+            disabled={busy}
+          >
+            <option value="">None (backlog)</option>
+            {/* A completed sprint stays listed while the card still belongs to it. */}
+            {sprints
+              .filter((sprint) => sprint.state !== 'completed' || sprint.id === item.sprintId)
+              .map((sprint) => (
+                <option key={sprint.id} value={sprint.id} disabled={sprint.state === 'completed'}>
+                  {sprint.name}
+                  {sprint.state === 'planned' ? '' : ` (${SPRINT_STATE_LABELS[sprint.state].toLowerCase()})`}
+                </option>
+              ))}
+          </select>
+          <span className="field-label" id="drawer-blockers-label">Blocked by</span>
+          <BlockerPicker
+            itemId={item.id}
+            items={boardItems}
+            doneStatus={workflow[workflow.length - 1].key}
+            value={blockedBy}
+            onChange={setBlockedBy}
+            disabled={busy}
+          />
+          <div className="drawer-meta">
+            <span>Created {item?.createdAt ? new Date(item.createdAt).toLocaleString() : '—'}</span>
+          </div>
+          {conflict && (
+            <div className="edit-conflict" role="alert">
+              <p>
+                Someone else saved this item while you were editing.{' '}
+                {conflict.fields.length === 0
+                  ? 'Their changes have been merged with yours — review and save again.'
+                  : 'Both of you changed the fields below; your text is kept until you choose otherwise.'}
+              </p>
+              {conflict.fields.map((key) => {
+                const { label, empty } = EDITABLE_FIELDS.find((field) => field.key === key);
+                return (
+                  <div key={key} className="edit-conflict-field">
+                    <span className="edit-conflict-label">Their {label.toLowerCase()}</span>
+                    <p className="edit-conflict-value">{describeField(key, conflict.latest[key]) || '—'}</p>
+                    <button
+                      type="button"
+                      className="ghost"
+                      onClick={() => setField(key, conflict.latest[key] ?? empty)}
+                      disabled={busy}
+                    >
+                      Use theirs
+                    </button>
+                  </div>
+                );
+              })}
+              <div className="edit-conflict-actions">
+                <button type="button" className="secondary" onClick={handleTakeTheirs} disabled={busy}>
+                  Discard my changes
+                </button>
+                <button type="button" className="ghost" onClick={() => setConflict(null)} disabled={busy}>
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          )}
+          {error && <p className="form-error">{error}</p>}
+          <div className="form-actions">
+            <button type="submit" className="primary" disabled={busy}>
+              {busy ? 'Saving…' : 'Save changes'}
+            </button>
+            <button type="button" className="secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+            <button type="button" className="ghost" onClick={() => onShowHistory(item.id)}>
+              History
+            </button>
+            <button
+              type="button"
+              className="danger"
+              onClick={() => onDelete(item.id)}
+              disabled={busy}
+              title="Delete item"
+            >
+              Delete
+            </button>
+          </div>
+        </form>
+        {epicRollup && (
+          <EpicSummary
+            projectId={projectId}
+            secretKey={secretKey}
+            epicId={item.id}
+            rollup={epicRollup}
+            workflow={workflow}
+          />
+        )}
+        <ChecklistEditor
+          projectId={projectId}
+          secretKey={secretKey}
+          itemId={item.id}
+          progress={checklistProgress}
+          onProgressChange={onChecklistChange}
+        />
+        <CommentThread
+          projectId={projectId}
+          secretKey={secretKey}
+          itemId={item.id}
+          commentCount={commentCount}
+          onCountChange={onCommentCountChange}
+        />
+      </aside>
+    </div>
+  );
+}
+
+const ACTIVITY_PAGE_SIZE = 30;
+
+function ActivityDrawer({ open, projectId, secretKey, workflow, columns, itemId, onFilterChange, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const items = useMemo(() => Object.values(columns).flat(), [columns]);
+  const labelFor = useCallback(
+    (key) => workflow.find((column) => column.key === key)?.label || key || '—',
+    [workflow]
+  );
+
+  // `columns` changes with every local or collaborator edit, so the feed
+  // reloads its first page whenever the board does.
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    api
+      .fetchActivity(projectId, secretKey, { limit: ACTIVITY_PAGE_SIZE, itemId })
+      .then((page) => {
+        if (cancelled) return;
+        setEntries(page.activity);
+        setNextCursor(page.nextCursor);
+        setError('');
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, projectId, secretKey, itemId, columns]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoading(true);
+      const page = await api.fetchActivity(projectId, secretKey, {
+        limit: ACTIVITY_PAGE_SIZE,
+        before: nextCursor,
+        itemId
+      });
+      setEntries((prev) => [...prev, ...page.activity]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="activity-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="activity-drawer-title">Activity</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          <label htmlFor="activity-filter">Show</label>
+          <select
+            id="activity-filter"
+            value={itemId || ''}
+            onChange={(e) => onFilterChange(e.target.value || null)}
+          >
+            <option value="">All board activity</option>
+            {itemId && !items.some((item) => item.id === itemId) && (
+              <option value={itemId}>Deleted item</option>
+            )}
+            {items.map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.title}
+              </option>
+            ))}
+          </select>
+          {error && <p className="form-error">{error}</p>}
+          {!loading && entries.length === 0 && !error && (
+            <p className="drawer-meta">Nothing has happened here yet.</p>
+          )}
+          <ol className="activity-list">
+            {entries.map((entry) => (
+              <li className="activity-entry" key={entry.id}>
+                <span className="activity-summary">{describeActivity(entry, labelFor)}</span>
+                {activityDetails(entry).map(({ field, from, to }) => (
+                  <span className="activity-diff" key={field}>
+                    {field}: <del>{from}</del> → <ins>{to}</ins>
+                  </span>
+                ))}
+                <time className="drawer-meta" dateTime={entry.createdAt}>
+                  {new Date(entry.createdAt).toLocaleString()}
+                </time>
+              </li>
+            ))}
+          </ol>
+          {nextCursor && (
+            <button type="button" className="secondary" onClick={handleLoadMore} disabled={loading}>
+              {loading ? 'Loading…' : 'Load older activity'}
+            </button>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+function FlowDrawer({ open, projectId, secretKey, columns, onClose }) {
+  // Empty bounds leave the range to the server: the 30 days ending today (UTC).
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [flow, setFlow] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setFrom('');
+      setTo('');
+    }
+  }, [open]);
+
+  // Like the activity feed, the chart reloads whenever the board changes.
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    api
+      .fetchCumulativeFlow(projectId, secretKey, { from, to })
+      .then((result) => {
+        if (cancelled) return;
+        setFlow(result);
+        setError('');
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, projectId, secretKey, from, to, columns]);
+
+  const chart = useMemo(() => (flow ? flowBands(flow) : null), [flow]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="flow-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="flow-drawer-title">Cumulative flow</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          <p className="drawer-meta">
+            Cards in each column at the end of every day (UTC). A widening band means work is piling up
+            in that column.
+          </p>
+          <div className="flow-range">
+            <label>
+              From
+              <input
+                type="date"
+                value={from || flow?.from || ''}
+                max={to || flow?.to || undefined}
+                onChange={(e) => setFrom(e.target.value)}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={to || flow?.to || ''}
+                onChange={(e) => setTo(e.target.value)}
+              />
+            </label>
+          </div>
+          {error && <p className="form-error">{error}</p>}
+          {loading && !chart && <p className="drawer-meta">Loading…</p>}
+          {chart && (
+            <figure className="flow-chart">
+              <svg
+                viewBox={`0 0 ${FLOW_CHART_WIDTH} ${FLOW_CHART_HEIGHT}`}
+                preserveAspectRatio="none"
+                role="img"
+                aria-label={`Cumulative flow from ${flow.from} to ${flow.to}`}
+              >
+                {chart.bands.map((band) => (
+                  <path key={band.key} d={band.path} fill={band.color}>
+                    <title>{band.label}</title>
+                  </path>
+                ))}
+              </svg>
+              <figcaption className="flow-axis drawer-meta">
+                <span>{flow.from}</span>
+                <span>Peak {chart.max} cards</span>
+                <span>{flow.to}</span>
+              </figcaption>
+            </figure>
+          )}
+          {chart && (
+            <ul className="flow-legend">
+              {chart.bands.map((band) => (
+                <li key={band.key}>
+                  <span className="flow-swatch" style={{ background: band.color }} aria-hidden="true" />
+                  {band.label}
+                  <span className="drawer-meta">{band.latest}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+function MetricsDrawer({ open, projectId, secretKey, columns, onOpenItem, onClose }) {
+  // Empty bounds leave the period to the server: the 30 days ending today (UTC).
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [metric, setMetric] = useState('cycleTime');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setFrom('');
+      setTo('');
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    api
+      .fetchCycleTime(projectId, secretKey, { from, to })
+      .then((result) => {
+        if (cancelled) return;
+        setReport(result);
+        setError('');
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, projectId, secretKey, from, to, columns]);
+
+  const chart = useMemo(() => (report ? scatterPoints(report, { metric }) : null), [report, metric]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="metrics-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="metrics-drawer-title">Metrics</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          <p className="drawer-meta">
+            How long cards finished in this period took. Lead time runs from creation to the last column;
+            cycle time from entering In Progress, or the first working column on boards without it.
+          </p>
+          <div className="flow-range">
+            <label>
+              From
+              <input
+                type="date"
+                value={from || report?.from || ''}
+                max={to || report?.to || undefined}
+                onChange={(e) => setFrom(e.target.value)}
+              />
+            </label>
+            <label>
+              To
+              <input type="date" value={to || report?.to || ''} onChange={(e) => setTo(e.target.value)} />
+            </label>
+          </div>
+          {error && <p className="form-error">{error}</p>}
+          {loading && !report && <p className="drawer-meta">Loading…</p>}
+          {report && (
+            <>
+              <table className="metrics-table">
+                <thead>
+                  <tr>
+                    <th scope="col">{report.count === 1 ? '1 card' : `${report.count} cards`}</th>
+                    {PERCENTILE_KEYS.map((key) => (
+                      <th scope="col" key={key}>
+                        {key}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {METRICS.map(({ value, label, hint }) => (
+                    <tr key={value}>
+                      <th scope="row" title={hint}>
+                        {label}
+                      </th>
+                      {PERCENTILE_KEYS.map((key) => (
+                        <td key={key}>{formatDays(report[value][key])}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="metrics-toggle" role="group" aria-label="Plotted metric">
+                {METRICS.map(({ value, label }) => (
+                  <button
+                    type="button"
+                    key={value}
+                    className={metric === value ? 'secondary is-active' : 'ghost'}
+                    aria-pressed={metric === value}
+                    onClick={() => setMetric(value)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <figure className="flow-chart">
+                <svg
+                  viewBox={`0 0 ${SCATTER_WIDTH} ${SCATTER_HEIGHT}`}
+                  role="img"
+                  aria-label={`Finished cards by completion date and ${metric === 'cycleTime' ? 'cycle' : 'lead'} time`}
+                >
+                  {chart.lines.map((line) => (
+                    <g key={line.key} className="metrics-percentile">
+                      <line x1="0" x2={SCATTER_WIDTH} y1={line.y} y2={line.y} />
+                      <text x={SCATTER_WIDTH - 4} y={line.y - 4} textAnchor="end">
+                        {line.key} · {formatDays(line.value)}
+                      </text>
+                    </g>
+                  ))}
+                  {chart.points.map((point) => (
+                    <circle
+                      key={point.id}
+                      className="metrics-point"
+                      cx={point.x}
+                      cy={point.y}
+                      r="5"
+                      tabIndex={0}
+                      onClick={() => onOpenItem(point.id)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') onOpenItem(point.id);
+                      }}
+                    >
+                      <title>
+                        {point.title}: {formatDays(point.value)}, finished{' '}
+                        {new Date(point.completedAt).toLocaleDateString()}
+                      </title>
+                    </circle>
+                  ))}
+                </svg>
+                <figcaption className="flow-axis drawer-meta">
+                  <span>{report.from}</span>
+                  <span>Click a dot to open the card</span>
+                  <span>{report.to}</span>
+                </figcaption>
+              </figure>
+              {chart.points.length === 0 && (
+                <p className="drawer-meta">No cards were finished in this period.</p>
+              )}
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+function TrashDrawer({ open, projectId, secretKey, workflow, onClose, onRestored }) {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const labelFor = (key) => workflow.find((column) => column.key === key)?.label || workflow[0]?.label;
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api
+      .fetchTrash(projectId, secretKey)
+      .then((trash) => {
+        if (cancelled) return;
+        setItems(trash.items);
+        setRetentionDays(trash.retentionDays);
+      })
+      .catch((err) => {
+        if (!cancelled) setError({ message: err.message });
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, projectId, secretKey]);
+
+  const handleRestore = async (item, { overrideWipLimit = false } = {}) => {
+    setRestoringId(item.id);
+    setError(null);
+    try {
+      const { item: restored } = await api.restoreItem(projectId, secretKey, item.id, {
+        overrideWipLimit
+      });
+      setItems((prev) => prev.filter((trashed) => trashed.id !== item.id));
+      onRestored(restored);
+    } catch (err) {
+      setError({ message: err.message, item: err.code === WIP_LIMIT_ERROR ? item : null });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="trash-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="trash-drawer-title">Trash</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          {retentionDays !== null && (
+            <p className="drawer-meta">
+              Deleted cards are kept for {retentionDays} {retentionDays === 1 ? 'day' : 'days'} before
+              they are removed for good.
+            </p>
+          )}
+          {error && (
+            <div className="form-error">
+              {error.message}
+              {error.item && (
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={() => handleRestore(error.item, { overrideWipLimit: true })}
+                >
+                  Restore anyway
+                </button>
+              )}
+            </div>
+          )}
+          {!loading && items.length === 0 && !error && <p className="drawer-meta">The trash is empty.</p>}
+          <ul className="trash-list">
+            {items.map((item) => (
+              <li className="trash-entry" key={item.id}>
+                <div>
+                  <strong>{item.title}</strong>
+                  <span className="drawer-meta">
+                    {labelFor(item.status)} · deleted {new Date(item.deletedAt).toLocaleString()}
+                  </span>
+                  {item.purgeAt && (
+                    <span className="drawer-meta">
+                      Removed for good on {new Date(item.purgeAt).toLocaleDateString()}
+                    </span>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => handleRestore(item)}
+                  disabled={restoringId !== null}
+                >
+                  {restoringId === item.id ? 'Restoring…' : 'Restore'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+function LabelRow({ label, busy, onSave, onDelete }) {
+  const [name, setName] = useState(label.name);
+  const [color, setColor] = useState(label.color);
+
+  useEffect(() => {
+    setName(label.name);
+    setColor(label.color);
+  }, [label.name, label.color]);
+
+  const changed = name.trim() !== label.name || color !== label.color;
+
+  return (
+    <li className="label-row">
+      <input
+        type="color"
+        value={color}
+        onChange={(e) => setColor(e.target.value)}
+        disabled={busy}
+        aria-label={`Color for ${label.name}`}
+      />
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={40}
+        disabled={busy}
+        aria-label="Label name"
+      />
+      <button
+        type="button"
+        className="secondary"
+        onClick={() => onSave(label, { name: name.trim(), color })}
+        disabled={busy || !changed || !name.trim()}
+      >
+        Save
+      </button>
+      <button type="button" className="danger" onClick={() => onDelete(label)} disabled={busy}>
+        Delete
+      </button>
+    </li>
+  );
+}
+
+function LabelsDrawer({ open, projectId, secretKey, labels, onClose, onLabelsChange, onLabelDeleted }) {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState('#64748b');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setName('');
+      setError('');
+    }
+  }, [open]);
+
+  const run = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await run(async () => {
+      const { label } = await api.createLabel(projectId, secretKey, { name: name.trim(), color });
+      onLabelsChange((prev) => [...prev, label]);
+    });
+    if (created) setName('');
+  };
+
+  const handleSave = (label, changes) =>
+    run(async () => {
+      const { label: updated } = await api.updateLabel(projectId, secretKey, label.id, changes);
+      onLabelsChange((prev) => prev.map((existing) => (existing.id === updated.id ? updated : existing)));
+    });
+
+  const handleDelete = (label) => {
+    if (!window.confirm(`Delete the “${label.name}” label? It will be removed from every card.`)) return;
+    run(async () => {
+      await api.deleteLabel(projectId, secretKey, label.id);
+      onLabelDeleted();
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="labels-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="labels-drawer-title">Labels</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          {error && <p className="form-error">{error}</p>}
+          {labels.length === 0 && <p className="drawer-meta">This board has no labels yet.</p>}
+          <ul className="label-list">
+            {labels.map((label) => (
+              <LabelRow
+                key={label.id}
+                label={label}
+                busy={saving}
+                onSave={handleSave}
+                onDelete={handleDelete}
+              />
+            ))}
+          </ul>
+          <form className="label-row" onSubmit={handleCreate}>
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => setColor(e.target.value)}
+              disabled={saving}
+              aria-label="New label color"
+            />
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="New label"
+              maxLength={40}
+              disabled={saving}
+              aria-label="New label name"
+            />
+            <button type="submit" className="primary" disabled={saving || !name.trim()}>
+              Add label
+            </button>
+          </form>
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+function CollaboratorRow({ collaborator, busy, onSave, onDelete }) {
+  const [name, setName] = useState(collaborator.name);
+  const [initials, setInitials] = useState(collaborator.initials || '');
+
+  useEffect(() => {
+    setName(collaborator.name);
+    setInitials(collaborator.initials || '');
+  }, [collaborator.name, collaborator.initials]);
+
+  const changed =
+    name.trim() !== collaborator.name ||
+    initials.trim().toUpperCase() !== (collaborator.initials || '');
+
+  return (
+    <li className="roster-row">
+      <Avatar collaborator={{ name, initials: initials.trim().toUpperCase() }} />
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={80}
+        disabled={busy}
+        aria-label="Name"
+      />
+      <input
+        value={initials}
+        onChange={(e) => setInitials(e.target.value)}
+        placeholder={initialsFor(name)}
+        maxLength={3}
+        disabled={busy}
+        aria-label={`Initials for ${collaborator.name}`}
+      />
+      <button
+        type="button"
+        className="secondary"
+        onClick={() => onSave(collaborator, { name: name.trim(), initials: initials.trim() })}
+        disabled={busy || !changed || !name.trim()}
+      >
+        Save
+      </button>
+      <button type="button" className="danger" onClick={() => onDelete(collaborator)} disabled={busy}>
+        Remove
+      </button>
+    </li>
+  );
+}
+
+function TeamDrawer({ open, projectId, secretKey, roster, onClose, onRosterChange, onCollaboratorDeleted }) {
+  const [name, setName] = useState('');
+  const [initials, setInitials] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setName('');
+      setInitials('');
+      setError('');
+    }
+  }, [open]);
+
+  const run = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const byName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await run(async () => {
+      const { collaborator } = await api.createCollaborator(projectId, secretKey, {
+        name: name.trim(),
+        initials: initials.trim()
+      });
+      onRosterChange((prev) => [...prev, collaborator].sort(byName));
+    });
+    if (created) {
+      setName('');
+      setInitials('');
+    }
+  };
+
+  const handleSave = (collaborator, changes) =>
+    run(async () => {
+      const { collaborator: updated } = await api.updateCollaborator(
+        projectId,
+        secretKey,
+        collaborator.id,
+        changes
+      );
+      onRosterChange((prev) =>
+        prev.map((existing) => (existing.id === updated.id ? updated : existing)).sort(byName)
+      );
+    });
+
+  const handleDelete = (collaborator) => {
+    if (!window.confirm(`Remove ${collaborator.name} from the team? Their cards will be unassigned.`)) return;
+    run(async () => {
+      await api.deleteCollaborator(projectId, secretKey, collaborator.id);
+      onCollaboratorDeleted();
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="team-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="team-drawer-title">Team</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          <p className="drawer-meta">
+            Everyone who can be assigned cards on this board. Initials are optional and default to the
+            first letters of the name.
+          </p>
+          {error && <p className="form-error">{error}</p>}
+          {roster.length === 0 && <p className="drawer-meta">Nobody is on the team yet.</p>}
+          <ul className="roster-list">
+            {roster.map((collaborator) => (
+              <CollaboratorRow
+                key={collaborator.id}
+                collaborator={collaborator}
+                busy={saving}
+                onSave={handleSave}
+                onDelete={handleDelete}
+              />
+            ))}
+          </ul>
+          <form className="roster-row" onSubmit={handleCreate}>
+            <Avatar collaborator={{ name, initials: initials.trim().toUpperCase() }} />
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name"
+              maxLength={80}
+              disabled={saving}
+              aria-label="New teammate name"
+            />
+            <input
+              value={initials}
+              onChange={(e) => setInitials(e.target.value)}
+              placeholder={initialsFor(name)}
+              maxLength={3}
+              disabled={saving}
+              aria-label="New teammate initials"
+            />
+            <button type="submit" className="primary" disabled={saving || !name.trim()}>
+              Add
+            </button>
+          </form>
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+function SprintRow({ sprint, sprints, breakdown, busy, onSave, onStart, onComplete, onDelete }) {
+  const [name, setName] = useState(sprint.name);
+  const [goal, setGoal] = useState(sprint.goal);
+  const [startDate, setStartDate] = useState(sprint.startDate);
+  const [endDate, setEndDate] = useState(sprint.endDate);
+  const [completing, setCompleting] = useState(false);
+  const [moveTo, setMoveTo] = useState('');
+
+  useEffect(() => {
+    setName(sprint.name);
+    setGoal(sprint.goal);
+    setStartDate(sprint.startDate);
+    setEndDate(sprint.endDate);
+  }, [sprint.name, sprint.goal, sprint.startDate, sprint.endDate]);
+
+  const completed = sprint.state === 'completed';
+  const changed =
+    name.trim() !== sprint.name ||
+    goal.trim() !== sprint.goal ||
+    startDate !== sprint.startDate ||
+    endDate !== sprint.endDate;
+  const cardCount = breakdown.finished.length + breakdown.unfinished.length;
+
+  const openCompletion = () => {
+    setMoveTo(nextPlannedSprint(sprints)?.id || '');
+    setCompleting(true);
+  };
+
+  return (
+    <li className={`sprint-row is-${sprint.state}`}>
+      <div className="sprint-row-header">
+        <strong>{sprint.name}</strong>
+        <span className={`sprint-state is-${sprint.state}`}>{SPRINT_STATE_LABELS[sprint.state]}</span>
+        <span className="drawer-meta">
+          {formatSprintDates(sprint)} · {cardCount} {cardCount === 1 ? 'card' : 'cards'}
+        </span>
+      </div>
+      {completed ? (
+        sprint.goal && <p className="drawer-meta">Goal: {sprint.goal}</p>
+      ) : (
+        <div className="sprint-fields">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={80}
+            disabled={busy}
+            aria-label={`Name of ${sprint.name}`}
+          />
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            disabled={busy}
+            aria-label={`Start of ${sprint.name}`}
+          />
+          <input
+            type="date"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            disabled={busy}
+            aria-label={`End of ${sprint.name}`}
+          />
+          <input
+            value={goal}
+            onChange={(e) => setGoal(e.target.value)}
+            placeholder="Sprint goal"
+            maxLength={500}
+            disabled={busy}
+            aria-label={`Goal of ${sprint.name}`}
+          />
+        </div>
+      )}
+      {completing ? (
+        <div className="sprint-complete">
+          <p>
+            {breakdown.finished.length} finished · {breakdown.unfinished.length} unfinished
+          </p>
+          <label htmlFor={`sprint-move-${sprint.id}`}>Move unfinished cards to</label>
+          <select
+            id={`sprint-move-${sprint.id}`}
+            value={moveTo}
+            onChange={(e) => setMoveTo(e.target.value)}
+            disabled={busy}
+          >
+            {sprints
+              .filter((other) => other.state === 'planned')
+              .map((other) => (
+                <option key={other.id} value={other.id}>
+                  {other.name}
+                </option>
+              ))}
+            <option value="">The backlog</option>
+          </select>
+          <div className="sprint-actions">
+            <button
+              type="button"
+              className="primary"
+              onClick={() => onComplete(sprint, moveTo || null)}
+              disabled={busy}
+            >
+              Complete sprint
+            </button>
+            <button type="button" className="ghost" onClick={() => setCompleting(false)} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="sprint-actions">
+          {!completed && (
+            <button
+              type="button"
+              className="secondary"
+              onClick={() =>
+                onSave(sprint, { name: name.trim(), goal: goal.trim(), startDate, endDate })
+              }
+              disabled={busy || !changed || !name.trim()}
+            >
+              Save
+            </button>
+          )}
+          {sprint.state === 'planned' && (
+            <button type="button" className="secondary" onClick={() => onStart(sprint)} disabled={busy}>
+              Start
+            </button>
+          )}
+          {sprint.state === 'active' && (
+            <button type="button" className="primary" onClick={openCompletion} disabled={busy}>
+              Complete…
+            </button>
+          )}
+          <button type="button" className="danger" onClick={() => onDelete(sprint)} disabled={busy}>
+            Delete
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+function SprintsDrawer({
+  open,
+  projectId,
+  secretKey,
+  sprints,
+  boardItems,
+  workflow,
+  onClose,
+  onSprintsChange,
+  onCardsMoved
 }) {
-  const [title, setTitle] = useState(item?.title || '');
-  const [description, setDescription] = useState(item?.description || '');
+  const [name, setName] = useState('');
+  const [goal, setGoal] = useState('');
+  // Empty dates follow the suggested schedule until edited.
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
-  const firstFieldRef = useRef(null);
-
-  useEffect(() => {
-    setTitle(item?.title || '');
-    setDescription(item?.description || '');
-    setError('');
-  }, [item?.id]);
+  const [report, setReport] = useState('');
 
   useEffect(() => {
     if (open) {
-      // Focus first field when opening
-      const id = requestAnimationFrame(() => firstFieldRef.current?.focus());
-      return () => cancelAnimationFrame(id);
+      setName('');
+      setGoal('');
+      setStartDate('');
+      setEndDate('');
+      setError('');
+      setReport('');
     }
-    return undefined;
   }, [open]);
 
+  const suggested = nextSprintDates(sprints, localToday());
+
+  const run = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const replaceSprint = (sprint) =>
+    onSprintsChange((prev) =>
+      prev.map((existing) => (existing.id === sprint.id ? sprint : existing)).sort(compareSprints)
+    );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await run(async () => {
+      const { sprint } = await api.createSprint(projectId, secretKey, {
+        name: name.trim(),
+        goal: goal.trim(),
+        startDate: startDate || suggested.startDate,
+        endDate: endDate || suggested.endDate
+      });
+      onSprintsChange((prev) => [...prev, sprint].sort(compareSprints));
+    });
+    if (created) {
+      setName('');
+      setGoal('');
+      setStartDate('');
+      setEndDate('');
+    }
+  };
+
+  const handleSave = (sprint, changes) =>
+    run(async () => {
+      const { sprint: updated } = await api.updateSprint(projectId, secretKey, sprint.id, changes);
+      replaceSprint(updated);
+    });
+
+  const handleStart = (sprint) =>
+    run(async () => {
+      const { sprint: started } = await api.startSprint(projectId, secretKey, sprint.id);
+      replaceSprint(started);
+    });
+
+  const handleComplete = (sprint, moveTo) =>
+    run(async () => {
+      const result = await api.completeSprint(projectId, secretKey, sprint.id, { moveTo });
+      replaceSprint(result.sprint);
+      setReport(describeSprintReport(result, sprints));
+      onCardsMoved();
+    });
+
+  const handleDelete = (sprint) => {
+    if (!window.confirm(`Delete “${sprint.name}”? Its cards will go back to the backlog.`)) return;
+    run(async () => {
+      await api.deleteSprint(projectId, secretKey, sprint.id);
+      onSprintsChange((prev) => prev.filter((existing) => existing.id !== sprint.id));
+      onCardsMoved();
+    });
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Escape') {
       e.stopPropagation();
@@ -133,22 +2380,217 @@ function TaskDrawer({
     }
   };
 
-  const handleSave = async (e) => {
-    e.preventDefault();
-    const t = title.trim();
-    if (!t) {
-      setError('Title cannot be empty.');
-      return;
+  if (!open) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="sprints-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="sprints-drawer-title">Sprints</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          <p className="drawer-meta">
+            Plan cards into time boxes from each card’s drawer. Start one sprint at a time; completing it
+            keeps finished cards with the sprint and moves the rest on.
+          </p>
+          {error && <p className="form-error">{error}</p>}
+          {report && (
+            <p className="sprint-report" role="status">
+              {report}
+            </p>
+          )}
+          {sprints.length === 0 && <p className="drawer-meta">No sprints yet.</p>}
+          <ul className="sprint-list">
+            {sprints.map((sprint) => (
+              <SprintRow
+                key={sprint.id}
+                sprint={sprint}
+                sprints={sprints}
+                breakdown={sprintBreakdown(boardItems, sprint.id, workflow)}
+                busy={saving}
+                onSave={handleSave}
+                onStart={handleStart}
+                onComplete={handleComplete}
+                onDelete={handleDelete}
+              />
+            ))}
+          </ul>
+          <form className="sprint-row" onSubmit={handleCreate}>
+            <div className="sprint-fields">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={`Sprint ${sprints.length + 1}`}
+                maxLength={80}
+                disabled={saving}
+                aria-label="New sprint name"
+              />
+              <input
+                type="date"
+                value={startDate || suggested.startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                disabled={saving}
+                aria-label="New sprint start"
+              />
+              <input
+                type="date"
+                value={endDate || suggested.endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                disabled={saving}
+                aria-label="New sprint end"
+              />
+              <input
+                value={goal}
+                onChange={(e) => setGoal(e.target.value)}
+                placeholder="Sprint goal"
+                maxLength={500}
+                disabled={saving}
+                aria-label="New sprint goal"
+              />
+            </div>
+            <div className="sprint-actions">
+              <button type="submit" className="primary" disabled={saving || !name.trim()}>
+                Add sprint
+              </button>
+            </div>
+          </form>
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+const CSV_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'status', label: 'Column' }
+];
+const CSV_PREVIEW_ROWS = 10;
+
+function downloadFile(contents, type, filename) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function CsvDrawer({ open, projectId, projectName, secretKey, workflow, onClose, onImported }) {
+  const [csv, setCsv] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState(undefined);
+  const [chosenStatus, setChosenStatus] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const labelFor = (key) => workflow.find((column) => column.key === key)?.label || key;
+  // Falls back to the first column if the chosen one was removed meanwhile.
+  const defaultStatus = workflow.some((column) => column.key === chosenStatus)
+    ? chosenStatus
+    : workflow[0]?.key;
+
+  useEffect(() => {
+    if (open) return;
+    setCsv(null);
+    setFileName('');
+    setMapping(undefined);
+    setPreview(null);
+    setSkipInvalid(false);
+    setError(null);
+  }, [open]);
+
+  // Every change to the file or mapping is re-validated by the server so the
+  // preview shows exactly what the import would do.
+  useEffect(() => {
+    if (!open || csv === null) return undefined;
+    let cancelled = false;
+    setBusy(true);
+    setError(null);
+    api
+      .importCsv(projectId, secretKey, { csv, mapping, defaultStatus, dryRun: true })
+      .then((result) => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setPreview(null);
+          setError({ message: err.message });
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setBusy(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, projectId, secretKey, csv, mapping, defaultStatus]);
+
+  const handleExport = async () => {
+    setError(null);
+    try {
+      const text = await api.exportCsv(projectId, secretKey);
+      const slug = projectName.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'project';
+      downloadFile(text, 'text/csv', `${slug}-items.csv`);
+    } catch (err) {
+      setError({ message: err.message || 'Failed to export items.' });
     }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setMapping(undefined);
+    setCsv(await file.text());
+  };
+
+  const handleMappingChange = (field, header) => {
+    setMapping({ ...(mapping || preview?.mapping), [field]: header || null });
+  };
+
+  const handleImport = async ({ overrideWipLimit = false } = {}) => {
+    setBusy(true);
+    setError(null);
     try {
-      await onSave(item.id, { title: t, description: description.trim() });
-      onClose();
+      const { created } = await api.importCsv(projectId, secretKey, {
+        csv,
+        mapping: mapping || preview?.mapping,
+        defaultStatus,
+        skipInvalid,
+        overrideWipLimit
+      });
+      onImported(created);
     } catch (err) {
-      setError(err.message);
+      setError({ message: err.message, wipLimit: err.code === WIP_LIMIT_ERROR });
+    } finally {
+      setBusy(false);
     }
   };
 
-  if (!open || !item) return null;
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  const summary = preview?.summary;
+  const canImport = summary && summary.valid > 0 && (summary.invalid === 0 || skipInvalid);
 
   return (
     <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
@@ -156,71 +2598,321 @@ function TaskDrawer({
         className="drawer"
         role="dialog"
         aria-modal="true"
-        aria-labelledby="drawer-title"
+        aria-labelledby="csv-drawer-title"
         onClick={(e) => e.stopPropagation()}
         onKeyDown={handleKeyDown}
       >
         <header className="drawer-header">
-          <h3 id="drawer-title">Edit item</h3>
+          <h3 id="csv-drawer-title">CSV import &amp; export</h3>
           <button type="button" className="ghost" onClick={onClose} aria-label="Close">
             ✕
           </button>
         </header>
-        <form className="form drawer-form" onSubmit={handleSave}>
-          <label htmlFor="drawer-title-input">Title</label>
-          <input
-            id="drawer-title-input"
-            ref={firstFieldRef}
-            type="text"
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            disabled={busy}
-          />
-          <label htmlFor="drawer-desc-input">Description</label>
-          <textarea
-            id="drawer-desc-input"
-            rows="6"
-            value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            disabled={busy}
-          />
-          <div className="drawer-meta">
-            <span>Created {item?.createdAt ? new Date(item.createdAt).toLocaleString() : '—'}</span>
-          </div>
-          {error && <p className="form-error">{error}</p>}
+        <div className="form drawer-form">
+          <p className="drawer-meta">Download every card on the board as a spreadsheet.</p>
           <div className="form-actions">
-            <button type="submit" className="primary" disabled={busy}>
-              {busy ? 'Saving…' : 'Save changes'}
-            </button>
-            <button type="button" className="secondary" onClick={onClose} disabled={busy}>
-              Cancel
-            </button>
-            <button
-              type="button"
-              className="danger"
-              onClick={() => onDelete(item.id)}
-              disabled={busy}
-              title="Delete item"
-            >
-              Delete
+            <button type="button" className="secondary" onClick={handleExport}>
+              Download CSV
             </button>
           </div>
-        </form>
+
+          <label htmlFor="csv-file">Import cards from a CSV file</label>
+          <input id="csv-file" type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+          {fileName && <span className="drawer-meta">{fileName}</span>}
+
+          {error && (
+            <div className="form-error">
+              {error.message}
+              {error.wipLimit && (
+                <button type="button" className="ghost" onClick={() => handleImport({ overrideWipLimit: true })}>
+                  Import anyway
+                </button>
+              )}
+            </div>
+          )}
+
+          {preview && (
+            <>
+              <div className="csv-mapping">
+                {CSV_FIELDS.map((field) => (
+                  <div key={field.key}>
+                    <label htmlFor={`csv-map-${field.key}`}>{field.label}</label>
+                    <select
+                      id={`csv-map-${field.key}`}
+                      value={preview.mapping[field.key] || ''}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                      disabled={busy}
+                    >
+                      <option value="">{field.key === 'title' ? 'Choose a column' : 'Not imported'}</option>
+                      {preview.headers.map((header) => (
+                        <option key={header} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label htmlFor="csv-default-status">Cards without a column go to</label>
+                  <select
+                    id="csv-default-status"
+                    value={defaultStatus}
+                    onChange={(e) => setChosenStatus(e.target.value)}
+                    disabled={busy}
+                  >
+                    {workflow.map((column) => (
+                      <option key={column.key} value={column.key}>
+                        {column.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <p className="drawer-meta">
+                {summary.valid} {summary.valid === 1 ? 'row' : 'rows'} ready
+                {summary.invalid > 0 && `, ${summary.invalid} with errors`}.
+              </p>
+              <table className="csv-preview">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Title</th>
+                    <th>Column</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.slice(0, CSV_PREVIEW_ROWS).map((row) => (
+                    <tr key={row.line} className={row.error ? 'has-error' : undefined}>
+                      <td>{row.line}</td>
+                      <td>{row.title || '—'}</td>
+                      <td>{row.error || labelFor(row.status)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {preview.rows.length > CSV_PREVIEW_ROWS && (
+                <p className="drawer-meta">…and {preview.rows.length - CSV_PREVIEW_ROWS} more rows.</p>
+              )}
+              {summary.invalid > 0 && (
+                <label className="checkbox-row">
+                  <input
+                    type="checkbox"
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                  />
+                  Skip rows with errors
+                </label>
+              )}
+              <div className="form-actions">
+                <button type="button" className="primary" onClick={() => handleImport()} disabled={busy || !canImport}>
+                  {busy ? 'Working…' : `Import ${summary.valid} ${summary.valid === 1 ? 'card' : 'cards'}`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+// Trello exports carry the full action history; only lists and cards are
+// needed, so the rest is dropped before uploading.
+const trimTrelloExport = (board) => ({
+  name: board.name,
+  lists: (board.lists || []).map(({ id, name, closed, pos }) => ({ id, name, closed, pos })),
+  cards: (board.cards || []).map(({ id, name, desc, closed, idList, pos }) => ({
+    id,
+    name,
+    desc,
+    closed,
+    idList,
+    pos
+  }))
+});
+
+function TrelloImportDrawer({ open, projectId, secretKey, workflow, onClose, onImported }) {
+  const [board, setBoard] = useState(null);
+  const [listMapping, setListMapping] = useState({});
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) return;
+    setBoard(null);
+    setListMapping({});
+    setIncludeArchived(false);
+    setPreview(null);
+    setError(null);
+  }, [open]);
+
+  useEffect(() => {
+    if (!open || !board) return undefined;
+    let cancelled = false;
+    setBusy(true);
+    setError(null);
+    api
+      .importTrello(projectId, secretKey, { board, listMapping, includeArchived, dryRun: true })
+      .then((result) => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setPreview(null);
+          setError({ message: err.message });
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setBusy(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, projectId, secretKey, board, listMapping, includeArchived]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setPreview(null);
+    setListMapping({});
+    try {
+      setBoard(trimTrelloExport(JSON.parse(await file.text())));
+    } catch {
+      setBoard(null);
+      setError({ message: 'That file is not valid JSON. Export the board from Trello as JSON.' });
+    }
+  };
+
+  const handleImport = async ({ overrideWipLimit = false } = {}) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const { created } = await api.importTrello(projectId, secretKey, {
+        board,
+        listMapping,
+        includeArchived,
+        overrideWipLimit
+      });
+      onImported(created);
+    } catch (err) {
+      setError({ message: err.message, wipLimit: err.code === WIP_LIMIT_ERROR });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!open) return null;
+
+  const cardCount = preview?.summary.cards ?? 0;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="trello-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="trello-drawer-title">Import from Trello</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <div className="form drawer-form">
+          <p className="drawer-meta">
+            In Trello, open the board menu and choose Print, export and share → Export as JSON. The
+            file stays on your machine until you import it.
+          </p>
+          <label htmlFor="trello-file">Trello export</label>
+          <input id="trello-file" type="file" accept=".json,application/json" onChange={handleFileChange} />
+
+          {error && (
+            <div className="form-error">
+              {error.message}
+              {error.wipLimit && (
+                <button type="button" className="ghost" onClick={() => handleImport({ overrideWipLimit: true })}>
+                  Import anyway
+                </button>
+              )}
+            </div>
+          )}
+
+          {preview && (
+            <>
+              <p className="drawer-meta">
+                Choose a column for each list in “{preview.name || 'Untitled board'}”.
+              </p>
+              <ul className="trello-lists">
+                {preview.lists.map((list) => (
+                  <li key={list.id}>
+                    <label htmlFor={`trello-list-${list.id}`}>
+                      {list.name}
+                      {list.closed && ' (archived)'}
+                      <span className="drawer-meta">
+                        {list.cardCount} {list.cardCount === 1 ? 'card' : 'cards'}
+                        {list.archivedCount > 0 && `, ${list.archivedCount} archived`}
+                      </span>
+                    </label>
+                    <select
+                      id={`trello-list-${list.id}`}
+                      value={list.column ?? ''}
+                      onChange={(e) =>
+                        setListMapping((prev) => ({ ...prev, [list.id]: e.target.value || null }))
+                      }
+                      disabled={busy}
+                    >
+                      {workflow.map((column) => (
+                        <option key={column.key} value={column.key}>
+                          {column.label}
+                        </option>
+                      ))}
+                      <option value="">Skip this list</option>
+                    </select>
+                  </li>
+                ))}
+              </ul>
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={includeArchived}
+                  onChange={(e) => setIncludeArchived(e.target.checked)}
+                  disabled={busy}
+                />
+                Include archived cards
+              </label>
+              <div className="form-actions">
+                <button
+                  type="button"
+                  className="primary"
+                  onClick={() => handleImport()}
+                  disabled={busy || cardCount === 0}
+                >
+                  {busy ? 'Working…' : `Import ${cardCount} ${cardCount === 1 ? 'card' : 'cards'}`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
       </aside>
     </div>
   );
 }
 
 function ProjectBadge({ name }) {
-  const initials = useMemo(() => {
-    const trimmed = (name || '').trim();
-    if (!trimmed) return 'BP';
-    const parts = trimmed.split(/\s+/).slice(0, 2);
-    const letters = parts
-      .map((part) => part.charAt(0)?.toUpperCase() || '')
-      .join('');
-    return letters || 'BP';
-  }, [name]);
+  const initials = useMemo(() => initialsFor(name, 'BP'), [name]);
 
   return (
     <span className="project-badge" aria-hidden="true">
@@ -229,11 +2921,23 @@ function ProjectBadge({ name }) {
   );
 }
 
-function LandingView({ onAccess, onCreate, busyOpen = false, busyCreate = false, inviteProjectId, onClearInvite }) {
+function LandingView({
+  onAccess,
+  onCreate,
+  onImport,
+  onRestoreProject,
+  busyOpen = false,
+  busyCreate = false,
+  inviteProjectId,
+  onClearInvite
+}) {
   const [accessSecret, setAccessSecret] = useState('');
+  const [trashedProject, setTrashedProject] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [importSecret, setImportSecret] = useState('');
   const [newProjectName, setNewProjectName] = useState('');
   const [newSecretKey, setNewSecretKey] = useState('');
-  const [errors, setErrors] = useState({ access: '', create: '' });
+  const [errors, setErrors] = useState({ access: '', create: '', import: '' });
 
   const handleAccess = async (event) => {
     event.preventDefault();
@@ -243,9 +2947,24 @@ function LandingView({ onAccess, onCreate, busyOpen = false, busyCreate = false,
       return;
     }
     setErrors((prev) => ({ ...prev, access: '' }));
+    setTrashedProject(null);
     try {
       await onAccess(secret, inviteProjectId);
       setAccessSecret('');
+    } catch (error) {
+      setErrors((prev) => ({ ...prev, access: error.message }));
+      if (error.code === PROJECT_IN_TRASH_ERROR) {
+        setTrashedProject({ ...error.details, secret });
+      }
+    }
+  };
+
+  const handleRestoreProject = async () => {
+    try {
+      await onRestoreProject(trashedProject.secret, trashedProject.projectId);
+      setTrashedProject(null);
+      setAccessSecret('');
+      setErrors((prev) => ({ ...prev, access: '' }));
     } catch (error) {
       setErrors((prev) => ({ ...prev, access: error.message }));
     }
@@ -272,6 +2991,38 @@ function LandingView({ onAccess, onCreate, busyOpen = false, busyCreate = false,
     }
   };
 
+  const handleImport = async (event) => {
+    event.preventDefault();
+    const secret = importSecret.trim();
+    if (!importFile || !secret) {
+      setErrors((prev) => ({ ...prev, import: 'Choose a backup file and a new secret key.' }));
+      return;
+    }
+    let archive;
+    try {
+      archive = JSON.parse(await importFile.text());
+    } catch {
+      setErrors((prev) => ({ ...prev, import: 'That file is not a JSON backup.' }));
+      return;
+    }
+    setErrors((prev) => ({ ...prev, import: '' }));
+    try {
+      await onImport({ archive, secretKey: secret });
+      setImportFile(null);
+      setImportSecret('');
+    } catch (error) {
+      const problems = error.details?.problems || [];
+      const detail = problems
+        .slice(0, 3)
+        .map((problem) => `${problem.path} ${problem.message}`)
+        .join(' ');
+      setErrors((prev) => ({
+        ...prev,
+        import: problems.length > 1 ? `${error.message} ${detail}` : error.message
+      }));
+    }
+  };
+
   return (
     <div className="landing">
       <section className="panel panel-primary">
@@ -301,6 +3052,22 @@ function LandingView({ onAccess, onCreate, busyOpen = false, busyCreate = false,
             placeholder="e.g. sprint-rocket-2025"
           />
           {errors.access && <p className="form-error">{errors.access}</p>}
+          {trashedProject && (
+            <div className="trash-notice">
+              <span>
+                It will be removed for good on{' '}
+                {new Date(trashedProject.purgeAt).toLocaleDateString()}.
+              </span>
+              <button
+                type="button"
+                className="secondary"
+                onClick={handleRestoreProject}
+                disabled={busyOpen}
+              >
+                Restore project
+              </button>
+            </div>
+          )}
           <button type="submit" className="primary" disabled={busyOpen}>
             {busyOpen ? 'Loading…' : 'Open backlog'}
           </button>
@@ -338,6 +3105,32 @@ function LandingView({ onAccess, onCreate, busyOpen = false, busyCreate = false,
             {busyCreate ? 'Saving…' : 'Create project'}
           </button>
         </form>
+        <details className="import-backup">
+          <summary>Import a board from a backup file</summary>
+          <form className="form" onSubmit={handleImport}>
+            <label htmlFor="import-file">Backup file</label>
+            <input
+              id="import-file"
+              type="file"
+              accept="application/json,.json"
+              onChange={(event) => setImportFile(event.target.files?.[0] || null)}
+              disabled={busyCreate}
+            />
+            <label htmlFor="import-secret">New secret key</label>
+            <input
+              id="import-secret"
+              type="password"
+              value={importSecret}
+              onChange={(event) => setImportSecret(event.target.value)}
+              disabled={busyCreate}
+              placeholder="Secrets are never exported"
+            />
+            {errors.import && <p className="form-error">{errors.import}</p>}
+            <button type="submit" className="secondary" disabled={busyCreate}>
+              {busyCreate ? 'Importing…' : 'Import board'}
+            </button>
+          </form>
+        </details>
       </section>
     </div>
   );
@@ -419,9 +3212,441 @@ function AddCardForm({ status, onAdd, busy }) {
   );
 }
 
-const BoardCard = memo(function BoardCard({ item, busy, onOpen, onDelete, expanded, onToggle }) {
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_HIT_MS = 2500;
+
+// Renders the server's `[{ text, match }]` segments with matches marked.
+const Highlighted = ({ segments }) =>
+  segments.map((segment, index) =>
+    segment.match ? <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>
+  );
+
+function BoardSearch({ projectId, secretKey, workflow, onSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  const labelFor = (key) => workflow.find((column) => column.key === key)?.label || key;
+
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) {
+      setResults([]);
+      setError('');
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      api
+        .searchItems(projectId, secretKey, { q: text })
+        .then((response) => {
+          if (cancelled) return;
+          setResults(response.results);
+          setActiveIndex(0);
+          setError('');
+        })
+        .catch((err) => {
+          if (!cancelled) setError(err.message);
+        });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [projectId, secretKey, query]);
+
+  const choose = (result) => {
+    setOpen(false);
+    onSelect(result.item.id);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      setOpen(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + results.length) % results.length);
+    } else if (e.key === 'Enter' && open && results[activeIndex]) {
+      e.preventDefault();
+      choose(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      if (open) setOpen(false);
+      else setQuery('');
+    }
+  };
+
+  const showResults = open && query.trim() !== '';
+
+  return (
+    <div className="board-search">
+      <input
+        type="search"
+        value={query}
+        placeholder="Search cards"
+        aria-label="Search cards"
+        role="combobox"
+        aria-expanded={showResults}
+        aria-controls="board-search-results"
+        aria-activedescendant={showResults && results[activeIndex] ? `search-result-${activeIndex}` : undefined}
+        aria-autocomplete="list"
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      {showResults && (
+        <ul className="board-search-results" id="board-search-results" role="listbox">
+          {error && <li className="form-error">{error}</li>}
+          {!error && results.length === 0 && <li className="drawer-meta">No matching cards.</li>}
+          {results.map((result, index) => (
+            <li
+              key={result.item.id}
+              id={`search-result-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'is-active' : ''}
+              // Keeps the input focused so the click is not lost to its blur.
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(result)}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="board-search-title">
+                <Highlighted segments={result.title} />
+              </span>
+              <span className="board-search-column">{labelFor(result.item.status)}</span>
+              {result.snippet && (
+                <span className="board-search-snippet">
+                  <Highlighted segments={result.snippet} />
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const QUERY_EXAMPLE = 'status:review label:bug due:<2026-11-01';
+const byViewName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+
+/**
+ * Picks a saved view or applies a typed board query on Enter. Remounted
+ * whenever the applied query changes, so the input always starts from it.
+ */
+function BoardViews({
+  projectId,
+  secretKey,
+  views,
+  viewId,
+  query,
+  queryError,
+  matchCount,
+  onApply,
+  onViewsChange
+}) {
+  const [draft, setDraft] = useState(query);
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const activeView = views.find((view) => view.id === viewId);
+  const text = draft.trim();
+
+  const run = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Editing a saved view's query and pressing Enter applies it unsaved.
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (activeView && text === activeView.query) return;
+    onApply({ viewId: '', text });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { view } = await api.createView(projectId, secretKey, { name, query: text });
+      onViewsChange((prev) => [...prev, view].sort(byViewName));
+      onApply({ viewId: view.id, text: '' });
+    });
+  };
+
+  const handleUpdate = () =>
+    run(async () => {
+      const { view } = await api.updateView(projectId, secretKey, activeView.id, { query: text });
+      onViewsChange((prev) => prev.map((existing) => (existing.id === view.id ? view : existing)));
+    });
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the “${activeView.name}” view?`)) return;
+    run(async () => {
+      await api.deleteView(projectId, secretKey, activeView.id);
+      onViewsChange((prev) => prev.filter((view) => view.id !== activeView.id));
+      onApply({ viewId: '', text: '' });
+    });
+  };
+
+  return (
+    <div className="board-views">
+      <label htmlFor="board-view">View</label>
+      <select
+        id="board-view"
+        value={activeView ? viewId : ''}
+        onChange={(e) => onApply({ viewId: e.target.value, text: '' })}
+      >
+        <option value="">{query && !activeView ? 'Unsaved query' : 'Whole board'}</option>
+        {views.map((view) => (
+          <option key={view.id} value={view.id}>
+            {view.name}
+          </option>
+        ))}
+      </select>
+      <form className="board-query" onSubmit={handleSubmit}>
+        <input
+          type="search"
+          value={draft}
+          maxLength={500}
+          placeholder={`Filter, e.g. ${QUERY_EXAMPLE}`}
+          aria-label="Board query"
+          aria-invalid={Boolean(queryError)}
+          aria-describedby={queryError ? 'board-query-error' : undefined}
+          onChange={(e) => setDraft(e.target.value)}
+        />
+      </form>
+      {query && !queryError && matchCount !== null && (
+        <span className="drawer-meta">
+          {matchCount} matching {matchCount === 1 ? 'card' : 'cards'}
+        </span>
+      )}
+      {!activeView && text && !naming && (
+        <button type="button" className="secondary" onClick={() => setNaming(true)} disabled={saving}>
+          Save view…
+        </button>
+      )}
+      {naming && (
+        <form className="board-view-name" onSubmit={handleSave}>
+          <input
+            value={name}
+            maxLength={60}
+            placeholder="View name"
+            aria-label="View name"
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+          />
+          <button type="submit" className="primary" disabled={saving || !name.trim()}>
+            Save
+          </button>
+          <button type="button" className="ghost" onClick={() => setNaming(false)}>
+            Cancel
+          </button>
+        </form>
+      )}
+      {activeView && text && text !== activeView.query && (
+        <button type="button" className="secondary" onClick={handleUpdate} disabled={saving}>
+          Update view
+        </button>
+      )}
+      {activeView && (
+        <button type="button" className="ghost" onClick={handleDelete} disabled={saving}>
+          Delete view
+        </button>
+      )}
+      {query && (
+        <button type="button" className="ghost" onClick={() => onApply(EMPTY_BOARD_QUERY)}>
+          Clear query
+        </button>
+      )}
+      {queryError && (
+        <p className="form-error" id="board-query-error">
+          {queryError}
+        </p>
+      )}
+      {error && <p className="form-error">{error}</p>}
+    </div>
+  );
+}
+
+// The bulk pickers' "none" choices. Each picker keeps an empty value, so it
+// acts once per choice and snaps back to its prompt.
+const NO_PRIORITY = 'none';
+const NO_ASSIGNEE = 'none';
+
+/**
+ * Acts on the cards picked with Ctrl/⌘- or Shift-click. Each action is one
+ * bulk request, so it changes every selected card or, if any of them
+ * fails, none of them.
+ */
+function BulkActionBar({ items, workflow, labels, roster, sprints, busy, onApply, onClear }) {
+  const [error, setError] = useState(null);
+
+  const run = async (buildOperation, { overrideWipLimit = false } = {}) => {
+    setError(null);
+    try {
+      await onApply(
+        items.map((item) => ({ itemId: item.id, version: item.version, ...buildOperation(item) })),
+        { overrideWipLimit }
+      );
+    } catch (err) {
+      setError({ message: err.message, retry: err.code === WIP_LIMIT_ERROR ? buildOperation : null });
+    }
+  };
+
+  const update = (changes) => run(() => ({ type: 'update', changes }));
+
+  const handleDelete = () => {
+    const count = items.length;
+    const confirmed = window.confirm(
+      `Move ${count} ${count === 1 ? 'card' : 'cards'} to the trash? Cards under a deleted epic stay on the board.`
+    );
+    if (!confirmed) return;
+    run(() => ({ type: 'delete', children: 'detach' }));
+  };
+
+  return (
+    <div className="bulk-bar" role="toolbar" aria-label="Selected cards">
+      <strong>
+        {items.length} {items.length === 1 ? 'card' : 'cards'} selected
+      </strong>
+      <select
+        value=""
+        aria-label="Move selected cards"
+        disabled={busy}
+        onChange={(e) => run(() => ({ type: 'move', status: e.target.value }))}
+      >
+        <option value="">Move to…</option>
+        {workflow.map((column) => (
+          <option key={column.key} value={column.key}>
+            {column.label}
+          </option>
+        ))}
+      </select>
+      <select
+        value=""
+        aria-label="Set priority of selected cards"
+        disabled={busy}
+        onChange={(e) => update({ priority: e.target.value === NO_PRIORITY ? null : e.target.value })}
+      >
+        <option value="">Priority…</option>
+        {PRIORITIES.map((priority) => (
+          <option key={priority.value} value={priority.value}>
+            {priority.label}
+          </option>
+        ))}
+        <option value={NO_PRIORITY}>No priority</option>
+      </select>
+      {labels.length > 0 && (
+        <select
+          value=""
+          aria-label="Add a label to selected cards"
+          disabled={busy}
+          onChange={(e) => run((item) => addToList(item, 'labelIds', e.target.value))}
+        >
+          <option value="">Add label…</option>
+          {labels.map((label) => (
+            <option key={label.id} value={label.id}>
+              {label.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {roster.length > 0 && (
+        <select
+          value=""
+          aria-label="Assign selected cards"
+          disabled={busy}
+          onChange={(e) =>
+            e.target.value === NO_ASSIGNEE
+              ? update({ assignees: [] })
+              : run((item) => addToList(item, 'assignees', e.target.value))
+          }
+        >
+          <option value="">Assign…</option>
+          {roster.map((collaborator) => (
+            <option key={collaborator.id} value={collaborator.id}>
+              {collaborator.name}
+            </option>
+          ))}
+          <option value={NO_ASSIGNEE}>Unassign everyone</option>
+        </select>
+      )}
+      <select
+        value=""
+        aria-label="Plan selected cards into a sprint"
+        disabled={busy}
+        onChange={(e) => update({ sprintId: e.target.value === NO_SPRINT ? null : e.target.value })}
+      >
+        <option value="">Sprint…</option>
+        {sprints.map((sprint) => (
+          <option key={sprint.id} value={sprint.id}>
+            {sprint.name}
+          </option>
+        ))}
+        <option value={NO_SPRINT}>Not in a sprint</option>
+      </select>
+      <button type="button" className="danger" onClick={handleDelete} disabled={busy}>
+        Delete
+      </button>
+      <button type="button" className="ghost" onClick={onClear}>
+        Clear selection
+      </button>
+      {error && (
+        <p className="form-error" role="alert">
+          {error.message}
+          {error.retry && (
+            <button
+              type="button"
+              className="secondary"
+              onClick={() => run(error.retry, { overrideWipLimit: true })}
+              disabled={busy}
+            >
+              Move anyway
+            </button>
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
+
+const BoardCard = memo(function BoardCard({
+  item,
+  labelsById,
+  rosterById,
+  finished,
+  blockers,
+  epic,
+  rollup,
+  busy,
+  onOpen,
+  onEpicSelect,
+  onDelete,
+  onSelect,
+  expanded,
+  onToggle
+}) {
   const [error, setError] = useState('');
 
+  const today = localToday();
+  // Finished cards keep their due date but are never flagged.
+  const due = item.dueDate && !finished ? dueState(item.dueDate, today) : null;
+
   const handleDelete = async () => {
     if (busy) return;
     try {
@@ -434,7 +3659,15 @@ const BoardCard = memo(function BoardCard({ item, busy, onOpen, onDelete, expand
   return (
     <div
       className={`card-content ${expanded ? 'is-expanded' : ''}`}
-      onClick={onToggle}
+      onClick={(e) => {
+        // Modifier clicks pick cards for the bulk action bar instead.
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+          e.preventDefault();
+          onSelect(item.id, { range: e.shiftKey });
+        } else {
+          onToggle();
+        }
+      }}
       role="button"
       tabIndex={0}
       aria-expanded={expanded}
@@ -446,7 +3679,56 @@ const BoardCard = memo(function BoardCard({ item, busy, onOpen, onDelete, expand
       <div className="card-header">
         <div className="card-title">
           <span className={`chevron ${expanded ? 'open' : ''}`} aria-hidden="true">▸</span>
+          {item.priority && (
+            <span
+              className={`card-priority is-${item.priority}`}
+              title={`${priorityLabel(item.priority)} priority`}
+            >
+              {priorityLabel(item.priority)}
+            </span>
+          )}
+          {blockers && (
+            <span
+              className="card-blocked"
+              role="img"
+              aria-label="Blocked"
+              title={`Blocked by ${blockers.map((blocker) => blocker.title).join(', ')}`}
+            >
+              🔒
+            </span>
+          )}
           <h4 title={item.title}>{item.title}</h4>
+          {rollup && (
+            <span
+              className="card-epic-progress"
+              title={`Epic: ${rollup.done} of ${rollup.total} cards done`}
+            >
+              ◆ {rollup.percent}%
+            </span>
+          )}
+          {item.estimate !== null && item.estimate !== undefined && (
+            <span className="card-estimate" title="Estimate">
+              {formatPoints(item.estimate)}
+            </span>
+          )}
+          {item.checklist?.total > 0 && (
+            <span
+              className={`card-checklist ${
+                item.checklist.done === item.checklist.total ? 'is-complete' : ''
+              }`}
+              title={`${item.checklist.done} of ${item.checklist.total} checklist entries done`}
+            >
+              ☑ {item.checklist.done}/{item.checklist.total}
+            </span>
+          )}
+          {item.commentCount > 0 && (
+            <span
+              className="card-comment-count"
+              title={`${item.commentCount} ${item.commentCount === 1 ? 'comment' : 'comments'}`}
+            >
+              💬 {item.commentCount}
+            </span>
+          )}
         </div>
         <div className="card-icon-buttons">
           <button
@@ -471,6 +3753,46 @@ const BoardCard = memo(function BoardCard({ item, busy, onOpen, onDelete, expand
           </button>
         </div>
       </div>
+      {epic && (
+        <button
+          type="button"
+          className="card-epic"
+          onClick={(e) => {
+            e.stopPropagation();
+            onEpicSelect(epic.id);
+          }}
+          onKeyDown={(e) => e.stopPropagation()}
+          title={`Show the cards in “${epic.title}”`}
+        >
+          ◆ {epic.title}
+        </button>
+      )}
+      {item.labelIds?.length > 0 && (
+        <div className="card-labels">
+          {item.labelIds
+            .filter((labelId) => labelsById.has(labelId))
+            .map((labelId) => (
+              <LabelChip key={labelId} label={labelsById.get(labelId)} />
+            ))}
+        </div>
+      )}
+      {item.dueDate && (
+        <span
+          className={`card-due ${due ? `is-${due}` : ''}`}
+          title={`Due ${new Date(`${item.dueDate}T00:00:00`).toLocaleDateString()}`}
+        >
+          {finished ? `Due ${formatDueDate(item.dueDate)}` : describeDue(item.dueDate, today)}
+        </span>
+      )}
+      {item.assignees?.length > 0 && (
+        <div className="card-assignees">
+          {item.assignees
+            .filter((collaboratorId) => rosterById.has(collaboratorId))
+            .map((collaboratorId) => (
+              <Avatar key={collaboratorId} collaborator={rosterById.get(collaboratorId)} />
+            ))}
+        </div>
+      )}
       {expanded && item.description && <p id={`details-${item.id}`}>{item.description}</p>}
       {expanded && (
         <div className="card-meta" id={`meta-${item.id}`}>
@@ -482,22 +3804,200 @@ const BoardCard = memo(function BoardCard({ item, busy, onOpen, onDelete, expand
   );
 });
 
+/**
+ * The "due this week" strip above the board: overdue cards and cards due in
+ * the next few days, soonest first. Refetched whenever the board changes.
+ */
+function DueSoonPanel({ projectId, secretKey, columns, workflow, onOpen }) {
+  const [due, setDue] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .fetchDueItems(projectId, secretKey, { days: DUE_LIST_DAYS, today: localToday() })
+      .then((result) => {
+        if (!cancelled) setDue(result);
+      })
+      .catch((err) => {
+        console.error('Failed to load due items', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, secretKey, columns]);
+
+  if (!due || due.items.length === 0) return null;
+
+  const labelFor = (key) => workflow.find((column) => column.key === key)?.label || key;
+  // Open the board's copy so the drawer sees the latest version.
+  const boardCopy = (item) => Object.values(columns).flat().find((card) => card.id === item.id) || item;
+
+  return (
+    <section className="due-soon" aria-labelledby="due-soon-title">
+      <h3 id="due-soon-title">Due this week</h3>
+      <ul className="due-soon-list">
+        {due.items.map((item) => (
+          <li key={item.id}>
+            <button type="button" className="due-soon-item" onClick={() => onOpen(boardCopy(item))}>
+              <span className={`card-due is-${dueState(item.dueDate, due.today) || 'later'}`}>
+                {describeDue(item.dueDate, due.today)}
+              </span>
+              <span className="due-soon-title">{item.title}</span>
+              <span className="drawer-meta">{labelFor(item.status)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
 function CreateDrawer({ open, status, busy, onClose, onAdd }) {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [dueDate, setDueDate] = useState('');
   const [error, setError] = useState('');
   const firstFieldRef = useRef(null);
 
-  useEffect(() => {
-    if (open) {
-      setTitle('');
-      setDescription('');
-      setError('');
-      const id = requestAnimationFrame(() => firstFieldRef.current?.focus());
-      return () => cancelAnimationFrame(id);
-    }
-    return undefined;
-  }, [open]);
+  useEffect(() => {
+    if (open) {
+      setTitle('');
+      setDescription('');
+      setDueDate('');
+      setError('');
+      const id = requestAnimationFrame(() => firstFieldRef.current?.focus());
+      return () => cancelAnimationFrame(id);
+    }
+    return undefined;
+  }, [open]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const t = title.trim();
+    if (!t) {
+      setError('Title cannot be empty.');
+      return;
+    }
+    try {
+      await onAdd(status, { title: t, description: description.trim(), dueDate: dueDate || null });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!open || !status) return null;
+
+  return (
+    <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
+      <aside
+        className="drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="create-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <header className="drawer-header">
+          <h3 id="create-drawer-title">Create item</h3>
+          <button type="button" className="ghost" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </header>
+        <form className="form drawer-form" onSubmit={handleSave}>
+          <label htmlFor="create-title-input">Summary</label>
+          <input
+            id="create-title-input"
+            ref={firstFieldRef}
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            disabled={busy}
+          />
+          <label htmlFor="create-desc-input">Description</label>
+          <textarea
+            id="create-desc-input"
+            rows="6"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            disabled={busy}
+          />
+          <label htmlFor="create-due-input">Due date</label>
+          <input
+            id="create-due-input"
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            disabled={busy}
+          />
+          {error && <p className="form-error">{error}</p>}
+          <div className="form-actions">
+            <button type="submit" className="primary" disabled={busy}>
+              {busy ? 'Creating…' : 'Create'}
+            </button>
+            <button type="button" className="secondary" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </aside>
+    </div>
+  );
+}
+
+function WorkflowDrawer({ open, workflow, columns, busy, onClose, onSave }) {
+  const [draft, setDraft] = useState([]);
+  const [moveTargets, setMoveTargets] = useState({});
+  const [newLabel, setNewLabel] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setDraft(workflow.map((column) => ({ ...column })));
+      setMoveTargets({});
+      setNewLabel('');
+      setError('');
+    }
+  }, [open, workflow]);
+
+  const removedColumns = useMemo(() => {
+    const keptKeys = new Set(draft.map((column) => column.key).filter(Boolean));
+    return workflow.filter((column) => !keptKeys.has(column.key));
+  }, [draft, workflow]);
+
+  const updateColumn = (index, changes) => {
+    setDraft((prev) => prev.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+  };
+
+  const moveColumn = (index, offset) => {
+    setDraft((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(target, 0, moved);
+      return next;
+    });
+  };
+
+  const removeColumn = (index) => {
+    setDraft((prev) => prev.filter((_column, i) => i !== index));
+  };
+
+  const handleAddColumn = (event) => {
+    event.preventDefault();
+    const label = newLabel.trim();
+    if (!label) return;
+    setDraft((prev) => [...prev, { label }]);
+    setNewLabel('');
+  };
 
   const handleKeyDown = (e) => {
     if (e.key === 'Escape') {
@@ -506,22 +4006,42 @@ function CreateDrawer({ open, status, busy, onClose, onAdd }) {
     }
   };
 
-  const handleSave = async (e) => {
-    e.preventDefault();
-    const t = title.trim();
-    if (!t) {
-      setError('Title cannot be empty.');
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (draft.length === 0) {
+      setError('Keep at least one column on the board.');
+      return;
+    }
+    if (draft.some((column) => !column.label.trim())) {
+      setError('Every column needs a name.');
       return;
     }
+    const fallbackTarget = draft.find((column) => column.key)?.key;
+    const moveItemsTo = {};
+    removedColumns.forEach((column) => {
+      const target = moveTargets[column.key] || fallbackTarget;
+      if (target) {
+        moveItemsTo[column.key] = target;
+      }
+    });
     try {
-      await onAdd(status || 'backlog', { title: t, description: description.trim() });
+      await onSave({
+        columns: draft.map(({ key, label, wipLimit }) => ({
+          key,
+          label: label.trim(),
+          wipLimit: wipLimit ? Number(wipLimit) : null
+        })),
+        moveItemsTo
+      });
       onClose();
     } catch (err) {
       setError(err.message);
     }
   };
 
-  if (!open || !status) return null;
+  if (!open) return null;
+
+  const existingTargets = draft.filter((column) => column.key);
 
   return (
     <div className="drawer-overlay" onClick={onClose} aria-hidden={!open}>
@@ -529,38 +4049,113 @@ function CreateDrawer({ open, status, busy, onClose, onAdd }) {
         className="drawer"
         role="dialog"
         aria-modal="true"
-        aria-labelledby="create-drawer-title"
+        aria-labelledby="workflow-drawer-title"
         onClick={(e) => e.stopPropagation()}
         onKeyDown={handleKeyDown}
       >
         <header className="drawer-header">
-          <h3 id="create-drawer-title">Create item</h3>
+          <h3 id="workflow-drawer-title">Board columns</h3>
           <button type="button" className="ghost" onClick={onClose} aria-label="Close">
             ✕
           </button>
         </header>
         <form className="form drawer-form" onSubmit={handleSave}>
-          <label htmlFor="create-title-input">Summary</label>
-          <input
-            id="create-title-input"
-            ref={firstFieldRef}
-            type="text"
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            disabled={busy}
-          />
-          <label htmlFor="create-desc-input">Description</label>
-          <textarea
-            id="create-desc-input"
-            rows="6"
-            value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            disabled={busy}
-          />
+          <ol className="workflow-list">
+            {draft.map((column, index) => (
+              <li className="workflow-row" key={column.key || `new-${index}`}>
+                <input
+                  type="text"
+                  value={column.label}
+                  onChange={(e) => updateColumn(index, { label: e.target.value })}
+                  aria-label={`Column ${index + 1} name`}
+                  disabled={busy}
+                />
+                <input
+                  type="number"
+                  className="wip-input"
+                  min="1"
+                  value={column.wipLimit ?? ''}
+                  onChange={(e) => updateColumn(index, { wipLimit: e.target.value })}
+                  placeholder="WIP"
+                  aria-label={`${column.label} WIP limit`}
+                  title="Work-in-progress limit (leave empty for none)"
+                  disabled={busy}
+                />
+                <button
+                  type="button"
+                  className="card-icon-button"
+                  onClick={() => moveColumn(index, -1)}
+                  disabled={busy || index === 0}
+                  aria-label={`Move ${column.label} left`}
+                  title="Move left"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="card-icon-button"
+                  onClick={() => moveColumn(index, 1)}
+                  disabled={busy || index === draft.length - 1}
+                  aria-label={`Move ${column.label} right`}
+                  title="Move right"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="card-icon-button danger"
+                  onClick={() => removeColumn(index)}
+                  disabled={busy || draft.length === 1}
+                  aria-label={`Remove ${column.label}`}
+                  title="Remove column"
+                >
+                  🗑
+                </button>
+              </li>
+            ))}
+          </ol>
+          {removedColumns.map((column) => {
+            const count = columns[column.key]?.length || 0;
+            if (count === 0) return null;
+            return (
+              <div className="workflow-migration" key={column.key}>
+                <label htmlFor={`move-${column.key}`}>
+                  Move {count} {count === 1 ? 'card' : 'cards'} from “{column.label}” to
+                </label>
+                <select
+                  id={`move-${column.key}`}
+                  value={moveTargets[column.key] || existingTargets[0]?.key || ''}
+                  onChange={(e) =>
+                    setMoveTargets((prev) => ({ ...prev, [column.key]: e.target.value }))
+                  }
+                  disabled={busy || existingTargets.length === 0}
+                >
+                  {existingTargets.map((target) => (
+                    <option key={target.key} value={target.key}>
+                      {target.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+          <div className="workflow-add">
+            <input
+              type="text"
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              placeholder="New column, e.g. QA"
+              aria-label="New column name"
+              disabled={busy}
+            />
+            <button type="button" className="secondary" onClick={handleAddColumn} disabled={busy}>
+              Add column
+            </button>
+          </div>
           {error && <p className="form-error">{error}</p>}
           <div className="form-actions">
             <button type="submit" className="primary" disabled={busy}>
-              {busy ? 'Creating…' : 'Create'}
+              {busy ? 'Saving…' : 'Save columns'}
             </button>
             <button type="button" className="secondary" onClick={onClose} disabled={busy}>
               Cancel
@@ -593,17 +4188,132 @@ function App() {
   const [drawerItem, setDrawerItem] = useState(null);
   const [expandedId, setExpandedId] = useState(null);
   const [createStatus, setCreateStatus] = useState(null);
+  const [workflowOpen, setWorkflowOpen] = useState(false);
+  const [activityOpen, setActivityOpen] = useState(false);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [csvOpen, setCsvOpen] = useState(false);
+  const [trelloOpen, setTrelloOpen] = useState(false);
+  const [labelsOpen, setLabelsOpen] = useState(false);
+  const [labels, setLabels] = useState([]);
+  const [teamOpen, setTeamOpen] = useState(false);
+  const [roster, setRoster] = useState([]);
+  const [sprintsOpen, setSprintsOpen] = useState(false);
+  const [flowOpen, setFlowOpen] = useState(false);
+  const [metricsOpen, setMetricsOpen] = useState(false);
+  const [searchHitId, setSearchHitId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectionAnchorRef = useRef(null);
+  const [sprints, setSprints] = useState([]);
+  const [viewerIds, setViewerIds] = useState(() => {
+    if (typeof window === 'undefined') return {};
+    try {
+      return JSON.parse(window.localStorage.getItem(VIEWER_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  });
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [mineOnly, setMineOnly] = useState(false);
+  const [views, setViews] = useState([]);
+  const [boardQuery, setBoardQuery] = useState(() =>
+    typeof window === 'undefined' ? EMPTY_BOARD_QUERY : readBoardQuery(window.location.search)
+  );
+  const [queryResult, setQueryResult] = useState({ query: '', ids: null, error: '' });
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const sortRef = useRef(sort);
+  const sorted = sort !== DEFAULT_SORT;
+  const [activityItemId, setActivityItemId] = useState(null);
+  const [wipConflict, setWipConflict] = useState(null);
+  const [epicDeletion, setEpicDeletion] = useState(null);
+  const [syncStatus, setSyncStatus] = useState('offline');
+  const columnsRef = useRef(columns);
+
+  const workflow = project?.workflow?.length ? project.workflow : DEFAULT_WORKFLOW;
+  const firstStatus = workflow[0].key;
+
+  const activeColumns = useMemo(() => ensureColumns(columns, workflow), [columns, workflow]);
+  const blockersById = useMemo(
+    () => openBlockersByItem(activeColumns, workflow),
+    [activeColumns, workflow]
+  );
+  const boardItems = useMemo(() => Object.values(activeColumns).flat(), [activeColumns]);
+  const itemsById = useMemo(() => new Map(boardItems.map((item) => [item.id, item])), [boardItems]);
+  const rollupsById = useMemo(() => epicRollups(boardItems, workflow), [boardItems, workflow]);
+  // The board's copy of the open card carries its live comment count and checklist progress.
+  const drawerBoardItem = useMemo(
+    () => boardItems.find((item) => item.id === drawerItem?.id),
+    [boardItems, drawerItem]
+  );
+
+  useEffect(() => {
+    columnsRef.current = activeColumns;
+  }, [activeColumns]);
+
+  const labelsById = useMemo(() => new Map(labels.map((label) => [label.id, label])), [labels]);
+  const rosterById = useMemo(
+    () => new Map(roster.map((collaborator) => [collaborator.id, collaborator])),
+    [roster]
+  );
+  const viewerId = rosterById.has(viewerIds[project?.id]) ? viewerIds[project?.id] : '';
+  const currentSprint = useMemo(() => activeSprint(sprints), [sprints]);
+  const plannableSprints = useMemo(() => openSprints(sprints), [sprints]);
+  // Filters on a deleted label or a closed sprint, or "my cards" without a viewer, show every card.
+  const activeFilter = useMemo(
+    () => ({
+      labelId: labelsById.has(filter.labelId) ? filter.labelId : '',
+      assigneeId: mineOnly ? viewerId : '',
+      epicId: rollupsById.has(filter.epicId) ? filter.epicId : '',
+      sprintId:
+        filter.sprintId === NO_SPRINT || plannableSprints.some((sprint) => sprint.id === filter.sprintId)
+          ? filter.sprintId
+          : ''
+    }),
+    [filter, labelsById, mineOnly, plannableSprints, rollupsById, viewerId]
+  );
+  const filteredSprint = plannableSprints.find((sprint) => sprint.id === activeFilter.sprintId);
+  // A view that has since been deleted shows every card, like a stale filter.
+  const appliedQuery = boardQuery.viewId
+    ? views.find((view) => view.id === boardQuery.viewId)?.query || ''
+    : boardQuery.text.trim();
+  // The last matches stay in force while the board refetches them.
+  const queryMatches = appliedQuery && queryResult.query === appliedQuery ? queryResult.ids : null;
+  const queryError = appliedQuery && queryResult.query === appliedQuery ? queryResult.error : '';
+  const filtering = isFilterActive(activeFilter) || Boolean(queryMatches);
+  const isVisible = useCallback(
+    (item) => matchesFilter(item, activeFilter) && (!queryMatches || queryMatches.has(item.id)),
+    [activeFilter, queryMatches]
+  );
+  const visibleColumns = useMemo(
+    () =>
+      filtering
+        ? Object.fromEntries(
+          Object.entries(activeColumns).map(([status, items]) => [status, items.filter(isVisible)])
+        )
+        : activeColumns,
+    [activeColumns, filtering, isVisible]
+  );
 
-  const activeColumns = useMemo(() => ensureColumns(columns), [columns]);
+  // Visible cards in board order, left to right and top to bottom.
+  const visibleOrder = useMemo(
+    () => workflow.flatMap(({ key }) => visibleColumns[key] || []),
+    [visibleColumns, workflow]
+  );
+  // Cards hidden by a filter or removed by someone else drop out of the selection.
+  const selectedItems = useMemo(
+    () => visibleOrder.filter((item) => selectedIds.has(item.id)),
+    [selectedIds, visibleOrder]
+  );
 
   const statusMetrics = useMemo(
     () =>
-      COLUMN_ORDER.map((status) => ({
-        status,
-        label: COLUMN_LABELS[status],
-        count: activeColumns[status].length
+      workflow.map(({ key, label, wipLimit }) => ({
+        status: key,
+        label,
+        count: activeColumns[key].length,
+        points: sumEstimates(activeColumns[key]),
+        limit: wipLimit || null
       })),
-    [activeColumns]
+    [activeColumns, workflow]
   );
 
   useEffect(() => {
@@ -622,17 +4332,32 @@ function App() {
   }, []);
 
   const fetchBoard = useCallback(async (projectId, key) => {
-    const [projectRes, columnsRes] = await Promise.all([
+    const [projectRes, columnsRes, labelsRes, rosterRes, sprintsRes, viewsRes] = await Promise.all([
       api.fetchProject(projectId, key),
-      api.fetchColumns(projectId, key)
+      api.fetchColumns(projectId, key, { sort: sortRef.current }),
+      api.fetchLabels(projectId, key),
+      api.fetchCollaborators(projectId, key),
+      api.fetchSprints(projectId, key),
+      api.fetchViews(projectId, key)
     ]);
-    return { project: projectRes.project, columns: columnsRes.columns };
+    return {
+      project: projectRes.project,
+      columns: columnsRes.columns,
+      labels: labelsRes.labels,
+      roster: rosterRes.collaborators,
+      sprints: sprintsRes.sprints,
+      views: viewsRes.views
+    };
   }, []);
 
   const applyBoard = useCallback((board, key, { persist } = { persist: true }) => {
     setProject(board.project);
     setSecretKey(key);
-    setColumns(ensureColumns(board.columns));
+    setColumns(ensureColumns(board.columns, board.project.workflow));
+    setLabels(board.labels || []);
+    setRoster(board.roster || []);
+    setSprints(board.sprints || []);
+    setViews(board.views || []);
     if (typeof window !== 'undefined') {
       const url = new URL(window.location.href);
       url.searchParams.set('project', board.project.id);
@@ -653,7 +4378,7 @@ function App() {
 
   const handleClearInvite = useCallback(() => {
     if (typeof window !== 'undefined') {
-      const url = new URL(window.location.href);
+      const url = writeBoardQuery(new URL(window.location.href), EMPTY_BOARD_QUERY);
       url.searchParams.delete('project');
       window.history.replaceState(null, '', url.toString());
     }
@@ -664,6 +4389,17 @@ function App() {
     setProject(null);
     setSecretKey('');
     setColumns(createEmptyColumns());
+    setLabels([]);
+    setRoster([]);
+    setSprints([]);
+    setViews([]);
+    setBoardQuery(EMPTY_BOARD_QUERY);
+    setSelectedIds(new Set());
+    setFilter(EMPTY_FILTER);
+    setMineOnly(false);
+    setEpicDeletion(null);
+    setSort(DEFAULT_SORT);
+    sortRef.current = DEFAULT_SORT;
     if (typeof window !== 'undefined') {
       try { window.sessionStorage.removeItem(STORAGE_KEY); } catch (_) {}
     }
@@ -694,6 +4430,54 @@ function App() {
     [applyBoard, fetchBoard]
   );
 
+  const handleImportProject = useCallback(
+    async ({ archive, secretKey: secret }) => {
+      setBusyCreate(true);
+      setError('');
+      setInfo('');
+      try {
+        const { project: imported, itemCount } = await api.importProject({ archive, secretKey: secret });
+        const board = await fetchBoard(imported.id, secret);
+        applyBoard(board, secret, { persist: true });
+        setInfo(`Imported “${imported.name}” with ${itemCount} ${itemCount === 1 ? 'card' : 'cards'}.`);
+      } finally {
+        setBusyCreate(false);
+      }
+    },
+    [applyBoard, fetchBoard]
+  );
+
+  const handleExportProject = useCallback(async () => {
+    if (!project || !secretKey) return;
+    setError('');
+    try {
+      const archive = await api.exportProject(project.id, secretKey);
+      downloadFile(
+        JSON.stringify(archive, null, 2),
+        'application/json',
+        `${project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'project'}-backlog.json`
+      );
+    } catch (err) {
+      setError(err.message || 'Failed to export the board.');
+    }
+  }, [project, secretKey]);
+
+  const handleRestoreProject = useCallback(
+    async (secret, projectId) => {
+      setBusyOpen(true);
+      setError('');
+      try {
+        await api.restoreProject(projectId, secret);
+        const board = await fetchBoard(projectId, secret);
+        applyBoard(board, secret, { persist: true });
+        setInfo(`Restored “${board.project.name}” from the trash.`);
+      } finally {
+        setBusyOpen(false);
+      }
+    },
+    [applyBoard, fetchBoard]
+  );
+
   const handleCreateProject = useCallback(
     async ({ name, secretKey: secret }) => {
   setBusyCreate(true);
@@ -755,6 +4539,71 @@ function App() {
     }
   }, [applyBoard, clearBoard, fetchBoard]);
 
+  const projectId = project?.id;
+
+  // The board keeps every card; the query only decides which ones show, so
+  // its matches are refetched whenever the cards change.
+  useEffect(() => {
+    if (!projectId || !secretKey || !appliedQuery) return undefined;
+    let cancelled = false;
+    api
+      .fetchColumns(projectId, secretKey, { q: appliedQuery })
+      .then((response) => {
+        if (cancelled) return;
+        const ids = new Set(Object.values(response.columns).flatMap((items) => items.map((item) => item.id)));
+        setQueryResult({ query: appliedQuery, ids, error: '' });
+      })
+      .catch((err) => {
+        if (!cancelled) setQueryResult({ query: appliedQuery, ids: null, error: err.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [appliedQuery, columns, projectId, secretKey]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !projectId) return;
+    const url = writeBoardQuery(new URL(window.location.href), boardQuery);
+    window.history.replaceState(null, '', url.toString());
+  }, [boardQuery, projectId]);
+
+  useEffect(() => {
+    if (!projectId || !secretKey) return undefined;
+
+    const resync = async () => {
+      try {
+        const board = await fetchBoard(projectId, secretKey);
+        applyBoard(board, secretKey, { persist: true });
+      } catch (err) {
+        console.error('Failed to resync board', err);
+      }
+    };
+
+    const unsubscribe = subscribeToBoardEvents(projectId, secretKey, {
+      onStatusChange: setSyncStatus,
+      onEvent: (event) => {
+        if (event.type === 'project.deleted') {
+          clearBoard();
+          setError('This project was deleted by a collaborator.');
+          return;
+        }
+        // Patching in place would break a sorted view, so refetch instead.
+        const next = sortRef.current === DEFAULT_SORT ? applyBoardEvent(columnsRef.current, event) : null;
+        if (next) {
+          columnsRef.current = next;
+          setColumns(next);
+        } else {
+          resync();
+        }
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      setSyncStatus('offline');
+    };
+  }, [applyBoard, clearBoard, fetchBoard, projectId, secretKey]);
+
   const handleAddItem = useCallback(
     async (status, item) => {
       if (!project || !secretKey) return;
@@ -768,7 +4617,7 @@ function App() {
         });
         setColumns((prev) => {
           const next = cloneColumns(prev);
-          next[status] = [...next[status], created];
+          next[status] = [...(next[status] || []), created];
           return next;
         });
       } catch (err) {
@@ -798,12 +4647,30 @@ function App() {
         setColumns((prev) => {
           const next = cloneColumns(prev);
           const status = updated.status;
-          next[status] = next[status].map((item) => (item.id === itemId ? updated : item));
+          next[status] = (next[status] || []).map((item) =>
+            item.id === itemId
+              ? { ...updated, commentCount: item.commentCount, checklist: item.checklist }
+              : item
+          );
           return next;
         });
       } catch (err) {
-        setColumns(previous);
-        setError(err.message);
+        const latest = err.code === VERSION_CONFLICT_ERROR ? err.details?.item : null;
+        if (latest) {
+          // The drawer resolves the conflict; the board shows the saved copy meanwhile.
+          setColumns((prev) => {
+            const next = cloneColumns(prev);
+            next[latest.status] = (next[latest.status] || []).map((item) =>
+              item.id === itemId
+                ? { ...latest, commentCount: item.commentCount, checklist: item.checklist }
+                : item
+            );
+            return next;
+          });
+        } else {
+          setColumns(previous);
+          setError(err.message);
+        }
         throw err;
       } finally {
         setBusy(false);
@@ -812,23 +4679,35 @@ function App() {
     [activeColumns, project, secretKey]
   );
 
+  // `children` says what happens to an epic's cards; without it the server
+  // refuses to delete an epic and the board asks instead.
   const handleDeleteItem = useCallback(
-    async (itemId) => {
+    async (itemId, { children } = {}) => {
       if (!project || !secretKey) return;
       setError('');
+      setEpicDeletion(null);
       const previous = cloneColumns(activeColumns);
       try {
         setBusy(true);
-        await api.deleteItem(project.id, secretKey, itemId);
+        await api.deleteItem(project.id, secretKey, itemId, { children });
         setColumns((prev) => {
           const next = cloneColumns(prev);
-          COLUMN_ORDER.forEach((status) => {
-            next[status] = next[status].filter((item) => item.id !== itemId);
+          Object.keys(next).forEach((status) => {
+            next[status] = next[status]
+              .filter((item) => item.id !== itemId)
+              .filter((item) => !(children === 'delete' && item.epicId === itemId))
+              .map((item) => (item.epicId === itemId ? { ...item, epicId: null } : item));
           });
           return next;
         });
+        setInfo('Moved to the trash. Open Trash to restore it.');
       } catch (err) {
         setColumns(previous);
+        if (err.code === EPIC_HAS_CHILDREN_ERROR) {
+          setDrawerItem(null);
+          setEpicDeletion({ itemId, message: err.message });
+          return;
+        }
         setError(err.message);
         throw err;
       } finally {
@@ -838,6 +4717,129 @@ function App() {
     [activeColumns, project, secretKey]
   );
 
+  const handleCardSelect = useCallback(
+    (itemId, { range }) => {
+      const orderedIds = visibleOrder.map((item) => item.id);
+      const anchorId = selectionAnchorRef.current;
+      setSelectedIds((prev) => nextSelection(prev, orderedIds, itemId, { range, anchorId }));
+      selectionAnchorRef.current = itemId;
+    },
+    [visibleOrder]
+  );
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    if (selectedIds.size === 0) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') clearSelection();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [clearSelection, selectedIds]);
+
+  // Sends the bulk bar's operations; errors are left to the bar to show.
+  const handleBulkApply = useCallback(
+    async (operations, { overrideWipLimit = false } = {}) => {
+      if (!project || !secretKey) return;
+      setError('');
+      try {
+        setBusy(true);
+        const { updated, deleted } = await api.bulkItems(project.id, secretKey, {
+          operations,
+          overrideWipLimit
+        });
+        const events = [
+          ...updated.map((item) => ({ type: 'item.updated', data: { payload: { item } } })),
+          ...deleted.map((itemId) => ({ type: 'item.deleted', data: { payload: { itemId } } }))
+        ];
+        const next =
+          sortRef.current === DEFAULT_SORT
+            ? events.reduce((prev, event) => prev && applyBoardEvent(prev, event), columnsRef.current)
+            : null;
+        if (next) {
+          columnsRef.current = next;
+          setColumns(next);
+        } else {
+          await refreshBoard();
+        }
+        if (deleted.length > 0) {
+          setSelectedIds((prev) => new Set([...prev].filter((id) => !deleted.includes(id))));
+          setInfo(
+            `Moved ${deleted.length} ${deleted.length === 1 ? 'card' : 'cards'} to the trash. Open Trash to restore them.`
+          );
+        }
+      } finally {
+        setBusy(false);
+      }
+    },
+    [project, refreshBoard, secretKey]
+  );
+
+  const handleEpicSelect = useCallback((epicId) => {
+    setFilter((prev) => ({ ...prev, epicId }));
+  }, []);
+
+  // Jumps to a search hit, clearing filters that would hide it.
+  const handleSearchSelect = useCallback(
+    (itemId) => {
+      const item = boardItems.find((candidate) => candidate.id === itemId);
+      if (!item) return;
+      if (!isVisible(item)) {
+        setFilter(EMPTY_FILTER);
+        setMineOnly(false);
+        setBoardQuery(EMPTY_BOARD_QUERY);
+      }
+      setSearchHitId(itemId);
+    },
+    [boardItems, isVisible]
+  );
+
+  useEffect(() => {
+    if (!searchHitId) return undefined;
+    document
+      .querySelector(`[data-item-id="${searchHitId}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+    const timer = setTimeout(() => setSearchHitId(null), SEARCH_HIT_MS);
+    return () => clearTimeout(timer);
+  }, [searchHitId]);
+
+  const handleSortChange = useCallback(
+    async (nextSort) => {
+      setSort(nextSort);
+      sortRef.current = nextSort;
+      if (!project || !secretKey) return;
+      try {
+        const { columns: sortedColumns } = await api.fetchColumns(project.id, secretKey, {
+          sort: nextSort
+        });
+        if (sortRef.current === nextSort) {
+          setColumns(ensureColumns(sortedColumns, workflow));
+        }
+      } catch (err) {
+        setError(err.message);
+      }
+    },
+    [project, secretKey, workflow]
+  );
+
+  const handleViewerChange = useCallback(
+    (collaboratorId) => {
+      setViewerIds((prev) => {
+        const next = { ...prev, [project.id]: collaboratorId };
+        if (!collaboratorId) delete next[project.id];
+        try {
+          window.localStorage.setItem(VIEWER_STORAGE_KEY, JSON.stringify(next));
+        } catch { /* ignore storage errors */ }
+        return next;
+      });
+    },
+    [project]
+  );
+
   const handleDragEnd = useCallback(
     async (result) => {
       if (!project || !secretKey) return;
@@ -853,31 +4855,90 @@ function App() {
       const previous = cloneColumns(activeColumns);
       const optimistic = cloneColumns(activeColumns);
 
+      // Indexes from the drop are among visible cards; cards hidden by the
+      // filter keep their places around the moved one.
       const sourceItems = optimistic[source.droppableId];
-      const [moved] = sourceItems.splice(source.index, 1);
-      if (!moved) return;
+      const sourceIndex = sourceItems.findIndex((item) => item.id === draggableId);
+      if (sourceIndex === -1) return;
+      const [moved] = sourceItems.splice(sourceIndex, 1);
       moved.status = destination.droppableId;
-      optimistic[destination.droppableId].splice(destination.index, 0, moved);
+      const destinationItems = optimistic[destination.droppableId];
+      destinationItems.splice(fullDropIndex(destinationItems, destination.index, isVisible), 0, moved);
 
       setColumns(optimistic);
       setError('');
+      setWipConflict(null);
 
       try {
         const response = await api.reorderItems(
           project.id,
           secretKey,
-          columnsToIds(optimistic)
+          columnsToIds(optimistic),
+          { versions: { [moved.id]: moved.version } }
         );
-        setColumns(ensureColumns(response.columns));
+        setColumns(ensureColumns(response.columns, workflow));
       } catch (err) {
-        console.error('Reorder failed', err);
         setColumns(previous);
+        if (err.code === WIP_LIMIT_ERROR) {
+          // Keep the rejected order around so the user can push it through anyway.
+          setWipConflict({ message: err.message, title: moved.title, columns: optimistic });
+          return;
+        }
+        if (err.code === ITEM_BLOCKED_ERROR) {
+          setError(err.message);
+          return;
+        }
+        if (err.code === VERSION_CONFLICT_ERROR) {
+          setError(`“${moved.title}” was changed by someone else. The board has been refreshed.`);
+          await refreshBoard();
+          return;
+        }
+        console.error('Reorder failed', err);
         setError(err.message || 'Failed to update order.');
         // force refresh to keep consistent
         await refreshBoard();
       }
     },
-    [activeColumns, project, refreshBoard, secretKey]
+    [activeColumns, isVisible, project, refreshBoard, secretKey, workflow]
+  );
+
+  const handleOverrideWipLimit = useCallback(async () => {
+    if (!project || !secretKey || !wipConflict) return;
+    const { columns: pending } = wipConflict;
+    setWipConflict(null);
+    setColumns(pending);
+    try {
+      setBusy(true);
+      const response = await api.reorderItems(project.id, secretKey, columnsToIds(pending), {
+        overrideWipLimit: true
+      });
+      setColumns(ensureColumns(response.columns, workflow));
+    } catch (err) {
+      setError(err.message || 'Failed to update order.');
+      await refreshBoard();
+    } finally {
+      setBusy(false);
+    }
+  }, [project, refreshBoard, secretKey, wipConflict, workflow]);
+
+  const handleSaveWorkflow = useCallback(
+    async ({ columns: nextColumns, moveItemsTo }) => {
+      if (!project || !secretKey) return;
+      setError('');
+      try {
+        setBusy(true);
+        const response = await api.updateWorkflow(project.id, secretKey, {
+          columns: nextColumns,
+          moveItemsTo
+        });
+        setProject(response.project);
+        setColumns(ensureColumns(response.columns, response.project.workflow));
+        setInfo('Board columns updated.');
+      } finally {
+        setBusy(false);
+      }
+    },
+    [project, secretKey]
   );
 
   const toggleMode = useCallback(() => {
@@ -917,11 +4978,45 @@ function App() {
 
   const handleOpenDrawer = useCallback((item) => setDrawerItem(item), []);
   const handleCloseDrawer = useCallback(() => setDrawerItem(null), []);
+  const handleItemRestored = useCallback((item) => {
+    setColumns((prev) => applyBoardEvent(prev, { type: 'item.restored', data: { payload: { item } } }) || prev);
+  }, []);
+  const handleCardsImported = useCallback(
+    async (count, source) => {
+      setCsvOpen(false);
+      setTrelloOpen(false);
+      await refreshBoard();
+      setInfo(`Imported ${count} ${count === 1 ? 'card' : 'cards'} from ${source}.`);
+    },
+    [refreshBoard]
+  );
+  const handleCommentCountChange = useCallback((itemId, commentCount) => {
+    setColumns(
+      (prev) =>
+        applyBoardEvent(prev, { type: 'comment.created', data: { payload: { itemId, commentCount } } }) ||
+        prev
+    );
+  }, []);
+  const handleChecklistChange = useCallback((itemId, progress) => {
+    setColumns(
+      (prev) =>
+        applyBoardEvent(prev, { type: 'checklist.updated', data: { payload: { itemId, progress } } }) ||
+        prev
+    );
+  }, []);
+  const handleShowItemHistory = useCallback((itemId) => {
+    setDrawerItem(null);
+    setActivityItemId(itemId);
+    setActivityOpen(true);
+  }, []);
   const toggleExpanded = useCallback((id) => {
     setExpandedId((prev) => (prev === id ? null : id));
   }, []);
 
-  const handleOpenCreateDrawer = useCallback((status) => setCreateStatus(status || 'backlog'), []);
+  const handleOpenCreateDrawer = useCallback(
+    (status) => setCreateStatus(status || firstStatus),
+    [firstStatus]
+  );
   const handleCloseCreateDrawer = useCallback(() => setCreateStatus(null), []);
 
   return (
@@ -956,9 +5051,54 @@ function App() {
         </div>
       </header>
 
-      {(error || info) && (
+      {(error || info || wipConflict || epicDeletion) && (
         <div className="messages">
           {error && <div className="message error">{error}</div>}
+          {wipConflict && (
+            <div className="message error wip-conflict" role="alert">
+              <span>
+                Couldn’t move “{wipConflict.title}”: {wipConflict.message}
+              </span>
+              <div className="wip-conflict-actions">
+                <button type="button" className="secondary" onClick={handleOverrideWipLimit} disabled={busy}>
+                  Move anyway
+                </button>
+                <button type="button" className="ghost" onClick={() => setWipConflict(null)}>
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          )}
+          {epicDeletion && (
+            <div className="message error wip-conflict" role="alert">
+              <span>{epicDeletion.message}</span>
+              <div className="wip-conflict-actions">
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() =>
+                    handleDeleteItem(epicDeletion.itemId, { children: 'detach' }).catch(() => {})
+                  }
+                  disabled={busy}
+                >
+                  Keep its cards
+                </button>
+                <button
+                  type="button"
+                  className="danger"
+                  onClick={() =>
+                    handleDeleteItem(epicDeletion.itemId, { children: 'delete' }).catch(() => {})
+                  }
+                  disabled={busy}
+                >
+                  Delete its cards too
+                </button>
+                <button type="button" className="ghost" onClick={() => setEpicDeletion(null)}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
           {info && <div className="message info">{info}</div>}
         </div>
       )}
@@ -972,56 +5112,268 @@ function App() {
             busyCreate={busyCreate}
             inviteProjectId={inviteProjectId}
             onClearInvite={handleClearInvite}
+            onImport={handleImportProject}
+            onRestoreProject={handleRestoreProject}
           />
         ) : (
           <section className="board">
             <div className="board-toolbar">
               <div className="board-headline">
                 <h2>{project.name}</h2>
-                <p>Keep delivery flowing with four focused lanes.</p>
+                <p>
+                  Keep delivery flowing with {workflow.length} focused{' '}
+                  {workflow.length === 1 ? 'lane' : 'lanes'}.
+                </p>
                 <div className="board-metrics">
-                  {statusMetrics.map(({ status, label, count }) => (
-                    <div className="metric" key={status}>
+                  {statusMetrics.map(({ status, label, count, points, limit }) => (
+                    <div className={`metric ${limit && count > limit ? 'is-over-limit' : ''}`} key={status}>
                       <span className="metric-label">{label}</span>
-                      <span className="metric-value">{count}</span>
+                      <span className="metric-value">{limit ? `${count} / ${limit}` : count}</span>
+                      {points > 0 && <span className="metric-points">{formatPoints(points)}</span>}
                     </div>
                   ))}
                 </div>
               </div>
               <div className="board-actions">
-                <button type="button" className="primary" onClick={() => handleOpenCreateDrawer('backlog')} disabled={busy}>
+                <BoardSearch
+                  projectId={project.id}
+                  secretKey={secretKey}
+                  workflow={workflow}
+                  onSelect={handleSearchSelect}
+                />
+                <button type="button" className="primary" onClick={() => handleOpenCreateDrawer(firstStatus)} disabled={busy}>
                   Create
                 </button>
+                <button type="button" className="secondary" onClick={() => setWorkflowOpen(true)} disabled={busy}>
+                  Edit columns
+                </button>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() => {
+                    setActivityItemId(null);
+                    setActivityOpen(true);
+                  }}
+                >
+                  Activity
+                </button>
+                <button type="button" className="secondary" onClick={() => setFlowOpen(true)}>
+                  Flow
+                </button>
+                <button type="button" className="secondary" onClick={() => setMetricsOpen(true)}>
+                  Metrics
+                </button>
+                <button type="button" className="secondary" onClick={() => setLabelsOpen(true)}>
+                  Labels
+                </button>
+                <button type="button" className="secondary" onClick={() => setTeamOpen(true)}>
+                  Team
+                </button>
+                <button type="button" className="secondary" onClick={() => setSprintsOpen(true)}>
+                  Sprints
+                </button>
+                <button type="button" className="secondary" onClick={() => setTrashOpen(true)}>
+                  Trash
+                </button>
+                <button type="button" className="secondary" onClick={handleExportProject}>
+                  Export
+                </button>
+                <button type="button" className="secondary" onClick={() => setCsvOpen(true)}>
+                  CSV
+                </button>
+                <button type="button" className="secondary" onClick={() => setTrelloOpen(true)}>
+                  Trello import
+                </button>
                 <button type="button" className="secondary" onClick={toggleMode} disabled={busy} title="Switch view mode">
                   Mode: {mode.charAt(0).toUpperCase() + mode.slice(1)}
                 </button>
                 <button type="button" className="primary" onClick={refreshBoard} disabled={busy}>
                   {busy ? 'Refreshing…' : 'Refresh board'}
                 </button>
+                <span
+                  className={`sync-status is-${syncStatus}`}
+                  role="status"
+                  title="Changes from collaborators appear automatically while live."
+                >
+                  {syncStatus === 'live' ? 'Live' : syncStatus === 'reconnecting' ? 'Reconnecting…' : 'Offline'}
+                </span>
               </div>
             </div>
 
+            <BoardViews
+              key={`${boardQuery.viewId}:${appliedQuery}`}
+              projectId={project.id}
+              secretKey={secretKey}
+              views={views}
+              viewId={boardQuery.viewId}
+              query={appliedQuery}
+              queryError={queryError}
+              matchCount={queryMatches ? queryMatches.size : null}
+              onApply={setBoardQuery}
+              onViewsChange={setViews}
+            />
+
+            <div className="board-filters">
+              <label htmlFor="board-label-filter">Label</label>
+              <select
+                id="board-label-filter"
+                value={activeFilter.labelId}
+                onChange={(e) => setFilter((prev) => ({ ...prev, labelId: e.target.value }))}
+              >
+                <option value="">All cards</option>
+                {labels.map((label) => (
+                  <option key={label.id} value={label.id}>
+                    {label.name}
+                  </option>
+                ))}
+              </select>
+              <label htmlFor="board-epic-filter">Epic</label>
+              <select
+                id="board-epic-filter"
+                value={activeFilter.epicId}
+                onChange={(e) => handleEpicSelect(e.target.value)}
+              >
+                <option value="">All cards</option>
+                {boardItems
+                  .filter((item) => rollupsById.has(item.id))
+                  .map((item) => (
+                    <option key={item.id} value={item.id}>
+                      {item.title}
+                    </option>
+                  ))}
+              </select>
+              <label htmlFor="board-sprint-filter">Sprint</label>
+              <select
+                id="board-sprint-filter"
+                value={activeFilter.sprintId}
+                onChange={(e) => setFilter((prev) => ({ ...prev, sprintId: e.target.value }))}
+              >
+                <option value="">All cards</option>
+                {currentSprint && (
+                  <option value={currentSprint.id}>Active sprint: {currentSprint.name}</option>
+                )}
+                {plannableSprints
+                  .filter((sprint) => sprint !== currentSprint)
+                  .map((sprint) => (
+                    <option key={sprint.id} value={sprint.id}>
+                      {sprint.name}
+                    </option>
+                  ))}
+                <option value={NO_SPRINT}>Not in a sprint</option>
+              </select>
+              <label htmlFor="board-viewer">You are</label>
+              <select
+                id="board-viewer"
+                value={viewerId}
+                onChange={(e) => handleViewerChange(e.target.value)}
+              >
+                <option value="">Not set</option>
+                {roster.map((collaborator) => (
+                  <option key={collaborator.id} value={collaborator.id}>
+                    {collaborator.name}
+                  </option>
+                ))}
+              </select>
+              <label className="checkbox-row" title={viewerId ? undefined : 'Pick who you are first'}>
+                <input
+                  type="checkbox"
+                  checked={mineOnly && Boolean(viewerId)}
+                  onChange={(e) => setMineOnly(e.target.checked)}
+                  disabled={!viewerId}
+                />
+                My cards
+              </label>
+              <label htmlFor="board-sort">Sort</label>
+              <select id="board-sort" value={sort} onChange={(e) => handleSortChange(e.target.value)}>
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {sorted && <span className="drawer-meta">Switch to board order to drag cards.</span>}
+              {filtering && (
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={() => {
+                    setFilter(EMPTY_FILTER);
+                    setMineOnly(false);
+                  }}
+                >
+                  Clear filter
+                </button>
+              )}
+            </div>
+
+            {filteredSprint && (
+              <div className={`sprint-banner is-${filteredSprint.state}`}>
+                <strong>{filteredSprint.name}</strong>
+                <span>{formatSprintDates(filteredSprint)}</span>
+                {filteredSprint.goal && <span>Goal: {filteredSprint.goal}</span>}
+                <button type="button" className="ghost" onClick={() => setSprintsOpen(true)}>
+                  {filteredSprint.state === 'active' ? 'Complete sprint…' : 'Manage sprints'}
+                </button>
+              </div>
+            )}
+
+            {selectedItems.length > 0 && (
+              <BulkActionBar
+                items={selectedItems}
+                workflow={workflow}
+                labels={labels}
+                roster={roster}
+                sprints={plannableSprints}
+                busy={busy}
+                onApply={handleBulkApply}
+                onClear={clearSelection}
+              />
+            )}
+
+            <DueSoonPanel
+              projectId={project.id}
+              secretKey={secretKey}
+              columns={activeColumns}
+              workflow={workflow}
+              onOpen={handleOpenDrawer}
+            />
+
             <DragDropContext onDragEnd={handleDragEnd}>
-              <div className="columns">
-                {COLUMN_ORDER.map((status) => (
+              <div className="columns" style={{ '--column-count': workflow.length }}>
+                {workflow.map(({ key: status, label, wipLimit }) => (
                   <Droppable droppableId={status} key={status}>
                     {(provided, snapshot) => (
                       <div
-                        className={`column status-${status} ${activeColumns[status].length === 0 ? 'is-empty' : ''} ${snapshot.isDraggingOver ? 'drag-over' : ''}`}
+                        className={`column status-${status} ${activeColumns[status].length === 0 ? 'is-empty' : ''} ${snapshot.isDraggingOver ? 'drag-over' : ''} ${wipLimit && activeColumns[status].length > wipLimit ? 'is-over-limit' : ''}`}
                         ref={provided.innerRef}
                         {...provided.droppableProps}
                       >
                         <header>
-                          <h3>{COLUMN_LABELS[status]}</h3>
-                          <span className="count">{activeColumns[status].length}</span>
+                          <h3>{label}</h3>
+                          <span
+                            className="count"
+                            title={wipLimit ? `WIP limit ${wipLimit}` : undefined}
+                          >
+                            {wipLimit
+                              ? `${activeColumns[status].length} / ${wipLimit}`
+                              : activeColumns[status].length}
+                          </span>
                         </header>
-                        <div className="column-items" role="list" aria-label={`${COLUMN_LABELS[status]} items`}>
+                        <div className="column-items" role="list" aria-label={`${label} items`}>
                           <AddCardForm status={status} onAdd={handleAddItem} busy={busy} />
-                          {activeColumns[status].map((item, index) => (
-                            <Draggable draggableId={item.id} index={index} key={item.id}>
+                          {visibleColumns[status].map((item, index) => (
+                            <Draggable
+                              draggableId={item.id}
+                              index={index}
+                              key={item.id}
+                              isDragDisabled={sorted}
+                            >
                               {(dragProvided, dragSnapshot) => (
                                 <div
-                                  className={`card ${dragSnapshot.isDragging ? 'dragging' : ''}`}
+                                  className={`card ${dragSnapshot.isDragging ? 'dragging' : ''} ${
+                                    searchHitId === item.id ? 'is-search-hit' : ''
+                                  } ${selectedIds.has(item.id) ? 'is-selected' : ''}`}
+                                  data-item-id={item.id}
                                   ref={(el) => {
                                     dragProvided.innerRef(el);
                                     if (el && !dragSnapshot.isDragging) {
@@ -1042,9 +5394,17 @@ function App() {
                                 >
                                   <BoardCard
                                     item={item}
+                                    labelsById={labelsById}
+                                    rosterById={rosterById}
+                                    finished={status === workflow[workflow.length - 1].key}
+                                    blockers={blockersById.get(item.id)}
+                                    epic={itemsById.get(item.epicId)}
+                                    rollup={rollupsById.get(item.id)}
+                                    onEpicSelect={handleEpicSelect}
                                     busy={busy}
                                     onOpen={handleOpenDrawer}
                                     onDelete={handleDeleteItem}
+                                    onSelect={handleCardSelect}
                                     expanded={expandedId === item.id}
                                     onToggle={() => toggleExpanded(item.id)}
                                   />
@@ -1064,9 +5424,22 @@ function App() {
               open={!!drawerItem}
               item={drawerItem}
               busy={busy}
+              projectId={project.id}
+              secretKey={secretKey}
+              labels={labels}
+              roster={roster}
+              sprints={sprints}
+              boardItems={boardItems}
+              workflow={workflow}
+              epicRollup={drawerItem ? rollupsById.get(drawerItem.id) : undefined}
+              commentCount={drawerBoardItem?.commentCount ?? 0}
+              checklistProgress={drawerBoardItem?.checklist}
               onClose={handleCloseDrawer}
               onSave={handleUpdateItem}
               onDelete={handleDeleteItem}
+              onShowHistory={handleShowItemHistory}
+              onCommentCountChange={handleCommentCountChange}
+              onChecklistChange={handleChecklistChange}
             />
             <CreateDrawer
               open={!!createStatus}
@@ -1075,6 +5448,98 @@ function App() {
               onClose={handleCloseCreateDrawer}
               onAdd={handleAddItem}
             />
+            <WorkflowDrawer
+              open={workflowOpen}
+              workflow={workflow}
+              columns={activeColumns}
+              busy={busy}
+              onClose={() => setWorkflowOpen(false)}
+              onSave={handleSaveWorkflow}
+            />
+            <ActivityDrawer
+              open={activityOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              workflow={workflow}
+              columns={activeColumns}
+              itemId={activityItemId}
+              onFilterChange={setActivityItemId}
+              onClose={() => setActivityOpen(false)}
+            />
+            <LabelsDrawer
+              open={labelsOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              labels={labels}
+              onClose={() => setLabelsOpen(false)}
+              onLabelsChange={setLabels}
+              onLabelDeleted={refreshBoard}
+            />
+            <TeamDrawer
+              open={teamOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              roster={roster}
+              onClose={() => setTeamOpen(false)}
+              onRosterChange={setRoster}
+              onCollaboratorDeleted={refreshBoard}
+            />
+            <SprintsDrawer
+              open={sprintsOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              sprints={sprints}
+              boardItems={boardItems}
+              workflow={workflow}
+              onClose={() => setSprintsOpen(false)}
+              onSprintsChange={setSprints}
+              onCardsMoved={refreshBoard}
+            />
+            <FlowDrawer
+              open={flowOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              columns={activeColumns}
+              onClose={() => setFlowOpen(false)}
+            />
+            <MetricsDrawer
+              open={metricsOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              columns={activeColumns}
+              onOpenItem={(itemId) => {
+                const item = boardItems.find((candidate) => candidate.id === itemId);
+                if (!item) return;
+                setMetricsOpen(false);
+                handleOpenDrawer(item);
+              }}
+              onClose={() => setMetricsOpen(false)}
+            />
+            <TrashDrawer
+              open={trashOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              workflow={workflow}
+              onClose={() => setTrashOpen(false)}
+              onRestored={handleItemRestored}
+            />
+            <CsvDrawer
+              open={csvOpen}
+              projectId={project.id}
+              projectName={project.name}
+              secretKey={secretKey}
+              workflow={workflow}
+              onClose={() => setCsvOpen(false)}
+              onImported={(count) => handleCardsImported(count, 'CSV')}
+            />
+            <TrelloImportDrawer
+              open={trelloOpen}
+              projectId={project.id}
+              secretKey={secretKey}
+              workflow={workflow}
+              onClose={() => setTrelloOpen(false)}
+              onImported={(count) => handleCardsImported(count, 'Trello')}
+            />
           </section>
         )}
       </main>
@@ -0,0 +1,70 @@
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'column',
+  position: 'position',
+  labelIds: 'labels',
+  assignees: 'assignees',
+  blockedBy: 'blockers',
+  epicId: 'epic',
+  sprintId: 'sprint',
+  dueDate: 'due date',
+  priority: 'priority',
+  estimate: 'estimate'
+};
+
+const quote = (title) => `“${title || 'Untitled'}”`;
+
+/**
+ * Turns an activity entry from `GET /activity` into a one-line summary.
+ * `labelFor` maps a column key to its display name.
+ */
+export function describeActivity(entry, labelFor = (key) => key) {
+  const { changes = {} } = entry;
+  switch (entry.action) {
+    case 'item.created':
+      return `Created ${quote(entry.itemTitle)} in ${labelFor(changes.status?.to)}`;
+    case 'item.deleted':
+      return `Moved ${quote(entry.itemTitle)} to the trash`;
+    case 'item.restored':
+      return `Restored ${quote(entry.itemTitle)} to ${labelFor(changes.status?.to)}`;
+    case 'item.moved':
+      return `Moved ${quote(entry.itemTitle)} from ${labelFor(changes.status?.from)} to ${labelFor(changes.status?.to)}`;
+    case 'item.updated': {
+      const fields = Object.keys(changes)
+        .filter((field) => field !== 'position')
+        .map((field) => FIELD_LABELS[field] || field);
+      return `Edited ${quote(entry.itemTitle)}${fields.length ? ` (${fields.join(', ')})` : ''}`;
+    }
+    case 'items.reordered':
+      return `Reordered ${Object.keys(changes).map(labelFor).join(', ')}`;
+    case 'workflow.updated':
+      return 'Updated the board columns';
+    case 'sprint.started':
+      return `Started ${quote(changes.sprint?.to)}`;
+    case 'sprint.completed': {
+      const carried = changes.unfinished?.to ?? 0;
+      return `Completed ${quote(changes.sprint?.to)} (${changes.finished?.to ?? 0} finished, ${carried} carried over)`;
+    }
+    case 'project.deleted':
+      return 'Moved the project to the trash';
+    case 'project.restored':
+      return 'Restored the project from the trash';
+    default:
+      return entry.action;
+  }
+}
+
+const shown = (value) => (value === null || value === undefined || value === '' ? '—' : value);
+
+// Field-level before/after pairs worth showing under an entry.
+export function activityDetails(entry) {
+  if (entry.action !== 'item.updated') return [];
+  return ['title', 'description', 'dueDate', 'priority', 'estimate']
+    .filter((field) => entry.changes?.[field])
+    .map((field) => ({
+      field: FIELD_LABELS[field],
+      from: shown(entry.changes[field].from),
+      to: shown(entry.changes[field].to)
+    }));
+}
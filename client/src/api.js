@@ -17,7 +17,18 @@ const API_BASE = normalizeBase(
   import.meta.env.VITE_API_BASE || inferDefaultBase()
 );
 
-async function request(path, { method = 'GET', body, secretKey } = {}) {
+async function raiseForStatus(response) {
+  if (response.ok) return;
+  const errorBody = await response.json().catch(() => ({}));
+  const message = errorBody.error || `Request failed with status ${response.status}`;
+  const error = new Error(message);
+  error.status = response.status;
+  error.code = errorBody.code;
+  error.details = errorBody;
+  throw error;
+}
+
+async function request(path, { method = 'GET', body, secretKey, responseType = 'json' } = {}) {
   const url = `${API_BASE}${path}`;
   const headers = { 'Content-Type': 'application/json' };
   if (secretKey) {
@@ -30,32 +41,79 @@ async function request(path, { method = 'GET', body, secretKey } = {}) {
     body: body ? JSON.stringify(body) : undefined
   });
 
-  if (!response.ok) {
-    const errorBody = await response.json().catch(() => ({}));
-    const message = errorBody.error || `Request failed with status ${response.status}`;
-    throw new Error(message);
-  }
+  await raiseForStatus(response);
 
   if (response.status === 204) {
     return null;
   }
 
-  return response.json();
+  return responseType === 'text' ? response.text() : response.json();
+}
+
+// EventSource cannot send custom headers, so the event stream is read with
+// fetch to keep the project secret out of the URL.
+async function openEventStream(projectId, secretKey, { lastEventId, signal } = {}) {
+  const headers = { Accept: 'text/event-stream', 'x-project-secret': secretKey };
+  if (lastEventId) {
+    headers['Last-Event-ID'] = lastEventId;
+  }
+  const response = await fetch(`${API_BASE}/projects/${projectId}/events`, {
+    headers,
+    signal,
+    cache: 'no-store'
+  });
+  await raiseForStatus(response);
+  return response;
 }
 
 export const api = {
+  openEventStream,
   createProject: ({ name, secretKey }) => request('/projects', {
     method: 'POST',
     body: { name, secretKey }
   }),
+  importProject: ({ archive, secretKey, name }) => request('/projects/import', {
+    method: 'POST',
+    body: { archive, secretKey, name }
+  }),
+  exportProject: (projectId, secretKey) =>
+    request(`/projects/${projectId}/export`, { secretKey }),
+  exportCsv: (projectId, secretKey) =>
+    request(`/projects/${projectId}/export/csv`, { secretKey, responseType: 'text' }),
+  importCsv: (
+    projectId,
+    secretKey,
+    { csv, mapping, defaultStatus, dryRun = false, skipInvalid = false, overrideWipLimit = false }
+  ) =>
+    request(`/projects/${projectId}/import/csv`, {
+      method: 'POST',
+      body: { csv, mapping, defaultStatus, dryRun, skipInvalid, overrideWipLimit },
+      secretKey
+    }),
+  importTrello: (
+    projectId,
+    secretKey,
+    { board, listMapping, includeArchived = false, dryRun = false, overrideWipLimit = false }
+  ) =>
+    request(`/projects/${projectId}/import/trello`, {
+      method: 'POST',
+      body: { board, listMapping, includeArchived, dryRun, overrideWipLimit },
+      secretKey
+    }),
   accessProject: (secretKey) => request('/access', {
     method: 'POST',
     body: { secretKey }
   }),
   fetchProject: (projectId, secretKey) =>
     request(`/projects/${projectId}`, { secretKey }),
-  fetchColumns: (projectId, secretKey) =>
-    request(`/projects/${projectId}/items`, { secretKey }),
+  // `q` is a board query such as `status:review label:bug`.
+  fetchColumns: (projectId, secretKey, { sort, q } = {}) => {
+    const params = new URLSearchParams();
+    if (sort) params.set('sort', sort);
+    if (q) params.set('q', q);
+    const query = params.toString();
+    return request(`/projects/${projectId}/items${query ? `?${query}` : ''}`, { secretKey });
+  },
   createItem: (projectId, secretKey, item) =>
     request(`/projects/${projectId}/items`, {
       method: 'POST',
@@ -68,15 +126,204 @@ export const api = {
       body: updates,
       secretKey
     }),
-  deleteItem: (projectId, secretKey, itemId) =>
+  // `children` ('detach' or 'delete') is required when the item is an epic.
+  deleteItem: (projectId, secretKey, itemId, { children } = {}) =>
     request(`/projects/${projectId}/items/${itemId}`, {
       method: 'DELETE',
+      body: children ? { children } : undefined,
       secretKey
     }),
-  reorderItems: (projectId, secretKey, columns) =>
+  searchItems: (projectId, secretKey, { q, limit } = {}) => {
+    const params = new URLSearchParams({ q });
+    if (limit) params.set('limit', limit);
+    return request(`/projects/${projectId}/items/search?${params}`, { secretKey });
+  },
+  fetchEpic: (projectId, secretKey, epicId) =>
+    request(`/projects/${projectId}/epics/${epicId}`, { secretKey }),
+  reorderItems: (projectId, secretKey, columns, { overrideWipLimit = false, versions } = {}) =>
     request(`/projects/${projectId}/items/reorder`, {
       method: 'POST',
-      body: { columns },
+      body: { columns, overrideWipLimit, versions },
+      secretKey
+    }),
+  // Every operation applies or, if one fails, none does.
+  bulkItems: (projectId, secretKey, { operations, overrideWipLimit = false }) =>
+    request(`/projects/${projectId}/items/bulk`, {
+      method: 'POST',
+      body: { operations, overrideWipLimit },
+      secretKey
+    }),
+  restoreProject: (projectId, secretKey) =>
+    request(`/projects/${projectId}/restore`, { method: 'POST', secretKey }),
+  fetchLabels: (projectId, secretKey) => request(`/projects/${projectId}/labels`, { secretKey }),
+  createLabel: (projectId, secretKey, { name, color }) =>
+    request(`/projects/${projectId}/labels`, {
+      method: 'POST',
+      body: { name, color },
+      secretKey
+    }),
+  updateLabel: (projectId, secretKey, labelId, { name, color }) =>
+    request(`/projects/${projectId}/labels/${labelId}`, {
+      method: 'PATCH',
+      body: { name, color },
+      secretKey
+    }),
+  deleteLabel: (projectId, secretKey, labelId) =>
+    request(`/projects/${projectId}/labels/${labelId}`, {
+      method: 'DELETE',
+      secretKey
+    }),
+  fetchCollaborators: (projectId, secretKey) =>
+    request(`/projects/${projectId}/collaborators`, { secretKey }),
+  createCollaborator: (projectId, secretKey, { name, initials }) =>
+    request(`/projects/${projectId}/collaborators`, {
+      method: 'POST',
+      body: { name, initials },
+      secretKey
+    }),
+  updateCollaborator: (projectId, secretKey, collaboratorId, { name, initials }) =>
+    request(`/projects/${projectId}/collaborators/${collaboratorId}`, {
+      method: 'PATCH',
+      body: { name, initials },
+      secretKey
+    }),
+  deleteCollaborator: (projectId, secretKey, collaboratorId) =>
+    request(`/projects/${projectId}/collaborators/${collaboratorId}`, {
+      method: 'DELETE',
+      secretKey
+    }),
+  fetchSprints: (projectId, secretKey) => request(`/projects/${projectId}/sprints`, { secretKey }),
+  createSprint: (projectId, secretKey, { name, goal, startDate, endDate }) =>
+    request(`/projects/${projectId}/sprints`, {
+      method: 'POST',
+      body: { name, goal, startDate, endDate },
+      secretKey
+    }),
+  updateSprint: (projectId, secretKey, sprintId, { name, goal, startDate, endDate }) =>
+    request(`/projects/${projectId}/sprints/${sprintId}`, {
+      method: 'PATCH',
+      body: { name, goal, startDate, endDate },
+      secretKey
+    }),
+  deleteSprint: (projectId, secretKey, sprintId) =>
+    request(`/projects/${projectId}/sprints/${sprintId}`, {
+      method: 'DELETE',
+      secretKey
+    }),
+  startSprint: (projectId, secretKey, sprintId) =>
+    request(`/projects/${projectId}/sprints/${sprintId}/start`, { method: 'POST', secretKey }),
+  completeSprint: (projectId, secretKey, sprintId, { moveTo = null } = {}) =>
+    request(`/projects/${projectId}/sprints/${sprintId}/complete`, {
+      method: 'POST',
+      body: { moveTo },
+      secretKey
+    }),
+  fetchViews: (projectId, secretKey) => request(`/projects/${projectId}/views`, { secretKey }),
+  createView: (projectId, secretKey, { name, query }) =>
+    request(`/projects/${projectId}/views`, {
+      method: 'POST',
+      body: { name, query },
+      secretKey
+    }),
+  updateView: (projectId, secretKey, viewId, { name, query }) =>
+    request(`/projects/${projectId}/views/${viewId}`, {
+      method: 'PATCH',
+      body: { name, query },
+      secretKey
+    }),
+  deleteView: (projectId, secretKey, viewId) =>
+    request(`/projects/${projectId}/views/${viewId}`, {
+      method: 'DELETE',
+      secretKey
+    }),
+  fetchComments: (projectId, secretKey, itemId) =>
+    request(`/projects/${projectId}/items/${itemId}/comments`, { secretKey }),
+  createComment: (projectId, secretKey, itemId, { authorName, body, parentId }) =>
+    request(`/projects/${projectId}/items/${itemId}/comments`, {
+      method: 'POST',
+      body: { authorName, body, parentId },
+      secretKey
+    }),
+  updateComment: (projectId, secretKey, itemId, commentId, { body }) =>
+    request(`/projects/${projectId}/items/${itemId}/comments/${commentId}`, {
+      method: 'PATCH',
+      body: { body },
+      secretKey
+    }),
+  deleteComment: (projectId, secretKey, itemId, commentId) =>
+    request(`/projects/${projectId}/items/${itemId}/comments/${commentId}`, {
+      method: 'DELETE',
+      secretKey
+    }),
+  fetchChecklist: (projectId, secretKey, itemId) =>
+    request(`/projects/${projectId}/items/${itemId}/checklist`, { secretKey }),
+  createChecklistEntry: (projectId, secretKey, itemId, { text }) =>
+    request(`/projects/${projectId}/items/${itemId}/checklist`, {
+      method: 'POST',
+      body: { text },
+      secretKey
+    }),
+  updateChecklistEntry: (projectId, secretKey, itemId, entryId, { text, done }) =>
+    request(`/projects/${projectId}/items/${itemId}/checklist/${entryId}`, {
+      method: 'PATCH',
+      body: { text, done },
+      secretKey
+    }),
+  reorderChecklist: (projectId, secretKey, itemId, entryIds) =>
+    request(`/projects/${projectId}/items/${itemId}/checklist/order`, {
+      method: 'PUT',
+      body: { entryIds },
+      secretKey
+    }),
+  deleteChecklistEntry: (projectId, secretKey, itemId, entryId) =>
+    request(`/projects/${projectId}/items/${itemId}/checklist/${entryId}`, {
+      method: 'DELETE',
+      secretKey
+    }),
+  fetchTrash: (projectId, secretKey) => request(`/projects/${projectId}/trash`, { secretKey }),
+  restoreItem: (projectId, secretKey, itemId, { overrideWipLimit = false } = {}) =>
+    request(`/projects/${projectId}/trash/${itemId}/restore`, {
+      method: 'POST',
+      body: { overrideWipLimit },
+      secretKey
+    }),
+  fetchActivity: (projectId, secretKey, { limit, before, itemId } = {}) => {
+    const params = new URLSearchParams();
+    if (limit) params.set('limit', limit);
+    if (before) params.set('before', before);
+    if (itemId) params.set('itemId', itemId);
+    const query = params.toString();
+    return request(`/projects/${projectId}/activity${query ? `?${query}` : ''}`, { secretKey });
+  },
+  fetchDueItems: (projectId, secretKey, { days, today } = {}) => {
+    const params = new URLSearchParams();
+    if (days !== undefined) params.set('days', days);
+    if (today) params.set('today', today);
+    const query = params.toString();
+    return request(`/projects/${projectId}/due${query ? `?${query}` : ''}`, { secretKey });
+  },
+  fetchCumulativeFlow: (projectId, secretKey, { from, to } = {}) => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString();
+    return request(`/projects/${projectId}/analytics/cumulative-flow${query ? `?${query}` : ''}`, {
+      secretKey
+    });
+  },
+  fetchCycleTime: (projectId, secretKey, { from, to } = {}) => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const query = params.toString();
+    return request(`/projects/${projectId}/analytics/cycle-time${query ? `?${query}` : ''}`, {
+      secretKey
+    });
+  },
+  updateWorkflow: (projectId, secretKey, { columns, moveItemsTo }) =>
+    request(`/projects/${projectId}/workflow`, {
+      method: 'PUT',
+      body: { columns, moveItemsTo },
       secretKey
     })
 };
@@ -0,0 +1,180 @@
+import { api } from './api';
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+function parseEventBlock(block) {
+  const event = { type: 'message', id: null, data: '' };
+  block.split('\n').forEach((line) => {
+    if (!line || line.startsWith(':')) return;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'event') event.type = value;
+    if (field === 'id') event.id = value;
+    if (field === 'data') event.data += event.data ? `\n${value}` : value;
+  });
+  if (!event.data && event.type === 'message') return null;
+  try {
+    event.data = event.data ? JSON.parse(event.data) : {};
+  } catch {
+    return null;
+  }
+  return event;
+}
+
+/**
+ * Streams board events for a project, reconnecting with exponential backoff.
+ * Reconnects send the last seen event id so the server can replay what was
+ * missed (or answer with `board.resync` when it cannot). Returns a function
+ * that closes the stream for good.
+ */
+export function subscribeToBoardEvents(projectId, secretKey, { onEvent, onStatusChange }) {
+  let lastEventId = null;
+  let retryDelay = MIN_RETRY_MS;
+  let retryTimer = null;
+  let controller = null;
+  let stopped = false;
+
+  const connect = async () => {
+    controller = new AbortController();
+    try {
+      const response = await api.openEventStream(projectId, secretKey, {
+        lastEventId,
+        signal: controller.signal
+      });
+      onStatusChange?.('live');
+      retryDelay = MIN_RETRY_MS;
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value.replace(/\r\n?/g, '\n');
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const event = parseEventBlock(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          if (event) {
+            if (event.id) lastEventId = event.id;
+            onEvent(event);
+          }
+          boundary = buffer.indexOf('\n\n');
+        }
+      }
+    } catch (error) {
+      if (stopped) return;
+      if (error.status === 403 || error.status === 404) {
+        onStatusChange?.('closed');
+        return;
+      }
+      console.warn('Board event stream interrupted', error);
+    }
+
+    if (stopped) return;
+    onStatusChange?.('reconnecting');
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    controller?.abort();
+  };
+}
+
+const withoutItem = (columns, itemId) =>
+  Object.fromEntries(
+    Object.entries(columns).map(([status, items]) => [
+      status,
+      items.filter((item) => item.id !== itemId)
+    ])
+  );
+
+const findItem = (columns, itemId) =>
+  Object.values(columns)
+    .flat()
+    .find((item) => item.id === itemId);
+
+const EMPTY_CHECKLIST = { done: 0, total: 0 };
+
+// Only the board listing carries `commentCount` and `checklist`; single-item
+// payloads keep the known values.
+const withListingCounts = (columns, item) => {
+  const known = findItem(columns, item.id);
+  return {
+    ...item,
+    commentCount: item.commentCount ?? known?.commentCount ?? 0,
+    checklist: item.checklist ?? known?.checklist ?? EMPTY_CHECKLIST
+  };
+};
+
+const patchItem = (columns, itemId, changes) =>
+  Object.fromEntries(
+    Object.entries(columns).map(([status, items]) => [
+      status,
+      items.map((item) => (item.id === itemId ? { ...item, ...changes } : item))
+    ])
+  );
+
+// Ties go to the incoming item: a restored card takes back its slot and the
+// server shifts whatever sat there down by one.
+const insertByPosition = (items, item) => {
+  const next = [...items];
+  const index = next.findIndex((existing) => (existing.position ?? 0) >= (item.position ?? 0));
+  next.splice(index === -1 ? next.length : index, 0, item);
+  return next;
+};
+
+/**
+ * Applies a server event to the board's column state. Returns the next
+ * columns, or `null` when the event cannot be applied locally and the board
+ * should be refetched instead.
+ */
+export function applyBoardEvent(columns, event) {
+  const payload = event.data?.payload || {};
+  if (payload.truncated) return null;
+
+  switch (event.type) {
+    case 'item.created':
+    case 'item.updated':
+    case 'item.restored': {
+      const item = withListingCounts(columns, payload.item);
+      const next = withoutItem(columns, item.id);
+      if (!next[item.status]) return null;
+      next[item.status] = insertByPosition(next[item.status], item);
+      return next;
+    }
+    case 'item.deleted':
+      return withoutItem(columns, payload.itemId);
+    case 'comment.created':
+    case 'comment.deleted':
+      return patchItem(columns, payload.itemId, { commentCount: payload.commentCount });
+    case 'comment.updated':
+      return columns;
+    case 'checklist.updated':
+      return patchItem(columns, payload.itemId, { checklist: payload.progress });
+    case 'items.reordered': {
+      const byId = new Map();
+      Object.values(columns).forEach((items) => items.forEach((item) => byId.set(item.id, item)));
+      const next = Object.fromEntries(Object.keys(columns).map((status) => [status, []]));
+      let placed = 0;
+      for (const [status, ids] of Object.entries(payload.columns || {})) {
+        if (!next[status]) return null;
+        for (const [index, id] of ids.entries()) {
+          const item = byId.get(id);
+          if (!item) return null;
+          next[status].push({ ...item, status, position: index + 1 });
+          placed += 1;
+        }
+      }
+      return placed === byId.size ? next : null;
+    }
+    default:
+      return null;
+  }
+}
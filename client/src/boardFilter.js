@@ -0,0 +1,61 @@
+import { NO_SPRINT } from './sprints';
+
+export const EMPTY_FILTER = { labelId: '', assigneeId: '', epicId: '', sprintId: '' };
+
+export const isFilterActive = (filter) =>
+  Boolean(filter.labelId || filter.assigneeId || filter.epicId || filter.sprintId);
+
+// The board query in force: a saved view's id, or query text typed on the board.
+export const EMPTY_BOARD_QUERY = { viewId: '', text: '' };
+
+// URL parameters that carry the board query next to `?project=`.
+export const BOARD_QUERY_PARAMS = { viewId: 'view', text: 'q' };
+
+export function readBoardQuery(search) {
+  const params = new URLSearchParams(search);
+  return {
+    viewId: params.get(BOARD_QUERY_PARAMS.viewId) || '',
+    text: params.get(BOARD_QUERY_PARAMS.text) || ''
+  };
+}
+
+// Writes `boardQuery` into `url`; a saved view is linked by id alone.
+export function writeBoardQuery(url, boardQuery) {
+  const values = {
+    viewId: boardQuery.viewId,
+    text: boardQuery.viewId ? '' : boardQuery.text.trim()
+  };
+  Object.entries(BOARD_QUERY_PARAMS).forEach(([field, name]) => {
+    if (values[field]) url.searchParams.set(name, values[field]);
+    else url.searchParams.delete(name);
+  });
+  return url;
+}
+
+// Whether a card stays visible under the board's toolbar filter.
+export function matchesFilter(item, filter) {
+  if (filter.labelId && !(item.labelIds || []).includes(filter.labelId)) return false;
+  if (filter.assigneeId && !(item.assignees || []).includes(filter.assigneeId)) return false;
+  // An epic filter keeps the epic itself alongside its cards.
+  if (filter.epicId && item.epicId !== filter.epicId && item.id !== filter.epicId) return false;
+  if (filter.sprintId && (item.sprintId || NO_SPRINT) !== filter.sprintId) return false;
+  return true;
+}
+
+/**
+ * Drag-and-drop reports positions among the visible cards only. Translates a
+ * drop at `visibleIndex` into an index in the full column (with the dragged
+ * card already removed), so hidden cards keep their relative order: the card
+ * lands just before the visible card it was dropped on, or just after the
+ * last visible one.
+ */
+export function fullDropIndex(items, visibleIndex, isVisible) {
+  const visible = items.filter(isVisible);
+  if (visibleIndex < visible.length) {
+    return items.indexOf(visible[visibleIndex]);
+  }
+  if (visible.length === 0) {
+    return items.length;
+  }
+  return items.indexOf(visible[visible.length - 1]) + 1;
+}
@@ -1,8 +1,17 @@
-export const COLUMN_ORDER = ['backlog', 'in_progress', 'review', 'done'];
-
-export const COLUMN_LABELS = {
-  backlog: 'Backlog',
-  in_progress: 'In Progress',
-  review: 'Review',
-  done: 'Done'
-};
+// Fallback used until a project's own workflow has been loaded.
+export const DEFAULT_WORKFLOW = [
+  { key: 'backlog', label: 'Backlog' },
+  { key: 'in_progress', label: 'In Progress' },
+  { key: 'review', label: 'Review' },
+  { key: 'done', label: 'Done' }
+];
+
+export const WIP_LIMIT_ERROR = 'WIP_LIMIT_EXCEEDED';
+
+export const VERSION_CONFLICT_ERROR = 'VERSION_CONFLICT';
+
+export const ITEM_BLOCKED_ERROR = 'ITEM_BLOCKED';
+
+export const EPIC_HAS_CHILDREN_ERROR = 'EPIC_HAS_CHILDREN';
+
+export const PROJECT_IN_TRASH_ERROR = 'PROJECT_IN_TRASH';
@@ -0,0 +1,57 @@
+export const METRICS = [
+  { value: 'cycleTime', label: 'Cycle time', hint: 'In Progress to done' },
+  { value: 'leadTime', label: 'Lead time', hint: 'created to done' }
+];
+
+export const PERCENTILE_KEYS = ['p50', 'p85', 'p95'];
+
+export const SCATTER_WIDTH = 640;
+export const SCATTER_HEIGHT = 240;
+
+export function formatDays(days) {
+  if (days === null || days === undefined) return '—';
+  const rounded = days < 10 ? Math.round(days * 10) / 10 : Math.round(days);
+  return `${rounded} ${rounded === 1 ? 'day' : 'days'}`;
+}
+
+const dayStart = (day) => Date.parse(`${day}T00:00:00Z`);
+
+/**
+ * Places each finished card of a cycle time report by completion time (x)
+ * and duration (y), leaving out cards without a value for `metric`, and
+ * gives the percentile lines drawn across the chart.
+ */
+export function scatterPoints(
+  report,
+  { metric = 'cycleTime', width = SCATTER_WIDTH, height = SCATTER_HEIGHT } = {}
+) {
+  const start = dayStart(report.from);
+  const span = dayStart(report.to) + 24 * 60 * 60 * 1000 - start;
+  const timed = report.items.filter((item) => item[metric] !== null);
+  // Headroom above the slowest card keeps its dot off the top edge.
+  const max = Math.max(1, ...timed.map((item) => item[metric])) * 1.1;
+  const y = (value) => height - (value / max) * height;
+
+  return {
+    max,
+    points: timed.map((item) => ({
+      id: item.id,
+      title: item.title,
+      value: item[metric],
+      completedAt: item.completedAt,
+      x: ((Date.parse(item.completedAt) - start) / span) * width,
+      y: y(item[metric])
+    })),
+    // Percentiles that land on the same value share one labelled line.
+    lines: PERCENTILE_KEYS.filter((key) => report[metric][key] !== null).reduce((lines, key) => {
+      const value = report[metric][key];
+      const same = lines.find((line) => line.value === value);
+      if (same) {
+        same.key = `${same.key}/${key}`;
+      } else {
+        lines.push({ key, value, y: y(value) });
+      }
+      return lines;
+    }, [])
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Maps each card id to the cards still blocking it: live cards outside the
+ * workflow's last column. Trashed blockers are not on the board, so they
+ * never count.
+ */
+export function openBlockersByItem(columns, workflow) {
+  const doneStatus = workflow[workflow.length - 1].key;
+  const byId = new Map(
+    Object.values(columns)
+      .flat()
+      .map((item) => [item.id, item])
+  );
+  const blocked = new Map();
+  byId.forEach((item) => {
+    const open = (item.blockedBy || [])
+      .map((id) => byId.get(id))
+      .filter((blocker) => blocker && blocker.status !== doneStatus);
+    if (open.length > 0) blocked.set(item.id, open);
+  });
+  return blocked;
+}
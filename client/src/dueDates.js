@@ -0,0 +1,40 @@
+// Cards due within this many days are flagged as due soon.
+export const DUE_SOON_DAYS = 3;
+export const DUE_LIST_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The viewer's calendar day as `YYYY-MM-DD`, matching how due dates are stored.
+export function localToday(now = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+const toUtc = (day) => Date.parse(`${day}T00:00:00Z`);
+
+export const daysUntil = (dueDate, today) => Math.round((toUtc(dueDate) - toUtc(today)) / DAY_MS);
+
+export function dueState(dueDate, today) {
+  if (!dueDate) return null;
+  const days = daysUntil(dueDate, today);
+  if (days < 0) return 'overdue';
+  if (days <= DUE_SOON_DAYS) return 'due-soon';
+  return null;
+}
+
+export const formatDueDate = (dueDate) =>
+  new Date(toUtc(dueDate)).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+export function describeDue(dueDate, today) {
+  const days = daysUntil(dueDate, today);
+  if (days < -1) return `Overdue by ${-days} days`;
+  if (days === -1) return 'Due yesterday';
+  if (days === 0) return 'Due today';
+  if (days === 1) return 'Due tomorrow';
+  if (days <= DUE_SOON_DAYS) return `Due in ${days} days`;
+  return `Due ${formatDueDate(dueDate)}`;
+}
@@ -0,0 +1,19 @@
+/**
+ * Rolls each epic's cards up into `{ done, total, percent }`, counting cards
+ * in the workflow's last column as done, as the server does.
+ */
+export function epicRollups(items, workflow) {
+  const doneStatus = workflow[workflow.length - 1].key;
+  const rollups = new Map();
+  items.forEach((item) => {
+    if (!item.epicId) return;
+    const rollup = rollups.get(item.epicId) || { done: 0, total: 0 };
+    rollup.total += 1;
+    if (item.status === doneStatus) rollup.done += 1;
+    rollups.set(item.epicId, rollup);
+  });
+  rollups.forEach((rollup) => {
+    rollup.percent = Math.round((rollup.done / rollup.total) * 100);
+  });
+  return rollups;
+}
@@ -0,0 +1,43 @@
+export const FLOW_CHART_WIDTH = 640;
+export const FLOW_CHART_HEIGHT = 240;
+
+// Spreads hues across the workflow so neighbouring bands stay distinct.
+export const flowColor = (index, count) =>
+  `hsl(${Math.round((210 + (index * 300) / Math.max(count, 1)) % 360)}, 62%, 58%)`;
+
+const point = (x, y) => `${x.toFixed(1)},${y.toFixed(1)}`;
+
+/**
+ * Turns a cumulative flow response into stacked SVG areas, one per column.
+ * The last workflow column sits at the bottom so finished work grows upwards
+ * and the open work above it shows how much is still in flight.
+ */
+export function flowBands(flow, { width = FLOW_CHART_WIDTH, height = FLOW_CHART_HEIGHT } = {}) {
+  // A single day still gets a band across the whole chart.
+  const days = flow.days.length === 1 ? [flow.days[0], flow.days[0]] : flow.days;
+  const totals = days.map((day) => Object.values(day.counts).reduce((sum, count) => sum + count, 0));
+  const max = Math.max(1, ...totals);
+  const step = days.length > 1 ? width / (days.length - 1) : 0;
+  const y = (value) => height - (value / max) * height;
+
+  const base = days.map(() => 0);
+  const bands = [...flow.columns].reverse().map((column) => {
+    const lower = [...base];
+    days.forEach((day, index) => {
+      base[index] += day.counts[column.key] || 0;
+    });
+    const top = days.map((_, index) => point(index * step, y(base[index])));
+    const bottom = days.map((_, index) => point(index * step, y(lower[index]))).reverse();
+    const columnIndex = flow.columns.indexOf(column);
+    return {
+      key: column.key,
+      label: column.label,
+      color: flowColor(columnIndex, flow.columns.length),
+      path: `M${top.join(' L')} L${bottom.join(' L')} Z`,
+      latest: flow.days.length ? flow.days[flow.days.length - 1].counts[column.key] || 0 : 0
+    };
+  });
+
+  // Legends read in workflow order.
+  return { max, bands: bands.reverse() };
+}
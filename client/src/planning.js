@@ -0,0 +1,25 @@
+// Most urgent first, the order pickers list them in.
+export const PRIORITIES = [
+  { value: 'urgent', label: 'Urgent' },
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' }
+];
+
+export const priorityLabel = (value) => PRIORITIES.find((priority) => priority.value === value)?.label || '';
+
+// Keys accepted by `GET /items?sort=`; each uses the server's default direction.
+export const SORT_OPTIONS = [
+  { value: 'position', label: 'Board order' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'estimate', label: 'Estimate' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'title', label: 'Title' },
+  { value: 'createdAt', label: 'Newest' }
+];
+
+export const DEFAULT_SORT = 'position';
+
+export const sumEstimates = (items) => items.reduce((total, item) => total + (item.estimate || 0), 0);
+
+export const formatPoints = (points) => `${Number.isInteger(points) ? points : points.toFixed(1)} pts`;
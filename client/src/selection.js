@@ -0,0 +1,24 @@
+/**
+ * The selection after a modifier-click on `itemId`: Ctrl/⌘ toggles the card,
+ * Shift adds every card from the last one clicked (`anchorId`) to it in
+ * `orderedIds` order. Shift falls back to a toggle when the anchor is no
+ * longer on screen.
+ */
+export function nextSelection(selected, orderedIds, itemId, { range = false, anchorId = null } = {}) {
+  const next = new Set(selected);
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(itemId);
+  if (range && from !== -1 && to !== -1) {
+    orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((id) => next.add(id));
+    return next;
+  }
+  if (next.has(itemId)) next.delete(itemId);
+  else next.add(itemId);
+  return next;
+}
+
+// A bulk update adding `value` to a card's list field, e.g. a label or an assignee.
+export const addToList = (item, field, value) => ({
+  type: 'update',
+  changes: { [field]: [...new Set([...(item[field] || []), value])] }
+});
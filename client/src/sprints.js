@@ -0,0 +1,59 @@
+import { formatDueDate } from './dueDates';
+
+// Filter value for cards that are not planned into any sprint.
+export const NO_SPRINT = 'none';
+export const SPRINT_LENGTH_DAYS = 14;
+
+export const SPRINT_STATE_LABELS = { planned: 'Planned', active: 'Active', completed: 'Completed' };
+
+export const activeSprint = (sprints) => sprints.find((sprint) => sprint.state === 'active') || null;
+
+// Sprints that can still take cards, in the calendar order the server lists them in.
+export const openSprints = (sprints) => sprints.filter((sprint) => sprint.state !== 'completed');
+
+export const formatSprintDates = (sprint) =>
+  `${formatDueDate(sprint.startDate)} – ${formatDueDate(sprint.endDate)}`;
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// A new sprint picks up the day after the last one ends, or today if that has passed.
+export function nextSprintDates(sprints, today) {
+  const lastEnd = sprints.reduce((latest, sprint) => (sprint.endDate > latest ? sprint.endDate : latest), '');
+  const startDate = lastEnd && lastEnd >= today ? addDays(lastEnd, 1) : today;
+  return { startDate, endDate: addDays(startDate, SPRINT_LENGTH_DAYS - 1) };
+}
+
+// Where a completed sprint's unfinished cards go unless told otherwise.
+export const nextPlannedSprint = (sprints) => sprints.find((sprint) => sprint.state === 'planned') || null;
+
+/**
+ * Splits a sprint's cards the way completing it will: cards in the
+ * workflow's last column are finished, the rest carry over.
+ */
+export function sprintBreakdown(items, sprintId, workflow) {
+  const doneStatus = workflow[workflow.length - 1].key;
+  const cards = items.filter((item) => item.sprintId === sprintId);
+  return {
+    finished: cards.filter((item) => item.status === doneStatus),
+    unfinished: cards.filter((item) => item.status !== doneStatus)
+  };
+}
+
+// Calendar order, matching `GET /sprints`.
+export const compareSprints = (a, b) =>
+  a.startDate.localeCompare(b.startDate) || a.createdAt.localeCompare(b.createdAt);
+
+// One line summing up a `POST /sprints/:id/complete` response.
+export function describeSprintReport({ sprint, finished, unfinished, movedTo }, sprints) {
+  if (unfinished.length === 0) {
+    return `“${sprint.name}” is complete with all ${finished.length} cards finished.`;
+  }
+  const target = sprints.find((other) => other.id === movedTo);
+  return `“${sprint.name}” is complete: ${finished.length} finished, ${unfinished.length} moved to ${
+    target ? `“${target.name}”` : 'the backlog'
+  }.`;
+}
@@ -0,0 +1,141 @@
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'position',
+  'labelIds',
+  'assignees',
+  'blockedBy',
+  'epicId',
+  'sprintId',
+  'dueDate',
+  'priority',
+  'estimate'
+];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// List fields compare by content; an empty list counts as no value.
+function fieldValue(snapshot, field) {
+  const value = snapshot ? snapshot[field] ?? null : null;
+  return Array.isArray(value) && value.length === 0 ? null : value;
+}
+
+const sameValue = (a, b) =>
+  Array.isArray(a) && Array.isArray(b) ? a.join() === b.join() : a === b;
+
+/**
+ * Returns `{ field: { from, to } }` for every tracked field that differs
+ * between two snapshots of an item. A missing snapshot (creation or deletion)
+ * diffs against nulls.
+ */
+function diffItem(before, after) {
+  return TRACKED_FIELDS.reduce((changes, field) => {
+    const from = fieldValue(before, field);
+    const to = fieldValue(after, field);
+    if (!sameValue(from, to)) {
+      changes[field] = { from, to };
+    }
+    return changes;
+  }, {});
+}
+
+// Builds the activity entry for a single-item mutation, or null when the
+// mutation did not change anything worth recording.
+function itemActivity(action, before, after) {
+  const changes = diffItem(before, after);
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+  const item = after || before;
+  return { action, itemId: item.id, itemTitle: item.title, changes };
+}
+
+const orderByStatus = (items) =>
+  [...items]
+    .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+    .reduce((acc, item) => {
+      (acc[item.status] = acc[item.status] || []).push(item.id);
+      return acc;
+    }, {});
+
+/**
+ * Describes a reorder: one `item.moved` entry per item that changed column,
+ * plus a single `items.reordered` entry listing the before/after order of any
+ * column whose order changed.
+ */
+function reorderActivity(beforeItems, afterItems) {
+  const previous = new Map(beforeItems.map((item) => [item.id, item]));
+  const entries = afterItems
+    .filter((item) => previous.has(item.id) && previous.get(item.id).status !== item.status)
+    .map((item) => itemActivity('item.moved', previous.get(item.id), item));
+
+  const beforeOrder = orderByStatus(beforeItems);
+  const afterOrder = orderByStatus(afterItems);
+  const changes = {};
+  new Set([...Object.keys(beforeOrder), ...Object.keys(afterOrder)]).forEach((status) => {
+    const from = beforeOrder[status] || [];
+    const to = afterOrder[status] || [];
+    if (from.join() !== to.join()) {
+      changes[status] = { from, to };
+    }
+  });
+  if (Object.keys(changes).length > 0) {
+    entries.push({ action: 'items.reordered', itemId: null, itemTitle: null, changes });
+  }
+
+  return entries;
+}
+
+function workflowActivity(before, after) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return null;
+  }
+  return {
+    action: 'workflow.updated',
+    itemId: null,
+    itemTitle: null,
+    changes: { workflow: { from: before, to: after } }
+  };
+}
+
+// Project-level entry for starting or completing a sprint, named after it.
+function sprintActivity(action, sprint, changes = {}) {
+  return {
+    action,
+    itemId: null,
+    itemTitle: null,
+    changes: { sprint: { from: null, to: sprint.name }, ...changes }
+  };
+}
+
+/**
+ * Validates `?limit=&before=&itemId=` for the activity feed. `before` is the
+ * `nextCursor` of the previous page.
+ */
+function parseActivityQuery(query = {}) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Activity limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  let before = null;
+  if (query.before !== undefined && query.before !== '') {
+    before = Number(query.before);
+    if (!Number.isInteger(before) || before < 1) {
+      throw new Error('Activity cursor must be a positive integer.');
+    }
+  }
+
+  const itemId = query.itemId ? `${query.itemId}` : null;
+  return { limit, before, itemId };
+}
+
+module.exports = {
+  diffItem,
+  itemActivity,
+  reorderActivity,
+  workflowActivity,
+  sprintActivity,
+  parseActivityQuery
+};
@@ -3,33 +3,205 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const {
-  VALID_STATUSES,
   createProject,
+  importProject,
+  listProjectContents,
   deleteProject,
+  updateProjectWorkflow,
   getItemsByProject,
+  searchItems,
   getProjectById,
   getProjectBySecret,
   listProjects,
   createItem,
+  createItems,
   updateItem,
   deleteItem,
-  reorderItems
+  getEpic,
+  reorderItems,
+  bulkUpdateItems,
+  listTrashedItems,
+  restoreItem,
+  restoreProject,
+  listActivity,
+  listStatusTransitions,
+  listComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  listChecklist,
+  createChecklistEntry,
+  updateChecklistEntry,
+  reorderChecklist,
+  deleteChecklistEntry,
+  listLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  listCollaborators,
+  createCollaborator,
+  updateCollaborator,
+  deleteCollaborator,
+  listSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  completeSprint,
+  listViews,
+  createView,
+  updateView,
+  deleteView,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  enqueueWebhookDeliveries,
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+  listWebhookDeliveries,
+  redeliverWebhookDelivery,
+  createNotificationTransport
 } = require('./db');
+const { verifySecret } = require('./secrets');
+const {
+  WipLimitError,
+  VersionConflictError,
+  ArchiveValidationError,
+  BlockedItemError,
+  EpicHasChildrenError,
+  QueryError,
+  BulkOperationError
+} = require('./errors');
+const { workflowStatuses } = require('./workflow');
+const { parseActivityQuery } = require('./activity');
+const { TRASH_RETENTION_DAYS, purgeDate } = require('./trash');
+const { buildArchive, parseArchive } = require('./archive');
+const { toCsv, planCsvImport } = require('./csv');
+const { planTrelloImport } = require('./trello');
+const { threadComments } = require('./comments');
+const { checklistProgress } = require('./checklists');
+const { parseDueQuery, selectDueItems } = require('./dueDates');
+const { parseItemSort, sortColumns } = require('./planning');
+const { parseChildAction } = require('./epics');
+const { dayEnd, parseFlowQuery, cumulativeFlow } = require('./flow');
+const { parseMetricsQuery, cycleTimeReport } = require('./cycleTime');
+const { parseSearchQuery, searchResult } = require('./search');
+const { parseBoardQuery, compileBoardQuery } = require('./boardQuery');
+const { normalizeBulkOperations, summarizeBulkResults } = require('./bulk');
+const {
+  WEBHOOK_EVENT_TYPES,
+  parseDeliveryQuery,
+  assertPublicDestination,
+  deliverDueWebhooks
+} = require('./webhooks');
+const {
+  useEventTransport,
+  observePublishedEvents,
+  publishProjectEvent,
+  subscribeToProjectEvents
+} = require('./events');
+
+const EVENT_HEARTBEAT_MS = 25000;
+const IMPORT_PATH = '/api/projects/import';
+const CSV_IMPORT_PATH = '/api/projects/:projectId/import/csv';
+const TRELLO_IMPORT_PATH = '/api/projects/:projectId/import/trello';
+// Archives, spreadsheets and Trello exports of large boards easily exceed express.json's 100kb default.
+const IMPORT_BODY_LIMIT = '10mb';
+const LARGE_BODY_PATHS = [
+  /^\/api\/projects\/import$/,
+  /^\/api\/projects\/[^/]+\/import\/(csv|trello)$/
+];
+
+useEventTransport(createNotificationTransport());
+
+const webhookStore = { claimWebhookDeliveries, recordWebhookAttempt };
+const sendDueWebhooks = () =>
+  deliverDueWebhooks(webhookStore).catch((error) => {
+    console.error('Failed to deliver webhooks.', error);
+  });
+
+// Card events are queued for the project's webhooks and sent right away;
+// the schedule started in index.js retries whatever fails.
+observePublishedEvents((event) => {
+  if (!WEBHOOK_EVENT_TYPES.includes(event.type)) return;
+  enqueueWebhookDeliveries(event)
+    .then((queued) => {
+      if (queued > 0) sendDueWebhooks();
+    })
+    .catch((error) => {
+      console.error('Failed to queue webhook deliveries.', error);
+    });
+});
 
 const app = express();
 
 app.use(cors());
-app.use(express.json());
+const parseJson = express.json();
+app.use((req, res, next) =>
+  LARGE_BODY_PATHS.some((pattern) => pattern.test(req.path)) ? next() : parseJson(req, res, next)
+);
 
 const CLIENT_BUILD_PATH = path.join(__dirname, '..', '..', 'client', 'dist');
 const hasClientBuild = fs.existsSync(CLIENT_BUILD_PATH);
 
 const sanitizeProject = (project) => {
   if (!project) return null;
-  const { secretKey, ...rest } = project;
+  const { secretHash, secretLookup, ...rest } = project;
   return rest;
 };
 
+const isOverrideRequested = (body) => body?.overrideWipLimit === true;
+
+function sendWipLimitError(res, error) {
+  return res.status(409).json({
+    error: error.message,
+    code: error.code,
+    column: error.column,
+    limit: error.limit,
+    count: error.count
+  });
+}
+
+function sendBlockedItemError(res, error) {
+  return res.status(409).json({
+    error: error.message,
+    code: error.code,
+    itemId: error.itemId,
+    blockers: error.blockers
+  });
+}
+
+function sendVersionConflict(res, error, { single = false } = {}) {
+  const body = { error: error.message, code: error.code };
+  if (single) {
+    body.item = error.items[0];
+  } else {
+    body.items = error.items;
+  }
+  return res.status(409).json(body);
+}
+
+// Clients send the version they edited either as an `If-Match` header
+// (`"3"` or `W/"3"`) or as `version` in the body.
+function parseExpectedVersion(req) {
+  const header = req.get('if-match');
+  const raw = header ? header.replace(/^W\//, '').replace(/"/g, '').trim() : req.body?.version;
+  if (raw === undefined || raw === null || raw === '' || raw === '*') {
+    return undefined;
+  }
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('Item version must be a positive integer.');
+  }
+  return version;
+}
+
+const setItemEtag = (res, item) => res.set('ETag', `"${item.version}"`);
+
+const projectSlug = (project) =>
+  project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+
 app.get('/api/health', (_req, res) => {
   res.json({ status: 'ok' });
 });
@@ -44,36 +216,68 @@ app.post('/api/projects', async (req, res) => {
   }
 });
 
+app.post(IMPORT_PATH, express.json({ limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+  try {
+    const { archive, secretKey, name } = req.body || {};
+    const parsed = parseArchive(archive);
+    const project = await importProject({
+      ...parsed,
+      name: name === undefined || name === '' ? parsed.name : name,
+      secretKey
+    });
+    res.status(201).json({ project: sanitizeProject(project), itemCount: parsed.items.length });
+  } catch (error) {
+    if (error instanceof ArchiveValidationError) {
+      return res.status(422).json({ error: error.message, code: error.code, problems: error.problems });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
 app.post('/api/access', async (req, res) => {
   const { secretKey } = req.body || {};
   const project = await getProjectBySecret(secretKey);
   if (!project) {
     return res.status(404).json({ error: 'Invalid secret key.' });
   }
+  if (project.deletedAt) {
+    return res.status(410).json({
+      error: 'This project is in the trash.',
+      code: 'PROJECT_IN_TRASH',
+      projectId: project.id,
+      deletedAt: project.deletedAt,
+      purgeAt: purgeDate(project.deletedAt)
+    });
+  }
   res.json({ project: sanitizeProject(project) });
 });
 
-async function requireProjectSecret(req, res, next) {
-  const { projectId } = req.params;
-  const providedSecret = `${req.headers['x-project-secret'] || ''}`.trim();
+// Trashed projects are invisible unless the route opts in (e.g. to restore one).
+function projectSecretGuard({ includeDeleted = false } = {}) {
+  return async (req, res, next) => {
+    const { projectId } = req.params;
+    const providedSecret = `${req.headers['x-project-secret'] || ''}`.trim();
 
-  try {
-    const project = await getProjectById(projectId);
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found.' });
-    }
+    try {
+      const project = await getProjectById(projectId, { includeDeleted });
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found.' });
+      }
 
-    if (project.secretKey !== providedSecret) {
-      return res.status(403).json({ error: 'Invalid secret key for this project.' });
-    }
+      if (!(await verifySecret(providedSecret, project.secretHash))) {
+        return res.status(403).json({ error: 'Invalid secret key for this project.' });
+      }
 
-    req.project = project;
-    return next();
-  } catch (error) {
-    return next(error);
-  }
+      req.project = project;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
 }
 
+const requireProjectSecret = projectSecretGuard();
+
 app.get('/api/projects', async (_req, res) => {
   const projects = (await listProjects()).map(sanitizeProject);
   res.json({ projects });
@@ -88,11 +292,132 @@ app.delete('/api/projects/:projectId', requireProjectSecret, async (req, res) =>
   if (!success) {
     return res.status(404).json({ error: 'Project not found.' });
   }
+  publishProjectEvent(req.project.id, 'project.deleted');
   res.status(204).send();
 });
 
-function groupItemsByStatus(items) {
-  const columns = VALID_STATUSES.reduce((acc, status) => {
+app.get('/api/projects/:projectId/export', requireProjectSecret, async (req, res) => {
+  const contents = await listProjectContents(req.project.id);
+  res.attachment(`${projectSlug(req.project)}-backlog.json`);
+  res.json(buildArchive(req.project, contents));
+});
+
+app.get('/api/projects/:projectId/export/csv', requireProjectSecret, async (req, res) => {
+  const items = await getItemsByProject(req.project.id);
+  res.attachment(`${projectSlug(req.project)}-items.csv`);
+  res.type('text/csv').send(toCsv(items));
+});
+
+// Body: `{ csv, mapping?, defaultStatus?, dryRun?, skipInvalid? }`. A dry run
+// returns the parsed rows without writing anything so the client can preview
+// the column mapping.
+app.post(
+  CSV_IMPORT_PATH,
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  requireProjectSecret,
+  async (req, res) => {
+    try {
+      const { csv, mapping, defaultStatus, dryRun, skipInvalid } = req.body || {};
+      if (typeof csv !== 'string') {
+        throw new Error('CSV text is required.');
+      }
+      const plan = planCsvImport(csv, {
+        mapping,
+        workflow: req.project.workflow,
+        defaultStatus
+      });
+      const invalid = plan.rows.filter((row) => row.error);
+      const summary = { valid: plan.rows.length - invalid.length, invalid: invalid.length };
+
+      if (dryRun === true) {
+        return res.json({ dryRun: true, ...plan, summary });
+      }
+      if (invalid.length > 0 && skipInvalid !== true) {
+        return res.status(422).json({
+          error: `${invalid.length} ${invalid.length === 1 ? 'row has' : 'rows have'} errors.`,
+          code: 'INVALID_CSV_ROWS',
+          rows: invalid
+        });
+      }
+
+      const payloads = plan.rows
+        .filter((row) => !row.error)
+        .map(({ title, description, status }) => ({ title, description, status }));
+      const items = payloads.length
+        ? await createItems(req.project.id, payloads, {
+          overrideWipLimit: isOverrideRequested(req.body)
+        })
+        : [];
+      if (items.length) {
+        publishProjectEvent(req.project.id, 'items.imported', { count: items.length });
+      }
+      res.status(201).json({ created: items.length, skipped: invalid.length, items });
+    } catch (error) {
+      if (error instanceof WipLimitError) {
+        return sendWipLimitError(res, error);
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Body: `{ board, listMapping?, includeArchived?, dryRun? }` where `board` is a
+// Trello JSON export. A dry run returns the lists and suggested mapping.
+app.post(
+  TRELLO_IMPORT_PATH,
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  requireProjectSecret,
+  async (req, res) => {
+    try {
+      const { board, listMapping, includeArchived, dryRun } = req.body || {};
+      const plan = planTrelloImport(board, {
+        workflow: req.project.workflow,
+        listMapping,
+        includeArchived: includeArchived === true
+      });
+
+      if (dryRun === true) {
+        return res.json({
+          dryRun: true,
+          name: plan.name,
+          lists: plan.lists,
+          summary: { cards: plan.items.length, skipped: plan.skipped }
+        });
+      }
+
+      const items = plan.items.length
+        ? await createItems(req.project.id, plan.items, {
+          overrideWipLimit: isOverrideRequested(req.body)
+        })
+        : [];
+      if (items.length) {
+        publishProjectEvent(req.project.id, 'items.imported', { count: items.length });
+      }
+      res.status(201).json({ created: items.length, skipped: plan.skipped, items });
+    } catch (error) {
+      if (error instanceof WipLimitError) {
+        return sendWipLimitError(res, error);
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+app.post(
+  '/api/projects/:projectId/restore',
+  projectSecretGuard({ includeDeleted: true }),
+  async (req, res) => {
+    try {
+      const project = await restoreProject(req.project.id);
+      res.json({ project: sanitizeProject(project) });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  }
+);
+
+function groupItemsByStatus(items, workflow) {
+  const columns = workflowStatuses(workflow).reduce((acc, status) => {
     acc[status] = [];
     return acc;
   }, {});
@@ -107,17 +432,580 @@ function groupItemsByStatus(items) {
   return columns;
 }
 
+const toColumnIds = (columns) =>
+  Object.fromEntries(
+    Object.entries(columns).map(([status, items]) => [status, items.map((item) => item.id)])
+  );
+
+async function respondWithWorkflow(res, projectId, columns, options, status = 200) {
+  const versions = new Map(
+    (await getItemsByProject(projectId)).map((item) => [item.id, item.version])
+  );
+  const project = await updateProjectWorkflow(projectId, columns, options);
+  const items = await getItemsByProject(projectId);
+  publishProjectEvent(projectId, 'workflow.updated', { workflow: project.workflow });
+  // Cards moved out of a removed column are published like any other move,
+  // so webhooks hear about them too.
+  items
+    .filter((item) => versions.has(item.id) && versions.get(item.id) !== item.version)
+    .forEach((item) => publishProjectEvent(projectId, 'item.updated', { item }));
+  res.status(status).json({
+    project: sanitizeProject(project),
+    columns: groupItemsByStatus(items, project.workflow)
+  });
+}
+
+function sendWorkflowError(res, error) {
+  if (error.message === 'Project not found.' || error.message === 'Column not found.') {
+    return res.status(404).json({ error: error.message });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+function findColumnIndex(workflow, columnKey) {
+  const index = workflow.findIndex((column) => column.key === columnKey);
+  if (index === -1) {
+    throw new Error('Column not found.');
+  }
+  return index;
+}
+
+function moveColumn(columns, fromIndex, toIndex) {
+  const target = Number(toIndex);
+  if (!Number.isInteger(target)) {
+    throw new Error('Column position must be an integer.');
+  }
+  const next = [...columns];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(Math.max(0, Math.min(target, next.length)), 0, moved);
+  return next;
+}
+
+app.get('/api/projects/:projectId/workflow', requireProjectSecret, (req, res) => {
+  res.json({ workflow: req.project.workflow });
+});
+
+app.put('/api/projects/:projectId/workflow', requireProjectSecret, async (req, res) => {
+  try {
+    const { columns, moveItemsTo } = req.body || {};
+    await respondWithWorkflow(res, req.project.id, columns, { moveItemsTo });
+  } catch (error) {
+    sendWorkflowError(res, error);
+  }
+});
+
+app.post('/api/projects/:projectId/workflow/columns', requireProjectSecret, async (req, res) => {
+  try {
+    const { key, label, wipLimit, position } = req.body || {};
+    const columns = [...req.project.workflow, { key, label, wipLimit }];
+    const ordered =
+      position === undefined ? columns : moveColumn(columns, columns.length - 1, position);
+    await respondWithWorkflow(res, req.project.id, ordered, {}, 201);
+  } catch (error) {
+    sendWorkflowError(res, error);
+  }
+});
+
+app.patch('/api/projects/:projectId/workflow/columns/:columnKey', requireProjectSecret, async (req, res) => {
+  try {
+    const { label, wipLimit, position } = req.body || {};
+    const index = findColumnIndex(req.project.workflow, req.params.columnKey);
+    let columns = [...req.project.workflow];
+    columns[index] = {
+      ...columns[index],
+      ...(label !== undefined ? { label } : {}),
+      ...(wipLimit !== undefined ? { wipLimit } : {})
+    };
+    if (position !== undefined) {
+      columns = moveColumn(columns, index, position);
+    }
+    await respondWithWorkflow(res, req.project.id, columns);
+  } catch (error) {
+    sendWorkflowError(res, error);
+  }
+});
+
+app.delete('/api/projects/:projectId/workflow/columns/:columnKey', requireProjectSecret, async (req, res) => {
+  try {
+    const { columnKey } = req.params;
+    findColumnIndex(req.project.workflow, columnKey);
+    const target = req.body?.moveItemsTo ?? req.query.moveItemsTo;
+    const columns = req.project.workflow.filter((column) => column.key !== columnKey);
+    const moveItemsTo = target === undefined ? {} : { [columnKey]: `${target}` };
+    await respondWithWorkflow(res, req.project.id, columns, { moveItemsTo });
+  } catch (error) {
+    sendWorkflowError(res, error);
+  }
+});
+
+app.get('/api/projects/:projectId/events', requireProjectSecret, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastEventId = req.get('last-event-id');
+  const unsubscribe = subscribeToProjectEvents(req.project.id, send, { lastEventId });
+  if (!lastEventId) {
+    res.write(`event: ready\ndata: ${JSON.stringify({ projectId: req.project.id })}\n\n`);
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+app.get('/api/projects/:projectId/activity', requireProjectSecret, async (req, res) => {
+  try {
+    const { entries, nextCursor } = await listActivity(req.project.id, parseActivityQuery(req.query));
+    res.json({ activity: entries, nextCursor });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Daily card counts per column, for the cumulative flow diagram.
+app.get('/api/projects/:projectId/analytics/cumulative-flow', requireProjectSecret, async (req, res) => {
+  try {
+    const range = parseFlowQuery(req.query);
+    const transitions = await listStatusTransitions(req.project.id, { before: dayEnd(range.to) });
+    res.json(cumulativeFlow(transitions, { ...range, workflow: req.project.workflow }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:projectId/analytics/cycle-time', requireProjectSecret, async (req, res) => {
+  try {
+    const range = parseMetricsQuery(req.query);
+    const items = await getItemsByProject(req.project.id);
+    res.json(cycleTimeReport(items, { ...range, workflow: req.project.workflow }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:projectId/labels', requireProjectSecret, async (req, res) => {
+  res.json({ labels: await listLabels(req.project.id) });
+});
+
+app.post('/api/projects/:projectId/labels', requireProjectSecret, async (req, res) => {
+  try {
+    const { name, color } = req.body || {};
+    const label = await createLabel(req.project.id, { name, color });
+    publishProjectEvent(req.project.id, 'label.created', { label });
+    res.status(201).json({ label });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/projects/:projectId/labels/:labelId', requireProjectSecret, async (req, res) => {
+  try {
+    const { name, color } = req.body || {};
+    const label = await updateLabel(req.project.id, req.params.labelId, { name, color });
+    publishProjectEvent(req.project.id, 'label.updated', { label });
+    res.json({ label });
+  } catch (error) {
+    if (error.message === 'Label not found.') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/projects/:projectId/labels/:labelId', requireProjectSecret, async (req, res) => {
+  try {
+    const { labelId } = req.params;
+    await deleteLabel(req.project.id, labelId);
+    publishProjectEvent(req.project.id, 'label.deleted', { labelId });
+    res.status(204).send();
+  } catch (error) {
+    if (error.message === 'Label not found.') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:projectId/collaborators', requireProjectSecret, async (req, res) => {
+  res.json({ collaborators: await listCollaborators(req.project.id) });
+});
+
+app.post('/api/projects/:projectId/collaborators', requireProjectSecret, async (req, res) => {
+  try {
+    const { name, initials } = req.body || {};
+    const collaborator = await createCollaborator(req.project.id, { name, initials });
+    publishProjectEvent(req.project.id, 'collaborator.created', { collaborator });
+    res.status(201).json({ collaborator });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch(
+  '/api/projects/:projectId/collaborators/:collaboratorId',
+  requireProjectSecret,
+  async (req, res) => {
+    try {
+      const { name, initials } = req.body || {};
+      const collaborator = await updateCollaborator(req.project.id, req.params.collaboratorId, {
+        name,
+        initials
+      });
+      publishProjectEvent(req.project.id, 'collaborator.updated', { collaborator });
+      res.json({ collaborator });
+    } catch (error) {
+      if (error.message === 'Collaborator not found.') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+app.delete(
+  '/api/projects/:projectId/collaborators/:collaboratorId',
+  requireProjectSecret,
+  async (req, res) => {
+    try {
+      const { collaboratorId } = req.params;
+      await deleteCollaborator(req.project.id, collaboratorId);
+      publishProjectEvent(req.project.id, 'collaborator.deleted', { collaboratorId });
+      res.status(204).send();
+    } catch (error) {
+      if (error.message === 'Collaborator not found.') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+function sendSprintError(res, error) {
+  if (error.message === 'Sprint not found.') {
+    return res.status(404).json({ error: error.message });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+const SPRINTS_PATH = '/api/projects/:projectId/sprints';
+
+app.get(SPRINTS_PATH, requireProjectSecret, async (req, res) => {
+  res.json({ sprints: await listSprints(req.project.id) });
+});
+
+app.post(SPRINTS_PATH, requireProjectSecret, async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate } = req.body || {};
+    const sprint = await createSprint(req.project.id, { name, goal, startDate, endDate });
+    publishProjectEvent(req.project.id, 'sprint.created', { sprint });
+    res.status(201).json({ sprint });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch(`${SPRINTS_PATH}/:sprintId`, requireProjectSecret, async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate } = req.body || {};
+    const sprint = await updateSprint(req.project.id, req.params.sprintId, {
+      name,
+      goal,
+      startDate,
+      endDate
+    });
+    publishProjectEvent(req.project.id, 'sprint.updated', { sprint });
+    res.json({ sprint });
+  } catch (error) {
+    sendSprintError(res, error);
+  }
+});
+
+// The sprint's cards go back to the backlog.
+app.delete(`${SPRINTS_PATH}/:sprintId`, requireProjectSecret, async (req, res) => {
+  try {
+    const { sprintId } = req.params;
+    const released = await deleteSprint(req.project.id, sprintId);
+    publishProjectEvent(req.project.id, 'sprint.deleted', { sprintId });
+    released.forEach((item) => publishProjectEvent(req.project.id, 'item.updated', { item }));
+    res.status(204).send();
+  } catch (error) {
+    sendSprintError(res, error);
+  }
+});
+
+app.post(`${SPRINTS_PATH}/:sprintId/start`, requireProjectSecret, async (req, res) => {
+  try {
+    const sprint = await startSprint(req.project.id, req.params.sprintId);
+    publishProjectEvent(req.project.id, 'sprint.updated', { sprint });
+    res.json({ sprint });
+  } catch (error) {
+    sendSprintError(res, error);
+  }
+});
+
+/**
+ * Completes the active sprint and reports `{ sprint, finished, unfinished,
+ * movedTo }`. `moveTo` names the planned sprint that takes the unfinished
+ * cards; leaving it out sends them back to the backlog.
+ */
+app.post(`${SPRINTS_PATH}/:sprintId/complete`, requireProjectSecret, async (req, res) => {
+  try {
+    const report = await completeSprint(req.project.id, req.params.sprintId, {
+      moveTo: req.body?.moveTo ?? null
+    });
+    publishProjectEvent(req.project.id, 'sprint.updated', { sprint: report.sprint });
+    report.unfinished.forEach((item) =>
+      publishProjectEvent(req.project.id, 'item.updated', { item })
+    );
+    res.json(report);
+  } catch (error) {
+    sendSprintError(res, error);
+  }
+});
+
+const queryErrorBody = (error) => ({ error: error.message, code: error.code, position: error.position });
+
+function sendViewError(res, error) {
+  if (error instanceof QueryError) {
+    return res.status(400).json(queryErrorBody(error));
+  }
+  if (error.message === 'View not found.') {
+    return res.status(404).json({ error: error.message });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+const VIEWS_PATH = '/api/projects/:projectId/views';
+
+app.get(VIEWS_PATH, requireProjectSecret, async (req, res) => {
+  res.json({ views: await listViews(req.project.id) });
+});
+
+app.post(VIEWS_PATH, requireProjectSecret, async (req, res) => {
+  try {
+    const { name, query } = req.body || {};
+    const view = await createView(req.project.id, { name, query });
+    publishProjectEvent(req.project.id, 'view.created', { view });
+    res.status(201).json({ view });
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+app.patch(`${VIEWS_PATH}/:viewId`, requireProjectSecret, async (req, res) => {
+  try {
+    const { name, query } = req.body || {};
+    const view = await updateView(req.project.id, req.params.viewId, { name, query });
+    publishProjectEvent(req.project.id, 'view.updated', { view });
+    res.json({ view });
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+app.delete(`${VIEWS_PATH}/:viewId`, requireProjectSecret, async (req, res) => {
+  try {
+    const { viewId } = req.params;
+    await deleteView(req.project.id, viewId);
+    publishProjectEvent(req.project.id, 'view.deleted', { viewId });
+    res.status(204).send();
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+function sendWebhookError(res, error) {
+  if (error.message === 'Webhook not found.' || error.message === 'Delivery not found.') {
+    return res.status(404).json({ error: error.message });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+const WEBHOOKS_PATH = '/api/projects/:projectId/webhooks';
+
+app.get(WEBHOOKS_PATH, requireProjectSecret, async (req, res) => {
+  res.json({ webhooks: await listWebhooks(req.project.id), eventTypes: WEBHOOK_EVENT_TYPES });
+});
+
+// The response is the only place the webhook's secret is ever shown.
+app.post(WEBHOOKS_PATH, requireProjectSecret, async (req, res) => {
+  try {
+    const { url, events, secret, active } = req.body || {};
+    await assertPublicDestination(url);
+    const webhook = await createWebhook(req.project.id, { url, events, secret, active });
+    res.status(201).json({ webhook });
+  } catch (error) {
+    sendWebhookError(res, error);
+  }
+});
+
+app.patch(`${WEBHOOKS_PATH}/:webhookId`, requireProjectSecret, async (req, res) => {
+  try {
+    const { url, events, secret, active } = req.body || {};
+    if (url !== undefined) {
+      await assertPublicDestination(url);
+    }
+    const webhook = await updateWebhook(req.project.id, req.params.webhookId, {
+      url,
+      events,
+      secret,
+      active
+    });
+    if (webhook.active) {
+      sendDueWebhooks();
+    }
+    res.json({ webhook });
+  } catch (error) {
+    sendWebhookError(res, error);
+  }
+});
+
+app.delete(`${WEBHOOKS_PATH}/:webhookId`, requireProjectSecret, async (req, res) => {
+  try {
+    await deleteWebhook(req.project.id, req.params.webhookId);
+    res.status(204).send();
+  } catch (error) {
+    sendWebhookError(res, error);
+  }
+});
+
+// The webhook's most recent deliveries, newest first, with every attempt's status code.
+app.get(`${WEBHOOKS_PATH}/:webhookId/deliveries`, requireProjectSecret, async (req, res) => {
+  try {
+    const query = parseDeliveryQuery(req.query);
+    const deliveries = await listWebhookDeliveries(req.project.id, req.params.webhookId, query);
+    res.json({ deliveries });
+  } catch (error) {
+    sendWebhookError(res, error);
+  }
+});
+
+app.post(
+  `${WEBHOOKS_PATH}/:webhookId/deliveries/:deliveryId/redeliver`,
+  requireProjectSecret,
+  async (req, res) => {
+    try {
+      const { webhookId, deliveryId } = req.params;
+      const delivery = await redeliverWebhookDelivery(req.project.id, webhookId, deliveryId);
+      sendDueWebhooks();
+      res.status(202).json({ delivery });
+    } catch (error) {
+      sendWebhookError(res, error);
+    }
+  }
+);
+
+/**
+ * Lists the board's columns. `q` narrows them to the cards matching a board
+ * query (see boardQuery.js); a query that cannot be read is a 400 with
+ * `code: 'INVALID_QUERY'` and the 0-based `position` of the problem.
+ */
 app.get('/api/projects/:projectId/items', requireProjectSecret, async (req, res) => {
-  const items = await getItemsByProject(req.project.id);
-  res.json({ columns: groupItemsByStatus(items) });
+  try {
+    const sort = parseItemSort(req.query);
+    const clauses = parseBoardQuery(req.query.q);
+    let items = await getItemsByProject(req.project.id);
+    if (clauses.length > 0) {
+      const [labels, roster, sprints] = await Promise.all([
+        listLabels(req.project.id),
+        listCollaborators(req.project.id),
+        listSprints(req.project.id)
+      ]);
+      const matches = compileBoardQuery(clauses, {
+        workflow: req.project.workflow,
+        labels,
+        roster,
+        sprints,
+        items
+      });
+      items = items.filter(matches);
+    }
+    const columns = sortColumns(groupItemsByStatus(items, req.project.workflow), sort);
+    res.json({ columns, sort, query: clauses.length > 0 ? req.query.q.trim() : null });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json(queryErrorBody(error));
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:projectId/items/search', requireProjectSecret, async (req, res) => {
+  try {
+    const { text, terms, limit } = parseSearchQuery(req.query);
+    const matches = await searchItems(req.project.id, { terms, limit });
+    res.json({
+      query: text,
+      results: matches.map(({ item, rank }) => searchResult(item, rank, terms))
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:projectId/due', requireProjectSecret, async (req, res) => {
+  try {
+    const dueWindow = parseDueQuery(req.query);
+    const items = await getItemsByProject(req.project.id);
+    res.json(selectDueItems(items, { ...dueWindow, workflow: req.project.workflow }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 app.post('/api/projects/:projectId/items', requireProjectSecret, async (req, res) => {
   try {
-    const { title, description, status } = req.body;
-    const item = await createItem(req.project.id, { title, description, status });
+    const {
+      title,
+      description,
+      status,
+      labelIds,
+      assignees,
+      blockedBy,
+      epicId,
+      sprintId,
+      dueDate,
+      priority,
+      estimate
+    } = req.body;
+    const item = await createItem(
+      req.project.id,
+      {
+        title,
+        description,
+        status,
+        labelIds,
+        assignees,
+        blockedBy,
+        epicId,
+        sprintId,
+        dueDate,
+        priority,
+        estimate
+      },
+      { overrideWipLimit: isOverrideRequested(req.body) }
+    );
+    publishProjectEvent(req.project.id, 'item.created', { item });
+    setItemEtag(res, item);
     res.status(201).json({ item });
   } catch (error) {
+    if (error instanceof BlockedItemError) {
+      return sendBlockedItemError(res, error);
+    }
+    if (error instanceof WipLimitError) {
+      return sendWipLimitError(res, error);
+    }
     res.status(400).json({ error: error.message });
   }
 });
@@ -125,12 +1013,27 @@ app.post('/api/projects/:projectId/items', requireProjectSecret, async (req, res
 app.patch('/api/projects/:projectId/items/:itemId', requireProjectSecret, async (req, res) => {
   try {
     const { itemId } = req.params;
-    const updated = await updateItem(req.project.id, itemId, req.body || {});
+    const { overrideWipLimit, version, ...updates } = req.body || {};
+    const updated = await updateItem(req.project.id, itemId, updates, {
+      overrideWipLimit: isOverrideRequested({ overrideWipLimit }),
+      expectedVersion: parseExpectedVersion(req)
+    });
+    publishProjectEvent(req.project.id, 'item.updated', { item: updated });
+    setItemEtag(res, updated);
     res.json({ item: updated });
   } catch (error) {
     if (error.message === 'Item not found.') {
       return res.status(404).json({ error: error.message });
     }
+    if (error instanceof BlockedItemError) {
+      return sendBlockedItemError(res, error);
+    }
+    if (error instanceof WipLimitError) {
+      return sendWipLimitError(res, error);
+    }
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error, { single: true });
+    }
     res.status(400).json({ error: error.message });
   }
 });
@@ -138,12 +1041,202 @@ app.patch('/api/projects/:projectId/items/:itemId', requireProjectSecret, async
 app.delete('/api/projects/:projectId/items/:itemId', requireProjectSecret, async (req, res) => {
   try {
     const { itemId } = req.params;
-    await deleteItem(req.project.id, itemId);
+    const children = parseChildAction(req.body?.children ?? req.query.children);
+    const { detached, trashedChildren } = await deleteItem(req.project.id, itemId, { children });
+    publishProjectEvent(req.project.id, 'item.deleted', { itemId });
+    detached.forEach((item) => publishProjectEvent(req.project.id, 'item.updated', { item }));
+    trashedChildren.forEach((item) =>
+      publishProjectEvent(req.project.id, 'item.deleted', { itemId: item.id })
+    );
+    res.status(204).send();
+  } catch (error) {
+    if (error.message === 'Item not found.') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error instanceof EpicHasChildrenError) {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code,
+        itemId: error.itemId,
+        childCount: error.childCount
+      });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:projectId/epics/:epicId', requireProjectSecret, async (req, res) => {
+  try {
+    res.json(await getEpic(req.project.id, req.params.epicId));
+  } catch (error) {
+    if (error.message === 'Item not found.') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+function sendCommentError(res, error) {
+  if (error.message === 'Item not found.' || error.message === 'Comment not found.') {
+    return res.status(404).json({ error: error.message });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+app.get('/api/projects/:projectId/items/:itemId/comments', requireProjectSecret, async (req, res) => {
+  try {
+    const comments = await listComments(req.project.id, req.params.itemId);
+    res.json({
+      comments: threadComments(comments),
+      count: comments.filter((comment) => !comment.deletedAt).length
+    });
+  } catch (error) {
+    sendCommentError(res, error);
+  }
+});
+
+app.post('/api/projects/:projectId/items/:itemId/comments', requireProjectSecret, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { authorName, body, parentId } = req.body || {};
+    const { comment, commentCount } = await createComment(req.project.id, itemId, {
+      authorName,
+      body,
+      parentId
+    });
+    publishProjectEvent(req.project.id, 'comment.created', { itemId, comment, commentCount });
+    res.status(201).json({ comment, commentCount });
+  } catch (error) {
+    sendCommentError(res, error);
+  }
+});
+
+app.patch(
+  '/api/projects/:projectId/items/:itemId/comments/:commentId',
+  requireProjectSecret,
+  async (req, res) => {
+    try {
+      const { itemId, commentId } = req.params;
+      const comment = await updateComment(req.project.id, itemId, commentId, {
+        body: req.body?.body
+      });
+      publishProjectEvent(req.project.id, 'comment.updated', { itemId, comment });
+      res.json({ comment });
+    } catch (error) {
+      sendCommentError(res, error);
+    }
+  }
+);
+
+app.delete(
+  '/api/projects/:projectId/items/:itemId/comments/:commentId',
+  requireProjectSecret,
+  async (req, res) => {
+    try {
+      const { itemId, commentId } = req.params;
+      const { commentCount } = await deleteComment(req.project.id, itemId, commentId);
+      publishProjectEvent(req.project.id, 'comment.deleted', { itemId, commentId, commentCount });
+      res.status(204).send();
+    } catch (error) {
+      sendCommentError(res, error);
+    }
+  }
+);
+
+function sendChecklistError(res, error) {
+  if (error.message === 'Item not found.' || error.message === 'Checklist entry not found.') {
+    return res.status(404).json({ error: error.message });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+const CHECKLIST_PATH = '/api/projects/:projectId/items/:itemId/checklist';
+
+app.get(CHECKLIST_PATH, requireProjectSecret, async (req, res) => {
+  try {
+    const checklist = await listChecklist(req.project.id, req.params.itemId);
+    res.json({ checklist, progress: checklistProgress(checklist) });
+  } catch (error) {
+    sendChecklistError(res, error);
+  }
+});
+
+app.post(CHECKLIST_PATH, requireProjectSecret, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { entry, progress } = await createChecklistEntry(req.project.id, itemId, {
+      text: req.body?.text
+    });
+    publishProjectEvent(req.project.id, 'checklist.updated', { itemId, progress });
+    res.status(201).json({ entry, progress });
+  } catch (error) {
+    sendChecklistError(res, error);
+  }
+});
+
+app.put(`${CHECKLIST_PATH}/order`, requireProjectSecret, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { checklist, progress } = await reorderChecklist(
+      req.project.id,
+      itemId,
+      req.body?.entryIds
+    );
+    publishProjectEvent(req.project.id, 'checklist.updated', { itemId, progress });
+    res.json({ checklist, progress });
+  } catch (error) {
+    sendChecklistError(res, error);
+  }
+});
+
+app.patch(`${CHECKLIST_PATH}/:entryId`, requireProjectSecret, async (req, res) => {
+  try {
+    const { itemId, entryId } = req.params;
+    const { text, done } = req.body || {};
+    const { entry, progress } = await updateChecklistEntry(req.project.id, itemId, entryId, {
+      text,
+      done
+    });
+    publishProjectEvent(req.project.id, 'checklist.updated', { itemId, progress });
+    res.json({ entry, progress });
+  } catch (error) {
+    sendChecklistError(res, error);
+  }
+});
+
+app.delete(`${CHECKLIST_PATH}/:entryId`, requireProjectSecret, async (req, res) => {
+  try {
+    const { itemId, entryId } = req.params;
+    const { progress } = await deleteChecklistEntry(req.project.id, itemId, entryId);
+    publishProjectEvent(req.project.id, 'checklist.updated', { itemId, progress });
     res.status(204).send();
+  } catch (error) {
+    sendChecklistError(res, error);
+  }
+});
+
+const withPurgeDate = (item) => ({ ...item, purgeAt: purgeDate(item.deletedAt) });
+
+app.get('/api/projects/:projectId/trash', requireProjectSecret, async (req, res) => {
+  const items = await listTrashedItems(req.project.id);
+  res.json({ items: items.map(withPurgeDate), retentionDays: TRASH_RETENTION_DAYS });
+});
+
+app.post('/api/projects/:projectId/trash/:itemId/restore', requireProjectSecret, async (req, res) => {
+  try {
+    const item = await restoreItem(req.project.id, req.params.itemId, {
+      overrideWipLimit: isOverrideRequested(req.body)
+    });
+    publishProjectEvent(req.project.id, 'item.restored', { item });
+    setItemEtag(res, item);
+    res.json({ item });
   } catch (error) {
     if (error.message === 'Item not found.') {
       return res.status(404).json({ error: error.message });
     }
+    if (error instanceof WipLimitError) {
+      return sendWipLimitError(res, error);
+    }
     res.status(400).json({ error: error.message });
   }
 });
@@ -151,12 +1244,68 @@ app.delete('/api/projects/:projectId/items/:itemId', requireProjectSecret, async
 app.post('/api/projects/:projectId/items/reorder', requireProjectSecret, async (req, res) => {
   try {
     const columns = req.body?.columns || {};
-    const items = await reorderItems(req.project.id, columns);
-    res.json({ columns: groupItemsByStatus(items) });
+    const versions = req.body?.versions;
+    const items = await reorderItems(req.project.id, columns, {
+      overrideWipLimit: isOverrideRequested(req.body),
+      expectedVersions: versions && typeof versions === 'object' ? versions : undefined
+    });
+    const grouped = groupItemsByStatus(items, req.project.workflow);
+    publishProjectEvent(req.project.id, 'items.reordered', { columns: toColumnIds(grouped) });
+    res.json({ columns: grouped });
   } catch (error) {
     if (error.message === 'Project not found.') {
       return res.status(404).json({ error: error.message });
     }
+    if (error instanceof BlockedItemError) {
+      return sendBlockedItemError(res, error);
+    }
+    if (error instanceof WipLimitError) {
+      return sendWipLimitError(res, error);
+    }
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+const BULK_CONFLICTS = [WipLimitError, BlockedItemError, VersionConflictError, EpicHasChildrenError];
+
+// The failed operation's own status and details, plus its 0-based `operation` index.
+function sendBulkOperationError(res, error) {
+  const { cause } = error;
+  let status = 400;
+  if (cause.message === 'Item not found.') {
+    status = 404;
+  } else if (BULK_CONFLICTS.some((ErrorClass) => cause instanceof ErrorClass)) {
+    status = 409;
+  }
+  const details = Object.fromEntries(Object.entries(cause).filter(([key]) => key !== 'name'));
+  return res
+    .status(status)
+    .json({ ...details, error: error.message, code: error.code, operation: error.index });
+}
+
+/**
+ * Applies up to 100 move, update and delete operations in order, all or
+ * nothing (see bulk.js). Responds with `{ updated, deleted }`: the final
+ * state of every changed card still on the board and the ids of the
+ * trashed ones.
+ */
+app.post('/api/projects/:projectId/items/bulk', requireProjectSecret, async (req, res) => {
+  try {
+    const operations = normalizeBulkOperations(req.body?.operations);
+    const results = await bulkUpdateItems(req.project.id, operations, {
+      overrideWipLimit: isOverrideRequested(req.body)
+    });
+    const { updated, deleted } = summarizeBulkResults(results);
+    updated.forEach((item) => publishProjectEvent(req.project.id, 'item.updated', { item }));
+    deleted.forEach((itemId) => publishProjectEvent(req.project.id, 'item.deleted', { itemId }));
+    res.json({ updated, deleted });
+  } catch (error) {
+    if (error instanceof BulkOperationError) {
+      return sendBulkOperationError(res, error);
+    }
     res.status(400).json({ error: error.message });
   }
 });
@@ -0,0 +1,616 @@
+const { randomUUID } = require('crypto');
+const { ArchiveValidationError } = require('./errors');
+const { normalizeWorkflow, workflowStatuses } = require('./workflow');
+const { normalizeLabelInput, normalizeLabelIds } = require('./labels');
+const { normalizeCollaboratorInput, normalizeAssignees } = require('./roster');
+const { normalizeSprintInput } = require('./sprints');
+const { normalizeDueDate } = require('./dueDates');
+const { normalizePriority, normalizeEstimate } = require('./planning');
+const { normalizeBlockers, assertNoDependencyCycle } = require('./dependencies');
+const { normalizeAuthorName, normalizeCommentBody } = require('./comments');
+const { MAX_CHECKLIST_ENTRIES, normalizeChecklistText } = require('./checklists');
+
+const ARCHIVE_FORMAT = 'backlog-pilot/project';
+// Bump when the document shape changes; older versions must stay importable.
+// 2 added labels, the roster, sprints, comments, checklists, each card's
+// status history and the card fields that refer to them.
+const ARCHIVE_VERSION = 2;
+const MAX_ARCHIVE_ITEMS = 5000;
+const MAX_REPORTED_PROBLEMS = 20;
+const SPRINT_STATES = ['planned', 'active', 'completed'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isTimestamp = (value) =>
+  typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+function archiveComment(comment) {
+  return {
+    id: comment.id,
+    parentId: comment.parentId || null,
+    authorName: comment.authorName,
+    body: comment.body,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+    deletedAt: comment.deletedAt || null
+  };
+}
+
+function archiveChecklistEntry(entry) {
+  return {
+    text: entry.text,
+    done: entry.done,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+function archiveItem(item, { comments = [], checklist = [], transitions = [] }) {
+  return {
+    id: item.id,
+    title: item.title,
+    description: item.description || '',
+    status: item.status,
+    position: item.position,
+    labelIds: item.labelIds || [],
+    assignees: item.assignees || [],
+    blockedBy: item.blockedBy || [],
+    epicId: item.epicId || null,
+    sprintId: item.sprintId || null,
+    dueDate: item.dueDate || null,
+    priority: item.priority || null,
+    estimate: item.estimate ?? null,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+    deletedAt: item.deletedAt || null,
+    columnEnteredAt: item.columnEnteredAt || {},
+    transitions: transitions.map(({ from, to, createdAt }) => ({ from, to, createdAt })),
+    comments: comments.map(archiveComment),
+    checklist: [...checklist].sort((a, b) => a.position - b.position).map(archiveChecklistEntry)
+  };
+}
+
+const groupByItem = (records) =>
+  records.reduce((groups, record) => {
+    (groups[record.itemId] = groups[record.itemId] || []).push(record);
+    return groups;
+  }, {});
+
+/**
+ * Serializes a project with all of its items, including trashed ones, and
+ * everything they refer to: labels, the roster, sprints, comments,
+ * checklists and the status history (oldest first) that flow and cycle time
+ * analytics replay. Secrets are never exported.
+ */
+function buildArchive(
+  project,
+  { items, labels, collaborators, sprints, comments, checklist, transitions }
+) {
+  const commentsByItem = groupByItem(comments);
+  const checklistByItem = groupByItem(checklist);
+  const transitionsByItem = groupByItem(transitions);
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: {
+      name: project.name,
+      workflow: project.workflow,
+      createdAt: project.createdAt
+    },
+    labels: labels.map(({ id, name, color, createdAt }) => ({ id, name, color, createdAt })),
+    collaborators: collaborators.map(({ id, name, initials, createdAt }) => ({
+      id,
+      name,
+      initials,
+      createdAt
+    })),
+    sprints: sprints.map(
+      ({ id, name, goal, startDate, endDate, state, startedAt, completedAt, createdAt }) => ({
+        id,
+        name,
+        goal,
+        startDate,
+        endDate,
+        state,
+        startedAt,
+        completedAt,
+        createdAt
+      })
+    ),
+    items: items.map((item) =>
+      archiveItem(item, {
+        comments: commentsByItem[item.id],
+        checklist: checklistByItem[item.id],
+        transitions: transitionsByItem[item.id]
+      })
+    )
+  };
+}
+
+function checkTimestamp(fail, path, value, { required = false } = {}) {
+  if (value === undefined || value === null) {
+    if (required) fail(path, 'is required.');
+    return;
+  }
+  if (!isTimestamp(value)) {
+    fail(path, 'must be an ISO 8601 timestamp.');
+  }
+}
+
+// Runs one of the API's own validators, reporting what it rejects at `path`.
+function attempt(fail, path, normalize) {
+  try {
+    return normalize();
+  } catch (error) {
+    fail(path, error.message);
+    return undefined;
+  }
+}
+
+function checkId(fail, path, id, seenIds, noun) {
+  if (typeof id !== 'string' || !id) {
+    fail(path, 'must be a non-empty string.');
+    return null;
+  }
+  if (seenIds.has(id)) {
+    fail(path, `duplicates another ${noun} (${id}).`);
+    return null;
+  }
+  seenIds.add(id);
+  return id;
+}
+
+// Labels and roster entries: records with an id and a name unique regardless of case.
+function checkNamedRecords(fail, records, collection, noun, normalize) {
+  if (records === undefined) return [];
+  if (!Array.isArray(records)) {
+    fail(collection, 'must be an array.');
+    return [];
+  }
+  const seenIds = new Set();
+  const seenNames = new Set();
+  return records.map((record, index) => {
+    const path = `${collection}[${index}]`;
+    if (!isPlainObject(record)) {
+      fail(path, 'must be an object.');
+      return null;
+    }
+    const sourceId = checkId(fail, `${path}.id`, record.id, seenIds, noun);
+    const fields = attempt(fail, path, () => normalize(record));
+    if (fields && seenNames.has(fields.name.toLowerCase())) {
+      fail(`${path}.name`, `duplicates another ${noun} (${fields.name}).`);
+    } else if (fields) {
+      seenNames.add(fields.name.toLowerCase());
+    }
+    checkTimestamp(fail, `${path}.createdAt`, record.createdAt);
+    return { sourceId, ...fields, createdAt: record.createdAt || null };
+  });
+}
+
+function checkSprints(fail, sprints) {
+  if (sprints === undefined) return [];
+  if (!Array.isArray(sprints)) {
+    fail('sprints', 'must be an array.');
+    return [];
+  }
+  const seenIds = new Set();
+  let activeSeen = false;
+  return sprints.map((sprint, index) => {
+    const path = `sprints[${index}]`;
+    if (!isPlainObject(sprint)) {
+      fail(path, 'must be an object.');
+      return null;
+    }
+    const sourceId = checkId(fail, `${path}.id`, sprint.id, seenIds, 'sprint');
+    const fields = attempt(fail, path, () => normalizeSprintInput(sprint));
+    const state = sprint.state ?? 'planned';
+    if (!SPRINT_STATES.includes(state)) {
+      fail(`${path}.state`, `must be one of: ${SPRINT_STATES.join(', ')}.`);
+    } else if (state === 'active' && activeSeen) {
+      fail(`${path}.state`, 'must not be active when another sprint is.');
+    }
+    activeSeen = activeSeen || state === 'active';
+    checkTimestamp(fail, `${path}.startedAt`, sprint.startedAt);
+    checkTimestamp(fail, `${path}.completedAt`, sprint.completedAt);
+    checkTimestamp(fail, `${path}.createdAt`, sprint.createdAt);
+    return {
+      sourceId,
+      ...fields,
+      state,
+      startedAt: sprint.startedAt || null,
+      completedAt: sprint.completedAt || null,
+      createdAt: sprint.createdAt || null
+    };
+  });
+}
+
+// Threads are one level deep: a reply's parent is a top-level comment on the same card.
+function checkComments(fail, comments, path) {
+  if (comments === undefined) return [];
+  if (!Array.isArray(comments)) {
+    fail(path, 'must be an array.');
+    return [];
+  }
+  const seenIds = new Set();
+  const checked = comments.map((comment, index) => {
+    const commentPath = `${path}[${index}]`;
+    if (!isPlainObject(comment)) {
+      fail(commentPath, 'must be an object.');
+      return null;
+    }
+    const sourceId = checkId(fail, `${commentPath}.id`, comment.id, seenIds, 'comment');
+    const authorName = attempt(fail, `${commentPath}.authorName`, () =>
+      normalizeAuthorName(comment.authorName)
+    );
+    // Deleted comments keep their place in the thread without their text.
+    const body = comment.deletedAt
+      ? ''
+      : attempt(fail, `${commentPath}.body`, () => normalizeCommentBody(comment.body));
+    checkTimestamp(fail, `${commentPath}.createdAt`, comment.createdAt);
+    checkTimestamp(fail, `${commentPath}.updatedAt`, comment.updatedAt);
+    checkTimestamp(fail, `${commentPath}.deletedAt`, comment.deletedAt);
+    return {
+      sourceId,
+      parentId: comment.parentId || null,
+      authorName,
+      body,
+      createdAt: comment.createdAt || null,
+      updatedAt: comment.updatedAt || null,
+      deletedAt: comment.deletedAt || null
+    };
+  });
+
+  const topLevel = new Set(
+    checked.filter((comment) => comment && !comment.parentId).map((comment) => comment.sourceId)
+  );
+  checked.forEach((comment, index) => {
+    if (comment?.parentId && !topLevel.has(comment.parentId)) {
+      fail(`${path}[${index}].parentId`, 'must be the id of a top-level comment on the same item.');
+    }
+  });
+  return checked;
+}
+
+function checkChecklist(fail, checklist, path) {
+  if (checklist === undefined) return [];
+  if (!Array.isArray(checklist)) {
+    fail(path, 'must be an array.');
+    return [];
+  }
+  if (checklist.length > MAX_CHECKLIST_ENTRIES) {
+    fail(path, `must contain at most ${MAX_CHECKLIST_ENTRIES} entries.`);
+    return [];
+  }
+  return checklist.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isPlainObject(entry)) {
+      fail(entryPath, 'must be an object.');
+      return null;
+    }
+    const text = attempt(fail, `${entryPath}.text`, () => normalizeChecklistText(entry.text));
+    if (entry.done !== undefined && typeof entry.done !== 'boolean') {
+      fail(`${entryPath}.done`, 'must be true or false.');
+    }
+    checkTimestamp(fail, `${entryPath}.createdAt`, entry.createdAt);
+    checkTimestamp(fail, `${entryPath}.updatedAt`, entry.updatedAt);
+    return {
+      text,
+      done: entry.done === true,
+      createdAt: entry.createdAt || null,
+      updatedAt: entry.updatedAt || null
+    };
+  });
+}
+
+const isColumnKey = (value) => typeof value === 'string' && value !== '';
+
+// Status history, oldest first. A null `from` means the card arrived on the
+// board and a null `to` that it left for the trash. Columns may have been
+// removed from the workflow since, so any column key is accepted.
+function checkTransitions(fail, transitions, path) {
+  if (transitions === undefined || transitions === null) return [];
+  if (!Array.isArray(transitions)) {
+    fail(path, 'must be an array.');
+    return [];
+  }
+  return transitions
+    .map((transition, index) => {
+      const transitionPath = `${path}[${index}]`;
+      if (!isPlainObject(transition)) {
+        fail(transitionPath, 'must be an object.');
+        return null;
+      }
+      const from = transition.from ?? null;
+      const to = transition.to ?? null;
+      if (from !== null && !isColumnKey(from)) {
+        fail(`${transitionPath}.from`, 'must be a column key or null.');
+      }
+      if (to !== null && !isColumnKey(to)) {
+        fail(`${transitionPath}.to`, 'must be a column key or null.');
+      }
+      if (from === null && to === null) {
+        fail(transitionPath, 'must have a from or a to column.');
+      }
+      checkTimestamp(fail, `${transitionPath}.createdAt`, transition.createdAt, { required: true });
+      return isTimestamp(transition.createdAt)
+        ? { from, to, createdAt: new Date(transition.createdAt).toISOString() }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// When the card first entered each column, as `{ columnKey: timestamp }`.
+// Null when missing, so the importer rebuilds it from the status history.
+function checkColumnEntries(fail, entries, path) {
+  if (entries === undefined || entries === null) return null;
+  if (!isPlainObject(entries)) {
+    fail(path, 'must be an object of column keys and timestamps.');
+    return null;
+  }
+  const checked = {};
+  Object.entries(entries).forEach(([status, at]) => {
+    checkTimestamp(fail, `${path}.${status}`, at, { required: true });
+    if (isTimestamp(at)) {
+      checked[status] = new Date(at).toISOString();
+    }
+  });
+  return Object.keys(checked).length > 0 ? checked : null;
+}
+
+function checkIdList(fail, path, value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((id) => typeof id !== 'string' || !id)) {
+    fail(path, 'must be an array of ids.');
+    return [];
+  }
+  return value;
+}
+
+function checkItem(fail, item, index, context) {
+  const path = `items[${index}]`;
+  if (!isPlainObject(item)) {
+    fail(path, 'must be an object.');
+    return null;
+  }
+  if (item.id !== undefined) {
+    if (typeof item.id !== 'string' || !item.id) {
+      fail(`${path}.id`, 'must be a non-empty string.');
+    } else if (context.seenIds.has(item.id)) {
+      fail(`${path}.id`, `duplicates another item (${item.id}).`);
+    } else {
+      context.seenIds.add(item.id);
+    }
+  }
+  if (typeof item.title !== 'string' || !item.title.trim()) {
+    fail(`${path}.title`, 'must be a non-empty string.');
+  }
+  if (item.description !== undefined && item.description !== null && typeof item.description !== 'string') {
+    fail(`${path}.description`, 'must be a string.');
+  }
+  if (!context.statuses.includes(item.status)) {
+    fail(`${path}.status`, 'must be one of the workflow column keys.');
+  }
+  if (item.position !== undefined && (!Number.isInteger(item.position) || item.position < 1)) {
+    fail(`${path}.position`, 'must be a positive integer.');
+  }
+
+  const labelIds = attempt(fail, `${path}.labelIds`, () =>
+    normalizeLabelIds(item.labelIds ?? [], context.labelIds)
+  );
+  const assignees = attempt(fail, `${path}.assignees`, () =>
+    normalizeAssignees(item.assignees ?? [], context.collaboratorIds)
+  );
+  if (!isBlank(item.sprintId) && !context.sprintIds.includes(item.sprintId)) {
+    fail(`${path}.sprintId`, 'must be the id of a sprint in the archive.');
+  }
+  if (!isBlank(item.epicId) && typeof item.epicId !== 'string') {
+    fail(`${path}.epicId`, 'must be an item id.');
+  }
+  const dueDate = attempt(fail, `${path}.dueDate`, () => normalizeDueDate(item.dueDate));
+  const priority = attempt(fail, `${path}.priority`, () => normalizePriority(item.priority));
+  const estimate = attempt(fail, `${path}.estimate`, () => normalizeEstimate(item.estimate));
+
+  checkTimestamp(fail, `${path}.createdAt`, item.createdAt);
+  checkTimestamp(fail, `${path}.updatedAt`, item.updatedAt);
+  checkTimestamp(fail, `${path}.deletedAt`, item.deletedAt);
+
+  return {
+    sourceId: item.id ?? null,
+    title: typeof item.title === 'string' ? item.title.trim() : '',
+    description: (item.description || '').trim(),
+    status: item.status,
+    position: item.position,
+    labelIds: labelIds || [],
+    assignees: assignees || [],
+    blockedBy: checkIdList(fail, `${path}.blockedBy`, item.blockedBy),
+    epicId: isBlank(item.epicId) ? null : item.epicId,
+    sprintId: isBlank(item.sprintId) ? null : item.sprintId,
+    dueDate: dueDate ?? null,
+    priority: priority ?? null,
+    estimate: estimate ?? null,
+    createdAt: item.createdAt || null,
+    updatedAt: item.updatedAt || null,
+    deletedAt: item.deletedAt || null,
+    columnEnteredAt: checkColumnEntries(fail, item.columnEnteredAt, `${path}.columnEnteredAt`),
+    transitions: checkTransitions(fail, item.transitions, `${path}.transitions`),
+    comments: checkComments(fail, item.comments, `${path}.comments`),
+    checklist: checkChecklist(fail, item.checklist, `${path}.checklist`)
+  };
+}
+
+// Blockers and epics point at other items, so they are checked once every item has been read.
+function checkItemLinks(fail, items) {
+  const itemIds = items.map((item) => item.sourceId).filter(Boolean);
+  const byId = new Map(items.map((item) => [item.sourceId, item]));
+  const graph = items.map((item) => ({ ...item, id: item.sourceId }));
+  items.forEach((item, index) => {
+    const path = `items[${index}]`;
+    if (item.blockedBy.length > 0) {
+      attempt(fail, `${path}.blockedBy`, () => {
+        normalizeBlockers(item.blockedBy, { itemId: item.sourceId, projectItemIds: itemIds });
+        assertNoDependencyCycle(item.sourceId, item.blockedBy, graph);
+      });
+    }
+    if (item.epicId) {
+      const epic = byId.get(item.epicId);
+      if (!epic || epic === item || epic.epicId) {
+        fail(`${path}.epicId`, 'must be the id of another item that is not part of an epic.');
+      }
+    }
+  });
+}
+
+// Renumbers positions 1..n within each column, keeping the archived order.
+function normalizePositions(items) {
+  const byStatus = new Map();
+  items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (a.item.position ?? Infinity) - (b.item.position ?? Infinity) || a.index - b.index)
+    .forEach(({ item }) => {
+      const position = (byStatus.get(item.status) || 0) + 1;
+      byStatus.set(item.status, position);
+      item.position = position;
+    });
+  return items;
+}
+
+/**
+ * Validates an archive produced by `buildArchive` (this or an older version)
+ * and returns `{ name, workflow, labels, collaborators, sprints, items }`
+ * ready to import, still carrying the archive's ids as `sourceId` and in
+ * references. Throws an ArchiveValidationError listing every problem found.
+ */
+function parseArchive(document) {
+  const problems = [];
+  const fail = (path, message) => problems.push({ path, message });
+
+  if (!isPlainObject(document)) {
+    throw new ArchiveValidationError([{ path: 'archive', message: 'must be a JSON object.' }]);
+  }
+
+  if (document.format !== ARCHIVE_FORMAT) {
+    fail('format', `must be "${ARCHIVE_FORMAT}".`);
+  }
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    fail('version', 'must be a positive integer.');
+  } else if (document.version > ARCHIVE_VERSION) {
+    fail('version', `${document.version} is newer than this server supports (${ARCHIVE_VERSION}).`);
+  }
+
+  const project = isPlainObject(document.project) ? document.project : null;
+  if (!project) {
+    fail('project', 'must be an object.');
+  } else if (typeof project.name !== 'string' || !project.name.trim()) {
+    fail('project.name', 'must be a non-empty string.');
+  }
+
+  let workflow = null;
+  try {
+    workflow = normalizeWorkflow(project?.workflow);
+  } catch (error) {
+    fail('project.workflow', error.message);
+  }
+
+  const labels = checkNamedRecords(fail, document.labels, 'labels', 'label', normalizeLabelInput);
+  const collaborators = checkNamedRecords(
+    fail,
+    document.collaborators,
+    'collaborators',
+    'collaborator',
+    normalizeCollaboratorInput
+  );
+  const sprints = checkSprints(fail, document.sprints);
+
+  const items = Array.isArray(document.items) ? document.items : null;
+  let checkedItems = [];
+  if (!items) {
+    fail('items', 'must be an array.');
+  } else if (items.length > MAX_ARCHIVE_ITEMS) {
+    fail('items', `must contain at most ${MAX_ARCHIVE_ITEMS} entries.`);
+  } else if (workflow) {
+    const idsOf = (records) => records.filter(Boolean).map((record) => record.sourceId);
+    const context = {
+      statuses: workflowStatuses(workflow),
+      seenIds: new Set(),
+      labelIds: idsOf(labels),
+      collaboratorIds: idsOf(collaborators),
+      sprintIds: idsOf(sprints)
+    };
+    checkedItems = items.map((item, index) => checkItem(fail, item, index, context));
+    if (checkedItems.every(Boolean)) {
+      checkItemLinks(fail, checkedItems);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ArchiveValidationError(problems.slice(0, MAX_REPORTED_PROBLEMS));
+  }
+
+  return {
+    name: project.name.trim(),
+    workflow,
+    labels,
+    collaborators,
+    sprints,
+    items: normalizePositions(checkedItems)
+  };
+}
+
+/**
+ * Gives every record of a parsed archive a fresh `id` and points the
+ * references between them (labels, assignees, blockers, epics, sprints and
+ * comment replies) at the new ids, so an archive can be imported next to
+ * the board it came from.
+ */
+function remapArchiveIds({ labels, collaborators, sprints, items, ...project }) {
+  const assign = (records) => {
+    const ids = new Map();
+    const assigned = records.map(({ sourceId, ...record }) => {
+      const id = randomUUID();
+      if (sourceId) ids.set(sourceId, id);
+      return { id, ...record };
+    });
+    return { ids, assigned };
+  };
+  const mapIds = (sourceIds, ids) => sourceIds.map((sourceId) => ids.get(sourceId)).sort();
+
+  const labelMap = assign(labels);
+  const collaboratorMap = assign(collaborators);
+  const sprintMap = assign(sprints);
+  const itemMap = assign(items);
+
+  return {
+    ...project,
+    labels: labelMap.assigned,
+    collaborators: collaboratorMap.assigned,
+    sprints: sprintMap.assigned,
+    items: itemMap.assigned.map((item) => {
+      const commentMap = assign(item.comments);
+      return {
+        ...item,
+        labelIds: mapIds(item.labelIds, labelMap.ids),
+        assignees: mapIds(item.assignees, collaboratorMap.ids),
+        blockedBy: mapIds(item.blockedBy, itemMap.ids),
+        epicId: item.epicId ? itemMap.ids.get(item.epicId) : null,
+        sprintId: item.sprintId ? sprintMap.ids.get(item.sprintId) : null,
+        comments: commentMap.assigned.map((comment) => ({
+          ...comment,
+          parentId: comment.parentId ? commentMap.ids.get(comment.parentId) : null
+        }))
+      };
+    })
+  };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  buildArchive,
+  parseArchive,
+  remapArchiveIds
+};
@@ -0,0 +1,268 @@
+const { QueryError } = require('./errors');
+const { isCalendarDate } = require('./dueDates');
+const { PRIORITIES } = require('./planning');
+const { openBlockers } = require('./dependencies');
+
+const MAX_QUERY_LENGTH = 500;
+const COMPARISONS = ['>=', '<=', '>', '<'];
+const BOOLEANS = { yes: true, true: true, no: false, false: false };
+
+// What each field accepts: `none` matches cards without a value, `ordered`
+// fields also take the comparisons above.
+const FIELDS = {
+  status: { kind: 'name' },
+  label: { kind: 'name', none: true },
+  assignee: { kind: 'name', none: true },
+  sprint: { kind: 'name', none: true },
+  epic: { kind: 'name', none: true },
+  priority: { kind: 'priority', none: true, ordered: true },
+  estimate: { kind: 'number', none: true, ordered: true },
+  due: { kind: 'date', none: true, ordered: true },
+  created: { kind: 'date', ordered: true },
+  updated: { kind: 'date', ordered: true },
+  blocked: { kind: 'boolean' },
+  text: { kind: 'text' }
+};
+
+const isSpace = (char) => /\s/.test(char);
+
+// Splits the query into `[-]field:[op]value` terms; bare words are text terms.
+function readTerms(source) {
+  const terms = [];
+  let index = 0;
+  while (index < source.length) {
+    if (isSpace(source[index])) {
+      index += 1;
+      continue;
+    }
+    const position = index;
+    const negate = source[index] === '-' && index + 1 < source.length && !isSpace(source[index + 1]);
+    if (negate) index += 1;
+
+    const named = /^([a-z]+):/i.exec(source.slice(index));
+    const field = named ? named[1].toLowerCase() : 'text';
+    if (named) index += named[0].length;
+    const operator = (named && COMPARISONS.find((op) => source.startsWith(op, index))) || '=';
+    if (operator !== '=') index += operator.length;
+
+    const valuePosition = index;
+    let value;
+    if (source[index] === '"') {
+      const close = source.indexOf('"', index + 1);
+      if (close === -1) {
+        throw new QueryError('Unclosed quote.', index);
+      }
+      value = source.slice(index + 1, close);
+      index = close + 1;
+      if (index < source.length && !isSpace(source[index])) {
+        throw new QueryError('Expected a space after the closing quote.', index);
+      }
+    } else {
+      while (index < source.length && !isSpace(source[index])) index += 1;
+      value = source.slice(valuePosition, index);
+    }
+    terms.push({ field, operator, value, negate, position, valuePosition });
+  }
+  return terms;
+}
+
+function parseValue(field, kind, raw, position) {
+  switch (kind) {
+    case 'priority':
+      if (!PRIORITIES.includes(raw.toLowerCase())) {
+        throw new QueryError(`priority must be one of: ${PRIORITIES.join(', ')}.`, position);
+      }
+      return raw.toLowerCase();
+    case 'number':
+      if (!/^\d+(\.\d+)?$/.test(raw)) {
+        throw new QueryError(`${field} expects a number, got "${raw}".`, position);
+      }
+      return Number(raw);
+    case 'date':
+      if (!isCalendarDate(raw)) {
+        throw new QueryError(`${field} expects a date like 2026-09-01, got "${raw}".`, position);
+      }
+      return raw;
+    case 'boolean':
+      if (!(raw.toLowerCase() in BOOLEANS)) {
+        throw new QueryError(`${field} expects yes or no, got "${raw}".`, position);
+      }
+      return BOOLEANS[raw.toLowerCase()];
+    case 'text':
+      return raw.toLowerCase();
+    default:
+      return raw;
+  }
+}
+
+function parseTerm({ field, operator, value, negate, position, valuePosition }) {
+  const spec = FIELDS[field];
+  if (!spec) {
+    throw new QueryError(
+      `Unknown field "${field}". Use one of: ${Object.keys(FIELDS).join(', ')}.`,
+      position
+    );
+  }
+  if (operator !== '=' && !spec.ordered) {
+    throw new QueryError(`${field} cannot be compared with ${operator}.`, position);
+  }
+  if (value.trim() === '') {
+    throw new QueryError(`${field} needs a value.`, valuePosition);
+  }
+
+  // A comma list matches any of its values; text keeps commas as typed.
+  const raws = spec.kind === 'text' ? [value] : value.split(',');
+  if (operator !== '=' && raws.length > 1) {
+    throw new QueryError(`${field}:${operator} takes a single value.`, valuePosition);
+  }
+  let offset = valuePosition;
+  const values = raws.map((raw) => {
+    const at = offset;
+    offset += raw.length + 1;
+    if (raw.trim() === '') {
+      throw new QueryError(`${field} has an empty value in its list.`, at);
+    }
+    if (spec.kind !== 'text' && raw.toLowerCase() === 'none') {
+      if (!spec.none) {
+        throw new QueryError(`${field} cannot be none.`, at);
+      }
+      if (operator !== '=') {
+        throw new QueryError(`${field}:${operator} cannot compare with none.`, at);
+      }
+      return null;
+    }
+    return parseValue(field, spec.kind, raw.trim(), at);
+  });
+  return { field, operator, values, negate, position };
+}
+
+/**
+ * Parses a board query such as `status:review created:>2026-09-01 text:"login"`
+ * into clauses that must all match. Throws a QueryError pointing at the part
+ * it could not read. Names are resolved later, by compileBoardQuery.
+ */
+function parseBoardQuery(text) {
+  if (text !== undefined && text !== null && typeof text !== 'string') {
+    throw new QueryError('Queries must be text.');
+  }
+  const source = text || '';
+  if (source.length > MAX_QUERY_LENGTH) {
+    throw new QueryError(`Queries are limited to ${MAX_QUERY_LENGTH} characters.`);
+  }
+  return readTerms(source).map(parseTerm);
+}
+
+const byName = (name) => (candidate) => candidate.toLowerCase() === name.toLowerCase();
+
+// Turns the names a clause mentions into the ids cards store.
+function resolveNames(clause, { workflow, labels, roster, sprints, items }) {
+  const resolve = (value) => {
+    if (value === null) return null;
+    switch (clause.field) {
+      case 'status': {
+        const column = workflow.find((col) => [col.key, col.label].some(byName(value)));
+        if (!column) {
+          throw new QueryError(
+            `No column named "${value}". Columns: ${workflow.map((col) => col.label).join(', ')}.`,
+            clause.position
+          );
+        }
+        return column.key;
+      }
+      case 'label': {
+        const label = labels.find((candidate) => byName(value)(candidate.name));
+        if (!label) throw new QueryError(`No label named "${value}".`, clause.position);
+        return label.id;
+      }
+      case 'assignee': {
+        const person = roster.find((candidate) =>
+          [candidate.name, candidate.initials].some(byName(value))
+        );
+        if (!person) throw new QueryError(`No one named "${value}" on the team.`, clause.position);
+        return person.id;
+      }
+      case 'sprint': {
+        const sprint = sprints.find((candidate) => byName(value)(candidate.name));
+        if (sprint) return sprint.id;
+        if (value.toLowerCase() === 'active') {
+          // Between sprints, `sprint:active` matches nothing rather than failing.
+          return sprints.find((candidate) => candidate.state === 'active')?.id ?? undefined;
+        }
+        throw new QueryError(`No sprint named "${value}".`, clause.position);
+      }
+      case 'epic': {
+        const epics = items.filter((item) => !item.deletedAt && byName(value)(item.title));
+        if (epics.length === 0) throw new QueryError(`No card titled "${value}".`, clause.position);
+        return new Set(epics.map((epic) => epic.id));
+      }
+      default:
+        return value;
+    }
+  };
+  return { ...clause, values: clause.values.map(resolve) };
+}
+
+function compare(actual, operator, expected) {
+  if (actual === null || actual === undefined) return false;
+  switch (operator) {
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    default:
+      return actual === expected;
+  }
+}
+
+const dayOf = (timestamp) => (timestamp ? timestamp.slice(0, 10) : null);
+
+function clauseMatcher({ field, operator, values, negate }, { workflow, items }) {
+  const tests = {
+    status: (item, value) => item.status === value,
+    label: (item, value) =>
+      value === null ? item.labelIds.length === 0 : item.labelIds.includes(value),
+    assignee: (item, value) =>
+      value === null ? item.assignees.length === 0 : item.assignees.includes(value),
+    sprint: (item, value) => value !== undefined && (item.sprintId ?? null) === value,
+    // An epic's own card is listed with its children, like the board's epic filter.
+    epic: (item, value) =>
+      value === null ? !item.epicId : value.has(item.epicId) || value.has(item.id),
+    priority: (item, value) =>
+      value === null
+        ? !item.priority
+        : compare(
+          item.priority ? PRIORITIES.indexOf(item.priority) : null,
+          operator,
+          PRIORITIES.indexOf(value)
+        ),
+    estimate: (item, value) =>
+      value === null ? item.estimate === null : compare(item.estimate, operator, value),
+    due: (item, value) => (value === null ? !item.dueDate : compare(item.dueDate, operator, value)),
+    created: (item, value) => compare(dayOf(item.createdAt), operator, value),
+    updated: (item, value) => compare(dayOf(item.updatedAt), operator, value),
+    blocked: (item, value) => openBlockers(item, items, workflow).length > 0 === value,
+    text: (item, value) => `${item.title}\n${item.description || ''}`.toLowerCase().includes(value)
+  };
+  const test = tests[field];
+  return (item) => values.some((value) => test(item, value)) !== negate;
+}
+
+/**
+ * Builds a predicate for parsed clauses against a project's workflow,
+ * labels, roster, sprints and items. Names that match nothing in the project
+ * raise a QueryError, so a typo is reported instead of emptying the board.
+ */
+function compileBoardQuery(clauses, context) {
+  const matchers = clauses.map((clause) => clauseMatcher(resolveNames(clause, context), context));
+  return (item) => matchers.every((matches) => matches(item));
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseBoardQuery,
+  compileBoardQuery
+};
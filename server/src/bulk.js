@@ -0,0 +1,116 @@
+const { parseChildAction } = require('./epics');
+
+const MAX_BULK_OPERATIONS = 100;
+const BULK_OPERATION_TYPES = ['move', 'update', 'delete'];
+// The fields PATCH /items/:itemId accepts.
+const UPDATABLE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'labelIds',
+  'assignees',
+  'blockedBy',
+  'epicId',
+  'sprintId',
+  'dueDate',
+  'priority',
+  'estimate'
+];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function normalizeOperation(operation, index) {
+  const fail = (message) => {
+    throw new Error(`Operation ${index + 1}: ${message}`);
+  };
+  if (!isPlainObject(operation)) {
+    fail('must be an object.');
+  }
+  const { type, itemId, version } = operation;
+  if (!BULK_OPERATION_TYPES.includes(type)) {
+    fail(`type must be one of: ${BULK_OPERATION_TYPES.join(', ')}.`);
+  }
+  if (typeof itemId !== 'string' || !itemId) {
+    fail('itemId is required.');
+  }
+  if (version !== undefined && !(Number.isInteger(version) && version > 0)) {
+    fail('version must be a positive integer.');
+  }
+  const normalized = { type, itemId, expectedVersion: version };
+
+  if (type === 'move') {
+    if (typeof operation.status !== 'string' || !operation.status) {
+      fail('status is required to move a card.');
+    }
+    return { ...normalized, updates: { status: operation.status } };
+  }
+
+  if (type === 'update') {
+    const { changes } = operation;
+    if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+      fail('changes must be an object with at least one field.');
+    }
+    const unknown = Object.keys(changes).find((field) => !UPDATABLE_FIELDS.includes(field));
+    if (unknown) {
+      fail(`"${unknown}" cannot be changed. Use: ${UPDATABLE_FIELDS.join(', ')}.`);
+    }
+    return { ...normalized, updates: changes };
+  }
+
+  let children;
+  try {
+    children = parseChildAction(operation.children);
+  } catch (error) {
+    fail(error.message);
+  }
+  return { ...normalized, children };
+}
+
+/**
+ * Validates the shape of a bulk request's `operations`:
+ *
+ * - `{ type: 'move', itemId, status }` moves a card to the end of a column,
+ * - `{ type: 'update', itemId, changes }` applies the same fields as PATCH,
+ * - `{ type: 'delete', itemId, children? }` moves a card to the trash.
+ *
+ * Each may carry the card's `version` to guard against lost updates. Whether
+ * the cards and values exist is checked by the store as the operations run.
+ */
+function normalizeBulkOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error('Operations must be a non-empty array.');
+  }
+  if (operations.length > MAX_BULK_OPERATIONS) {
+    throw new Error(`A bulk request is limited to ${MAX_BULK_OPERATIONS} operations.`);
+  }
+  return operations.map(normalizeOperation);
+}
+
+/**
+ * Folds the per-operation results into what changed overall: the final
+ * state of every card still on the board, and the ids of the trashed ones.
+ */
+function summarizeBulkResults(results) {
+  const updated = new Map();
+  const deleted = [];
+  const remove = (itemId) => {
+    updated.delete(itemId);
+    deleted.push(itemId);
+  };
+  results.forEach((result) => {
+    if (result.item) {
+      updated.set(result.item.id, result.item);
+      return;
+    }
+    remove(result.removed.id);
+    result.trashedChildren.forEach((child) => remove(child.id));
+    result.detached.forEach((child) => updated.set(child.id, child));
+  });
+  return { updated: [...updated.values()], deleted };
+}
+
+module.exports = {
+  MAX_BULK_OPERATIONS,
+  normalizeBulkOperations,
+  summarizeBulkResults
+};
@@ -0,0 +1,49 @@
+const MAX_ENTRY_LENGTH = 500;
+const MAX_CHECKLIST_ENTRIES = 100;
+
+function normalizeChecklistText(text) {
+  const normalized = typeof text === 'string' ? text.trim() : '';
+  if (!normalized) {
+    throw new Error('Checklist text is required.');
+  }
+  if (normalized.length > MAX_ENTRY_LENGTH) {
+    throw new Error(`Checklist entries are limited to ${MAX_ENTRY_LENGTH} characters.`);
+  }
+  return normalized;
+}
+
+function assertChecklistCapacity(count) {
+  if (count >= MAX_CHECKLIST_ENTRIES) {
+    throw new Error(`A checklist can hold at most ${MAX_CHECKLIST_ENTRIES} entries.`);
+  }
+}
+
+/**
+ * Validates a new order for a card's checklist: `entryIds` must name every
+ * current entry exactly once, so a stale client cannot drop or duplicate one.
+ */
+function normalizeChecklistOrder(entryIds, currentIds) {
+  const valid =
+    Array.isArray(entryIds) &&
+    entryIds.length === currentIds.length &&
+    new Set(entryIds).size === entryIds.length &&
+    entryIds.every((id) => currentIds.includes(id));
+  if (!valid) {
+    throw new Error('Checklist order must list every entry exactly once.');
+  }
+  return entryIds;
+}
+
+// The `{ done, total }` summary cards show as "3/5".
+const checklistProgress = (entries) => ({
+  done: entries.filter((entry) => entry.done).length,
+  total: entries.length
+});
+
+module.exports = {
+  MAX_CHECKLIST_ENTRIES,
+  normalizeChecklistText,
+  assertChecklistCapacity,
+  normalizeChecklistOrder,
+  checklistProgress
+};
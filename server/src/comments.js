@@ -0,0 +1,48 @@
+const MAX_AUTHOR_LENGTH = 80;
+const MAX_COMMENT_LENGTH = 10000;
+
+function normalizeAuthorName(authorName) {
+  const normalized = typeof authorName === 'string' ? authorName.trim() : '';
+  if (!normalized) {
+    throw new Error('Author name is required.');
+  }
+  if (normalized.length > MAX_AUTHOR_LENGTH) {
+    throw new Error(`Author name is limited to ${MAX_AUTHOR_LENGTH} characters.`);
+  }
+  return normalized;
+}
+
+function normalizeCommentBody(body) {
+  const normalized = typeof body === 'string' ? body.trim() : '';
+  if (!normalized) {
+    throw new Error('Comment body is required.');
+  }
+  if (normalized.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Comments are limited to ${MAX_COMMENT_LENGTH} characters.`);
+  }
+  return normalized;
+}
+
+/**
+ * Groups a card's comments into threads, oldest first: top-level comments
+ * each carry their `replies`. Threads are one level deep; replying to a reply
+ * joins the same thread. A deleted comment that still has replies stays as a
+ * placeholder with an empty body.
+ */
+function threadComments(comments) {
+  const byCreation = [...comments].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const threads = new Map();
+  byCreation
+    .filter((comment) => !comment.parentId)
+    .forEach((comment) => threads.set(comment.id, { ...comment, replies: [] }));
+  byCreation
+    .filter((comment) => comment.parentId && threads.has(comment.parentId))
+    .forEach((comment) => threads.get(comment.parentId).replies.push(comment));
+  return [...threads.values()];
+}
+
+module.exports = {
+  normalizeAuthorName,
+  normalizeCommentBody,
+  threadComments
+};
@@ -0,0 +1,198 @@
+const { workflowStatuses } = require('./workflow');
+
+const EXPORT_COLUMNS = ['id', 'title', 'description', 'status', 'position', 'createdAt', 'updatedAt'];
+const IMPORT_FIELDS = ['title', 'description', 'status'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Header names recognised when the client does not send a mapping.
+const HEADER_ALIASES = {
+  title: ['title', 'name', 'summary', 'item'],
+  description: ['description', 'details', 'notes', 'body'],
+  status: ['status', 'column', 'state', 'stage']
+};
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas.
+// Cells that already start with apostrophes before one are guarded too, so the
+// import can strip exactly the apostrophe the export added.
+const GUARDED_PREFIX = /^'*[=+\-@\t\r]/;
+// Signed numbers evaluate to themselves and are exported as they are.
+const PLAIN_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+function escapeCell(value) {
+  let text = value === null || value === undefined ? '' : `${value}`;
+  if (GUARDED_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unescapeCell(text) {
+  return text.startsWith("'") && GUARDED_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+function toCsv(items) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  items.forEach((item) => {
+    lines.push(EXPORT_COLUMNS.map((column) => escapeCell(item[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parses RFC 4180 CSV (quoted fields, doubled quotes, CRLF or LF line ends)
+ * into `{ line, cells }` records, where `line` is the 1-based source line the
+ * record starts on. Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const source = `${text || ''}`.replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ line: rowLine, cells: row });
+    }
+    row = [];
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+        if (char === '\n' || (char === '\r' && source[index + 1] !== '\n')) {
+          line += 1;
+        }
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field.');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+function guessMapping(headers) {
+  const normalized = headers.map((header) => header.trim().toLowerCase());
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex((header) => HEADER_ALIASES[field].includes(header));
+    if (index !== -1) {
+      mapping[field] = headers[index];
+    }
+    return mapping;
+  }, {});
+}
+
+function resolveMapping(headers, mapping) {
+  const resolved = mapping && typeof mapping === 'object' ? mapping : guessMapping(headers);
+  const indexes = {};
+  Object.entries(resolved).forEach(([field, header]) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw new Error(`Unknown item field in mapping: ${field}`);
+    }
+    if (header === null || header === undefined || header === '') return;
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      throw new Error(`Mapped column "${header}" is not in the CSV header.`);
+    }
+    indexes[field] = index;
+  });
+  if (indexes.title === undefined) {
+    throw new Error('Map a CSV column to the item title.');
+  }
+  return { mapping: resolved, indexes };
+}
+
+// Accepts a column key or, case-insensitively, its label.
+function resolveStatus(value, workflow) {
+  const text = value.trim();
+  if (workflowStatuses(workflow).includes(text)) return text;
+  const match = workflow.find((column) => column.label.toLowerCase() === text.toLowerCase());
+  return match ? match.key : null;
+}
+
+/**
+ * Turns CSV text into import rows. Each row carries its 1-based `line` in the
+ * file and either an item payload or an `error`. `mapping` maps item fields to
+ * header names; when omitted it is guessed from common header names.
+ */
+function planCsvImport(text, { mapping, workflow, defaultStatus }) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new Error('CSV file is empty.');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`CSV import is limited to ${MAX_IMPORT_ROWS} rows.`);
+  }
+  const trimmedHeaders = header.cells.map((header) => header.trim());
+  const { mapping: resolvedMapping, indexes } = resolveMapping(trimmedHeaders, mapping);
+  const fallbackStatus = defaultStatus ?? workflow[0].key;
+  if (!workflowStatuses(workflow).includes(fallbackStatus)) {
+    throw new Error(`Invalid status: ${fallbackStatus}`);
+  }
+
+  const cellAt = (record, field) =>
+    indexes[field] === undefined ? '' : unescapeCell(record[indexes[field]] ?? '');
+
+  const rows = records.map(({ line, cells: record }) => {
+    const row = {
+      line,
+      title: cellAt(record, 'title').trim(),
+      description: cellAt(record, 'description').trim(),
+      status: fallbackStatus
+    };
+    const rawStatus = cellAt(record, 'status');
+    if (rawStatus.trim()) {
+      const status = resolveStatus(rawStatus, workflow);
+      if (status) {
+        row.status = status;
+      } else {
+        row.error = `Unknown status "${rawStatus.trim()}".`;
+      }
+    }
+    if (!row.title) {
+      row.error = 'Title is required.';
+    }
+    return row;
+  });
+
+  return { headers: trimmedHeaders, mapping: resolvedMapping, rows };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  toCsv,
+  parseCsv,
+  planCsvImport
+};
@@ -0,0 +1,108 @@
+const { workflowStatuses } = require('./workflow');
+const { dayEnd, parseDayRange } = require('./flow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERCENTILES = [50, 85, 95];
+
+/**
+ * Records that a card entered `status` at `at` in its `{ column: timestamp }`
+ * map. The first entry into a column is kept, so work that bounces between
+ * columns is timed from when it started; moving a card back forgets the
+ * columns after the one it lands in, so reopened work is finished afresh.
+ */
+function enterColumn(columnEnteredAt, status, workflow, at) {
+  const statuses = workflowStatuses(workflow);
+  // Columns since removed from the workflow have no order to reset.
+  const index = statuses.indexOf(status);
+  const later = index === -1 ? [] : statuses.slice(index + 1);
+  const next = Object.fromEntries(
+    Object.entries(columnEnteredAt || {}).filter(([key]) => !later.includes(key))
+  );
+  if (!next[status]) {
+    next[status] = at;
+  }
+  return next;
+}
+
+// Rebuilds the map from a card's recorded transitions, oldest first.
+const replayColumnEntries = (transitions, workflow) =>
+  transitions.reduce(
+    (entries, transition) =>
+      transition.to ? enterColumn(entries, transition.to, workflow, transition.createdAt) : entries,
+    {}
+  );
+
+const parseMetricsQuery = (query, today) => parseDayRange(query, { today, name: 'Metrics range' });
+
+const daysBetween = (start, end) =>
+  Math.round(((Date.parse(end) - Date.parse(start)) / DAY_MS) * 100) / 100;
+
+// Nearest-rank percentile of an ascending list; null when there is nothing to rank.
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, percentile(sorted, p)]));
+};
+
+// Work starts when a card enters In Progress. Workflows without that column
+// start it in the first column between the first and the last instead.
+function startColumn(statuses) {
+  const workingStatuses = statuses.slice(1, -1);
+  return workingStatuses.includes('in_progress') ? 'in_progress' : workingStatuses[0];
+}
+
+/**
+ * Times the cards finished between `from` and `to` (UTC days, inclusive): a
+ * card is finished once it sits in the workflow's last column, and was
+ * finished when it entered it. Lead time runs from creation; cycle time from
+ * when the card entered In Progress (see `startColumn`), so time spent in
+ * other columns beforehand, such as an early review, is not counted. Cards
+ * that never entered that column have no cycle time. Durations are in days.
+ */
+function cycleTimeReport(items, { from, to, workflow }) {
+  const statuses = workflowStatuses(workflow);
+  const doneStatus = statuses[statuses.length - 1];
+  const startStatus = startColumn(statuses);
+  const start = `${from}T00:00:00.000Z`;
+  const end = dayEnd(to);
+
+  const completed = items
+    .filter((item) => !item.deletedAt && item.status === doneStatus)
+    .map((item) => {
+      const entries = item.columnEnteredAt || {};
+      const completedAt = entries[doneStatus] || item.createdAt;
+      const enteredStart = startStatus && entries[startStatus];
+      const startedAt = enteredStart && enteredStart <= completedAt ? enteredStart : null;
+      return {
+        id: item.id,
+        title: item.title,
+        completedAt,
+        leadTime: daysBetween(item.createdAt, completedAt),
+        cycleTime: startedAt ? daysBetween(startedAt, completedAt) : null
+      };
+    })
+    .filter((item) => item.completedAt >= start && item.completedAt < end)
+    .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+
+  return {
+    from,
+    to,
+    count: completed.length,
+    leadTime: summarize(completed.map((item) => item.leadTime)),
+    cycleTime: summarize(
+      completed.filter((item) => item.cycleTime !== null).map((item) => item.cycleTime)
+    ),
+    items: completed
+  };
+}
+
+module.exports = {
+  enterColumn,
+  replayColumnEntries,
+  parseMetricsQuery,
+  cycleTimeReport
+};
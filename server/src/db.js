@@ -1,11 +1,76 @@
 const fs = require('fs');
 const path = require('path');
 const { randomUUID } = require('crypto');
+const {
+  normalizeSecret,
+  isHashedSecret,
+  lookupKeyForSecret,
+  hashSecret,
+  hashSecretSync,
+  verifySecret
+} = require('./secrets');
+const {
+  DEFAULT_WORKFLOW,
+  defaultWorkflow,
+  workflowStatuses,
+  normalizeWorkflow,
+  planColumnMigrations,
+  enforceWipLimits,
+  assertWipCapacity,
+  countByStatus
+} = require('./workflow');
+const { VersionConflictError, EpicHasChildrenError, BulkOperationError } = require('./errors');
+const {
+  itemActivity,
+  reorderActivity,
+  workflowActivity,
+  sprintActivity
+} = require('./activity');
+const { normalizeAuthorName, normalizeCommentBody } = require('./comments');
+const {
+  normalizeChecklistText,
+  assertChecklistCapacity,
+  normalizeChecklistOrder,
+  checklistProgress
+} = require('./checklists');
+const { DUPLICATE_LABEL_MESSAGE, normalizeLabelInput, normalizeLabelIds } = require('./labels');
+const {
+  DUPLICATE_COLLABORATOR_MESSAGE,
+  normalizeCollaboratorInput,
+  normalizeAssignees
+} = require('./roster');
+const { normalizeDueDate } = require('./dueDates');
+const { normalizePriority, normalizeEstimate } = require('./planning');
+const {
+  normalizeBlockers,
+  assertNoDependencyCycle,
+  assertCanEnterStatus,
+  assertReorderUnblocked
+} = require('./dependencies');
+const { normalizeEpicId, epicProgress } = require('./epics');
+const { statusTransitions, reconstructedTransitions } = require('./flow');
+const { enterColumn, replayColumnEntries } = require('./cycleTime');
+const { prefixQuery, buildSearchIndex, searchIndex } = require('./search');
+const { DUPLICATE_VIEW_MESSAGE, normalizeViewInput } = require('./views');
+const {
+  MAX_WEBHOOKS_PER_PROJECT,
+  DUPLICATE_WEBHOOK_MESSAGE,
+  WEBHOOK_LIMIT_MESSAGE,
+  normalizeWebhookInput
+} = require('./webhooks');
+const {
+  normalizeSprintInput,
+  normalizeSprintId,
+  assertCanStartSprint,
+  planSprintCompletion,
+  compareSprints
+} = require('./sprints');
+const { remapArchiveIds } = require('./archive');
 
-const VALID_STATUSES = ['backlog', 'in_progress', 'review', 'done'];
+const VALID_STATUSES = workflowStatuses(DEFAULT_WORKFLOW);
 
-function validateStatus(status) {
-  if (!VALID_STATUSES.includes(status)) {
+function validateStatus(status, workflow = DEFAULT_WORKFLOW) {
+  if (!workflowStatuses(workflow).includes(status)) {
     throw new Error(`Invalid status: ${status}`);
   }
 }
@@ -20,8 +85,8 @@ function toIsoString(value) {
   return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
 }
 
-function sortItems(items) {
-  const statusOrder = new Map(VALID_STATUSES.map((status, index) => [status, index]));
+function sortItems(items, workflow = DEFAULT_WORKFLOW) {
+  const statusOrder = new Map(workflowStatuses(workflow).map((status, index) => [status, index]));
   return [...items].sort((a, b) => {
     const statusDiff = (statusOrder.get(a.status) ?? 0) - (statusOrder.get(b.status) ?? 0);
     if (statusDiff !== 0) {
@@ -31,6 +96,44 @@ function sortItems(items) {
   });
 }
 
+// Returns `items` with statuses as they would be after persisting `columns`
+// (a map of status to ordered item ids). Unlisted items keep their status.
+function applyColumnOrder(items, columns) {
+  const nextStatus = new Map();
+  Object.entries(columns).forEach(([status, orderedIds]) => {
+    (Array.isArray(orderedIds) ? orderedIds : []).forEach((itemId) => nextStatus.set(itemId, status));
+  });
+  return items.map((item) => ({ ...item, status: nextStatus.get(item.id) ?? item.status }));
+}
+
+function normalizeProjectInput({ name, secretKey }) {
+  const normalizedName = (name || '').trim();
+  const normalizedKey = normalizeSecret(secretKey);
+
+  if (!normalizedName) {
+    throw new Error('Project name is required.');
+  }
+  if (!normalizedKey) {
+    throw new Error('Secret key is required.');
+  }
+  return { normalizedName, normalizedKey };
+}
+
+const DUPLICATE_SECRET_MESSAGE = 'Secret key already exists. Choose a different one.';
+
+// `expectedVersions` maps item ids to the version the client last saw.
+function assertExpectedVersions(items, expectedVersions) {
+  if (!expectedVersions) return;
+  const stale = items.filter(
+    (item) =>
+      Object.prototype.hasOwnProperty.call(expectedVersions, item.id) &&
+      Number(expectedVersions[item.id]) !== item.version
+  );
+  if (stale.length > 0) {
+    throw new VersionConflictError(stale);
+  }
+}
+
 const isPostgresEnabled = Boolean(process.env.DATABASE_URL);
 
 if (isPostgresEnabled) {
@@ -54,11 +157,24 @@ if (isPostgresEnabled) {
       CREATE TABLE IF NOT EXISTS projects (
         id UUID PRIMARY KEY,
         name TEXT NOT NULL,
-        secret_key TEXT NOT NULL UNIQUE,
+        secret_hash TEXT,
+        secret_lookup TEXT,
+        workflow JSONB,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
     `);
 
+    await pool.query('ALTER TABLE projects ADD COLUMN IF NOT EXISTS secret_hash TEXT;');
+    await pool.query('ALTER TABLE projects ADD COLUMN IF NOT EXISTS secret_lookup TEXT;');
+    await pool.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_secret_lookup ON projects(secret_lookup);'
+    );
+    await migratePlaintextSecrets();
+    await pool.query('ALTER TABLE projects ADD COLUMN IF NOT EXISTS workflow JSONB;');
+    await pool.query('UPDATE projects SET workflow = $1 WHERE workflow IS NULL', [
+      JSON.stringify(DEFAULT_WORKFLOW)
+    ]);
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS items (
         id UUID PRIMARY KEY,
@@ -67,37 +183,433 @@ if (isPostgresEnabled) {
         description TEXT NOT NULL DEFAULT '',
         status TEXT NOT NULL,
         position INTEGER NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1,
         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        CHECK (status = ANY(ARRAY['backlog', 'in_progress', 'review', 'done']))
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Statuses are per-project workflow keys now, so the original fixed-set
+    // check constraint has to go on databases created before workflows.
+    await pool.query('ALTER TABLE items DROP CONSTRAINT IF EXISTS items_status_check;');
+
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;');
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;');
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS due_date DATE;');
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS priority TEXT;');
+    await pool.query('ALTER TABLE items ADD COLUMN IF NOT EXISTS estimate NUMERIC(4, 1);');
+    await pool.query(
+      'ALTER TABLE items ADD COLUMN IF NOT EXISTS epic_id UUID REFERENCES items(id) ON DELETE SET NULL;'
+    );
+    // Title words weigh more than description words when ranking search matches.
+    await pool.query(`
+      ALTER TABLE items ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('simple', title), 'A') ||
+          setweight(to_tsvector('simple', description), 'B')
+        ) STORED;
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_items_search ON items USING GIN (search_vector);');
+    // `{ status: timestamp }`; empty only until backfilled from the status history.
+    await pool.query(
+      "ALTER TABLE items ADD COLUMN IF NOT EXISTS column_entered_at JSONB NOT NULL DEFAULT '{}'::jsonb;"
+    );
+    await pool.query('ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sprints (
+        id UUID PRIMARY KEY,
+        project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        goal TEXT NOT NULL DEFAULT '',
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        state TEXT NOT NULL DEFAULT 'planned',
+        started_at TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
     `);
+    // Backs up the one-active-sprint rule against concurrent starts.
+    await pool.query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_sprints_active ON sprints(project_id) WHERE state = 'active';"
+    );
+    await pool.query(
+      'ALTER TABLE items ADD COLUMN IF NOT EXISTS sprint_id UUID REFERENCES sprints(id) ON DELETE SET NULL;'
+    );
 
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_items_epic ON items(epic_id);');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_items_sprint ON items(sprint_id);');
     await pool.query(
       'CREATE INDEX IF NOT EXISTS idx_items_project_status ON items(project_id, status);'
     );
+
+    // Activity rows have no foreign keys so the log outlives deleted items and projects.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS activity (
+        id BIGSERIAL PRIMARY KEY,
+        project_id UUID NOT NULL,
+        item_id UUID,
+        item_title TEXT,
+        action TEXT NOT NULL,
+        changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_activity_project ON activity(project_id, id DESC);'
+    );
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_activity_project_item ON activity(project_id, item_id, id DESC);'
+    );
+
+    // Like the activity log, status history outlives the items it describes.
+    // A null from_status is an arrival on the board; a null to_status, a move to the trash.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS status_transitions (
+        id BIGSERIAL PRIMARY KEY,
+        project_id UUID NOT NULL,
+        item_id UUID NOT NULL,
+        from_status TEXT,
+        to_status TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_status_transitions_project ON status_transitions(project_id, created_at, id);'
+    );
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_status_transitions_item ON status_transitions(item_id);'
+    );
+    await backfillTransitions(pool);
+    await backfillColumnEntries(pool);
     await pool.query(
       'CREATE INDEX IF NOT EXISTS idx_items_project_position ON items(project_id, position);'
     );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id UUID PRIMARY KEY,
+        item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+        author_name TEXT NOT NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        deleted_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_comments_item ON comments(item_id, created_at);'
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS checklist_entries (
+        id UUID PRIMARY KEY,
+        item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        text TEXT NOT NULL,
+        done BOOLEAN NOT NULL DEFAULT FALSE,
+        position INTEGER NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_checklist_entries_item ON checklist_entries(item_id, position);'
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS labels (
+        id UUID PRIMARY KEY,
+        project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        color TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_project_name ON labels(project_id, lower(name));'
+    );
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS item_labels (
+        item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        label_id UUID NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+        PRIMARY KEY (item_id, label_id)
+      );
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_item_labels_label ON item_labels(label_id);'
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS collaborators (
+        id UUID PRIMARY KEY,
+        project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        initials TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_collaborators_project_name ON collaborators(project_id, lower(name));'
+    );
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS item_assignees (
+        item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        collaborator_id UUID NOT NULL REFERENCES collaborators(id) ON DELETE CASCADE,
+        PRIMARY KEY (item_id, collaborator_id)
+      );
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_item_assignees_collaborator ON item_assignees(collaborator_id);'
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS item_blockers (
+        item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        blocker_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (item_id, blocker_id),
+        CHECK (item_id <> blocker_id)
+      );
+    `);
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_item_blockers_blocker ON item_blockers(blocker_id);'
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_views (
+        id UUID PRIMARY KEY,
+        project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_views_project_name ON saved_views(project_id, lower(name));'
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id UUID PRIMARY KEY,
+        project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        events JSONB NOT NULL,
+        secret TEXT NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_webhooks_project_url ON webhooks(project_id, url);'
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY,
+        webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event_type TEXT NOT NULL,
+        event JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts JSONB NOT NULL DEFAULT '[]'::jsonb,
+        next_attempt_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+       ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';`
+    );
+    await pool.query(
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);'
+    );
   })().catch((error) => {
     console.error('Failed to initialize Postgres schema.', error);
     throw error;
   });
 
+  function mapActivity(row) {
+    return {
+      id: Number(row.id),
+      projectId: row.project_id,
+      itemId: row.item_id,
+      itemTitle: row.item_title,
+      action: row.action,
+      changes: row.changes || {},
+      createdAt: toIsoString(row.created_at)
+    };
+  }
+
+  // Status changes among the entries are also kept as transitions for flow analytics.
+  async function recordActivity(client, projectId, entries) {
+    for (const entry of entries.filter(Boolean)) {
+      await client.query(
+        `INSERT INTO activity (project_id, item_id, item_title, action, changes)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [projectId, entry.itemId, entry.itemTitle, entry.action, JSON.stringify(entry.changes)]
+      );
+    }
+    for (const transition of statusTransitions(entries)) {
+      await client.query(
+        `INSERT INTO status_transitions (project_id, item_id, from_status, to_status)
+         VALUES ($1, $2, $3, $4)`,
+        [projectId, transition.itemId, transition.from, transition.to]
+      );
+    }
+  }
+
+  /**
+   * Gives items with no recorded transitions (created before they were kept,
+   * or imported from an archive) the history their timestamps imply.
+   */
+  async function backfillTransitions(client, projectId = null) {
+    await client.query(
+      `WITH missing AS (
+         SELECT id, project_id, status, created_at, deleted_at FROM items
+         WHERE ($1::uuid IS NULL OR project_id = $1)
+           AND NOT EXISTS (SELECT 1 FROM status_transitions WHERE item_id = items.id)
+       )
+       INSERT INTO status_transitions (project_id, item_id, from_status, to_status, created_at)
+       SELECT project_id, id, NULL, status, created_at FROM missing
+       UNION ALL
+       SELECT project_id, id, status, NULL, deleted_at FROM missing WHERE deleted_at IS NOT NULL`,
+      [projectId]
+    );
+  }
+
+  // Items without column entry times get them from their recorded transitions.
+  async function backfillColumnEntries(client, projectId = null) {
+    const { rows } = await client.query(
+      `SELECT items.id, projects.workflow FROM items
+       JOIN projects ON projects.id = items.project_id
+       WHERE ($1::uuid IS NULL OR items.project_id = $1)
+         AND items.column_entered_at = '{}'::jsonb`,
+      [projectId]
+    );
+    for (const row of rows) {
+      const { rows: transitions } = await client.query(
+        `SELECT to_status, created_at FROM status_transitions
+         WHERE item_id = $1 ORDER BY created_at, id`,
+        [row.id]
+      );
+      const entries = replayColumnEntries(
+        transitions.map((transition) => ({
+          to: transition.to_status,
+          createdAt: toIsoString(transition.created_at)
+        })),
+        row.workflow
+      );
+      await client.query('UPDATE items SET column_entered_at = $1 WHERE id = $2', [
+        JSON.stringify(entries),
+        row.id
+      ]);
+    }
+  }
+
+  // Transitions recorded before `before`, oldest first, for replaying the board's history.
+  async function listStatusTransitions(projectId, { before }) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT item_id, from_status, to_status, created_at FROM status_transitions
+       WHERE project_id = $1 AND created_at < $2
+       ORDER BY created_at, id`,
+      [projectId, before]
+    );
+    return rows.map((row) => ({
+      itemId: row.item_id,
+      from: row.from_status,
+      to: row.to_status,
+      createdAt: toIsoString(row.created_at)
+    }));
+  }
+
+  async function listActivity(projectId, { limit, before = null, itemId = null }) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT id, project_id, item_id, item_title, action, changes, created_at
+       FROM activity
+       WHERE project_id = $1
+         AND ($2::bigint IS NULL OR id < $2)
+         AND ($3::uuid IS NULL OR item_id = $3)
+       ORDER BY id DESC
+       LIMIT $4`,
+      [projectId, before, itemId, limit + 1]
+    );
+    const entries = rows.slice(0, limit).map(mapActivity);
+    return {
+      entries,
+      nextCursor: rows.length > limit ? entries[entries.length - 1].id : null
+    };
+  }
+
   async function ensureInit() {
     return initPromise;
   }
 
+  // Databases created before secrets were hashed keep them in a plaintext
+  // `secret_key` column. Hash every row once and drop the column afterwards.
+  async function migratePlaintextSecrets() {
+    const legacyColumn = await pool.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_schema = current_schema()
+         AND table_name = 'projects'
+         AND column_name = 'secret_key'`
+    );
+    if (legacyColumn.rowCount === 0) {
+      return;
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        'SELECT id, secret_key FROM projects WHERE secret_hash IS NULL FOR UPDATE'
+      );
+      for (const row of rows) {
+        await client.query(
+          'UPDATE projects SET secret_hash = $1, secret_lookup = $2 WHERE id = $3',
+          [await hashSecret(row.secret_key), lookupKeyForSecret(row.secret_key), row.id]
+        );
+      }
+      await client.query('ALTER TABLE projects DROP COLUMN secret_key');
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const PROJECT_COLUMNS = 'id, name, secret_hash, secret_lookup, workflow, created_at, deleted_at';
+
   function mapProject(row) {
     if (!row) return null;
     return {
       id: row.id,
       name: row.name,
-      secretKey: row.secret_key,
-      createdAt: toIsoString(row.created_at)
+      secretHash: row.secret_hash,
+      secretLookup: row.secret_lookup,
+      workflow: row.workflow || defaultWorkflow(),
+      createdAt: toIsoString(row.created_at),
+      deletedAt: toIsoString(row.deleted_at) || null
     };
   }
 
+  // Label and assignee ids ride along as sorted arrays so every item read carries them.
+  // Due dates are formatted in SQL so the driver never shifts them by a time zone.
+  const ITEM_COLUMNS = `id, project_id, title, description, status, position, version,
+    created_at, updated_at, deleted_at, to_char(due_date, 'YYYY-MM-DD') AS due_date,
+    priority, estimate, epic_id, sprint_id, column_entered_at,
+    ARRAY(SELECT label_id FROM item_labels
+          WHERE item_labels.item_id = items.id ORDER BY label_id)::text[] AS label_ids,
+    ARRAY(SELECT collaborator_id FROM item_assignees
+          WHERE item_assignees.item_id = items.id ORDER BY collaborator_id)::text[] AS assignees,
+    ARRAY(SELECT blocker_id FROM item_blockers
+          WHERE item_blockers.item_id = items.id ORDER BY blocker_id)::text[] AS blocked_by`;
+
   function mapItem(row) {
     if (!row) return null;
     return {
@@ -107,23 +619,37 @@ if (isPostgresEnabled) {
       description: row.description || '',
       status: row.status,
       position: row.position,
+      version: row.version,
+      labelIds: row.label_ids || [],
+      assignees: row.assignees || [],
+      blockedBy: row.blocked_by || [],
+      dueDate: row.due_date || null,
+      priority: row.priority || null,
+      // NUMERIC comes back from the driver as a string.
+      estimate: row.estimate === null || row.estimate === undefined ? null : Number(row.estimate),
+      epicId: row.epic_id || null,
+      sprintId: row.sprint_id || null,
+      columnEnteredAt: row.column_entered_at || {},
       createdAt: toIsoString(row.created_at),
-      updatedAt: toIsoString(row.updated_at)
+      updatedAt: toIsoString(row.updated_at),
+      deletedAt: toIsoString(row.deleted_at) || null
     };
   }
 
   async function listProjects() {
     await ensureInit();
     const { rows } = await pool.query(
-      'SELECT id, name, secret_key, created_at FROM projects ORDER BY created_at ASC, name ASC'
+      `SELECT ${PROJECT_COLUMNS} FROM projects WHERE deleted_at IS NULL ORDER BY created_at ASC, name ASC`
     );
     return rows.map(mapProject);
   }
 
-  async function getProjectById(projectId) {
+  async function getProjectById(projectId, { includeDeleted = false } = {}) {
     await ensureInit();
     const { rows } = await pool.query(
-      'SELECT id, name, secret_key, created_at FROM projects WHERE id = $1 LIMIT 1',
+      `SELECT ${PROJECT_COLUMNS} FROM projects
+       WHERE id = $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}
+       LIMIT 1`,
       [projectId]
     );
     return mapProject(rows[0]);
@@ -131,435 +657,3996 @@ if (isPostgresEnabled) {
 
   async function getProjectBySecret(secretKey) {
     await ensureInit();
-    const normalizedKey = (secretKey || '').trim();
-    if (!normalizedKey) return null;
+    const lookupKey = lookupKeyForSecret(secretKey);
+    if (!lookupKey) return null;
     const { rows } = await pool.query(
-      'SELECT id, name, secret_key, created_at FROM projects WHERE secret_key = $1 LIMIT 1',
-      [normalizedKey]
+      `SELECT ${PROJECT_COLUMNS} FROM projects WHERE secret_lookup = $1 LIMIT 1`,
+      [lookupKey]
     );
-    return mapProject(rows[0]);
+    const project = mapProject(rows[0]);
+    if (!project || !(await verifySecret(secretKey, project.secretHash))) {
+      return null;
+    }
+    return project;
   }
 
   async function createProject({ name, secretKey }) {
     await ensureInit();
 
-    const normalizedName = (name || '').trim();
-    const normalizedKey = (secretKey || '').trim();
-
-    if (!normalizedName) {
-      throw new Error('Project name is required.');
-    }
-    if (!normalizedKey) {
-      throw new Error('Secret key is required.');
-    }
+    const { normalizedName, normalizedKey } = normalizeProjectInput({ name, secretKey });
 
     try {
       const id = randomUUID();
       const { rows } = await pool.query(
-        `INSERT INTO projects (id, name, secret_key)
-         VALUES ($1, $2, $3)
-         RETURNING id, name, secret_key, created_at`,
-        [id, normalizedName, normalizedKey]
+        `INSERT INTO projects (id, name, secret_hash, secret_lookup, workflow)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${PROJECT_COLUMNS}`,
+        [
+          id,
+          normalizedName,
+          await hashSecret(normalizedKey),
+          lookupKeyForSecret(normalizedKey),
+          JSON.stringify(DEFAULT_WORKFLOW)
+        ]
       );
 
       return mapProject(rows[0]);
     } catch (error) {
       if (error.code === '23505') {
-        throw new Error('Secret key already exists. Choose a different one.');
+        throw new Error(DUPLICATE_SECRET_MESSAGE);
       }
       throw error;
     }
   }
 
-  async function deleteProject(projectId) {
-    await ensureInit();
-    const { rowCount } = await pool.query('DELETE FROM projects WHERE id = $1', [projectId]);
-    return rowCount > 0;
-  }
-
-  async function computeNextPosition(client, projectId, status) {
-    const { rows } = await client.query(
-      'SELECT COALESCE(MAX(position), 0) + 1 AS next_position FROM items WHERE project_id = $1 AND status = $2',
-      [projectId, status]
-    );
-    return rows[0]?.next_position ?? 1;
-  }
-
-  async function getItemsByProject(projectId) {
+  /**
+   * Creates a project from a parsed archive (see archive.js) in one
+   * transaction. Every record gets a fresh id; timestamps, positions and the
+   * links between cards, labels, the roster, sprints, comments and
+   * checklists are kept.
+   */
+  async function importProject({ name, secretKey, ...archive }) {
     await ensureInit();
-    const { rows } = await pool.query(
-      'SELECT id, project_id, title, description, status, position, created_at, updated_at FROM items WHERE project_id = $1',
-      [projectId]
-    );
-    return sortItems(rows.map(mapItem));
-  }
 
-  async function createItem(projectId, { title, description = '', status = 'backlog' }) {
-    await ensureInit();
-
-    const normalizedTitle = (title || '').trim();
-    if (!normalizedTitle) {
-      throw new Error('Item title is required.');
-    }
-    validateStatus(status);
+    const { normalizedName, normalizedKey } = normalizeProjectInput({ name, secretKey });
+    const secretHash = await hashSecret(normalizedKey);
+    const { workflow, labels, collaborators, sprints, items } = remapArchiveIds(archive);
 
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
-      const projectExists = await client.query('SELECT 1 FROM projects WHERE id = $1', [projectId]);
-      if (projectExists.rowCount === 0) {
-        throw new Error('Project not found.');
-      }
+      const projectId = randomUUID();
+      const { rows } = await client.query(
+        `INSERT INTO projects (id, name, secret_hash, secret_lookup, workflow)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${PROJECT_COLUMNS}`,
+        [projectId, normalizedName, secretHash, lookupKeyForSecret(normalizedKey), JSON.stringify(workflow)]
+      );
 
-      const position = await computeNextPosition(client, projectId, status);
-      const id = randomUUID();
-      const now = new Date();
-      const trimmedDescription = (description || '').trim();
+      for (const label of labels) {
+        await client.query(
+          `INSERT INTO labels (id, project_id, name, color, created_at)
+           VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))`,
+          [label.id, projectId, label.name, label.color, label.createdAt]
+        );
+      }
+      for (const collaborator of collaborators) {
+        await client.query(
+          `INSERT INTO collaborators (id, project_id, name, initials, created_at)
+           VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))`,
+          [
+            collaborator.id,
+            projectId,
+            collaborator.name,
+            collaborator.initials,
+            collaborator.createdAt
+          ]
+        );
+      }
+      for (const sprint of sprints) {
+        await client.query(
+          `INSERT INTO sprints
+             (id, project_id, name, goal, start_date, end_date, state,
+              started_at, completed_at, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()))`,
+          [
+            sprint.id,
+            projectId,
+            sprint.name,
+            sprint.goal,
+            sprint.startDate,
+            sprint.endDate,
+            sprint.state,
+            sprint.startedAt,
+            sprint.completedAt,
+            sprint.createdAt
+          ]
+        );
+      }
 
-      const { rows } = await client.query(
-        `INSERT INTO items (id, project_id, title, description, status, position, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
-         RETURNING id, project_id, title, description, status, position, created_at, updated_at`,
-        [id, projectId, normalizedTitle, trimmedDescription, status, position, now]
+      // Epics are one level deep, so inserting the cards outside any epic
+      // first satisfies every epic_id reference.
+      const epicsFirst = [...items].sort(
+        (a, b) => Number(Boolean(a.epicId)) - Number(Boolean(b.epicId))
       );
+      for (const item of epicsFirst) {
+        await client.query(
+          `INSERT INTO items
+             (id, project_id, title, description, status, position, due_date, priority, estimate,
+              epic_id, sprint_id, column_entered_at, created_at, updated_at, deleted_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                   COALESCE($13, NOW()), COALESCE($14, $13, NOW()), $15)`,
+          [
+            item.id,
+            projectId,
+            item.title,
+            item.description,
+            item.status,
+            item.position,
+            item.dueDate,
+            item.priority,
+            item.estimate,
+            item.epicId,
+            item.sprintId,
+            JSON.stringify(item.columnEnteredAt || {}),
+            item.createdAt,
+            item.updatedAt,
+            item.deletedAt
+          ]
+        );
+        await replaceItemLabels(client, item.id, item.labelIds);
+        await replaceItemAssignees(client, item.id, item.assignees);
+      }
+
+      for (const item of items) {
+        await replaceItemBlockers(client, item.id, item.blockedBy);
+        for (const transition of item.transitions) {
+          await client.query(
+            `INSERT INTO status_transitions (project_id, item_id, from_status, to_status, created_at)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [projectId, item.id, transition.from, transition.to, transition.createdAt]
+          );
+        }
+        const repliesLast = [...item.comments].sort(
+          (a, b) => Number(Boolean(a.parentId)) - Number(Boolean(b.parentId))
+        );
+        for (const comment of repliesLast) {
+          await client.query(
+            `INSERT INTO comments
+               (id, item_id, parent_id, author_name, body, created_at, updated_at, deleted_at)
+             VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), COALESCE($7, $6, NOW()), $8)`,
+            [
+              comment.id,
+              item.id,
+              comment.parentId,
+              comment.authorName,
+              comment.body,
+              comment.createdAt,
+              comment.updatedAt,
+              comment.deletedAt
+            ]
+          );
+        }
+        for (const [index, entry] of item.checklist.entries()) {
+          await client.query(
+            `INSERT INTO checklist_entries
+               (id, item_id, text, done, position, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), COALESCE($7, $6, NOW()))`,
+            [
+              randomUUID(),
+              item.id,
+              entry.text,
+              entry.done,
+              index + 1,
+              entry.createdAt,
+              entry.updatedAt
+            ]
+          );
+        }
+      }
+
+      // Cards archived without their history get what their timestamps imply.
+      await backfillTransitions(client, projectId);
+      await backfillColumnEntries(client, projectId);
+      await recordActivity(client, projectId, [
+        {
+          action: 'project.imported',
+          itemId: null,
+          itemTitle: null,
+          changes: { items: { from: null, to: items.length } }
+        }
+      ]);
 
       await client.query('COMMIT');
-      return mapItem(rows[0]);
+      return mapProject(rows[0]);
     } catch (error) {
       await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_SECRET_MESSAGE);
+      }
       throw error;
     } finally {
       client.release();
     }
   }
 
-  async function updateItem(projectId, itemId, updates = {}) {
+  async function deleteProject(projectId) {
     await ensureInit();
 
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
-
-      const existing = await client.query(
-        'SELECT id, project_id, title, description, status, position FROM items WHERE id = $1 AND project_id = $2',
-        [itemId, projectId]
+      const { rows } = await client.query(
+        `UPDATE projects SET deleted_at = NOW()
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING name`,
+        [projectId]
       );
-
-      if (existing.rowCount === 0) {
-        throw new Error('Item not found.');
+      if (rows.length > 0) {
+        await recordActivity(client, projectId, [
+          {
+            action: 'project.deleted',
+            itemId: null,
+            itemTitle: null,
+            changes: { name: { from: rows[0].name, to: null } }
+          }
+        ]);
+      }
+      await client.query('COMMIT');
+      return rows.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function restoreProject(projectId) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        `UPDATE projects SET deleted_at = NULL
+         WHERE id = $1 AND deleted_at IS NOT NULL
+         RETURNING ${PROJECT_COLUMNS}`,
+        [projectId]
+      );
+      if (rows.length === 0) {
+        throw new Error('Project is not in the trash.');
+      }
+      const project = mapProject(rows[0]);
+      await recordActivity(client, projectId, [
+        {
+          action: 'project.restored',
+          itemId: null,
+          itemTitle: null,
+          changes: { name: { from: null, to: project.name } }
+        }
+      ]);
+      await client.query('COMMIT');
+      return project;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function getProjectWorkflow(client, projectId, { forUpdate = false } = {}) {
+    const { rows } = await client.query(
+      `SELECT workflow FROM projects WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [projectId]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+    return rows[0].workflow || defaultWorkflow();
+  }
+
+  async function updateProjectWorkflow(projectId, columns, { moveItemsTo } = {}) {
+    await ensureInit();
+
+    const nextWorkflow = normalizeWorkflow(columns);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const currentWorkflow = await getProjectWorkflow(client, projectId, { forUpdate: true });
+      if (!currentWorkflow) {
+        throw new Error('Project not found.');
+      }
+
+      const activity = [workflowActivity(currentWorkflow, nextWorkflow)];
+      const migrations = planColumnMigrations(currentWorkflow, nextWorkflow, moveItemsTo);
+      for (const [fromStatus, toStatus] of Object.entries(migrations)) {
+        const { rows } = await client.query(
+          `SELECT ${ITEM_COLUMNS} FROM items
+           WHERE project_id = $1 AND status = $2 AND deleted_at IS NULL
+           ORDER BY position ASC`,
+          [projectId, fromStatus]
+        );
+        let position = await computeNextPosition(client, projectId, toStatus);
+        const movedAt = new Date().toISOString();
+        for (const row of rows) {
+          const before = mapItem(row);
+          await client.query(
+            `UPDATE items
+             SET status = $1, position = $2, column_entered_at = $3, version = version + 1,
+                 updated_at = NOW()
+             WHERE id = $4`,
+            [
+              toStatus,
+              position,
+              JSON.stringify(enterColumn(before.columnEnteredAt, toStatus, nextWorkflow, movedAt)),
+              row.id
+            ]
+          );
+          activity.push(itemActivity('item.moved', before, { ...before, status: toStatus, position }));
+          position += 1;
+        }
       }
+      await recordActivity(client, projectId, activity);
+
+      const { rows } = await client.query(
+        `UPDATE projects SET workflow = $1 WHERE id = $2 RETURNING ${PROJECT_COLUMNS}`,
+        [JSON.stringify(nextWorkflow), projectId]
+      );
+
+      await client.query('COMMIT');
+      return mapProject(rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 
-      const current = existing.rows[0];
+  async function computeNextPosition(client, projectId, status) {
+    const { rows } = await client.query(
+      `SELECT COALESCE(MAX(position), 0) + 1 AS next_position
+       FROM items
+       WHERE project_id = $1 AND status = $2 AND deleted_at IS NULL`,
+      [projectId, status]
+    );
+    return rows[0]?.next_position ?? 1;
+  }
+
+  async function getItemsByProject(projectId) {
+    await ensureInit();
+    const workflow = await getProjectWorkflow(pool, projectId);
+    const { rows } = await pool.query(
+      `SELECT ${ITEM_COLUMNS},
+              (SELECT COUNT(*) FROM comments
+               WHERE comments.item_id = items.id AND comments.deleted_at IS NULL)::int AS comment_count,
+              (SELECT COUNT(*) FROM checklist_entries
+               WHERE checklist_entries.item_id = items.id)::int AS checklist_total,
+              (SELECT COUNT(*) FROM checklist_entries
+               WHERE checklist_entries.item_id = items.id AND done)::int AS checklist_done
+       FROM items WHERE project_id = $1 AND deleted_at IS NULL`,
+      [projectId]
+    );
+    return sortItems(
+      rows.map((row) => ({
+        ...mapItem(row),
+        commentCount: row.comment_count,
+        checklist: { done: row.checklist_done, total: row.checklist_total }
+      })),
+      workflow || undefined
+    );
+  }
+
+  // Live cards matching every term as a word prefix, best first.
+  async function searchItems(projectId, { terms, limit }) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT ${ITEM_COLUMNS}, ts_rank(search_vector, query) AS rank
+       FROM items, to_tsquery('simple', $2) AS query
+       WHERE project_id = $1 AND deleted_at IS NULL AND search_vector @@ query
+       ORDER BY rank DESC, position ASC
+       LIMIT $3`,
+      [projectId, prefixQuery(terms), limit]
+    );
+    return rows.map((row) => ({ item: mapItem(row), rank: Math.round(row.rank * 1000) / 1000 }));
+  }
+
+  async function countItemsByStatus(client, projectId) {
+    const { rows } = await client.query(
+      `SELECT status, COUNT(*)::int AS count
+       FROM items
+       WHERE project_id = $1 AND deleted_at IS NULL
+       GROUP BY status`,
+      [projectId]
+    );
+    return rows.reduce((acc, row) => {
+      acc[row.status] = row.count;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Appends items to the end of their columns in one transaction. Either all
+   * payloads are created or, if any fails validation or a WIP limit, none are.
+   */
+  async function createItems(projectId, payloads, { overrideWipLimit = false } = {}) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Lock the project row so concurrent writers see each other's WIP counts.
+      const workflow = await getProjectWorkflow(client, projectId, { forUpdate: true });
+      if (!workflow) {
+        throw new Error('Project not found.');
+      }
+      const counts = await countItemsByStatus(client, projectId);
+      const knownLabelIds = payloads.some((payload) => payload.labelIds !== undefined)
+        ? await listLabelIds(client, projectId)
+        : [];
+      const rosterIds = payloads.some((payload) => payload.assignees !== undefined)
+        ? await listCollaboratorIds(client, projectId)
+        : [];
+      const projectItems = payloads.some(
+        (payload) => payload.blockedBy !== undefined || payload.epicId !== undefined
+      )
+        ? await listProjectItems(client, projectId)
+        : [];
+      const sprints = payloads.some((payload) => payload.sprintId !== undefined)
+        ? await listSprintRows(client, projectId)
+        : [];
 
-      if (updates.title !== undefined) {
-        const newTitle = `${updates.title}`.trim();
-        if (!newTitle) {
-          throw new Error('Item title cannot be empty.');
+      const created = [];
+      for (const payload of payloads) {
+        const {
+          title,
+          description = '',
+          status = workflow[0].key,
+          labelIds = [],
+          assignees = [],
+          blockedBy = [],
+          epicId = null,
+          sprintId = null,
+          dueDate = null,
+          priority = null,
+          estimate = null
+        } = payload;
+        const normalizedTitle = (title || '').trim();
+        if (!normalizedTitle) {
+          throw new Error('Item title is required.');
+        }
+        validateStatus(status, workflow);
+        const normalizedLabelIds = normalizeLabelIds(labelIds, knownLabelIds);
+        const normalizedAssignees = normalizeAssignees(assignees, rosterIds);
+        const normalizedBlockers = normalizeBlockers(blockedBy, {
+          projectItemIds: projectItems.map((item) => item.id)
+        });
+        const normalizedEpicId = normalizeEpicId(epicId, { items: projectItems });
+        const normalizedSprintId = normalizeSprintId(sprintId, sprints);
+        const normalizedDueDate = normalizeDueDate(dueDate);
+        const normalizedPriority = normalizePriority(priority);
+        const normalizedEstimate = normalizeEstimate(estimate);
+        assertCanEnterStatus(
+          { title: normalizedTitle, blockedBy: normalizedBlockers },
+          status,
+          projectItems,
+          workflow
+        );
+        if (!overrideWipLimit) {
+          assertWipCapacity(workflow, counts, status);
         }
-        current.title = newTitle;
+        counts[status] = (counts[status] || 0) + 1;
+
+        const position = await computeNextPosition(client, projectId, status);
+        const createdAt = new Date();
+        const { rows } = await client.query(
+          `INSERT INTO items
+             (id, project_id, title, description, status, position, due_date, priority, estimate,
+              epic_id, sprint_id, column_entered_at, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $13)
+           RETURNING ${ITEM_COLUMNS}`,
+          [
+            randomUUID(),
+            projectId,
+            normalizedTitle,
+            (description || '').trim(),
+            status,
+            position,
+            normalizedDueDate,
+            normalizedPriority,
+            normalizedEstimate,
+            normalizedEpicId,
+            normalizedSprintId,
+            JSON.stringify(enterColumn({}, status, workflow, createdAt.toISOString())),
+            createdAt
+          ]
+        );
+        const item = mapItem(rows[0]);
+        await replaceItemLabels(client, item.id, normalizedLabelIds);
+        await replaceItemAssignees(client, item.id, normalizedAssignees);
+        await replaceItemBlockers(client, item.id, normalizedBlockers);
+        created.push({
+          ...item,
+          labelIds: normalizedLabelIds,
+          assignees: normalizedAssignees,
+          blockedBy: normalizedBlockers
+        });
+      }
+      await recordActivity(
+        client,
+        projectId,
+        created.map((item) => itemActivity('item.created', null, item))
+      );
+
+      await client.query('COMMIT');
+      return created;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function createItem(projectId, payload, options) {
+    const [created] = await createItems(projectId, [payload], options);
+    return created;
+  }
+
+  // Applies a PATCH inside the caller's transaction; shared with bulk requests.
+  async function applyItemUpdate(
+    client,
+    projectId,
+    itemId,
+    updates,
+    { overrideWipLimit = false, expectedVersion } = {}
+  ) {
+    const existing = await client.query(
+      `SELECT ${ITEM_COLUMNS} FROM items
+       WHERE id = $1 AND project_id = $2 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [itemId, projectId]
+    );
+
+    if (existing.rowCount === 0) {
+      throw new Error('Item not found.');
+    }
+
+    const current = existing.rows[0];
+    const before = mapItem(current);
+    if (expectedVersion !== undefined) {
+      assertExpectedVersions([before], { [itemId]: expectedVersion });
+    }
+
+    if (updates.title !== undefined) {
+      const newTitle = `${updates.title}`.trim();
+      if (!newTitle) {
+        throw new Error('Item title cannot be empty.');
       }
+      current.title = newTitle;
+    }
+
+    if (updates.description !== undefined) {
+      current.description = `${updates.description}`.trim();
+    }
+
+    let { blockedBy } = before;
+    if (updates.blockedBy !== undefined) {
+      // Locking the project serializes dependency edits, so two of them
+      // cannot close a cycle between them.
+      await getProjectWorkflow(client, projectId, { forUpdate: true });
+      const projectItems = await listProjectItems(client, projectId);
+      blockedBy = normalizeBlockers(updates.blockedBy, {
+        itemId,
+        projectItemIds: projectItems.map((item) => item.id)
+      });
+      assertNoDependencyCycle(itemId, blockedBy, projectItems);
+      await replaceItemBlockers(client, itemId, blockedBy);
+    }
+
+    if (updates.epicId !== undefined) {
+      // The project lock keeps a card from joining an epic while that epic joins another.
+      await getProjectWorkflow(client, projectId, { forUpdate: true });
+      current.epic_id = normalizeEpicId(updates.epicId, {
+        itemId,
+        items: await listProjectItems(client, projectId)
+      });
+    }
+
+    // Cards already in a completed sprint keep it until they are moved out.
+    if (updates.sprintId !== undefined && updates.sprintId !== current.sprint_id) {
+      current.sprint_id = normalizeSprintId(
+        updates.sprintId,
+        await listSprintRows(client, projectId)
+      );
+    }
 
-      if (updates.description !== undefined) {
-        current.description = `${updates.description}`.trim();
+    if (updates.status !== undefined) {
+      const workflow = await getProjectWorkflow(client, projectId, { forUpdate: true });
+      validateStatus(updates.status, workflow);
+      if (updates.status !== current.status) {
+        assertCanEnterStatus(
+          { ...before, title: current.title, blockedBy },
+          updates.status,
+          await listProjectItems(client, projectId),
+          workflow
+        );
+        if (!overrideWipLimit) {
+          assertWipCapacity(workflow, await countItemsByStatus(client, projectId), updates.status);
+        }
+        current.status = updates.status;
+        current.position = await computeNextPosition(client, projectId, current.status);
+        current.column_entered_at = enterColumn(
+          before.columnEnteredAt,
+          current.status,
+          workflow,
+          new Date().toISOString()
+        );
       }
+    }
+
+    if (updates.labelIds !== undefined) {
+      const labelIds = normalizeLabelIds(updates.labelIds, await listLabelIds(client, projectId));
+      await replaceItemLabels(client, itemId, labelIds);
+    }
+
+    if (updates.dueDate !== undefined) {
+      current.due_date = normalizeDueDate(updates.dueDate);
+    }
+
+    if (updates.priority !== undefined) {
+      current.priority = normalizePriority(updates.priority);
+    }
+
+    if (updates.estimate !== undefined) {
+      current.estimate = normalizeEstimate(updates.estimate);
+    }
+
+    if (updates.assignees !== undefined) {
+      const rosterIds = await listCollaboratorIds(client, projectId);
+      const assignees = normalizeAssignees(updates.assignees, rosterIds);
+      await replaceItemAssignees(client, itemId, assignees);
+    }
+
+    const { rows } = await client.query(
+      `UPDATE items
+       SET title = $1,
+           description = $2,
+           status = $3,
+           position = $4,
+           due_date = $5,
+           priority = $6,
+           estimate = $7,
+           epic_id = $8,
+           sprint_id = $9,
+           column_entered_at = $10,
+           version = version + 1,
+           updated_at = NOW()
+       WHERE id = $11 AND project_id = $12
+       RETURNING ${ITEM_COLUMNS}`,
+      [
+        current.title,
+        current.description || '',
+        current.status,
+        current.position,
+        current.due_date,
+        current.priority,
+        current.estimate,
+        current.epic_id,
+        current.sprint_id,
+        JSON.stringify(current.column_entered_at),
+        itemId,
+        projectId
+      ]
+    );
+    const updated = mapItem(rows[0]);
+    await recordActivity(client, projectId, [itemActivity('item.updated', before, updated)]);
+    return updated;
+  }
+
+  async function updateItem(
+    projectId,
+    itemId,
+    updates = {},
+    { overrideWipLimit = false, expectedVersion } = {}
+  ) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const updated = await applyItemUpdate(client, projectId, itemId, updates, {
+        overrideWipLimit,
+        expectedVersion
+      });
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Moves a card to the trash inside the caller's transaction. An epic's
+   * cards must be dealt with too: `children` is 'detach' to keep them on the
+   * board without an epic or 'delete' to trash them alongside it.
+   */
+  async function trashItem(client, projectId, itemId, { children = null, expectedVersion } = {}) {
+    const { rows } = await client.query(
+      `UPDATE items SET deleted_at = NOW()
+       WHERE id = $1 AND project_id = $2 AND deleted_at IS NULL
+       RETURNING ${ITEM_COLUMNS}`,
+      [itemId, projectId]
+    );
+    if (rows.length === 0) {
+      throw new Error('Item not found.');
+    }
+    const removed = mapItem(rows[0]);
+    if (expectedVersion !== undefined) {
+      assertExpectedVersions([removed], { [itemId]: expectedVersion });
+    }
+
+    const { rows: childRows } = await client.query(
+      `SELECT ${ITEM_COLUMNS} FROM items
+       WHERE epic_id = $1 AND project_id = $2 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [itemId, projectId]
+    );
+    if (childRows.length > 0 && !children) {
+      throw new EpicHasChildrenError(removed, childRows.length);
+    }
+    const previous = new Map(childRows.map((row) => [row.id, mapItem(row)]));
+    const { rows: changedRows } = await client.query(
+      children === 'delete'
+        ? `UPDATE items SET deleted_at = NOW()
+           WHERE epic_id = $1 AND project_id = $2 AND deleted_at IS NULL
+           RETURNING ${ITEM_COLUMNS}`
+        : `UPDATE items SET epic_id = NULL, version = version + 1, updated_at = NOW()
+           WHERE epic_id = $1 AND project_id = $2 AND deleted_at IS NULL
+           RETURNING ${ITEM_COLUMNS}`,
+      [itemId, projectId]
+    );
+    const changed = changedRows.map(mapItem);
+
+    await recordActivity(client, projectId, [
+      itemActivity('item.deleted', removed, null),
+      ...changed.map((child) =>
+        children === 'delete'
+          ? itemActivity('item.deleted', child, null)
+          : itemActivity('item.updated', previous.get(child.id), child)
+      )
+    ]);
+    return {
+      removed,
+      detached: children === 'delete' ? [] : changed,
+      trashedChildren: children === 'delete' ? changed : []
+    };
+  }
+
+  async function deleteItem(projectId, itemId, { children = null } = {}) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await trashItem(client, projectId, itemId, { children });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Runs normalized bulk operations in order in one transaction, so either
+   * every one of them applies or none does. Returns each operation's result:
+   * `{ item }` for moves and updates, the trash result for deletes.
+   */
+  async function bulkUpdateItems(projectId, operations, { overrideWipLimit = false } = {}) {
+    await ensureInit();
 
-      if (updates.status !== undefined) {
-        validateStatus(updates.status);
-        if (updates.status !== current.status) {
-          current.status = updates.status;
-          current.position = await computeNextPosition(client, projectId, current.status);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const results = [];
+      for (const [index, operation] of operations.entries()) {
+        const { type, itemId, expectedVersion } = operation;
+        try {
+          results.push(
+            type === 'delete'
+              ? await trashItem(client, projectId, itemId, {
+                children: operation.children,
+                expectedVersion
+              })
+              : {
+                item: await applyItemUpdate(client, projectId, itemId, operation.updates, {
+                  overrideWipLimit,
+                  expectedVersion
+                })
+              }
+          );
+        } catch (error) {
+          throw new BulkOperationError(index, error);
         }
       }
+      await client.query('COMMIT');
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function reorderItems(
+    projectId,
+    columns = {},
+    { overrideWipLimit = false, expectedVersions } = {}
+  ) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const workflow = await getProjectWorkflow(client, projectId, { forUpdate: true });
+      if (!workflow) {
+        throw new Error('Project not found.');
+      }
+      Object.keys(columns).forEach((status) => validateStatus(status, workflow));
 
       const { rows } = await client.query(
-        `UPDATE items
-         SET title = $1,
-             description = $2,
-             status = $3,
-             position = $4,
-             updated_at = NOW()
-         WHERE id = $5 AND project_id = $6
-         RETURNING id, project_id, title, description, status, position, created_at, updated_at`,
-        [current.title, current.description || '', current.status, current.position, itemId, projectId]
+        `SELECT ${ITEM_COLUMNS} FROM items WHERE project_id = $1 AND deleted_at IS NULL`,
+        [projectId]
+      );
+      const currentItems = rows.map(mapItem);
+      assertExpectedVersions(currentItems, expectedVersions);
+      assertReorderUnblocked(currentItems, applyColumnOrder(currentItems, columns), workflow);
+
+      if (!overrideWipLimit) {
+        enforceWipLimits(
+          workflow,
+          countByStatus(currentItems),
+          countByStatus(applyColumnOrder(currentItems, columns))
+        );
+      }
+
+      const itemsById = new Map(currentItems.map((item) => [item.id, item]));
+      const movedAt = new Date().toISOString();
+      for (const status of workflowStatuses(workflow)) {
+        const orderedIds = Array.isArray(columns[status]) ? columns[status] : [];
+        for (let index = 0; index < orderedIds.length; index += 1) {
+          const itemId = orderedIds[index];
+          const item = itemsById.get(itemId);
+          const columnEnteredAt =
+            item && item.status !== status
+              ? enterColumn(item.columnEnteredAt, status, workflow, movedAt)
+              : item?.columnEnteredAt || {};
+          await client.query(
+            `UPDATE items
+             SET version = CASE WHEN status <> $1 THEN version + 1 ELSE version END,
+                 status = $1,
+                 position = $2,
+                 column_entered_at = $5,
+                 updated_at = NOW()
+             WHERE id = $3 AND project_id = $4 AND deleted_at IS NULL`,
+            [status, index + 1, itemId, projectId, JSON.stringify(columnEnteredAt)]
+          );
+        }
+      }
+
+      const { rows: reordered } = await client.query(
+        `SELECT ${ITEM_COLUMNS} FROM items WHERE project_id = $1 AND deleted_at IS NULL`,
+        [projectId]
       );
+      await recordActivity(client, projectId, reorderActivity(currentItems, reordered.map(mapItem)));
 
       await client.query('COMMIT');
-      return mapItem(rows[0]);
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
     } finally {
       client.release();
     }
+
+    return getItemsByProject(projectId);
+  }
+
+  async function getEpic(projectId, epicId) {
+    await ensureInit();
+    const workflow = await getProjectWorkflow(pool, projectId);
+    const { rows } = await pool.query(
+      `SELECT ${ITEM_COLUMNS} FROM items
+       WHERE project_id = $1 AND deleted_at IS NULL AND (id = $2 OR epic_id = $2)`,
+      [projectId, epicId]
+    );
+    const epic = rows.map(mapItem).find((item) => item.id === epicId);
+    if (!epic) {
+      throw new Error('Item not found.');
+    }
+    const children = sortItems(
+      rows.map(mapItem).filter((item) => item.epicId === epicId),
+      workflow || undefined
+    );
+    return { epic, children, progress: epicProgress(children, workflow || DEFAULT_WORKFLOW) };
+  }
+
+  async function listTrashedItems(projectId) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT ${ITEM_COLUMNS} FROM items
+       WHERE project_id = $1 AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC`,
+      [projectId]
+    );
+    return rows.map(mapItem);
+  }
+
+  async function restoreItem(projectId, itemId, { overrideWipLimit = false } = {}) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const workflow = await getProjectWorkflow(client, projectId, { forUpdate: true });
+      if (!workflow) {
+        throw new Error('Project not found.');
+      }
+
+      const existing = await client.query(
+        `SELECT ${ITEM_COLUMNS} FROM items
+         WHERE id = $1 AND project_id = $2 AND deleted_at IS NOT NULL
+         FOR UPDATE`,
+        [itemId, projectId]
+      );
+      if (existing.rowCount === 0) {
+        throw new Error('Item not found.');
+      }
+      const trashed = mapItem(existing.rows[0]);
+
+      // Items whose column was removed while they sat in the trash go to the first column.
+      const keepsColumn = workflowStatuses(workflow).includes(trashed.status);
+      const status = keepsColumn ? trashed.status : workflow[0].key;
+      if (!overrideWipLimit) {
+        assertWipCapacity(workflow, await countItemsByStatus(client, projectId), status);
+      }
+
+      const nextPosition = await computeNextPosition(client, projectId, status);
+      const position = keepsColumn ? Math.min(trashed.position, nextPosition) : nextPosition;
+      await client.query(
+        `UPDATE items SET position = position + 1
+         WHERE project_id = $1 AND status = $2 AND position >= $3 AND deleted_at IS NULL`,
+        [projectId, status, position]
+      );
+
+      // Links to cards still in the trash are dropped: a trashed epic is
+      // detached and only live blockers are kept.
+      await client.query(
+        `DELETE FROM item_blockers
+         WHERE item_id = $1
+           AND blocker_id IN (SELECT id FROM items WHERE deleted_at IS NOT NULL)`,
+        [itemId]
+      );
+      const { rows } = await client.query(
+        `UPDATE items
+         SET deleted_at = NULL,
+             status = $1,
+             position = $2,
+             epic_id = CASE
+               WHEN epic_id IN (SELECT id FROM items WHERE deleted_at IS NULL) THEN epic_id
+             END,
+             version = version + 1,
+             updated_at = NOW()
+         WHERE id = $3
+         RETURNING ${ITEM_COLUMNS}`,
+        [status, position, itemId]
+      );
+      const restored = mapItem(rows[0]);
+      await recordActivity(client, projectId, [itemActivity('item.restored', null, restored)]);
+
+      await client.query('COMMIT');
+      return restored;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Permanently removes items and projects trashed before `cutoff`.
+  async function purgeTrash(cutoff) {
+    await ensureInit();
+    const items = await pool.query('DELETE FROM items WHERE deleted_at < $1', [cutoff]);
+    const projects = await pool.query('DELETE FROM projects WHERE deleted_at < $1', [cutoff]);
+    return { items: items.rowCount, projects: projects.rowCount };
+  }
+
+  // Every card of the project, trashed ones included, with its blockers.
+  async function listProjectItems(client, projectId) {
+    const { rows } = await client.query(`SELECT ${ITEM_COLUMNS} FROM items WHERE project_id = $1`, [
+      projectId
+    ]);
+    return rows.map(mapItem);
+  }
+
+  async function replaceItemBlockers(client, itemId, blockerIds) {
+    await client.query('DELETE FROM item_blockers WHERE item_id = $1', [itemId]);
+    for (const blockerId of blockerIds) {
+      await client.query('INSERT INTO item_blockers (item_id, blocker_id) VALUES ($1, $2)', [
+        itemId,
+        blockerId
+      ]);
+    }
+  }
+
+  async function listLabelIds(client, projectId) {
+    const { rows } = await client.query('SELECT id FROM labels WHERE project_id = $1', [projectId]);
+    return rows.map((row) => row.id);
+  }
+
+  async function replaceItemLabels(client, itemId, labelIds) {
+    await client.query('DELETE FROM item_labels WHERE item_id = $1', [itemId]);
+    for (const labelId of labelIds) {
+      await client.query('INSERT INTO item_labels (item_id, label_id) VALUES ($1, $2)', [
+        itemId,
+        labelId
+      ]);
+    }
+  }
+
+  const LABEL_COLUMNS = 'id, project_id, name, color, created_at';
+
+  function mapLabel(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      color: row.color,
+      createdAt: toIsoString(row.created_at)
+    };
+  }
+
+  async function listLabels(projectId) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT ${LABEL_COLUMNS} FROM labels WHERE project_id = $1 ORDER BY created_at, id`,
+      [projectId]
+    );
+    return rows.map(mapLabel);
+  }
+
+  async function createLabel(projectId, input) {
+    const { name, color } = normalizeLabelInput(input);
+    await ensureInit();
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO labels (id, project_id, name, color)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${LABEL_COLUMNS}`,
+        [randomUUID(), projectId, name, color]
+      );
+      return mapLabel(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_LABEL_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  async function updateLabel(projectId, labelId, updates) {
+    const { name, color } = normalizeLabelInput(updates, { partial: true });
+    await ensureInit();
+    try {
+      const { rows } = await pool.query(
+        `UPDATE labels SET name = COALESCE($1, name), color = COALESCE($2, color)
+         WHERE id = $3 AND project_id = $4
+         RETURNING ${LABEL_COLUMNS}`,
+        [name ?? null, color ?? null, labelId, projectId]
+      );
+      if (rows.length === 0) {
+        throw new Error('Label not found.');
+      }
+      return mapLabel(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_LABEL_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  // Removing a label edits every item that carried it, so those items get a
+  // new version and an activity entry like any other edit.
+  async function deleteLabel(projectId, labelId) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const label = await client.query(
+        'SELECT id FROM labels WHERE id = $1 AND project_id = $2 FOR UPDATE',
+        [labelId, projectId]
+      );
+      if (label.rowCount === 0) {
+        throw new Error('Label not found.');
+      }
+
+      const { rows: beforeRows } = await client.query(
+        `SELECT ${ITEM_COLUMNS} FROM items
+         WHERE id IN (SELECT item_id FROM item_labels WHERE label_id = $1)
+         FOR UPDATE`,
+        [labelId]
+      );
+      await client.query('DELETE FROM labels WHERE id = $1', [labelId]);
+      const { rows: afterRows } = await client.query(
+        `UPDATE items SET version = version + 1, updated_at = NOW()
+         WHERE id = ANY($1::uuid[])
+         RETURNING ${ITEM_COLUMNS}`,
+        [beforeRows.map((row) => row.id)]
+      );
+
+      const before = new Map(beforeRows.map((row) => [row.id, mapItem(row)]));
+      const updated = afterRows.map(mapItem);
+      await recordActivity(
+        client,
+        projectId,
+        updated.map((item) => itemActivity('item.updated', before.get(item.id), item))
+      );
+
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function listCollaboratorIds(client, projectId) {
+    const { rows } = await client.query('SELECT id FROM collaborators WHERE project_id = $1', [
+      projectId
+    ]);
+    return rows.map((row) => row.id);
+  }
+
+  async function replaceItemAssignees(client, itemId, assignees) {
+    await client.query('DELETE FROM item_assignees WHERE item_id = $1', [itemId]);
+    for (const collaboratorId of assignees) {
+      await client.query(
+        'INSERT INTO item_assignees (item_id, collaborator_id) VALUES ($1, $2)',
+        [itemId, collaboratorId]
+      );
+    }
+  }
+
+  const COLLABORATOR_COLUMNS = 'id, project_id, name, initials, created_at';
+
+  function mapCollaborator(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      initials: row.initials || null,
+      createdAt: toIsoString(row.created_at)
+    };
+  }
+
+  async function listCollaborators(projectId) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT ${COLLABORATOR_COLUMNS} FROM collaborators
+       WHERE project_id = $1 ORDER BY lower(name), id`,
+      [projectId]
+    );
+    return rows.map(mapCollaborator);
+  }
+
+  async function createCollaborator(projectId, input) {
+    const { name, initials } = normalizeCollaboratorInput(input);
+    await ensureInit();
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO collaborators (id, project_id, name, initials)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${COLLABORATOR_COLUMNS}`,
+        [randomUUID(), projectId, name, initials]
+      );
+      return mapCollaborator(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_COLLABORATOR_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  async function updateCollaborator(projectId, collaboratorId, updates) {
+    const normalized = normalizeCollaboratorInput(updates, { partial: true });
+    await ensureInit();
+    try {
+      // Initials can be cleared, so they are only touched when sent.
+      const { rows } = await pool.query(
+        `UPDATE collaborators
+         SET name = COALESCE($1, name),
+             initials = CASE WHEN $2 THEN $3 ELSE initials END
+         WHERE id = $4 AND project_id = $5
+         RETURNING ${COLLABORATOR_COLUMNS}`,
+        [
+          normalized.name ?? null,
+          normalized.initials !== undefined,
+          normalized.initials ?? null,
+          collaboratorId,
+          projectId
+        ]
+      );
+      if (rows.length === 0) {
+        throw new Error('Collaborator not found.');
+      }
+      return mapCollaborator(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_COLLABORATOR_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  // Like deleting a label, unassigning cards bumps their version and logs the edit.
+  async function deleteCollaborator(projectId, collaboratorId) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const collaborator = await client.query(
+        'SELECT id FROM collaborators WHERE id = $1 AND project_id = $2 FOR UPDATE',
+        [collaboratorId, projectId]
+      );
+      if (collaborator.rowCount === 0) {
+        throw new Error('Collaborator not found.');
+      }
+
+      const { rows: beforeRows } = await client.query(
+        `SELECT ${ITEM_COLUMNS} FROM items
+         WHERE id IN (SELECT item_id FROM item_assignees WHERE collaborator_id = $1)
+         FOR UPDATE`,
+        [collaboratorId]
+      );
+      await client.query('DELETE FROM collaborators WHERE id = $1', [collaboratorId]);
+      const { rows: afterRows } = await client.query(
+        `UPDATE items SET version = version + 1, updated_at = NOW()
+         WHERE id = ANY($1::uuid[])
+         RETURNING ${ITEM_COLUMNS}`,
+        [beforeRows.map((row) => row.id)]
+      );
+
+      const before = new Map(beforeRows.map((row) => [row.id, mapItem(row)]));
+      const updated = afterRows.map(mapItem);
+      await recordActivity(
+        client,
+        projectId,
+        updated.map((item) => itemActivity('item.updated', before.get(item.id), item))
+      );
+
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const SPRINT_COLUMNS = `id, project_id, name, goal, state, started_at, completed_at, created_at,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date`;
+
+  function mapSprint(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      goal: row.goal || '',
+      startDate: row.start_date,
+      endDate: row.end_date,
+      state: row.state,
+      startedAt: toIsoString(row.started_at) || null,
+      completedAt: toIsoString(row.completed_at) || null,
+      createdAt: toIsoString(row.created_at)
+    };
+  }
+
+  async function listSprintRows(client, projectId) {
+    const { rows } = await client.query(
+      `SELECT ${SPRINT_COLUMNS} FROM sprints
+       WHERE project_id = $1 ORDER BY start_date, created_at`,
+      [projectId]
+    );
+    return rows.map(mapSprint);
+  }
+
+  async function listSprints(projectId) {
+    await ensureInit();
+    return listSprintRows(pool, projectId);
+  }
+
+  async function createSprint(projectId, input) {
+    const { name, goal, startDate, endDate } = normalizeSprintInput(input);
+    await ensureInit();
+    const { rows } = await pool.query(
+      `INSERT INTO sprints (id, project_id, name, goal, start_date, end_date)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${SPRINT_COLUMNS}`,
+      [randomUUID(), projectId, name, goal, startDate, endDate]
+    );
+    return mapSprint(rows[0]);
+  }
+
+  async function findSprintForUpdate(client, projectId, sprintId) {
+    const { rows } = await client.query(
+      `SELECT ${SPRINT_COLUMNS} FROM sprints WHERE id = $1 AND project_id = $2 FOR UPDATE`,
+      [sprintId, projectId]
+    );
+    if (rows.length === 0) {
+      throw new Error('Sprint not found.');
+    }
+    return mapSprint(rows[0]);
+  }
+
+  async function updateSprint(projectId, sprintId, updates) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const current = await findSprintForUpdate(client, projectId, sprintId);
+      const normalized = normalizeSprintInput(updates, { partial: true, current });
+      const { rows } = await client.query(
+        `UPDATE sprints
+         SET name = COALESCE($1, name),
+             goal = COALESCE($2, goal),
+             start_date = COALESCE($3, start_date),
+             end_date = COALESCE($4, end_date)
+         WHERE id = $5
+         RETURNING ${SPRINT_COLUMNS}`,
+        [
+          normalized.name ?? null,
+          normalized.goal ?? null,
+          normalized.startDate ?? null,
+          normalized.endDate ?? null,
+          sprintId
+        ]
+      );
+      await client.query('COMMIT');
+      return mapSprint(rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Like deleting a label, cards leaving the sprint get a new version and an
+  // activity entry. Returns the ones still on the board.
+  async function deleteSprint(projectId, sprintId) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await findSprintForUpdate(client, projectId, sprintId);
+
+      const { rows: beforeRows } = await client.query(
+        `SELECT ${ITEM_COLUMNS} FROM items WHERE sprint_id = $1 FOR UPDATE`,
+        [sprintId]
+      );
+      const { rows: afterRows } = await client.query(
+        `UPDATE items SET sprint_id = NULL, version = version + 1, updated_at = NOW()
+         WHERE sprint_id = $1
+         RETURNING ${ITEM_COLUMNS}`,
+        [sprintId]
+      );
+      await client.query('DELETE FROM sprints WHERE id = $1', [sprintId]);
+
+      const before = new Map(beforeRows.map((row) => [row.id, mapItem(row)]));
+      const updated = afterRows.map(mapItem);
+      await recordActivity(
+        client,
+        projectId,
+        updated.map((item) => itemActivity('item.updated', before.get(item.id), item))
+      );
+
+      await client.query('COMMIT');
+      return updated.filter((item) => !item.deletedAt);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function startSprint(projectId, sprintId) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // The project lock serializes starts, so two sprints cannot both become active.
+      await getProjectWorkflow(client, projectId, { forUpdate: true });
+      const sprint = await findSprintForUpdate(client, projectId, sprintId);
+      assertCanStartSprint(sprint, await listSprintRows(client, projectId));
+
+      const { rows } = await client.query(
+        `UPDATE sprints SET state = 'active', started_at = NOW()
+         WHERE id = $1
+         RETURNING ${SPRINT_COLUMNS}`,
+        [sprintId]
+      );
+      const started = mapSprint(rows[0]);
+      await recordActivity(client, projectId, [sprintActivity('sprint.started', started)]);
+
+      await client.query('COMMIT');
+      return started;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Closes the active sprint. Finished cards stay with it; unfinished ones
+   * move to `moveTo` (a planned sprint) or back to the backlog.
+   */
+  async function completeSprint(projectId, sprintId, { moveTo = null } = {}) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const workflow = await getProjectWorkflow(client, projectId, { forUpdate: true });
+      const sprint = await findSprintForUpdate(client, projectId, sprintId);
+      const { rows: itemRows } = await client.query(
+        `SELECT ${ITEM_COLUMNS} FROM items
+         WHERE sprint_id = $1 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [sprintId]
+      );
+      const plan = planSprintCompletion(sprint, {
+        items: sortItems(itemRows.map(mapItem), workflow),
+        sprints: await listSprintRows(client, projectId),
+        workflow,
+        moveTo
+      });
+
+      const { rows: movedRows } = await client.query(
+        `UPDATE items SET sprint_id = $1, version = version + 1, updated_at = NOW()
+         WHERE id = ANY($2::uuid[])
+         RETURNING ${ITEM_COLUMNS}`,
+        [plan.movedTo, plan.unfinished.map((item) => item.id)]
+      );
+      const moved = new Map(movedRows.map((row) => [row.id, mapItem(row)]));
+      const unfinished = plan.unfinished.map((item) => moved.get(item.id));
+
+      const { rows } = await client.query(
+        `UPDATE sprints SET state = 'completed', completed_at = NOW()
+         WHERE id = $1
+         RETURNING ${SPRINT_COLUMNS}`,
+        [sprintId]
+      );
+      const completed = mapSprint(rows[0]);
+      await recordActivity(client, projectId, [
+        ...plan.unfinished.map((item) => itemActivity('item.updated', item, moved.get(item.id))),
+        sprintActivity('sprint.completed', completed, {
+          finished: { from: null, to: plan.finished.length },
+          unfinished: { from: null, to: unfinished.length }
+        })
+      ]);
+
+      await client.query('COMMIT');
+      return { sprint: completed, finished: plan.finished, unfinished, movedTo: plan.movedTo };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const VIEW_COLUMNS = 'id, project_id, name, query, created_at';
+
+  function mapView(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      query: row.query,
+      createdAt: toIsoString(row.created_at)
+    };
+  }
+
+  async function listViews(projectId) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT ${VIEW_COLUMNS} FROM saved_views WHERE project_id = $1 ORDER BY lower(name), id`,
+      [projectId]
+    );
+    return rows.map(mapView);
+  }
+
+  async function createView(projectId, input) {
+    const { name, query } = normalizeViewInput(input);
+    await ensureInit();
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO saved_views (id, project_id, name, query)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${VIEW_COLUMNS}`,
+        [randomUUID(), projectId, name, query]
+      );
+      return mapView(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_VIEW_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  async function updateView(projectId, viewId, updates) {
+    const { name, query } = normalizeViewInput(updates, { partial: true });
+    await ensureInit();
+    try {
+      const { rows } = await pool.query(
+        `UPDATE saved_views SET name = COALESCE($1, name), query = COALESCE($2, query)
+         WHERE id = $3 AND project_id = $4
+         RETURNING ${VIEW_COLUMNS}`,
+        [name ?? null, query ?? null, viewId, projectId]
+      );
+      if (rows.length === 0) {
+        throw new Error('View not found.');
+      }
+      return mapView(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_VIEW_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  async function deleteView(projectId, viewId) {
+    await ensureInit();
+    const { rowCount } = await pool.query(
+      'DELETE FROM saved_views WHERE id = $1 AND project_id = $2',
+      [viewId, projectId]
+    );
+    if (rowCount === 0) {
+      throw new Error('View not found.');
+    }
+  }
+
+  const WEBHOOK_COLUMNS = 'id, project_id, url, events, active, created_at';
+
+  // The secret is only ever returned when the webhook is created.
+  function mapWebhook(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      url: row.url,
+      events: row.events,
+      active: row.active,
+      createdAt: toIsoString(row.created_at)
+    };
+  }
+
+  const DELIVERY_COLUMNS =
+    'id, webhook_id, event_type, event, status, attempts, next_attempt_at, created_at';
+
+  function mapDelivery(row) {
+    const attempts = row.attempts || [];
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventId: row.event.id,
+      eventType: row.event_type,
+      status: row.status,
+      statusCode: attempts.length > 0 ? attempts[attempts.length - 1].statusCode : null,
+      attempts,
+      nextAttemptAt: toIsoString(row.next_attempt_at),
+      createdAt: toIsoString(row.created_at)
+    };
+  }
+
+  async function listWebhooks(projectId) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE project_id = $1 ORDER BY created_at, id`,
+      [projectId]
+    );
+    return rows.map(mapWebhook);
+  }
+
+  async function createWebhook(projectId, input) {
+    const { url, events, secret, active } = normalizeWebhookInput(input);
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Serializes webhook creation per project so the limit holds.
+      await client.query('SELECT id FROM projects WHERE id = $1 FOR UPDATE', [projectId]);
+      const { rows: countRows } = await client.query(
+        'SELECT COUNT(*)::int AS count FROM webhooks WHERE project_id = $1',
+        [projectId]
+      );
+      if (countRows[0].count >= MAX_WEBHOOKS_PER_PROJECT) {
+        throw new Error(WEBHOOK_LIMIT_MESSAGE);
+      }
+      const { rows } = await client.query(
+        `INSERT INTO webhooks (id, project_id, url, events, secret, active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [randomUUID(), projectId, url, JSON.stringify(events), secret, active]
+      );
+      await client.query('COMMIT');
+      return { ...mapWebhook(rows[0]), secret };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_WEBHOOK_MESSAGE);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function updateWebhook(projectId, webhookId, updates) {
+    const { url, events, secret, active } = normalizeWebhookInput(updates, { partial: true });
+    await ensureInit();
+    try {
+      const { rows } = await pool.query(
+        `UPDATE webhooks
+         SET url = COALESCE($1, url), events = COALESCE($2, events),
+             secret = COALESCE($3, secret), active = COALESCE($4, active)
+         WHERE id = $5 AND project_id = $6
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [
+          url ?? null,
+          events ? JSON.stringify(events) : null,
+          secret ?? null,
+          active ?? null,
+          webhookId,
+          projectId
+        ]
+      );
+      if (rows.length === 0) {
+        throw new Error('Webhook not found.');
+      }
+      return mapWebhook(rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(DUPLICATE_WEBHOOK_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  async function deleteWebhook(projectId, webhookId) {
+    await ensureInit();
+    const { rowCount } = await pool.query(
+      'DELETE FROM webhooks WHERE id = $1 AND project_id = $2',
+      [webhookId, projectId]
+    );
+    if (rowCount === 0) {
+      throw new Error('Webhook not found.');
+    }
+  }
+
+  // Queues `event` for every active webhook of its project that listens to it.
+  async function enqueueWebhookDeliveries(event) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      'SELECT id FROM webhooks WHERE project_id = $1 AND active AND events ? $2',
+      [event.projectId, event.type]
+    );
+    if (rows.length === 0) {
+      return 0;
+    }
+    await pool.query(
+      `INSERT INTO webhook_deliveries (id, webhook_id, event_type, event, next_attempt_at)
+       SELECT queued.id, queued.webhook_id, $3, $4, NOW()
+       FROM unnest($1::uuid[], $2::uuid[]) AS queued(id, webhook_id)`,
+      [
+        rows.map(() => randomUUID()),
+        rows.map((row) => row.id),
+        event.type,
+        JSON.stringify(event)
+      ]
+    );
+    return rows.length;
+  }
+
+  /**
+   * Leases up to `limit` due deliveries of active webhooks for `leaseMs`.
+   * SKIP LOCKED lets several server instances drain the queue side by side
+   * without sending anything twice.
+   */
+  async function claimWebhookDeliveries({ limit, leaseMs }) {
+    await ensureInit();
+    const { rows } = await pool.query(
+      `UPDATE webhook_deliveries AS d
+       SET next_attempt_at = NOW() + $2::int * INTERVAL '1 millisecond'
+       FROM webhooks AS w
+       WHERE w.id = d.webhook_id AND d.id IN (
+         SELECT due.id FROM webhook_deliveries AS due
+         JOIN webhooks AS hook ON hook.id = due.webhook_id
+         WHERE due.status = 'pending' AND due.next_attempt_at <= NOW() AND hook.active
+         ORDER BY due.next_attempt_at
+         LIMIT $1
+         FOR UPDATE OF due SKIP LOCKED
+       )
+       RETURNING d.id, d.webhook_id, d.event, jsonb_array_length(d.attempts) AS attempt_count,
+                 w.url, w.secret`,
+      [limit, leaseMs]
+    );
+    return rows.map((row) => ({
+      id: row.id,
+      webhookId: row.webhook_id,
+      url: row.url,
+      secret: row.secret,
+      event: row.event,
+      attemptCount: row.attempt_count
+    }));
+  }
+
+  async function recordWebhookAttempt(deliveryId, attempt, { status, nextAttemptAt }) {
+    await ensureInit();
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET attempts = attempts || jsonb_build_array($2::jsonb), status = $3, next_attempt_at = $4
+       WHERE id = $1`,
+      [deliveryId, JSON.stringify(attempt), status, nextAttemptAt]
+    );
+  }
+
+  async function assertWebhookExists(projectId, webhookId) {
+    const { rowCount } = await pool.query(
+      'SELECT 1 FROM webhooks WHERE id = $1 AND project_id = $2',
+      [webhookId, projectId]
+    );
+    if (rowCount === 0) {
+      throw new Error('Webhook not found.');
+    }
+  }
+
+  async function listWebhookDeliveries(projectId, webhookId, { limit }) {
+    await ensureInit();
+    await assertWebhookExists(projectId, webhookId);
+    const { rows } = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+       WHERE webhook_id = $1
+       ORDER BY created_at DESC, id
+       LIMIT $2`,
+      [webhookId, limit]
+    );
+    return rows.map(mapDelivery);
+  }
+
+  // Queues a delivery to be sent again right away, keeping its earlier attempts.
+  async function redeliverWebhookDelivery(projectId, webhookId, deliveryId) {
+    await ensureInit();
+    await assertWebhookExists(projectId, webhookId);
+    const { rows } = await pool.query(
+      `UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = NOW()
+       WHERE id = $1 AND webhook_id = $2
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [deliveryId, webhookId]
+    );
+    if (rows.length === 0) {
+      throw new Error('Delivery not found.');
+    }
+    return mapDelivery(rows[0]);
+  }
+
+  // Drops delivered and failed deliveries queued before `cutoff`.
+  async function pruneWebhookDeliveries(cutoff) {
+    await ensureInit();
+    const { rowCount } = await pool.query(
+      "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < $1",
+      [cutoff]
+    );
+    return rowCount;
+  }
+
+  const COMMENT_COLUMNS =
+    'id, item_id, parent_id, author_name, body, created_at, updated_at, deleted_at';
+
+  function mapComment(row) {
+    return {
+      id: row.id,
+      itemId: row.item_id,
+      parentId: row.parent_id,
+      authorName: row.author_name,
+      body: row.deleted_at ? '' : row.body,
+      createdAt: toIsoString(row.created_at),
+      updatedAt: toIsoString(row.updated_at),
+      deletedAt: toIsoString(row.deleted_at) || null
+    };
+  }
+
+  async function assertLiveItem(client, projectId, itemId, { forUpdate = false } = {}) {
+    const { rowCount } = await client.query(
+      `SELECT 1 FROM items WHERE id = $1 AND project_id = $2 AND deleted_at IS NULL
+       ${forUpdate ? 'FOR UPDATE' : ''}`,
+      [itemId, projectId]
+    );
+    if (rowCount === 0) {
+      throw new Error('Item not found.');
+    }
+  }
+
+  async function countComments(client, itemId) {
+    const { rows } = await client.query(
+      'SELECT COUNT(*)::int AS count FROM comments WHERE item_id = $1 AND deleted_at IS NULL',
+      [itemId]
+    );
+    return rows[0].count;
+  }
+
+  async function listComments(projectId, itemId) {
+    await ensureInit();
+    await assertLiveItem(pool, projectId, itemId);
+    const { rows } = await pool.query(
+      `SELECT ${COMMENT_COLUMNS} FROM comments WHERE item_id = $1 ORDER BY created_at, id`,
+      [itemId]
+    );
+    return rows.map(mapComment);
+  }
+
+  // Returns the new comment and the card's comment count afterwards.
+  async function createComment(projectId, itemId, { authorName, body, parentId = null }) {
+    const normalizedAuthor = normalizeAuthorName(authorName);
+    const normalizedBody = normalizeCommentBody(body);
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await assertLiveItem(client, projectId, itemId);
+
+      let threadId = null;
+      if (parentId) {
+        const parent = await client.query(
+          'SELECT id, parent_id FROM comments WHERE id = $1 AND item_id = $2 AND deleted_at IS NULL',
+          [parentId, itemId]
+        );
+        if (parent.rowCount === 0) {
+          throw new Error('Comment not found.');
+        }
+        threadId = parent.rows[0].parent_id || parent.rows[0].id;
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO comments (id, item_id, parent_id, author_name, body)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${COMMENT_COLUMNS}`,
+        [randomUUID(), itemId, threadId, normalizedAuthor, normalizedBody]
+      );
+      const commentCount = await countComments(client, itemId);
+
+      await client.query('COMMIT');
+      return { comment: mapComment(rows[0]), commentCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function updateComment(projectId, itemId, commentId, { body }) {
+    const normalizedBody = normalizeCommentBody(body);
+    await ensureInit();
+    await assertLiveItem(pool, projectId, itemId);
+    const { rows } = await pool.query(
+      `UPDATE comments SET body = $1, updated_at = NOW()
+       WHERE id = $2 AND item_id = $3 AND deleted_at IS NULL
+       RETURNING ${COMMENT_COLUMNS}`,
+      [normalizedBody, commentId, itemId]
+    );
+    if (rows.length === 0) {
+      throw new Error('Comment not found.');
+    }
+    return mapComment(rows[0]);
+  }
+
+  /**
+   * Deletes a comment. One that still has replies is kept as a placeholder so
+   * the thread survives, and a placeholder goes once its last reply does.
+   * Returns the card's comment count afterwards.
+   */
+  async function deleteComment(projectId, itemId, commentId) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await assertLiveItem(client, projectId, itemId);
+
+      const existing = await client.query(
+        `SELECT id, parent_id FROM comments
+         WHERE id = $1 AND item_id = $2 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [commentId, itemId]
+      );
+      if (existing.rowCount === 0) {
+        throw new Error('Comment not found.');
+      }
+
+      const replies = await client.query('SELECT 1 FROM comments WHERE parent_id = $1 LIMIT 1', [
+        commentId
+      ]);
+      if (replies.rowCount > 0) {
+        await client.query(
+          "UPDATE comments SET body = '', deleted_at = NOW(), updated_at = NOW() WHERE id = $1",
+          [commentId]
+        );
+      } else {
+        await client.query('DELETE FROM comments WHERE id = $1', [commentId]);
+      }
+
+      const { parent_id: parentId } = existing.rows[0];
+      if (parentId) {
+        await client.query(
+          `DELETE FROM comments
+           WHERE id = $1 AND deleted_at IS NOT NULL
+             AND NOT EXISTS (SELECT 1 FROM comments WHERE parent_id = $1)`,
+          [parentId]
+        );
+      }
+      const commentCount = await countComments(client, itemId);
+
+      await client.query('COMMIT');
+      return { commentCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const CHECKLIST_COLUMNS = 'id, item_id, text, done, position, created_at, updated_at';
+
+  function mapChecklistEntry(row) {
+    return {
+      id: row.id,
+      itemId: row.item_id,
+      text: row.text,
+      done: row.done,
+      position: row.position,
+      createdAt: toIsoString(row.created_at),
+      updatedAt: toIsoString(row.updated_at)
+    };
+  }
+
+  async function selectChecklist(client, itemId) {
+    const { rows } = await client.query(
+      `SELECT ${CHECKLIST_COLUMNS} FROM checklist_entries WHERE item_id = $1 ORDER BY position, id`,
+      [itemId]
+    );
+    return rows.map(mapChecklistEntry);
+  }
+
+  async function listChecklist(projectId, itemId) {
+    await ensureInit();
+    await assertLiveItem(pool, projectId, itemId);
+    return selectChecklist(pool, itemId);
+  }
+
+  // Appends an entry; returns it with the card's checklist progress afterwards.
+  async function createChecklistEntry(projectId, itemId, { text }) {
+    const normalizedText = normalizeChecklistText(text);
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Locking the card serializes appends so positions stay unique.
+      await assertLiveItem(client, projectId, itemId, { forUpdate: true });
+      const entries = await selectChecklist(client, itemId);
+      assertChecklistCapacity(entries.length);
+
+      const position = entries.length ? entries[entries.length - 1].position + 1 : 1;
+      const { rows } = await client.query(
+        `INSERT INTO checklist_entries (id, item_id, text, position)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${CHECKLIST_COLUMNS}`,
+        [randomUUID(), itemId, normalizedText, position]
+      );
+      const entry = mapChecklistEntry(rows[0]);
+
+      await client.query('COMMIT');
+      return { entry, progress: checklistProgress([...entries, entry]) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function updateChecklistEntry(projectId, itemId, entryId, { text, done }) {
+    const normalizedText = text === undefined ? null : normalizeChecklistText(text);
+    if (done !== undefined && typeof done !== 'boolean') {
+      throw new Error('Checklist done must be true or false.');
+    }
+    await ensureInit();
+    await assertLiveItem(pool, projectId, itemId);
+    const { rows } = await pool.query(
+      `UPDATE checklist_entries
+       SET text = COALESCE($1, text), done = COALESCE($2, done), updated_at = NOW()
+       WHERE id = $3 AND item_id = $4
+       RETURNING ${CHECKLIST_COLUMNS}`,
+      [normalizedText, done ?? null, entryId, itemId]
+    );
+    if (rows.length === 0) {
+      throw new Error('Checklist entry not found.');
+    }
+    return {
+      entry: mapChecklistEntry(rows[0]),
+      progress: checklistProgress(await selectChecklist(pool, itemId))
+    };
+  }
+
+  async function reorderChecklist(projectId, itemId, entryIds) {
+    await ensureInit();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await assertLiveItem(client, projectId, itemId, { forUpdate: true });
+      const current = await selectChecklist(client, itemId);
+      const ordered = normalizeChecklistOrder(
+        entryIds,
+        current.map((entry) => entry.id)
+      );
+      for (const [index, entryId] of ordered.entries()) {
+        await client.query('UPDATE checklist_entries SET position = $1 WHERE id = $2', [
+          index + 1,
+          entryId
+        ]);
+      }
+      const entries = await selectChecklist(client, itemId);
+
+      await client.query('COMMIT');
+      return { checklist: entries, progress: checklistProgress(entries) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function deleteChecklistEntry(projectId, itemId, entryId) {
+    await ensureInit();
+    await assertLiveItem(pool, projectId, itemId);
+    const { rowCount } = await pool.query(
+      'DELETE FROM checklist_entries WHERE id = $1 AND item_id = $2',
+      [entryId, itemId]
+    );
+    if (rowCount === 0) {
+      throw new Error('Checklist entry not found.');
+    }
+    return { progress: checklistProgress(await selectChecklist(pool, itemId)) };
+  }
+
+  // Everything a project archive holds (see archive.js), trashed cards included.
+  async function listProjectContents(projectId) {
+    await ensureInit();
+    const [items, trashed, labels, collaborators, sprints, comments, checklist, transitions] =
+      await Promise.all([
+        getItemsByProject(projectId),
+        listTrashedItems(projectId),
+        listLabels(projectId),
+        listCollaborators(projectId),
+        listSprints(projectId),
+        pool.query(
+          `SELECT ${COMMENT_COLUMNS} FROM comments
+           WHERE item_id IN (SELECT id FROM items WHERE project_id = $1)
+           ORDER BY created_at, id`,
+          [projectId]
+        ),
+        pool.query(
+          `SELECT ${CHECKLIST_COLUMNS} FROM checklist_entries
+           WHERE item_id IN (SELECT id FROM items WHERE project_id = $1)
+           ORDER BY item_id, position, id`,
+          [projectId]
+        ),
+        pool.query(
+          `SELECT item_id, from_status, to_status, created_at FROM status_transitions
+           WHERE project_id = $1
+           ORDER BY created_at, id`,
+          [projectId]
+        )
+      ]);
+    return {
+      items: [...items, ...trashed],
+      labels,
+      collaborators,
+      sprints,
+      comments: comments.rows.map(mapComment),
+      checklist: checklist.rows.map(mapChecklistEntry),
+      transitions: transitions.rows.map((row) => ({
+        itemId: row.item_id,
+        from: row.from_status,
+        to: row.to_status,
+        createdAt: toIsoString(row.created_at)
+      }))
+    };
+  }
+
+  /**
+   * LISTEN/NOTIFY transport for board events so that every server instance
+   * sharing this database can push them to its own SSE clients.
+   */
+  function createNotificationTransport(channel = 'board_events') {
+    const handlers = new Set();
+    let listening = null;
+
+    const deliver = (payload) => handlers.forEach((handler) => handler(payload));
+
+    async function listen() {
+      await ensureInit();
+      const client = await pool.connect();
+      client.on('notification', (message) => {
+        if (message.channel !== channel) return;
+        try {
+          deliver(JSON.parse(message.payload));
+        } catch (error) {
+          console.error('Ignoring malformed board event notification.', error);
+        }
+      });
+      client.on('error', (error) => {
+        console.error('Lost Postgres notification connection; reconnecting.', error);
+        client.release(error);
+        listening = null;
+        setTimeout(() => {
+          ensureListening().then(() => deliver({ type: 'board.resync', projectId: null }));
+        }, 1000);
+      });
+      await client.query(`LISTEN ${channel}`);
+    }
+
+    function ensureListening() {
+      if (!listening) {
+        listening = listen().catch((error) => {
+          console.error('Failed to listen for board events; retrying.', error);
+          listening = null;
+          return new Promise((resolve) => {
+            setTimeout(() => resolve(ensureListening()), 5000);
+          });
+        });
+      }
+      return listening;
+    }
+
+    return {
+      subscribe(handler) {
+        handlers.add(handler);
+        ensureListening();
+        return () => handlers.delete(handler);
+      },
+      async publish(payload) {
+        await pool.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(payload)]);
+      }
+    };
+  }
+
+  module.exports = {
+    VALID_STATUSES,
+    initDatabase: ensureInit,
+    createNotificationTransport,
+    listProjects,
+    getProjectById,
+    getProjectBySecret,
+    createProject,
+    importProject,
+    listProjectContents,
+    deleteProject,
+    updateProjectWorkflow,
+    getItemsByProject,
+    createItem,
+    createItems,
+    updateItem,
+    deleteItem,
+    getEpic,
+    reorderItems,
+    bulkUpdateItems,
+    searchItems,
+    listTrashedItems,
+    restoreItem,
+    restoreProject,
+    purgeTrash,
+    listActivity,
+    listStatusTransitions,
+    listComments,
+    createComment,
+    updateComment,
+    deleteComment,
+    listChecklist,
+    createChecklistEntry,
+    updateChecklistEntry,
+    reorderChecklist,
+    deleteChecklistEntry,
+    listLabels,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+    listCollaborators,
+    createCollaborator,
+    updateCollaborator,
+    deleteCollaborator,
+    listSprints,
+    createSprint,
+    updateSprint,
+    deleteSprint,
+    startSprint,
+    completeSprint,
+    listViews,
+    createView,
+    updateView,
+    deleteView,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    enqueueWebhookDeliveries,
+    claimWebhookDeliveries,
+    recordWebhookAttempt,
+    listWebhookDeliveries,
+    redeliverWebhookDelivery,
+    pruneWebhookDeliveries
+  };
+} else {
+  const DATA_PATH = process.env.BACKLOG_DB_FILE
+    ? path.resolve(process.env.BACKLOG_DB_FILE)
+    : path.join(__dirname, '..', 'data', 'database.json');
+
+  const DEFAULT_DATA = {
+    projects: [],
+    items: [],
+    activity: [],
+    comments: [],
+    checklists: [],
+    labels: [],
+    collaborators: [],
+    sprints: [],
+    transitions: [],
+    views: [],
+    webhooks: [],
+    webhookDeliveries: []
+  };
+
+  function ensureDatabase() {
+    if (!fs.existsSync(DATA_PATH)) {
+      const dir = path.dirname(DATA_PATH);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(DATA_PATH, JSON.stringify(DEFAULT_DATA, null, 2));
+    }
+  }
+
+  // Files written before secrets were hashed store `secretKey` verbatim.
+  function migratePlaintextSecrets(data) {
+    let migrated = false;
+    data.projects.forEach((project) => {
+      if (project.secretKey === undefined) return;
+      if (!isHashedSecret(project.secretHash)) {
+        project.secretHash = hashSecretSync(project.secretKey);
+        project.secretLookup = lookupKeyForSecret(project.secretKey);
+      }
+      delete project.secretKey;
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  // Projects created before custom workflows use the four standard columns.
+  function migrateWorkflows(data) {
+    let migrated = false;
+    data.projects.forEach((project) => {
+      if (Array.isArray(project.workflow)) return;
+      project.workflow = defaultWorkflow();
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  // Items created before optimistic concurrency start at version 1.
+  function migrateItemVersions(data) {
+    let migrated = false;
+    data.items.forEach((item) => {
+      if (Number.isInteger(item.version)) return;
+      item.version = 1;
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  function migrateActivityLog(data) {
+    if (Array.isArray(data.activity)) return false;
+    data.activity = [];
+    return true;
+  }
+
+  function migrateComments(data) {
+    if (Array.isArray(data.comments)) return false;
+    data.comments = [];
+    return true;
+  }
+
+  function migrateChecklists(data) {
+    if (Array.isArray(data.checklists)) return false;
+    data.checklists = [];
+    return true;
+  }
+
+  function migrateLabels(data) {
+    let migrated = false;
+    if (!Array.isArray(data.labels)) {
+      data.labels = [];
+      migrated = true;
+    }
+    data.items.forEach((item) => {
+      if (Array.isArray(item.labelIds)) return;
+      item.labelIds = [];
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  function migrateRoster(data) {
+    let migrated = false;
+    if (!Array.isArray(data.collaborators)) {
+      data.collaborators = [];
+      migrated = true;
+    }
+    data.items.forEach((item) => {
+      if (Array.isArray(item.assignees)) return;
+      item.assignees = [];
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  function migrateEpics(data) {
+    let migrated = false;
+    data.items.forEach((item) => {
+      if (item.epicId !== undefined) return;
+      item.epicId = null;
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  function migrateStatusTransitions(data) {
+    if (Array.isArray(data.transitions)) return false;
+    data.transitions = [];
+    backfillTransitions(data, data.items);
+    return true;
+  }
+
+  function migrateColumnEntries(data) {
+    const missing = data.items.filter((item) => !item.columnEnteredAt);
+    if (missing.length === 0) return false;
+    backfillColumnEntries(data, missing);
+    return true;
+  }
+
+  function migrateWebhooks(data) {
+    if (Array.isArray(data.webhooks) && Array.isArray(data.webhookDeliveries)) return false;
+    data.webhooks = data.webhooks || [];
+    data.webhookDeliveries = data.webhookDeliveries || [];
+    return true;
+  }
+
+  function migrateViews(data) {
+    if (Array.isArray(data.views)) return false;
+    data.views = [];
+    return true;
+  }
+
+  function migrateSprints(data) {
+    let migrated = false;
+    if (!Array.isArray(data.sprints)) {
+      data.sprints = [];
+      migrated = true;
+    }
+    data.items.forEach((item) => {
+      if (item.sprintId !== undefined) return;
+      item.sprintId = null;
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  function migrateBlockers(data) {
+    let migrated = false;
+    data.items.forEach((item) => {
+      if (Array.isArray(item.blockedBy)) return;
+      item.blockedBy = [];
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  function migrateDueDates(data) {
+    let migrated = false;
+    data.items.forEach((item) => {
+      if (item.dueDate !== undefined) return;
+      item.dueDate = null;
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  function migratePlanningFields(data) {
+    let migrated = false;
+    data.items.forEach((item) => {
+      if (item.priority !== undefined && item.estimate !== undefined) return;
+      item.priority = item.priority ?? null;
+      item.estimate = item.estimate ?? null;
+      migrated = true;
+    });
+    return migrated;
+  }
+
+  const LEGACY_MIGRATIONS = [
+    migratePlaintextSecrets,
+    migrateWorkflows,
+    migrateItemVersions,
+    migrateActivityLog,
+    migrateComments,
+    migrateLabels,
+    migrateRoster,
+    migrateDueDates,
+    migratePlanningFields,
+    migrateChecklists,
+    migrateBlockers,
+    migrateEpics,
+    migrateSprints,
+    migrateStatusTransitions,
+    migrateColumnEntries,
+    migrateViews,
+    migrateWebhooks
+  ];
+
+  // Upgrade files written by older versions in place the first time they are read.
+  function migrateLegacyData(data) {
+    const migrated = LEGACY_MIGRATIONS.map((migrate) => migrate(data)).some(Boolean);
+    if (migrated) {
+      writeData(data);
+    }
+    return data;
+  }
+
+  function readData() {
+    ensureDatabase();
+    const fileContent = fs.readFileSync(DATA_PATH, 'utf-8');
+    let data;
+    try {
+      data = JSON.parse(fileContent);
+    } catch (error) {
+      console.error('Failed to parse database file; resetting.', error);
+      fs.writeFileSync(DATA_PATH, JSON.stringify(DEFAULT_DATA, null, 2));
+      return JSON.parse(JSON.stringify(DEFAULT_DATA));
+    }
+    return migrateLegacyData(data);
+  }
+
+  function writeData(data) {
+    fs.writeFileSync(DATA_PATH, JSON.stringify(data, null, 2));
+  }
+
+  // The log is append-only: entries survive the items and projects they describe.
+  // Status changes among them are also kept as transitions for flow analytics.
+  function appendActivity(data, projectId, entries) {
+    let nextId = data.activity.length > 0 ? data.activity[data.activity.length - 1].id + 1 : 1;
+    entries.filter(Boolean).forEach((entry) => {
+      data.activity.push({
+        id: nextId,
+        projectId,
+        ...entry,
+        createdAt: new Date().toISOString()
+      });
+      nextId += 1;
+    });
+    statusTransitions(entries).forEach((transition) => {
+      data.transitions.push({ projectId, ...transition, createdAt: new Date().toISOString() });
+    });
+  }
+
+  // Like the Postgres store, items without transitions get the history their timestamps imply.
+  function backfillTransitions(data, items) {
+    items.forEach((item) => {
+      reconstructedTransitions(item).forEach((transition) => {
+        data.transitions.push({ projectId: item.projectId, ...transition });
+      });
+    });
+  }
+
+  // Items get their column entry times from their recorded transitions.
+  function backfillColumnEntries(data, items) {
+    const transitionsByItem = new Map(items.map((item) => [item.id, []]));
+    data.transitions.forEach((transition) => {
+      transitionsByItem.get(transition.itemId)?.push(transition);
+    });
+    items.forEach((item) => {
+      const workflow = data.projects.find((p) => p.id === item.projectId)?.workflow || DEFAULT_WORKFLOW;
+      const transitions = transitionsByItem
+        .get(item.id)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      item.columnEnteredAt = replayColumnEntries(transitions, workflow);
+    });
+  }
+
+  function listStatusTransitionsSync(projectId, { before }) {
+    const data = readData();
+    return data.transitions
+      .filter((transition) => transition.projectId === projectId && transition.createdAt < before)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function listActivitySync(projectId, { limit, before = null, itemId = null }) {
+    const data = readData();
+    const matches = [];
+    for (let index = data.activity.length - 1; index >= 0 && matches.length <= limit; index -= 1) {
+      const entry = data.activity[index];
+      if (entry.projectId !== projectId) continue;
+      if (before !== null && entry.id >= before) continue;
+      if (itemId && entry.itemId !== itemId) continue;
+      matches.push(entry);
+    }
+    const entries = matches.slice(0, limit);
+    return {
+      entries,
+      nextCursor: matches.length > limit ? entries[entries.length - 1].id : null
+    };
+  }
+
+  // Items and projects written before the trash existed have no `deletedAt`.
+  const isLiveItem = (item, projectId) => item.projectId === projectId && !item.deletedAt;
+
+  function listProjectsSync() {
+    const data = readData();
+    return data.projects.filter((project) => !project.deletedAt);
+  }
+
+  function getProjectByIdSync(projectId, { includeDeleted = false } = {}) {
+    const data = readData();
+    return (
+      data.projects.find(
+        (project) => project.id === projectId && (includeDeleted || !project.deletedAt)
+      ) || null
+    );
+  }
+
+  async function getProjectBySecret(secretKey) {
+    const lookupKey = lookupKeyForSecret(secretKey);
+    if (!lookupKey) return null;
+    const data = readData();
+    const project = data.projects.find((p) => p.secretLookup === lookupKey);
+    if (!project || !(await verifySecret(secretKey, project.secretHash))) {
+      return null;
+    }
+    return project;
+  }
+
+  async function createProject({ name, secretKey }) {
+    const { normalizedName, normalizedKey } = normalizeProjectInput({ name, secretKey });
+
+    const secretHash = await hashSecret(normalizedKey);
+    return createProjectSync({
+      name: normalizedName,
+      secretHash,
+      secretLookup: lookupKeyForSecret(normalizedKey)
+    });
+  }
+
+  function createProjectSync(
+    { name, secretHash, secretLookup, workflow = defaultWorkflow() },
+    data = readData()
+  ) {
+    const existingKey = data.projects.find((project) => project.secretLookup === secretLookup);
+    if (existingKey) {
+      throw new Error(DUPLICATE_SECRET_MESSAGE);
+    }
+
+    const newProject = {
+      id: randomUUID(),
+      name,
+      secretHash,
+      secretLookup,
+      workflow,
+      createdAt: new Date().toISOString(),
+      deletedAt: null
+    };
+
+    data.projects.push(newProject);
+    writeData(data);
+    return newProject;
+  }
+
+  async function importProject({ name, secretKey, ...archive }) {
+    const { normalizedName, normalizedKey } = normalizeProjectInput({ name, secretKey });
+    const secretHash = await hashSecret(normalizedKey);
+    const { workflow, labels, collaborators, sprints, items } = remapArchiveIds(archive);
+
+    const data = readData();
+    const now = new Date().toISOString();
+    const project = createProjectSync(
+      {
+        name: normalizedName,
+        secretHash,
+        secretLookup: lookupKeyForSecret(normalizedKey),
+        workflow
+      },
+      data
+    );
+
+    labels.forEach((label) => {
+      data.labels.push({
+        ...label,
+        projectId: project.id,
+        createdAt: toIsoString(label.createdAt) || now
+      });
+    });
+    collaborators.forEach((collaborator) => {
+      data.collaborators.push({
+        ...collaborator,
+        projectId: project.id,
+        createdAt: toIsoString(collaborator.createdAt) || now
+      });
+    });
+    sprints.forEach((sprint) => {
+      data.sprints.push({
+        ...sprint,
+        projectId: project.id,
+        startedAt: toIsoString(sprint.startedAt) || null,
+        completedAt: toIsoString(sprint.completedAt) || null,
+        createdAt: toIsoString(sprint.createdAt) || now
+      });
+    });
+
+    const withoutHistory = new Set();
+    items.forEach(({ comments, checklist, transitions, ...item }) => {
+      const createdAt = toIsoString(item.createdAt) || now;
+      data.items.push({
+        ...item,
+        projectId: project.id,
+        version: 1,
+        createdAt,
+        updatedAt: toIsoString(item.updatedAt) || createdAt,
+        deletedAt: toIsoString(item.deletedAt) || null
+      });
+      comments.forEach((comment) => {
+        const commentCreatedAt = toIsoString(comment.createdAt) || now;
+        data.comments.push({
+          ...comment,
+          itemId: item.id,
+          createdAt: commentCreatedAt,
+          updatedAt: toIsoString(comment.updatedAt) || commentCreatedAt,
+          deletedAt: toIsoString(comment.deletedAt) || null
+        });
+      });
+      checklist.forEach((entry, index) => {
+        const entryCreatedAt = toIsoString(entry.createdAt) || now;
+        data.checklists.push({
+          id: randomUUID(),
+          itemId: item.id,
+          text: entry.text,
+          done: entry.done,
+          position: index + 1,
+          createdAt: entryCreatedAt,
+          updatedAt: toIsoString(entry.updatedAt) || entryCreatedAt
+        });
+      });
+      transitions.forEach((transition) => {
+        data.transitions.push({ projectId: project.id, itemId: item.id, ...transition });
+      });
+      if (transitions.length === 0) {
+        withoutHistory.add(item.id);
+      }
+    });
+    // Cards archived without their history get what their timestamps imply.
+    const importedItems = data.items.filter((item) => item.projectId === project.id);
+    backfillTransitions(data, importedItems.filter((item) => withoutHistory.has(item.id)));
+    backfillColumnEntries(data, importedItems.filter((item) => !item.columnEnteredAt));
+    appendActivity(data, project.id, [
+      {
+        action: 'project.imported',
+        itemId: null,
+        itemTitle: null,
+        changes: { items: { from: null, to: items.length } }
+      }
+    ]);
+    writeData(data);
+    return project;
+  }
+
+  // Everything a project archive holds (see archive.js), trashed cards included.
+  function listProjectContentsSync(projectId) {
+    const data = readData();
+    const ofProject = (record) => record.projectId === projectId;
+    const items = data.items.filter(ofProject);
+    const itemIds = new Set(items.map((item) => item.id));
+    return {
+      items,
+      labels: data.labels.filter(ofProject),
+      collaborators: data.collaborators.filter(ofProject),
+      sprints: data.sprints.filter(ofProject).sort(compareSprints),
+      comments: data.comments
+        .filter((comment) => itemIds.has(comment.itemId))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(publicComment),
+      checklist: data.checklists
+        .filter((entry) => itemIds.has(entry.itemId))
+        .sort((a, b) => a.position - b.position),
+      transitions: data.transitions
+        .filter(ofProject)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    };
+  }
+
+  function deleteProjectSync(projectId) {
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId && !p.deletedAt);
+    if (!project) {
+      return false;
+    }
+
+    project.deletedAt = new Date().toISOString();
+    searchIndexes.delete(projectId);
+    appendActivity(data, projectId, [
+      {
+        action: 'project.deleted',
+        itemId: null,
+        itemTitle: null,
+        changes: { name: { from: project.name, to: null } }
+      }
+    ]);
+    writeData(data);
+    return true;
+  }
+
+  function restoreProjectSync(projectId) {
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId && p.deletedAt);
+    if (!project) {
+      throw new Error('Project is not in the trash.');
+    }
+
+    project.deletedAt = null;
+    appendActivity(data, projectId, [
+      {
+        action: 'project.restored',
+        itemId: null,
+        itemTitle: null,
+        changes: { name: { from: null, to: project.name } }
+      }
+    ]);
+    writeData(data);
+    return project;
+  }
+
+  function updateProjectWorkflowSync(projectId, columns, { moveItemsTo } = {}) {
+    const nextWorkflow = normalizeWorkflow(columns);
+
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId);
+    if (!project) {
+      throw new Error('Project not found.');
+    }
+
+    const activity = [workflowActivity(project.workflow, nextWorkflow)];
+    const migrations = planColumnMigrations(project.workflow, nextWorkflow, moveItemsTo);
+    Object.entries(migrations).forEach(([fromStatus, toStatus]) => {
+      let position = nextPositionForStatus(data, projectId, toStatus);
+      data.items
+        .filter((item) => isLiveItem(item, projectId) && item.status === fromStatus)
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+        .forEach((item) => {
+          activity.push(itemActivity('item.moved', item, { ...item, status: toStatus, position }));
+          item.columnEnteredAt = enterColumn(
+            item.columnEnteredAt,
+            toStatus,
+            nextWorkflow,
+            new Date().toISOString()
+          );
+          item.status = toStatus;
+          item.position = position;
+          item.version += 1;
+          item.updatedAt = new Date().toISOString();
+          position += 1;
+        });
+    });
+
+    project.workflow = nextWorkflow;
+    appendActivity(data, projectId, activity);
+    writeData(data);
+    return project;
+  }
+
+  function getItemsByProjectSync(projectId) {
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId);
+    const commentCounts = new Map();
+    data.comments
+      .filter((comment) => !comment.deletedAt)
+      .forEach((comment) => {
+        commentCounts.set(comment.itemId, (commentCounts.get(comment.itemId) || 0) + 1);
+      });
+    const checklists = new Map();
+    data.checklists.forEach((entry) => {
+      const progress = checklists.get(entry.itemId) || { done: 0, total: 0 };
+      progress.total += 1;
+      progress.done += entry.done ? 1 : 0;
+      checklists.set(entry.itemId, progress);
+    });
+    const items = data.items
+      .filter((item) => isLiveItem(item, projectId))
+      .map((item) => ({
+        ...item,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt,
+        commentCount: commentCounts.get(item.id) || 0,
+        checklist: checklists.get(item.id) || { done: 0, total: 0 }
+      }));
+    return sortItems(items, project?.workflow);
+  }
+
+  // Search indexes of the most recently searched projects, each rebuilt once one
+  // of its cards is added, edited or removed and dropped with its project.
+  const searchIndexes = new Map();
+  const SEARCH_INDEX_CACHE_SIZE = 50;
+
+  function searchItemsSync(projectId, { terms, limit }) {
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId);
+    const items = sortItems(
+      data.items.filter((item) => isLiveItem(item, projectId)),
+      project?.workflow
+    );
+    const signature = items.map((item) => `${item.id}:${item.version}`).join();
+    let cached = searchIndexes.get(projectId);
+    if (!cached || cached.signature !== signature) {
+      cached = { signature, index: buildSearchIndex(items) };
+    }
+    // Re-inserting keeps the Map in least recently searched order.
+    searchIndexes.delete(projectId);
+    searchIndexes.set(projectId, cached);
+    if (searchIndexes.size > SEARCH_INDEX_CACHE_SIZE) {
+      searchIndexes.delete(searchIndexes.keys().next().value);
+    }
+    const boardOrder = new Map(items.map((item, index) => [item.id, index]));
+    const itemsById = new Map(items.map((item) => [item.id, item]));
+    return searchIndex(cached.index, terms)
+      .sort((a, b) => b.rank - a.rank || boardOrder.get(a.itemId) - boardOrder.get(b.itemId))
+      .slice(0, limit)
+      .map(({ itemId, rank }) => ({ item: itemsById.get(itemId), rank }));
+  }
+
+  function nextPositionForStatus(data, projectId, status) {
+    const items = data.items.filter((item) => isLiveItem(item, projectId) && item.status === status);
+    if (items.length === 0) return 1;
+    return Math.max(...items.map((item) => item.position ?? 0)) + 1;
+  }
+
+  // Appends items to the end of their columns; all or nothing, like the Postgres store.
+  function createItemsSync(projectId, payloads, { overrideWipLimit = false } = {}) {
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId);
+    if (!project) {
+      throw new Error('Project not found.');
+    }
+    const counts = countByStatus(data.items.filter((item) => isLiveItem(item, projectId)));
+    const knownLabelIds = projectLabelIds(data, projectId);
+    const rosterIds = projectCollaboratorIds(data, projectId);
+    const projectItems = data.items.filter((item) => item.projectId === projectId);
+    const sprints = projectSprints(data, projectId);
+
+    const created = payloads.map((payload) => {
+      const {
+        title,
+        description = '',
+        status = project.workflow[0].key,
+        labelIds = [],
+        assignees = [],
+        blockedBy = [],
+        epicId = null,
+        sprintId = null,
+        dueDate = null,
+        priority = null,
+        estimate = null
+      } = payload;
+      const normalizedTitle = (title || '').trim();
+      if (!normalizedTitle) {
+        throw new Error('Item title is required.');
+      }
+      validateStatus(status, project.workflow);
+      const normalizedLabelIds = normalizeLabelIds(labelIds, knownLabelIds);
+      const normalizedAssignees = normalizeAssignees(assignees, rosterIds);
+      const normalizedBlockers = normalizeBlockers(blockedBy, {
+        projectItemIds: projectItems.map((item) => item.id)
+      });
+      const normalizedEpicId = normalizeEpicId(epicId, { items: projectItems });
+      const normalizedSprintId = normalizeSprintId(sprintId, sprints);
+      const normalizedDueDate = normalizeDueDate(dueDate);
+      const normalizedPriority = normalizePriority(priority);
+      const normalizedEstimate = normalizeEstimate(estimate);
+      assertCanEnterStatus(
+        { title: normalizedTitle, blockedBy: normalizedBlockers },
+        status,
+        projectItems,
+        project.workflow
+      );
+      if (!overrideWipLimit) {
+        assertWipCapacity(project.workflow, counts, status);
+      }
+      counts[status] = (counts[status] || 0) + 1;
+
+      const createdAt = new Date().toISOString();
+      const newItem = {
+        id: randomUUID(),
+        projectId,
+        title: normalizedTitle,
+        description: (description || '').trim(),
+        status,
+        position: nextPositionForStatus(data, projectId, status),
+        version: 1,
+        labelIds: normalizedLabelIds,
+        assignees: normalizedAssignees,
+        blockedBy: normalizedBlockers,
+        epicId: normalizedEpicId,
+        sprintId: normalizedSprintId,
+        dueDate: normalizedDueDate,
+        priority: normalizedPriority,
+        estimate: normalizedEstimate,
+        columnEnteredAt: enterColumn({}, status, project.workflow, createdAt),
+        createdAt,
+        updatedAt: createdAt,
+        deletedAt: null
+      };
+      // Pushed straight away so the next payload's position accounts for it.
+      data.items.push(newItem);
+      return newItem;
+    });
+
+    appendActivity(
+      data,
+      projectId,
+      created.map((item) => itemActivity('item.created', null, item))
+    );
+    writeData(data);
+    return created;
+  }
+
+  // Applies a PATCH to `data` in place; shared with bulk requests.
+  function applyItemUpdate(
+    data,
+    projectId,
+    itemId,
+    updates,
+    { overrideWipLimit = false, expectedVersion } = {}
+  ) {
+    const itemIndex = data.items.findIndex((item) => item.id === itemId && isLiveItem(item, projectId));
+    if (itemIndex === -1) {
+      throw new Error('Item not found.');
+    }
+
+    const item = data.items[itemIndex];
+    if (expectedVersion !== undefined) {
+      assertExpectedVersions([item], { [itemId]: expectedVersion });
+    }
+    const updatedItem = { ...item };
+
+    if (updates.title !== undefined) {
+      const newTitle = `${updates.title}`.trim();
+      if (!newTitle) {
+        throw new Error('Item title cannot be empty.');
+      }
+      updatedItem.title = newTitle;
+    }
+
+    if (updates.description !== undefined) {
+      updatedItem.description = `${updates.description}`.trim();
+    }
+
+    const projectItems = data.items.filter((i) => i.projectId === projectId);
+    if (updates.blockedBy !== undefined) {
+      updatedItem.blockedBy = normalizeBlockers(updates.blockedBy, {
+        itemId,
+        projectItemIds: projectItems.map((i) => i.id)
+      });
+      assertNoDependencyCycle(itemId, updatedItem.blockedBy, projectItems);
+    }
+
+    if (updates.epicId !== undefined) {
+      updatedItem.epicId = normalizeEpicId(updates.epicId, { itemId, items: projectItems });
+    }
+
+    // Cards already in a completed sprint keep it until they are moved out.
+    if (updates.sprintId !== undefined && updates.sprintId !== item.sprintId) {
+      updatedItem.sprintId = normalizeSprintId(updates.sprintId, projectSprints(data, projectId));
+    }
+
+    if (updates.status !== undefined) {
+      const project = data.projects.find((p) => p.id === projectId);
+      validateStatus(updates.status, project?.workflow);
+      if (updates.status !== item.status) {
+        assertCanEnterStatus(updatedItem, updates.status, projectItems, project.workflow);
+        if (!overrideWipLimit) {
+          const projectItems = data.items.filter((i) => isLiveItem(i, projectId));
+          assertWipCapacity(project?.workflow, countByStatus(projectItems), updates.status);
+        }
+        updatedItem.status = updates.status;
+        updatedItem.position = nextPositionForStatus(data, projectId, updates.status);
+        updatedItem.columnEnteredAt = enterColumn(
+          item.columnEnteredAt,
+          updates.status,
+          project.workflow,
+          new Date().toISOString()
+        );
+      }
+    }
+
+    if (updates.labelIds !== undefined) {
+      updatedItem.labelIds = normalizeLabelIds(updates.labelIds, projectLabelIds(data, projectId));
+    }
+
+    if (updates.dueDate !== undefined) {
+      updatedItem.dueDate = normalizeDueDate(updates.dueDate);
+    }
+
+    if (updates.priority !== undefined) {
+      updatedItem.priority = normalizePriority(updates.priority);
+    }
+
+    if (updates.estimate !== undefined) {
+      updatedItem.estimate = normalizeEstimate(updates.estimate);
+    }
+
+    if (updates.assignees !== undefined) {
+      updatedItem.assignees = normalizeAssignees(
+        updates.assignees,
+        projectCollaboratorIds(data, projectId)
+      );
+    }
+
+    updatedItem.version = item.version + 1;
+    updatedItem.updatedAt = new Date().toISOString();
+
+    data.items[itemIndex] = updatedItem;
+    appendActivity(data, projectId, [itemActivity('item.updated', item, updatedItem)]);
+    return updatedItem;
+  }
+
+  function updateItemSync(projectId, itemId, updates = {}, options = {}) {
+    const data = readData();
+    const updated = applyItemUpdate(data, projectId, itemId, updates, options);
+    writeData(data);
+    return updated;
+  }
+
+  // Moves a card (and, with `children: 'delete'`, its epic's cards) to the trash in `data`.
+  function trashItem(data, projectId, itemId, { children = null, expectedVersion } = {}) {
+    const itemIndex = data.items.findIndex((item) => item.id === itemId && isLiveItem(item, projectId));
+    if (itemIndex === -1) {
+      throw new Error('Item not found.');
+    }
+    const removed = data.items[itemIndex];
+    if (expectedVersion !== undefined) {
+      assertExpectedVersions([removed], { [itemId]: expectedVersion });
+    }
+    const childItems = data.items.filter(
+      (item) => isLiveItem(item, projectId) && item.epicId === itemId
+    );
+    if (childItems.length > 0 && !children) {
+      throw new EpicHasChildrenError(removed, childItems.length);
+    }
+
+    const now = new Date().toISOString();
+    removed.deletedAt = now;
+    const entries = [itemActivity('item.deleted', removed, null)];
+    const changed = childItems.map((child) => {
+      const before = { ...child };
+      if (children === 'delete') {
+        child.deletedAt = now;
+        entries.push(itemActivity('item.deleted', child, null));
+      } else {
+        child.epicId = null;
+        child.version += 1;
+        child.updatedAt = now;
+        entries.push(itemActivity('item.updated', before, child));
+      }
+      return child;
+    });
+    appendActivity(data, projectId, entries);
+    return {
+      removed,
+      detached: children === 'delete' ? [] : changed,
+      trashedChildren: children === 'delete' ? changed : []
+    };
+  }
+
+  function deleteItemSync(projectId, itemId, options = {}) {
+    const data = readData();
+    const result = trashItem(data, projectId, itemId, options);
+    writeData(data);
+    return result;
+  }
+
+  // Nothing is written until every operation has applied, so a failure leaves the file untouched.
+  function bulkUpdateItemsSync(projectId, operations, { overrideWipLimit = false } = {}) {
+    const data = readData();
+    const results = operations.map((operation, index) => {
+      const { type, itemId, expectedVersion } = operation;
+      try {
+        return type === 'delete'
+          ? trashItem(data, projectId, itemId, { children: operation.children, expectedVersion })
+          : {
+            item: applyItemUpdate(data, projectId, itemId, operation.updates, {
+              overrideWipLimit,
+              expectedVersion
+            })
+          };
+      } catch (error) {
+        throw new BulkOperationError(index, error);
+      }
+    });
+    writeData(data);
+    return results;
+  }
+
+  function getEpicSync(projectId, epicId) {
+    const data = readData();
+    const epic = findLiveItem(data, projectId, epicId);
+    const project = data.projects.find((p) => p.id === projectId);
+    const children = sortItems(
+      data.items.filter((item) => isLiveItem(item, projectId) && item.epicId === epicId),
+      project.workflow
+    );
+    return { epic, children, progress: epicProgress(children, project.workflow) };
+  }
+
+  function listTrashedItemsSync(projectId) {
+    const data = readData();
+    return data.items
+      .filter((item) => item.projectId === projectId && item.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  function restoreItemSync(projectId, itemId, { overrideWipLimit = false } = {}) {
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId);
+    if (!project) {
+      throw new Error('Project not found.');
+    }
+    const item = data.items.find((i) => i.id === itemId && i.projectId === projectId && i.deletedAt);
+    if (!item) {
+      throw new Error('Item not found.');
+    }
+
+    // Items whose column was removed while they sat in the trash go to the first column.
+    const keepsColumn = workflowStatuses(project.workflow).includes(item.status);
+    const status = keepsColumn ? item.status : project.workflow[0].key;
+    const projectItems = data.items.filter((i) => isLiveItem(i, projectId));
+    if (!overrideWipLimit) {
+      assertWipCapacity(project.workflow, countByStatus(projectItems), status);
+    }
+
+    const nextPosition = nextPositionForStatus(data, projectId, status);
+    const position = keepsColumn ? Math.min(item.position, nextPosition) : nextPosition;
+    projectItems
+      .filter((i) => i.status === status && i.position >= position)
+      .forEach((i) => {
+        i.position += 1;
+      });
+
+    // Links to cards still in the trash are dropped: a trashed epic is
+    // detached and only live blockers are kept.
+    const liveIds = new Set(projectItems.map((i) => i.id));
+    if (item.epicId && !liveIds.has(item.epicId)) {
+      item.epicId = null;
+    }
+    item.blockedBy = (item.blockedBy || []).filter((id) => liveIds.has(id));
+    item.deletedAt = null;
+    item.status = status;
+    item.position = position;
+    item.version += 1;
+    item.updatedAt = new Date().toISOString();
+    appendActivity(data, projectId, [itemActivity('item.restored', null, item)]);
+    writeData(data);
+    return item;
+  }
+
+  function purgeTrashSync(cutoff) {
+    const data = readData();
+    const expired = (record) => record.deletedAt && new Date(record.deletedAt) < cutoff;
+    const purgedProjects = new Set(data.projects.filter(expired).map((project) => project.id));
+    const purged = { items: data.items.filter(expired).length, projects: purgedProjects.size };
+
+    // Like the Postgres cascade, purging a project removes all of its items,
+    // and purging an item removes its comments, checklist and links to it.
+    data.projects = data.projects.filter((project) => !purgedProjects.has(project.id));
+    purgedProjects.forEach((projectId) => searchIndexes.delete(projectId));
+    data.items = data.items.filter((item) => !expired(item) && !purgedProjects.has(item.projectId));
+    data.labels = data.labels.filter((label) => !purgedProjects.has(label.projectId));
+    data.collaborators = data.collaborators.filter(
+      (collaborator) => !purgedProjects.has(collaborator.projectId)
+    );
+    data.sprints = data.sprints.filter((sprint) => !purgedProjects.has(sprint.projectId));
+    data.views = data.views.filter((view) => !purgedProjects.has(view.projectId));
+    data.webhooks = data.webhooks.filter((webhook) => !purgedProjects.has(webhook.projectId));
+    const remainingWebhooks = new Set(data.webhooks.map((webhook) => webhook.id));
+    data.webhookDeliveries = data.webhookDeliveries.filter((delivery) =>
+      remainingWebhooks.has(delivery.webhookId)
+    );
+    const remainingItems = new Set(data.items.map((item) => item.id));
+    data.items.forEach((item) => {
+      item.blockedBy = item.blockedBy.filter((id) => remainingItems.has(id));
+      if (item.epicId && !remainingItems.has(item.epicId)) item.epicId = null;
+    });
+    data.comments = data.comments.filter((comment) => remainingItems.has(comment.itemId));
+    data.checklists = data.checklists.filter((entry) => remainingItems.has(entry.itemId));
+    if (purged.items > 0 || purged.projects > 0) {
+      writeData(data);
+    }
+    return purged;
+  }
+
+  const projectLabelIds = (data, projectId) =>
+    data.labels.filter((label) => label.projectId === projectId).map((label) => label.id);
+
+  function assertUniqueLabelName(data, projectId, name, exceptId = null) {
+    const taken = data.labels.some(
+      (label) =>
+        label.projectId === projectId &&
+        label.id !== exceptId &&
+        label.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+      throw new Error(DUPLICATE_LABEL_MESSAGE);
+    }
+  }
+
+  function listLabelsSync(projectId) {
+    const data = readData();
+    return data.labels.filter((label) => label.projectId === projectId);
+  }
+
+  function createLabelSync(projectId, input) {
+    const { name, color } = normalizeLabelInput(input);
+    const data = readData();
+    assertUniqueLabelName(data, projectId, name);
+    const label = { id: randomUUID(), projectId, name, color, createdAt: new Date().toISOString() };
+    data.labels.push(label);
+    writeData(data);
+    return label;
+  }
+
+  function updateLabelSync(projectId, labelId, updates) {
+    const normalized = normalizeLabelInput(updates, { partial: true });
+    const data = readData();
+    const label = data.labels.find((l) => l.id === labelId && l.projectId === projectId);
+    if (!label) {
+      throw new Error('Label not found.');
+    }
+    if (normalized.name !== undefined) {
+      assertUniqueLabelName(data, projectId, normalized.name, labelId);
+    }
+    Object.assign(label, normalized);
+    writeData(data);
+    return label;
+  }
+
+  // Like the Postgres store, items losing the label get a new version and an activity entry.
+  function deleteLabelSync(projectId, labelId) {
+    const data = readData();
+    if (!data.labels.some((l) => l.id === labelId && l.projectId === projectId)) {
+      throw new Error('Label not found.');
+    }
+    data.labels = data.labels.filter((label) => label.id !== labelId);
+
+    const now = new Date().toISOString();
+    const updated = [];
+    data.items.forEach((item, index) => {
+      if (item.projectId !== projectId || !item.labelIds.includes(labelId)) return;
+      const next = {
+        ...item,
+        labelIds: item.labelIds.filter((id) => id !== labelId),
+        version: item.version + 1,
+        updatedAt: now
+      };
+      data.items[index] = next;
+      appendActivity(data, projectId, [itemActivity('item.updated', item, next)]);
+      updated.push(next);
+    });
+    writeData(data);
+    return updated;
+  }
+
+  const projectCollaboratorIds = (data, projectId) =>
+    data.collaborators
+      .filter((collaborator) => collaborator.projectId === projectId)
+      .map((collaborator) => collaborator.id);
+
+  function assertUniqueCollaboratorName(data, projectId, name, exceptId = null) {
+    const taken = data.collaborators.some(
+      (collaborator) =>
+        collaborator.projectId === projectId &&
+        collaborator.id !== exceptId &&
+        collaborator.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+      throw new Error(DUPLICATE_COLLABORATOR_MESSAGE);
+    }
   }
 
-  async function deleteItem(projectId, itemId) {
-    await ensureInit();
-    const { rows } = await pool.query(
-      'DELETE FROM items WHERE id = $1 AND project_id = $2 RETURNING id, project_id, title, description, status, position, created_at, updated_at',
-      [itemId, projectId]
+  function listCollaboratorsSync(projectId) {
+    const data = readData();
+    return data.collaborators
+      .filter((collaborator) => collaborator.projectId === projectId)
+      .sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+  }
+
+  function createCollaboratorSync(projectId, input) {
+    const { name, initials } = normalizeCollaboratorInput(input);
+    const data = readData();
+    assertUniqueCollaboratorName(data, projectId, name);
+    const collaborator = {
+      id: randomUUID(),
+      projectId,
+      name,
+      initials,
+      createdAt: new Date().toISOString()
+    };
+    data.collaborators.push(collaborator);
+    writeData(data);
+    return collaborator;
+  }
+
+  function updateCollaboratorSync(projectId, collaboratorId, updates) {
+    const normalized = normalizeCollaboratorInput(updates, { partial: true });
+    const data = readData();
+    const collaborator = data.collaborators.find(
+      (c) => c.id === collaboratorId && c.projectId === projectId
     );
-    if (rows.length === 0) {
-      throw new Error('Item not found.');
+    if (!collaborator) {
+      throw new Error('Collaborator not found.');
+    }
+    if (normalized.name !== undefined) {
+      assertUniqueCollaboratorName(data, projectId, normalized.name, collaboratorId);
     }
-    return mapItem(rows[0]);
+    Object.assign(collaborator, normalized);
+    writeData(data);
+    return collaborator;
   }
 
-  async function reorderItems(projectId, columns = {}) {
-    await ensureInit();
-
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
+  function deleteCollaboratorSync(projectId, collaboratorId) {
+    const data = readData();
+    if (!data.collaborators.some((c) => c.id === collaboratorId && c.projectId === projectId)) {
+      throw new Error('Collaborator not found.');
+    }
+    data.collaborators = data.collaborators.filter((c) => c.id !== collaboratorId);
 
-      const projectExists = await client.query('SELECT 1 FROM projects WHERE id = $1', [projectId]);
-      if (projectExists.rowCount === 0) {
-        throw new Error('Project not found.');
-      }
+    const now = new Date().toISOString();
+    const updated = [];
+    data.items.forEach((item, index) => {
+      if (item.projectId !== projectId || !item.assignees.includes(collaboratorId)) return;
+      const next = {
+        ...item,
+        assignees: item.assignees.filter((id) => id !== collaboratorId),
+        version: item.version + 1,
+        updatedAt: now
+      };
+      data.items[index] = next;
+      appendActivity(data, projectId, [itemActivity('item.updated', item, next)]);
+      updated.push(next);
+    });
+    writeData(data);
+    return updated;
+  }
 
-      for (const status of VALID_STATUSES) {
-        const orderedIds = Array.isArray(columns[status]) ? columns[status] : [];
-        for (let index = 0; index < orderedIds.length; index += 1) {
-          const itemId = orderedIds[index];
-          await client.query(
-            `UPDATE items
-             SET status = $1,
-                 position = $2,
-                 updated_at = NOW()
-             WHERE id = $3 AND project_id = $4`,
-            [status, index + 1, itemId, projectId]
-          );
-        }
-      }
+  const projectSprints = (data, projectId) =>
+    data.sprints.filter((sprint) => sprint.projectId === projectId).sort(compareSprints);
 
-      await client.query('COMMIT');
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+  function findSprint(data, projectId, sprintId) {
+    const sprint = data.sprints.find((s) => s.id === sprintId && s.projectId === projectId);
+    if (!sprint) {
+      throw new Error('Sprint not found.');
     }
+    return sprint;
+  }
 
-    return getItemsByProject(projectId);
+  function listSprintsSync(projectId) {
+    return projectSprints(readData(), projectId);
   }
 
-  module.exports = {
-    VALID_STATUSES,
-    initDatabase: ensureInit,
-    listProjects,
-    getProjectById,
-    getProjectBySecret,
-    createProject,
-    deleteProject,
-    getItemsByProject,
-    createItem,
-    updateItem,
-    deleteItem,
-    reorderItems
-  };
-} else {
-  const DATA_PATH = process.env.BACKLOG_DB_FILE
-    ? path.resolve(process.env.BACKLOG_DB_FILE)
-    : path.join(__dirname, '..', 'data', 'database.json');
+  function createSprintSync(projectId, input) {
+    const { name, goal, startDate, endDate } = normalizeSprintInput(input);
+    const data = readData();
+    const sprint = {
+      id: randomUUID(),
+      projectId,
+      name,
+      goal,
+      startDate,
+      endDate,
+      state: 'planned',
+      startedAt: null,
+      completedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    data.sprints.push(sprint);
+    writeData(data);
+    return sprint;
+  }
 
-  const DEFAULT_DATA = {
-    projects: [],
-    items: []
-  };
+  function updateSprintSync(projectId, sprintId, updates) {
+    const data = readData();
+    const sprint = findSprint(data, projectId, sprintId);
+    Object.assign(sprint, normalizeSprintInput(updates, { partial: true, current: sprint }));
+    writeData(data);
+    return sprint;
+  }
 
-  function ensureDatabase() {
-    if (!fs.existsSync(DATA_PATH)) {
-      const dir = path.dirname(DATA_PATH);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      fs.writeFileSync(DATA_PATH, JSON.stringify(DEFAULT_DATA, null, 2));
-    }
+  // Like the Postgres store, cards leaving the sprint get a new version and an activity entry.
+  function deleteSprintSync(projectId, sprintId) {
+    const data = readData();
+    findSprint(data, projectId, sprintId);
+    data.sprints = data.sprints.filter((sprint) => sprint.id !== sprintId);
+
+    const now = new Date().toISOString();
+    const updated = [];
+    data.items.forEach((item, index) => {
+      if (item.projectId !== projectId || item.sprintId !== sprintId) return;
+      const next = { ...item, sprintId: null, version: item.version + 1, updatedAt: now };
+      data.items[index] = next;
+      appendActivity(data, projectId, [itemActivity('item.updated', item, next)]);
+      updated.push(next);
+    });
+    writeData(data);
+    return updated.filter((item) => !item.deletedAt);
   }
 
-  function readData() {
-    ensureDatabase();
-    const fileContent = fs.readFileSync(DATA_PATH, 'utf-8');
-    try {
-      return JSON.parse(fileContent);
-    } catch (error) {
-      console.error('Failed to parse database file; resetting.', error);
-      fs.writeFileSync(DATA_PATH, JSON.stringify(DEFAULT_DATA, null, 2));
-      return JSON.parse(JSON.stringify(DEFAULT_DATA));
+  function startSprintSync(projectId, sprintId) {
+    const data = readData();
+    const sprint = findSprint(data, projectId, sprintId);
+    assertCanStartSprint(sprint, projectSprints(data, projectId));
+    sprint.state = 'active';
+    sprint.startedAt = new Date().toISOString();
+    appendActivity(data, projectId, [sprintActivity('sprint.started', sprint)]);
+    writeData(data);
+    return sprint;
+  }
+
+  function completeSprintSync(projectId, sprintId, { moveTo = null } = {}) {
+    const data = readData();
+    const project = data.projects.find((p) => p.id === projectId);
+    const sprint = findSprint(data, projectId, sprintId);
+    const plan = planSprintCompletion(sprint, {
+      items: sortItems(
+        data.items.filter((item) => isLiveItem(item, projectId)),
+        project.workflow
+      ),
+      sprints: projectSprints(data, projectId),
+      workflow: project.workflow,
+      moveTo
+    });
+
+    const now = new Date().toISOString();
+    const entries = [];
+    const unfinished = plan.unfinished.map((item) => {
+      const next = { ...item, sprintId: plan.movedTo, version: item.version + 1, updatedAt: now };
+      data.items[data.items.indexOf(item)] = next;
+      entries.push(itemActivity('item.updated', item, next));
+      return next;
+    });
+    sprint.state = 'completed';
+    sprint.completedAt = now;
+    entries.push(
+      sprintActivity('sprint.completed', sprint, {
+        finished: { from: null, to: plan.finished.length },
+        unfinished: { from: null, to: unfinished.length }
+      })
+    );
+    appendActivity(data, projectId, entries);
+    writeData(data);
+    return { sprint, finished: plan.finished, unfinished, movedTo: plan.movedTo };
+  }
+
+  function assertUniqueViewName(data, projectId, name, exceptId = null) {
+    const taken = data.views.some(
+      (view) =>
+        view.projectId === projectId &&
+        view.id !== exceptId &&
+        view.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) {
+      throw new Error(DUPLICATE_VIEW_MESSAGE);
     }
   }
 
-  function writeData(data) {
-    fs.writeFileSync(DATA_PATH, JSON.stringify(data, null, 2));
+  function listViewsSync(projectId) {
+    return readData()
+      .views.filter((view) => view.projectId === projectId)
+      .sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
   }
 
-  function listProjectsSync() {
+  function createViewSync(projectId, input) {
+    const { name, query } = normalizeViewInput(input);
     const data = readData();
-    return data.projects;
+    assertUniqueViewName(data, projectId, name);
+    const view = { id: randomUUID(), projectId, name, query, createdAt: new Date().toISOString() };
+    data.views.push(view);
+    writeData(data);
+    return view;
   }
 
-  function getProjectByIdSync(projectId) {
+  function updateViewSync(projectId, viewId, updates) {
+    const normalized = normalizeViewInput(updates, { partial: true });
     const data = readData();
-    return data.projects.find((project) => project.id === projectId) || null;
+    const view = data.views.find((v) => v.id === viewId && v.projectId === projectId);
+    if (!view) {
+      throw new Error('View not found.');
+    }
+    if (normalized.name !== undefined) {
+      assertUniqueViewName(data, projectId, normalized.name, viewId);
+    }
+    Object.assign(view, normalized);
+    writeData(data);
+    return view;
   }
 
-  function getProjectBySecretSync(secretKey) {
-    const normalizedKey = (secretKey || '').trim();
-    if (!normalizedKey) return null;
+  function deleteViewSync(projectId, viewId) {
     const data = readData();
-    return data.projects.find((project) => project.secretKey === normalizedKey) || null;
+    if (!data.views.some((v) => v.id === viewId && v.projectId === projectId)) {
+      throw new Error('View not found.');
+    }
+    data.views = data.views.filter((view) => view.id !== viewId);
+    writeData(data);
   }
 
-  function createProjectSync({ name, secretKey }) {
-    const normalizedName = (name || '').trim();
-    const normalizedKey = (secretKey || '').trim();
+  // The secret is only ever returned when the webhook is created.
+  const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+  function publicDelivery({ event, attempts, ...delivery }) {
+    return {
+      ...delivery,
+      eventId: event.id,
+      statusCode: attempts.length > 0 ? attempts[attempts.length - 1].statusCode : null,
+      attempts
+    };
+  }
 
-    if (!normalizedName) {
-      throw new Error('Project name is required.');
+  function findWebhook(data, projectId, webhookId) {
+    const webhook = data.webhooks.find((w) => w.id === webhookId && w.projectId === projectId);
+    if (!webhook) {
+      throw new Error('Webhook not found.');
     }
-    if (!normalizedKey) {
-      throw new Error('Secret key is required.');
+    return webhook;
+  }
+
+  function assertUniqueWebhookUrl(data, projectId, url, exceptId = null) {
+    const taken = data.webhooks.some(
+      (webhook) => webhook.projectId === projectId && webhook.id !== exceptId && webhook.url === url
+    );
+    if (taken) {
+      throw new Error(DUPLICATE_WEBHOOK_MESSAGE);
     }
+  }
+
+  function listWebhooksSync(projectId) {
+    return readData()
+      .webhooks.filter((webhook) => webhook.projectId === projectId)
+      .map(publicWebhook);
+  }
 
+  function createWebhookSync(projectId, input) {
+    const { url, events, secret, active } = normalizeWebhookInput(input);
     const data = readData();
-    const existingKey = data.projects.find((project) => project.secretKey === normalizedKey);
-    if (existingKey) {
-      throw new Error('Secret key already exists. Choose a different one.');
+    const count = data.webhooks.filter((webhook) => webhook.projectId === projectId).length;
+    if (count >= MAX_WEBHOOKS_PER_PROJECT) {
+      throw new Error(WEBHOOK_LIMIT_MESSAGE);
     }
-
-    const newProject = {
+    assertUniqueWebhookUrl(data, projectId, url);
+    const webhook = {
       id: randomUUID(),
-      name: normalizedName,
-      secretKey: normalizedKey,
+      projectId,
+      url,
+      events,
+      secret,
+      active,
       createdAt: new Date().toISOString()
     };
+    data.webhooks.push(webhook);
+    writeData(data);
+    return webhook;
+  }
 
-    data.projects.push(newProject);
+  function updateWebhookSync(projectId, webhookId, updates) {
+    const normalized = normalizeWebhookInput(updates, { partial: true });
+    const data = readData();
+    const webhook = findWebhook(data, projectId, webhookId);
+    if (normalized.url !== undefined) {
+      assertUniqueWebhookUrl(data, projectId, normalized.url, webhookId);
+    }
+    Object.assign(webhook, normalized);
     writeData(data);
-    return newProject;
+    return publicWebhook(webhook);
   }
 
-  function deleteProjectSync(projectId) {
+  function deleteWebhookSync(projectId, webhookId) {
     const data = readData();
-    const projectIndex = data.projects.findIndex((project) => project.id === projectId);
-    if (projectIndex === -1) {
-      return false;
+    findWebhook(data, projectId, webhookId);
+    data.webhooks = data.webhooks.filter((webhook) => webhook.id !== webhookId);
+    data.webhookDeliveries = data.webhookDeliveries.filter(
+      (delivery) => delivery.webhookId !== webhookId
+    );
+    writeData(data);
+  }
+
+  // Queues `event` for every active webhook of its project that listens to it.
+  function enqueueWebhookDeliveriesSync(event) {
+    const data = readData();
+    const webhooks = data.webhooks.filter(
+      (webhook) =>
+        webhook.projectId === event.projectId && webhook.active && webhook.events.includes(event.type)
+    );
+    if (webhooks.length === 0) {
+      return 0;
     }
+    const now = new Date().toISOString();
+    webhooks.forEach((webhook) => {
+      data.webhookDeliveries.push({
+        id: randomUUID(),
+        webhookId: webhook.id,
+        eventType: event.type,
+        event,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: now,
+        createdAt: now
+      });
+    });
+    writeData(data);
+    return webhooks.length;
+  }
 
-    data.projects.splice(projectIndex, 1);
-    data.items = data.items.filter((item) => item.projectId !== projectId);
+  // Leases up to `limit` due deliveries of active webhooks for `leaseMs`.
+  function claimWebhookDeliveriesSync({ limit, leaseMs }) {
+    const data = readData();
+    const now = Date.now();
+    const activeWebhooks = new Map(
+      data.webhooks.filter((webhook) => webhook.active).map((webhook) => [webhook.id, webhook])
+    );
+    const due = data.webhookDeliveries
+      .filter(
+        (delivery) =>
+          delivery.status === 'pending' &&
+          new Date(delivery.nextAttemptAt).getTime() <= now &&
+          activeWebhooks.has(delivery.webhookId)
+      )
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+      .slice(0, limit);
+    if (due.length === 0) {
+      return [];
+    }
+    const leasedUntil = new Date(now + leaseMs).toISOString();
+    due.forEach((delivery) => {
+      delivery.nextAttemptAt = leasedUntil;
+    });
     writeData(data);
-    return true;
+    return due.map((delivery) => {
+      const webhook = activeWebhooks.get(delivery.webhookId);
+      return {
+        id: delivery.id,
+        webhookId: webhook.id,
+        url: webhook.url,
+        secret: webhook.secret,
+        event: delivery.event,
+        attemptCount: delivery.attempts.length
+      };
+    });
   }
 
-  function getItemsByProjectSync(projectId) {
+  function recordWebhookAttemptSync(deliveryId, attempt, { status, nextAttemptAt }) {
     const data = readData();
-    const items = data.items
-      .filter((item) => item.projectId === projectId)
-      .map((item) => ({
-        ...item,
-        createdAt: item.createdAt,
-        updatedAt: item.updatedAt
-      }));
-    return sortItems(items);
+    const delivery = data.webhookDeliveries.find((d) => d.id === deliveryId);
+    // The webhook may have been deleted while the request was in flight.
+    if (!delivery) return;
+    delivery.attempts.push(attempt);
+    delivery.status = status;
+    delivery.nextAttemptAt = nextAttemptAt;
+    writeData(data);
   }
 
-  function nextPositionForStatus(data, projectId, status) {
-    const items = data.items.filter((item) => item.projectId === projectId && item.status === status);
-    if (items.length === 0) return 1;
-    return Math.max(...items.map((item) => item.position ?? 0)) + 1;
+  function listWebhookDeliveriesSync(projectId, webhookId, { limit }) {
+    const data = readData();
+    findWebhook(data, projectId, webhookId);
+    return data.webhookDeliveries
+      .filter((delivery) => delivery.webhookId === webhookId)
+      .reverse()
+      .slice(0, limit)
+      .map(publicDelivery);
   }
 
-  function createItemSync(projectId, { title, description = '', status = 'backlog' }) {
-    const normalizedTitle = (title || '').trim();
-    if (!normalizedTitle) {
-      throw new Error('Item title is required.');
+  // Queues a delivery to be sent again right away, keeping its earlier attempts.
+  function redeliverWebhookDeliverySync(projectId, webhookId, deliveryId) {
+    const data = readData();
+    findWebhook(data, projectId, webhookId);
+    const delivery = data.webhookDeliveries.find(
+      (d) => d.id === deliveryId && d.webhookId === webhookId
+    );
+    if (!delivery) {
+      throw new Error('Delivery not found.');
     }
-    validateStatus(status);
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date().toISOString();
+    writeData(data);
+    return publicDelivery(delivery);
+  }
 
+  // Drops delivered and failed deliveries queued before `cutoff`.
+  function pruneWebhookDeliveriesSync(cutoff) {
     const data = readData();
-    const project = data.projects.find((p) => p.id === projectId);
-    if (!project) {
-      throw new Error('Project not found.');
+    const kept = data.webhookDeliveries.filter(
+      (delivery) => delivery.status === 'pending' || new Date(delivery.createdAt) >= cutoff
+    );
+    const pruned = data.webhookDeliveries.length - kept.length;
+    if (pruned > 0) {
+      data.webhookDeliveries = kept;
+      writeData(data);
+    }
+    return pruned;
+  }
+
+  const publicComment = (comment) => (comment.deletedAt ? { ...comment, body: '' } : comment);
+
+  function findLiveItem(data, projectId, itemId) {
+    const item = data.items.find((i) => i.id === itemId && isLiveItem(i, projectId));
+    if (!item) {
+      throw new Error('Item not found.');
+    }
+    return item;
+  }
+
+  function findLiveComment(data, itemId, commentId) {
+    const comment = data.comments.find(
+      (c) => c.id === commentId && c.itemId === itemId && !c.deletedAt
+    );
+    if (!comment) {
+      throw new Error('Comment not found.');
     }
+    return comment;
+  }
+
+  const countLiveComments = (data, itemId) =>
+    data.comments.filter((comment) => comment.itemId === itemId && !comment.deletedAt).length;
 
-    const newItem = {
+  function listCommentsSync(projectId, itemId) {
+    const data = readData();
+    findLiveItem(data, projectId, itemId);
+    return data.comments
+      .filter((comment) => comment.itemId === itemId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(publicComment);
+  }
+
+  function createCommentSync(projectId, itemId, { authorName, body, parentId = null }) {
+    const normalizedAuthor = normalizeAuthorName(authorName);
+    const normalizedBody = normalizeCommentBody(body);
+    const data = readData();
+    findLiveItem(data, projectId, itemId);
+    const parent = parentId ? findLiveComment(data, itemId, parentId) : null;
+
+    const now = new Date().toISOString();
+    const comment = {
       id: randomUUID(),
-      projectId,
-      title: normalizedTitle,
-      description: (description || '').trim(),
-      status,
-      position: nextPositionForStatus(data, projectId, status),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      itemId,
+      parentId: parent ? parent.parentId || parent.id : null,
+      authorName: normalizedAuthor,
+      body: normalizedBody,
+      createdAt: now,
+      updatedAt: now,
+      deletedAt: null
     };
+    data.comments.push(comment);
+    writeData(data);
+    return { comment, commentCount: countLiveComments(data, itemId) };
+  }
 
-    data.items.push(newItem);
+  function updateCommentSync(projectId, itemId, commentId, { body }) {
+    const normalizedBody = normalizeCommentBody(body);
+    const data = readData();
+    findLiveItem(data, projectId, itemId);
+    const comment = findLiveComment(data, itemId, commentId);
+    comment.body = normalizedBody;
+    comment.updatedAt = new Date().toISOString();
     writeData(data);
-    return newItem;
+    return comment;
   }
 
-  function updateItemSync(projectId, itemId, updates = {}) {
+  // Mirrors the Postgres store: comments with replies become placeholders.
+  function deleteCommentSync(projectId, itemId, commentId) {
     const data = readData();
-    const itemIndex = data.items.findIndex((item) => item.id === itemId && item.projectId === projectId);
-    if (itemIndex === -1) {
-      throw new Error('Item not found.');
+    findLiveItem(data, projectId, itemId);
+    const comment = findLiveComment(data, itemId, commentId);
+    const hasReplies = (id) => data.comments.some((c) => c.parentId === id);
+
+    if (hasReplies(comment.id)) {
+      comment.body = '';
+      comment.deletedAt = new Date().toISOString();
+      comment.updatedAt = comment.deletedAt;
+    } else {
+      data.comments = data.comments.filter((c) => c.id !== comment.id);
+    }
+    if (comment.parentId) {
+      data.comments = data.comments.filter(
+        (c) => c.id !== comment.parentId || !c.deletedAt || hasReplies(c.id)
+      );
     }
+    writeData(data);
+    return { commentCount: countLiveComments(data, itemId) };
+  }
 
-    const item = data.items[itemIndex];
-    const updatedItem = { ...item };
+  const checklistOf = (data, itemId) =>
+    data.checklists
+      .filter((entry) => entry.itemId === itemId)
+      .sort((a, b) => a.position - b.position);
 
-    if (updates.title !== undefined) {
-      const newTitle = `${updates.title}`.trim();
-      if (!newTitle) {
-        throw new Error('Item title cannot be empty.');
-      }
-      updatedItem.title = newTitle;
+  function findChecklistEntry(data, itemId, entryId) {
+    const entry = data.checklists.find((e) => e.id === entryId && e.itemId === itemId);
+    if (!entry) {
+      throw new Error('Checklist entry not found.');
     }
+    return entry;
+  }
 
-    if (updates.description !== undefined) {
-      updatedItem.description = `${updates.description}`.trim();
-    }
+  function listChecklistSync(projectId, itemId) {
+    const data = readData();
+    findLiveItem(data, projectId, itemId);
+    return checklistOf(data, itemId);
+  }
 
-    if (updates.status !== undefined) {
-      validateStatus(updates.status);
-      if (updates.status !== item.status) {
-        updatedItem.status = updates.status;
-        updatedItem.position = nextPositionForStatus(data, projectId, updates.status);
-      }
-    }
+  function createChecklistEntrySync(projectId, itemId, { text }) {
+    const normalizedText = normalizeChecklistText(text);
+    const data = readData();
+    findLiveItem(data, projectId, itemId);
+    const entries = checklistOf(data, itemId);
+    assertChecklistCapacity(entries.length);
 
-    updatedItem.updatedAt = new Date().toISOString();
+    const now = new Date().toISOString();
+    const entry = {
+      id: randomUUID(),
+      itemId,
+      text: normalizedText,
+      done: false,
+      position: entries.length ? entries[entries.length - 1].position + 1 : 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    data.checklists.push(entry);
+    writeData(data);
+    return { entry, progress: checklistProgress([...entries, entry]) };
+  }
 
-    data.items[itemIndex] = updatedItem;
+  function updateChecklistEntrySync(projectId, itemId, entryId, { text, done }) {
+    const normalizedText = text === undefined ? undefined : normalizeChecklistText(text);
+    if (done !== undefined && typeof done !== 'boolean') {
+      throw new Error('Checklist done must be true or false.');
+    }
+    const data = readData();
+    findLiveItem(data, projectId, itemId);
+    const entry = findChecklistEntry(data, itemId, entryId);
+    if (normalizedText !== undefined) entry.text = normalizedText;
+    if (done !== undefined) entry.done = done;
+    entry.updatedAt = new Date().toISOString();
     writeData(data);
-    return updatedItem;
+    return { entry, progress: checklistProgress(checklistOf(data, itemId)) };
   }
 
-  function deleteItemSync(projectId, itemId) {
+  function reorderChecklistSync(projectId, itemId, entryIds) {
     const data = readData();
-    const itemIndex = data.items.findIndex((item) => item.id === itemId && item.projectId === projectId);
-    if (itemIndex === -1) {
-      throw new Error('Item not found.');
-    }
-    const [removed] = data.items.splice(itemIndex, 1);
+    findLiveItem(data, projectId, itemId);
+    const ordered = normalizeChecklistOrder(
+      entryIds,
+      checklistOf(data, itemId).map((entry) => entry.id)
+    );
+    ordered.forEach((entryId, index) => {
+      findChecklistEntry(data, itemId, entryId).position = index + 1;
+    });
+    writeData(data);
+    const entries = checklistOf(data, itemId);
+    return { checklist: entries, progress: checklistProgress(entries) };
+  }
+
+  function deleteChecklistEntrySync(projectId, itemId, entryId) {
+    const data = readData();
+    findLiveItem(data, projectId, itemId);
+    const entry = findChecklistEntry(data, itemId, entryId);
+    data.checklists = data.checklists.filter((e) => e.id !== entry.id);
     writeData(data);
-    return removed;
+    return { progress: checklistProgress(checklistOf(data, itemId)) };
   }
 
-  function reorderItemsSync(projectId, columns = {}) {
+  function reorderItemsSync(
+    projectId,
+    columns = {},
+    { overrideWipLimit = false, expectedVersions } = {}
+  ) {
     const data = readData();
-    const projectExists = data.projects.some((project) => project.id === projectId);
-    if (!projectExists) {
+    const project = data.projects.find((p) => p.id === projectId);
+    if (!project) {
       throw new Error('Project not found.');
     }
+    Object.keys(columns).forEach((status) => validateStatus(status, project.workflow));
+
+    const projectItems = data.items.filter((item) => isLiveItem(item, projectId));
+    assertExpectedVersions(projectItems, expectedVersions);
+    const before = projectItems.map((item) => ({ ...item }));
+    assertReorderUnblocked(projectItems, applyColumnOrder(projectItems, columns), project.workflow);
+
+    if (!overrideWipLimit) {
+      enforceWipLimits(
+        project.workflow,
+        countByStatus(projectItems),
+        countByStatus(applyColumnOrder(projectItems, columns))
+      );
+    }
 
-    VALID_STATUSES.forEach((status) => {
+    workflowStatuses(project.workflow).forEach((status) => {
       const orderedIds = Array.isArray(columns[status]) ? columns[status] : [];
       orderedIds.forEach((itemId, index) => {
-        const item = data.items.find((i) => i.id === itemId && i.projectId === projectId);
+        const item = data.items.find((i) => i.id === itemId && isLiveItem(i, projectId));
         if (item) {
+          if (item.status !== status) {
+            item.version += 1;
+            item.columnEnteredAt = enterColumn(
+              item.columnEnteredAt,
+              status,
+              project.workflow,
+              new Date().toISOString()
+            );
+          }
           item.status = status;
           item.position = index + 1;
           item.updatedAt = new Date().toISOString();
@@ -567,6 +4654,7 @@ if (isPostgresEnabled) {
       });
     });
 
+    appendActivity(data, projectId, reorderActivity(before, projectItems));
     writeData(data);
     return getItemsByProjectSync(projectId);
   }
@@ -576,15 +4664,89 @@ if (isPostgresEnabled) {
     initDatabase: async () => {
       ensureDatabase();
     },
+    // The JSON store only runs as a single process, so events stay in memory.
+    createNotificationTransport: () => null,
     listProjects: async () => listProjectsSync(),
-    getProjectById: async (projectId) => getProjectByIdSync(projectId),
-    getProjectBySecret: async (secretKey) => getProjectBySecretSync(secretKey),
-    createProject: async (input) => createProjectSync(input),
+    getProjectById: async (projectId, options) => getProjectByIdSync(projectId, options),
+    getProjectBySecret,
+    createProject,
+    importProject,
+    listProjectContents: async (projectId) => listProjectContentsSync(projectId),
     deleteProject: async (projectId) => deleteProjectSync(projectId),
+    updateProjectWorkflow: async (projectId, columns, options) =>
+      updateProjectWorkflowSync(projectId, columns, options),
     getItemsByProject: async (projectId) => getItemsByProjectSync(projectId),
-    createItem: async (projectId, payload) => createItemSync(projectId, payload),
-    updateItem: async (projectId, itemId, updates) => updateItemSync(projectId, itemId, updates),
-    deleteItem: async (projectId, itemId) => deleteItemSync(projectId, itemId),
-    reorderItems: async (projectId, columns) => reorderItemsSync(projectId, columns)
+    createItem: async (projectId, payload, options) =>
+      createItemsSync(projectId, [payload], options)[0],
+    createItems: async (projectId, payloads, options) =>
+      createItemsSync(projectId, payloads, options),
+    updateItem: async (projectId, itemId, updates, options) =>
+      updateItemSync(projectId, itemId, updates, options),
+    deleteItem: async (projectId, itemId, options) => deleteItemSync(projectId, itemId, options),
+    getEpic: async (projectId, epicId) => getEpicSync(projectId, epicId),
+    reorderItems: async (projectId, columns, options) =>
+      reorderItemsSync(projectId, columns, options),
+    bulkUpdateItems: async (projectId, operations, options) =>
+      bulkUpdateItemsSync(projectId, operations, options),
+    searchItems: async (projectId, query) => searchItemsSync(projectId, query),
+    listTrashedItems: async (projectId) => listTrashedItemsSync(projectId),
+    restoreItem: async (projectId, itemId, options) => restoreItemSync(projectId, itemId, options),
+    restoreProject: async (projectId) => restoreProjectSync(projectId),
+    purgeTrash: async (cutoff) => purgeTrashSync(cutoff),
+    listActivity: async (projectId, query) => listActivitySync(projectId, query),
+    listStatusTransitions: async (projectId, options) =>
+      listStatusTransitionsSync(projectId, options),
+    listComments: async (projectId, itemId) => listCommentsSync(projectId, itemId),
+    createComment: async (projectId, itemId, payload) =>
+      createCommentSync(projectId, itemId, payload),
+    updateComment: async (projectId, itemId, commentId, updates) =>
+      updateCommentSync(projectId, itemId, commentId, updates),
+    deleteComment: async (projectId, itemId, commentId) =>
+      deleteCommentSync(projectId, itemId, commentId),
+    listChecklist: async (projectId, itemId) => listChecklistSync(projectId, itemId),
+    createChecklistEntry: async (projectId, itemId, payload) =>
+      createChecklistEntrySync(projectId, itemId, payload),
+    updateChecklistEntry: async (projectId, itemId, entryId, updates) =>
+      updateChecklistEntrySync(projectId, itemId, entryId, updates),
+    reorderChecklist: async (projectId, itemId, entryIds) =>
+      reorderChecklistSync(projectId, itemId, entryIds),
+    deleteChecklistEntry: async (projectId, itemId, entryId) =>
+      deleteChecklistEntrySync(projectId, itemId, entryId),
+    listLabels: async (projectId) => listLabelsSync(projectId),
+    createLabel: async (projectId, input) => createLabelSync(projectId, input),
+    updateLabel: async (projectId, labelId, updates) => updateLabelSync(projectId, labelId, updates),
+    deleteLabel: async (projectId, labelId) => deleteLabelSync(projectId, labelId),
+    listCollaborators: async (projectId) => listCollaboratorsSync(projectId),
+    createCollaborator: async (projectId, input) => createCollaboratorSync(projectId, input),
+    updateCollaborator: async (projectId, collaboratorId, updates) =>
+      updateCollaboratorSync(projectId, collaboratorId, updates),
+    deleteCollaborator: async (projectId, collaboratorId) =>
+      deleteCollaboratorSync(projectId, collaboratorId),
+    listSprints: async (projectId) => listSprintsSync(projectId),
+    createSprint: async (projectId, input) => createSprintSync(projectId, input),
+    updateSprint: async (projectId, sprintId, updates) =>
+      updateSprintSync(projectId, sprintId, updates),
+    deleteSprint: async (projectId, sprintId) => deleteSprintSync(projectId, sprintId),
+    startSprint: async (projectId, sprintId) => startSprintSync(projectId, sprintId),
+    completeSprint: async (projectId, sprintId, options) =>
+      completeSprintSync(projectId, sprintId, options),
+    listViews: async (projectId) => listViewsSync(projectId),
+    createView: async (projectId, input) => createViewSync(projectId, input),
+    updateView: async (projectId, viewId, updates) => updateViewSync(projectId, viewId, updates),
+    deleteView: async (projectId, viewId) => deleteViewSync(projectId, viewId),
+    listWebhooks: async (projectId) => listWebhooksSync(projectId),
+    createWebhook: async (projectId, input) => createWebhookSync(projectId, input),
+    updateWebhook: async (projectId, webhookId, updates) =>
+      updateWebhookSync(projectId, webhookId, updates),
+    deleteWebhook: async (projectId, webhookId) => deleteWebhookSync(projectId, webhookId),
+    enqueueWebhookDeliveries: async (event) => enqueueWebhookDeliveriesSync(event),
+    claimWebhookDeliveries: async (options) => claimWebhookDeliveriesSync(options),
+    recordWebhookAttempt: async (deliveryId, attempt, state) =>
+      recordWebhookAttemptSync(deliveryId, attempt, state),
+    listWebhookDeliveries: async (projectId, webhookId, query) =>
+      listWebhookDeliveriesSync(projectId, webhookId, query),
+    redeliverWebhookDelivery: async (projectId, webhookId, deliveryId) =>
+      redeliverWebhookDeliverySync(projectId, webhookId, deliveryId),
+    pruneWebhookDeliveries: async (cutoff) => pruneWebhookDeliveriesSync(cutoff)
   };
 }
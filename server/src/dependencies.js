@@ -0,0 +1,89 @@
+const { BlockedItemError } = require('./errors');
+
+// The workflow's last column counts as done, as it does for due dates.
+const doneStatus = (workflow) => workflow[workflow.length - 1].key;
+
+/**
+ * Validates the ids of the cards blocking `itemId`. Any card of the project
+ * may block another, including trashed ones, which simply stop blocking
+ * until they are restored.
+ */
+function normalizeBlockers(blockedBy, { itemId = null, projectItemIds }) {
+  if (!Array.isArray(blockedBy)) {
+    throw new Error('Blockers must be an array of item ids.');
+  }
+  const unique = [...new Set(blockedBy)];
+  if (itemId && unique.includes(itemId)) {
+    throw new Error('An item cannot block itself.');
+  }
+  const known = new Set(projectItemIds);
+  const unknown = unique.find((id) => !known.has(id));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown blocker: ${unknown}`);
+  }
+  return unique.sort();
+}
+
+/**
+ * Throws if blocking `itemId` by `blockerIds` would close a loop, naming the
+ * cards on it. `items` are the project's cards with their current `blockedBy`.
+ */
+function assertNoDependencyCycle(itemId, blockerIds, items) {
+  const byId = new Map(items.map((item) => [item.id, item]));
+  const blockersOf = (id) => (id === itemId ? blockerIds : byId.get(id)?.blockedBy || []);
+  const visited = new Set();
+
+  // Depth-first walk along "is blocked by" edges; getting back to `itemId` is a cycle.
+  const findPath = (id, path) => {
+    if (id === itemId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const next of blockersOf(id)) {
+      const found = findPath(next, [...path, next]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  for (const blockerId of blockerIds) {
+    const cycle = findPath(blockerId, [itemId, blockerId]);
+    if (cycle) {
+      const titles = cycle.map((id) => `"${byId.get(id)?.title ?? id}"`);
+      throw new Error(`Blockers cannot form a cycle: ${titles.join(' → ')}.`);
+    }
+  }
+}
+
+// Blockers that still hold `item` back: live cards outside the last column.
+function openBlockers(item, items, workflow) {
+  const byId = new Map(items.map((candidate) => [candidate.id, candidate]));
+  return (item.blockedBy || [])
+    .map((id) => byId.get(id))
+    .filter((blocker) => blocker && !blocker.deletedAt && blocker.status !== doneStatus(workflow))
+    .map((blocker) => ({ id: blocker.id, title: blocker.title }));
+}
+
+// Refuses to put `item` in the last column while it has open blockers.
+function assertCanEnterStatus(item, status, items, workflow) {
+  if (status !== doneStatus(workflow)) return;
+  const blockers = openBlockers(item, items, workflow);
+  if (blockers.length > 0) {
+    throw new BlockedItemError(item, blockers);
+  }
+}
+
+// The same rule for a reorder: `afterItems` hold every card's status once it is applied.
+function assertReorderUnblocked(beforeItems, afterItems, workflow) {
+  const previousStatus = new Map(beforeItems.map((item) => [item.id, item.status]));
+  afterItems
+    .filter((item) => item.status !== previousStatus.get(item.id))
+    .forEach((item) => assertCanEnterStatus(item, item.status, afterItems, workflow));
+}
+
+module.exports = {
+  normalizeBlockers,
+  assertNoDependencyCycle,
+  openBlockers,
+  assertCanEnterStatus,
+  assertReorderUnblocked
+};
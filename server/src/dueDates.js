@@ -0,0 +1,65 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DUE_WINDOW_DAYS = 7;
+const MAX_DUE_WINDOW_DAYS = 90;
+
+// True for `YYYY-MM-DD` strings naming a real calendar day (no 2024-02-30).
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Due dates are plain calendar days; null, undefined and '' clear them.
+function normalizeDueDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!isCalendarDate(value)) {
+    throw new Error('Due date must be a date like 2024-05-31.');
+  }
+  return value;
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Reads `?days=&today=` for the due-items route. `today` lets the browser
+ * send its own calendar day; it defaults to the server's UTC date.
+ */
+function parseDueQuery(query = {}) {
+  const days = query.days === undefined ? DEFAULT_DUE_WINDOW_DAYS : Number(query.days);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_DUE_WINDOW_DAYS) {
+    throw new Error(`Due window must be a whole number of days between 0 and ${MAX_DUE_WINDOW_DAYS}.`);
+  }
+  const today = query.today === undefined ? new Date().toISOString().slice(0, 10) : query.today;
+  if (!isCalendarDate(today)) {
+    throw new Error('Today must be a date like 2024-05-31.');
+  }
+  return { today, days };
+}
+
+/**
+ * Picks the items due within `days` of `today`, plus overdue ones, soonest
+ * first. Items in the workflow's last column count as finished and are left
+ * out, so done work never shows up as overdue.
+ */
+function selectDueItems(items, { workflow, today, days }) {
+  const until = addDays(today, days);
+  const finished = workflow[workflow.length - 1]?.key;
+  const due = items
+    .filter((item) => item.dueDate && item.dueDate <= until && item.status !== finished)
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.title.localeCompare(b.title));
+  return { today, until, items: due };
+}
+
+module.exports = {
+  isCalendarDate,
+  addDays,
+  normalizeDueDate,
+  parseDueQuery,
+  selectDueItems
+};
@@ -0,0 +1,52 @@
+// What deleting an epic does with its cards.
+const CHILD_ACTIONS = ['detach', 'delete'];
+
+/**
+ * Validates the parent epic of `itemId`: a live card of the same project.
+ * Epics are one level deep, so an epic cannot have a parent and a card that
+ * is already in an epic cannot become one. null, undefined and '' clear it.
+ */
+function normalizeEpicId(epicId, { itemId = null, items }) {
+  if (epicId === undefined || epicId === null || epicId === '') {
+    return null;
+  }
+  const live = items.filter((item) => !item.deletedAt);
+  const epic = live.find((item) => item.id === epicId);
+  if (!epic) {
+    throw new Error(`Unknown epic: ${epicId}`);
+  }
+  if (epic.id === itemId) {
+    throw new Error('An item cannot be its own epic.');
+  }
+  if (epic.epicId) {
+    throw new Error(`"${epic.title}" is part of an epic, so it cannot be one.`);
+  }
+  if (itemId && live.some((item) => item.epicId === itemId)) {
+    throw new Error('An epic cannot be part of another epic.');
+  }
+  return epic.id;
+}
+
+function parseChildAction(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!CHILD_ACTIONS.includes(value)) {
+    throw new Error(`Children must be one of: ${CHILD_ACTIONS.join(', ')}.`);
+  }
+  return value;
+}
+
+// Completion of an epic: the share of its cards in the workflow's last column.
+function epicProgress(children, workflow) {
+  const doneStatus = workflow[workflow.length - 1].key;
+  const done = children.filter((child) => child.status === doneStatus).length;
+  const total = children.length;
+  return { done, total, percent: total === 0 ? 0 : Math.round((done / total) * 100) };
+}
+
+module.exports = {
+  normalizeEpicId,
+  parseChildAction,
+  epicProgress
+};
@@ -0,0 +1,98 @@
+class WipLimitError extends Error {
+  constructor(column, count) {
+    super(
+      `${column.label} is limited to ${column.wipLimit} ${column.wipLimit === 1 ? 'item' : 'items'}.`
+    );
+    this.name = 'WipLimitError';
+    this.code = 'WIP_LIMIT_EXCEEDED';
+    this.column = column.key;
+    this.limit = column.wipLimit;
+    this.count = count;
+  }
+}
+
+class VersionConflictError extends Error {
+  constructor(items) {
+    super(
+      items.length === 1
+        ? 'This item was changed by someone else.'
+        : 'Some items were changed by someone else.'
+    );
+    this.name = 'VersionConflictError';
+    this.code = 'VERSION_CONFLICT';
+    this.items = items;
+  }
+}
+
+// `problems` is a list of `{ path, message }` pointing into the rejected document.
+class ArchiveValidationError extends Error {
+  constructor(problems) {
+    super(
+      problems.length === 1
+        ? `Invalid archive: ${problems[0].path} ${problems[0].message}`
+        : `Invalid archive: ${problems.length} problems found.`
+    );
+    this.name = 'ArchiveValidationError';
+    this.code = 'INVALID_ARCHIVE';
+    this.problems = problems;
+  }
+}
+
+// `blockers` are the `{ id, title }` of the open cards holding `item` back.
+class BlockedItemError extends Error {
+  constructor(item, blockers) {
+    const titles = blockers.map((blocker) => `"${blocker.title}"`).join(', ');
+    super(
+      `"${item.title}" is blocked by ${titles}. Finish ${blockers.length === 1 ? 'it' : 'them'} first.`
+    );
+    this.name = 'BlockedItemError';
+    this.code = 'ITEM_BLOCKED';
+    this.itemId = item.id;
+    this.blockers = blockers;
+  }
+}
+
+// Raised when deleting an epic without saying what happens to its cards.
+class EpicHasChildrenError extends Error {
+  constructor(epic, childCount) {
+    super(
+      `"${epic.title}" is an epic with ${childCount} ${childCount === 1 ? 'card' : 'cards'}. ` +
+        'Choose whether to detach or delete them.'
+    );
+    this.name = 'EpicHasChildrenError';
+    this.code = 'EPIC_HAS_CHILDREN';
+    this.itemId = epic.id;
+    this.childCount = childCount;
+  }
+}
+
+// A board query that cannot be read; `position` is the 0-based offset of the offending part.
+class QueryError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at character ${position + 1})`);
+    this.name = 'QueryError';
+    this.code = 'INVALID_QUERY';
+    this.position = position ?? null;
+  }
+}
+
+// Operation `index` (0-based) of a bulk request failed and the whole request was rolled back.
+class BulkOperationError extends Error {
+  constructor(index, cause) {
+    super(`Operation ${index + 1}: ${cause.message}`);
+    this.name = 'BulkOperationError';
+    this.code = cause.code || 'BULK_OPERATION_FAILED';
+    this.index = index;
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  WipLimitError,
+  VersionConflictError,
+  ArchiveValidationError,
+  BlockedItemError,
+  EpicHasChildrenError,
+  QueryError,
+  BulkOperationError
+};
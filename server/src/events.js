@@ -0,0 +1,134 @@
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+
+const RESYNC_EVENT = 'board.resync';
+const BROADCAST = Symbol('broadcast');
+const HISTORY_LIMIT = 200;
+// Postgres NOTIFY payloads are capped at 8000 bytes.
+const MAX_TRANSPORT_BYTES = 7500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = new Map();
+const observers = new Set();
+let transport = null;
+
+function resyncEvent(projectId) {
+  return {
+    id: randomUUID(),
+    projectId,
+    type: RESYNC_EVENT,
+    payload: {},
+    at: new Date().toISOString()
+  };
+}
+
+function remember(event) {
+  const events = history.get(event.projectId) || [];
+  events.push(event);
+  if (events.length > HISTORY_LIMIT) {
+    events.splice(0, events.length - HISTORY_LIMIT);
+  }
+  history.set(event.projectId, events);
+}
+
+function dispatch(event) {
+  if (!event || typeof event !== 'object') return;
+
+  // A transport that lost its connection may have dropped events for any
+  // project, so it asks every open stream to resync.
+  if (event.type === RESYNC_EVENT && !event.projectId) {
+    emitter.emit(BROADCAST, event);
+    return;
+  }
+
+  remember(event);
+  emitter.emit(event.projectId, event);
+  if (event.type === 'project.deleted') {
+    history.delete(event.projectId);
+  }
+}
+
+/**
+ * Routes events through an external transport (Postgres LISTEN/NOTIFY) so
+ * every server instance sees them. Without one, events stay in-process.
+ */
+function useEventTransport(nextTransport) {
+  transport = nextTransport || null;
+  if (transport) {
+    transport.subscribe(dispatch);
+  }
+}
+
+/**
+ * Calls `observer` with every event published by this server instance, in
+ * full, before it reaches any transport. Unlike subscribers, observers never
+ * see the same event twice when several instances share a transport.
+ */
+function observePublishedEvents(observer) {
+  observers.add(observer);
+  return () => observers.delete(observer);
+}
+
+function publishProjectEvent(projectId, type, payload = {}) {
+  const event = {
+    id: randomUUID(),
+    projectId,
+    type,
+    payload,
+    at: new Date().toISOString()
+  };
+  observers.forEach((observer) => observer(event));
+
+  if (!transport) {
+    dispatch(event);
+    return event;
+  }
+
+  // Oversized payloads are sent without their body; clients refetch instead.
+  const message =
+    Buffer.byteLength(JSON.stringify(event)) > MAX_TRANSPORT_BYTES
+      ? { ...event, payload: { truncated: true } }
+      : event;
+
+  transport.publish(message).catch((error) => {
+    console.error('Failed to publish board event; delivering locally only.', error);
+    dispatch(message);
+  });
+  return event;
+}
+
+/**
+ * Calls `listener` for every event on `projectId`. When `lastEventId` is
+ * given, missed events are replayed first; if that id is no longer in the
+ * history the listener gets a resync event instead.
+ */
+function subscribeToProjectEvents(projectId, listener, { lastEventId } = {}) {
+  const handleBroadcast = () => listener(resyncEvent(projectId));
+  emitter.on(projectId, listener);
+  emitter.on(BROADCAST, handleBroadcast);
+
+  if (lastEventId) {
+    const events = history.get(projectId) || [];
+    const index = events.findIndex((event) => event.id === lastEventId);
+    if (index === -1) {
+      listener(resyncEvent(projectId));
+    } else {
+      events.slice(index + 1).forEach(listener);
+    }
+  }
+
+  return () => {
+    emitter.off(projectId, listener);
+    emitter.off(BROADCAST, handleBroadcast);
+  };
+}
+
+module.exports = {
+  RESYNC_EVENT,
+  useEventTransport,
+  observePublishedEvents,
+  publishProjectEvent,
+  subscribeToProjectEvents
+};
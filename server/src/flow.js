@@ -0,0 +1,102 @@
+const { isCalendarDate, addDays } = require('./dueDates');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Picks the status changes out of activity entries: `{ itemId, from, to }`,
+ * where a null `from` means the card arrived on the board (created, restored
+ * or imported) and a null `to` means it left for the trash.
+ */
+function statusTransitions(entries) {
+  return entries
+    .filter((entry) => entry && entry.itemId && entry.changes?.status)
+    .map((entry) => ({
+      itemId: entry.itemId,
+      from: entry.changes.status.from ?? null,
+      to: entry.changes.status.to ?? null
+    }));
+}
+
+// The history a card recorded before transitions were kept: its creation and, if trashed, its removal.
+function reconstructedTransitions(item) {
+  const transitions = [{ itemId: item.id, from: null, to: item.status, createdAt: item.createdAt }];
+  if (item.deletedAt) {
+    transitions.push({ itemId: item.id, from: item.status, to: null, createdAt: item.deletedAt });
+  }
+  return transitions;
+}
+
+// The instant a UTC calendar day ends, as a timestamp to compare against.
+const dayEnd = (day) => `${addDays(day, 1)}T00:00:00.000Z`;
+
+/**
+ * Reads `?from=&to=` for the analytics routes: calendar days in UTC,
+ * inclusive. `to` defaults to today and `from` to the 30 days ending on it.
+ * `name` starts the error messages, e.g. "Flow range".
+ */
+function parseDayRange(query = {}, { today = new Date().toISOString().slice(0, 10), name }) {
+  const to = query.to === undefined || query.to === '' ? today : `${query.to}`;
+  if (!isCalendarDate(to)) {
+    throw new Error(`${name} end must be a date like 2024-05-31.`);
+  }
+  const from =
+    query.from === undefined || query.from === ''
+      ? addDays(to, 1 - DEFAULT_RANGE_DAYS)
+      : `${query.from}`;
+  if (!isCalendarDate(from)) {
+    throw new Error(`${name} start must be a date like 2024-05-31.`);
+  }
+  if (from > to) {
+    throw new Error(`${name} cannot end before it starts.`);
+  }
+  if (addDays(from, MAX_RANGE_DAYS) <= to) {
+    throw new Error(`${name}s are limited to ${MAX_RANGE_DAYS} days.`);
+  }
+  return { from, to };
+}
+
+const parseFlowQuery = (query, today) => parseDayRange(query, { today, name: 'Flow range' });
+
+/**
+ * Replays `transitions` (oldest first) into the number of cards in each
+ * workflow column at the end of every day from `from` to `to`. Statuses no
+ * longer in the workflow are left out.
+ */
+function cumulativeFlow(transitions, { from, to, workflow }) {
+  const statusByItem = new Map();
+  const days = [];
+  let next = 0;
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const end = dayEnd(day);
+    while (next < transitions.length && transitions[next].createdAt < end) {
+      const { itemId, to: status } = transitions[next];
+      if (status === null) {
+        statusByItem.delete(itemId);
+      } else {
+        statusByItem.set(itemId, status);
+      }
+      next += 1;
+    }
+    const counts = Object.fromEntries(workflow.map((column) => [column.key, 0]));
+    statusByItem.forEach((status) => {
+      if (counts[status] !== undefined) counts[status] += 1;
+    });
+    days.push({ date: day, counts });
+  }
+  return {
+    from,
+    to,
+    columns: workflow.map(({ key, label }) => ({ key, label })),
+    days
+  };
+}
+
+module.exports = {
+  statusTransitions,
+  reconstructedTransitions,
+  dayEnd,
+  parseDayRange,
+  parseFlowQuery,
+  cumulativeFlow
+};
@@ -1,11 +1,25 @@
 const app = require('./app');
-const { initDatabase } = require('./db');
+const {
+  initDatabase,
+  purgeTrash,
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+  pruneWebhookDeliveries
+} = require('./db');
+const { scheduleTrashPurge } = require('./trash');
+const { scheduleWebhookDeliveries } = require('./webhooks');
 
 const PORT = process.env.PORT || 5000;
 
 async function start() {
   try {
     await initDatabase();
+    scheduleTrashPurge(purgeTrash);
+    scheduleWebhookDeliveries({
+      claimWebhookDeliveries,
+      recordWebhookAttempt,
+      pruneWebhookDeliveries
+    });
     app.listen(PORT, () => {
       console.log(`Server listening on port ${PORT}`);
     });
@@ -0,0 +1,54 @@
+const MAX_LABEL_NAME_LENGTH = 40;
+const DEFAULT_LABEL_COLOR = '#64748b';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const DUPLICATE_LABEL_MESSAGE = 'A label with that name already exists.';
+
+/**
+ * Validates label fields. With `partial`, missing fields are left out of the
+ * result instead of defaulted, for updates.
+ */
+function normalizeLabelInput({ name, color } = {}, { partial = false } = {}) {
+  const normalized = {};
+
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Label name is required.');
+    }
+    if (trimmed.length > MAX_LABEL_NAME_LENGTH) {
+      throw new Error(`Label names are limited to ${MAX_LABEL_NAME_LENGTH} characters.`);
+    }
+    normalized.name = trimmed;
+  }
+
+  if (color !== undefined || !partial) {
+    const value = color === undefined || color === null || color === '' ? DEFAULT_LABEL_COLOR : color;
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+      throw new Error('Label color must be a hex color like #ff8800.');
+    }
+    normalized.color = value.toLowerCase();
+  }
+
+  return normalized;
+}
+
+// Checks an item's label ids against the project's labels; returns them deduplicated and sorted.
+function normalizeLabelIds(labelIds, knownIds) {
+  if (!Array.isArray(labelIds)) {
+    throw new Error('Label ids must be an array.');
+  }
+  const known = new Set(knownIds);
+  const unique = [...new Set(labelIds)];
+  const unknown = unique.find((id) => !known.has(id));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown label: ${unknown}`);
+  }
+  return unique.sort();
+}
+
+module.exports = {
+  DUPLICATE_LABEL_MESSAGE,
+  normalizeLabelInput,
+  normalizeLabelIds
+};
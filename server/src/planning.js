@@ -0,0 +1,99 @@
+// Lowest to highest; sorting by priority puts the most urgent first.
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const MAX_ESTIMATE = 999;
+
+const ITEM_SORT_KEYS = ['position', 'priority', 'estimate', 'dueDate', 'title', 'createdAt'];
+// Direction used when `order` is left out: what a planner usually wants first.
+const DEFAULT_SORT_ORDER = {
+  position: 'asc',
+  priority: 'desc',
+  estimate: 'desc',
+  dueDate: 'asc',
+  title: 'asc',
+  createdAt: 'desc'
+};
+
+// null, undefined and '' clear the priority.
+function normalizePriority(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!PRIORITIES.includes(value)) {
+    throw new Error(`Priority must be one of: ${PRIORITIES.join(', ')}.`);
+  }
+  return value;
+}
+
+// Story points: a non-negative number with at most one decimal place (e.g. 0.5).
+function normalizeEstimate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const valid =
+    typeof value === 'number' &&
+    Number.isFinite(value) &&
+    value >= 0 &&
+    value <= MAX_ESTIMATE &&
+    Math.round(value * 10) === value * 10;
+  if (!valid) {
+    throw new Error(`Estimate must be a number of points between 0 and ${MAX_ESTIMATE}.`);
+  }
+  return value;
+}
+
+// Reads `?sort=&order=` for the items listing; `position` is the board's own order.
+function parseItemSort(query = {}) {
+  const key = query.sort === undefined || query.sort === '' ? 'position' : `${query.sort}`;
+  if (!ITEM_SORT_KEYS.includes(key)) {
+    throw new Error(`Items can be sorted by: ${ITEM_SORT_KEYS.join(', ')}.`);
+  }
+  const order =
+    query.order === undefined || query.order === '' ? DEFAULT_SORT_ORDER[key] : `${query.order}`;
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error('Sort order must be asc or desc.');
+  }
+  return { key, order };
+}
+
+function sortValue(item, key) {
+  if (key === 'priority') {
+    return item.priority ? PRIORITIES.indexOf(item.priority) : null;
+  }
+  if (key === 'title') {
+    return item.title.toLowerCase();
+  }
+  return item[key] ?? null;
+}
+
+/**
+ * Sorts each column's items by `key`. Items without a value always come last,
+ * whatever the direction, and ties keep their board position.
+ */
+function sortColumns(columns, { key, order }) {
+  if (key === 'position' && order === 'asc') {
+    return columns;
+  }
+  const direction = order === 'desc' ? -1 : 1;
+  const compare = (a, b) => {
+    const left = sortValue(a, key);
+    const right = sortValue(b, key);
+    if (left === null || right === null) {
+      if (left !== right) return left === null ? 1 : -1;
+      return a.position - b.position;
+    }
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return a.position - b.position;
+  };
+  return Object.fromEntries(
+    Object.entries(columns).map(([status, items]) => [status, [...items].sort(compare)])
+  );
+}
+
+module.exports = {
+  PRIORITIES,
+  normalizePriority,
+  normalizeEstimate,
+  parseItemSort,
+  sortColumns
+};
@@ -0,0 +1,54 @@
+const MAX_COLLABORATOR_NAME_LENGTH = 80;
+const INITIALS_PATTERN = /^[\p{L}\p{N}]{1,3}$/u;
+
+const DUPLICATE_COLLABORATOR_MESSAGE = 'Someone with that name is already on the roster.';
+
+/**
+ * Validates roster entry fields. Initials are optional (clients derive them
+ * from the name when unset) and are stored uppercased. With `partial`,
+ * missing fields are left out of the result, for updates.
+ */
+function normalizeCollaboratorInput({ name, initials } = {}, { partial = false } = {}) {
+  const normalized = {};
+
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Collaborator name is required.');
+    }
+    if (trimmed.length > MAX_COLLABORATOR_NAME_LENGTH) {
+      throw new Error(`Collaborator names are limited to ${MAX_COLLABORATOR_NAME_LENGTH} characters.`);
+    }
+    normalized.name = trimmed;
+  }
+
+  if (initials !== undefined || !partial) {
+    const value = initials === undefined || initials === null ? '' : initials;
+    if (typeof value !== 'string' || (value.trim() && !INITIALS_PATTERN.test(value.trim()))) {
+      throw new Error('Initials must be up to 3 letters or digits.');
+    }
+    normalized.initials = value.trim() ? value.trim().toUpperCase() : null;
+  }
+
+  return normalized;
+}
+
+// Checks an item's assignees against the project's roster; returns them deduplicated and sorted.
+function normalizeAssignees(assignees, knownIds) {
+  if (!Array.isArray(assignees)) {
+    throw new Error('Assignees must be an array.');
+  }
+  const known = new Set(knownIds);
+  const unique = [...new Set(assignees)];
+  const unknown = unique.find((id) => !known.has(id));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown assignee: ${unknown}`);
+  }
+  return unique.sort();
+}
+
+module.exports = {
+  DUPLICATE_COLLABORATOR_MESSAGE,
+  normalizeCollaboratorInput,
+  normalizeAssignees
+};
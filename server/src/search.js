@@ -0,0 +1,163 @@
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const SNIPPET_LENGTH = 160;
+// Title hits outrank description hits, like Postgres' default A and B weights.
+const FIELD_WEIGHTS = { title: 1, description: 0.4 };
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercased words, split the way Postgres' `simple` configuration splits them.
+const tokenize = (text) => (`${text || ''}`.toLowerCase().match(WORD_PATTERN) || []);
+
+/**
+ * Reads `?q=&limit=` for the search route. Every term must match the start of
+ * a word in the card's title or description, so "chec pay" finds "Checkout
+ * payment".
+ */
+function parseSearchQuery(query = {}) {
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!text) {
+    throw new Error('Search text is required.');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Search text is limited to ${MAX_QUERY_LENGTH} characters.`);
+  }
+  const terms = [...new Set(tokenize(text))].slice(0, MAX_TERMS);
+  if (terms.length === 0) {
+    throw new Error('Search text needs at least one letter or digit.');
+  }
+  const limit =
+    query.limit === undefined || query.limit === '' ? DEFAULT_SEARCH_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    throw new Error(`Search limit must be between 1 and ${MAX_SEARCH_LIMIT}.`);
+  }
+  return { text, terms, limit };
+}
+
+// The `to_tsquery` text for `terms`: every term, each as a prefix.
+const prefixQuery = (terms) => terms.map((term) => `${term}:*`).join(' & ');
+
+/**
+ * An inverted index over items' titles and descriptions: each word maps to
+ * `{ itemId: { title, description } }` occurrence counts, and the sorted word
+ * list finds every word sharing a prefix with a binary search.
+ */
+function buildSearchIndex(items) {
+  const postings = new Map();
+  items.forEach((item) => {
+    Object.keys(FIELD_WEIGHTS).forEach((field) => {
+      tokenize(item[field]).forEach((word) => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const counts = postings.get(word);
+        if (!counts.has(item.id)) counts.set(item.id, { title: 0, description: 0 });
+        counts.get(item.id)[field] += 1;
+      });
+    });
+  });
+  return { postings, words: [...postings.keys()].sort() };
+}
+
+function wordsWithPrefix(words, prefix) {
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (words[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+  const matches = [];
+  for (let index = low; index < words.length && words[index].startsWith(prefix); index += 1) {
+    matches.push(words[index]);
+  }
+  return matches;
+}
+
+// `[{ itemId, rank }]` for the items matching every term, best first.
+function searchIndex(index, terms) {
+  let ranks = null;
+  terms.forEach((term) => {
+    const termRanks = new Map();
+    wordsWithPrefix(index.words, term).forEach((word) => {
+      index.postings.get(word).forEach((counts, itemId) => {
+        const score = counts.title * FIELD_WEIGHTS.title + counts.description * FIELD_WEIGHTS.description;
+        termRanks.set(itemId, (termRanks.get(itemId) || 0) + score);
+      });
+    });
+    ranks =
+      ranks === null
+        ? termRanks
+        : new Map(
+          [...ranks]
+            .filter(([itemId]) => termRanks.has(itemId))
+            .map(([itemId, rank]) => [itemId, rank + termRanks.get(itemId)])
+        );
+  });
+  return [...(ranks || [])]
+    .map(([itemId, rank]) => ({ itemId, rank: Math.round(rank * 1000) / 1000 }))
+    .sort((a, b) => b.rank - a.rank);
+}
+
+/**
+ * Splits `text` into `[{ text, match }]` segments marking the words that
+ * start with one of `terms`. Plain segments rather than markup, so clients
+ * never have to trust HTML built from card text.
+ */
+function highlightSegments(text, terms) {
+  const segments = [];
+  let cursor = 0;
+  for (const found of text.matchAll(WORD_PATTERN)) {
+    const word = found[0].toLowerCase();
+    if (!terms.some((term) => word.startsWith(term))) continue;
+    if (found.index > cursor) segments.push({ text: text.slice(cursor, found.index), match: false });
+    segments.push({ text: found[0], match: true });
+    cursor = found.index + found[0].length;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+  return segments;
+}
+
+/**
+ * The part of a description around its first matching word, highlighted, or
+ * null when only the title matched. Cuts fall on spaces and are marked "…".
+ */
+function descriptionSnippet(description, terms) {
+  const text = `${description || ''}`.replace(/\s+/g, ' ').trim();
+  const first = [...text.matchAll(WORD_PATTERN)].find((found) =>
+    terms.some((term) => found[0].toLowerCase().startsWith(term))
+  );
+  if (!first) return null;
+  if (text.length <= SNIPPET_LENGTH) return highlightSegments(text, terms);
+
+  let start = Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < first.index ? space + 1 : first.index;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) end = Math.max(text.lastIndexOf(' ', end), first.index + first[0].length);
+  const segments = highlightSegments(text.slice(start, end).trim(), terms);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+// A search result as the route returns it, for either store's ranked match.
+const searchResult = (item, rank, terms) => ({
+  item,
+  rank,
+  title: highlightSegments(item.title, terms),
+  snippet: descriptionSnippet(item.description, terms)
+});
+
+module.exports = {
+  tokenize,
+  parseSearchQuery,
+  prefixQuery,
+  buildSearchIndex,
+  searchIndex,
+  highlightSegments,
+  descriptionSnippet,
+  searchResult
+};
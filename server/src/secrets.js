@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 32;
+const SALT_BYTES = 16;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+const DEVELOPMENT_PEPPER = 'backlog-pilot-lookup';
+
+function resolveLookupPepper(pepper, nodeEnv) {
+  if (pepper) {
+    return pepper;
+  }
+  if (nodeEnv === 'production') {
+    throw new Error('SECRET_PEPPER must be set in production.');
+  }
+  return DEVELOPMENT_PEPPER;
+}
+
+// Lookup fingerprints let `/api/access` find a project without storing the
+// secret verbatim. The fingerprint is a fast HMAC, so with the public
+// development pepper a leaked database could be brute-forced offline; the
+// server refuses to start in production without SECRET_PEPPER.
+const LOOKUP_PEPPER = resolveLookupPepper(process.env.SECRET_PEPPER, process.env.NODE_ENV);
+
+function normalizeSecret(secret) {
+  return `${secret || ''}`.trim();
+}
+
+function encodeHash(salt, derived, { N, r, p }) {
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), derived.toString('base64')].join(':');
+}
+
+function decodeHash(stored) {
+  const parts = `${stored || ''}`.split(':');
+  if (parts.length !== 6 || parts[0] !== HASH_PREFIX) {
+    return null;
+  }
+  const [, N, r, p, salt, hash] = parts;
+  return {
+    params: { N: Number(N), r: Number(r), p: Number(p) },
+    salt: Buffer.from(salt, 'base64'),
+    hash: Buffer.from(hash, 'base64')
+  };
+}
+
+function isHashedSecret(stored) {
+  return decodeHash(stored) !== null;
+}
+
+function lookupKeyForSecret(secret) {
+  const normalized = normalizeSecret(secret);
+  if (!normalized) return null;
+  return crypto.createHmac('sha256', LOOKUP_PEPPER).update(normalized).digest('hex');
+}
+
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = await scryptAsync(normalizeSecret(secret), salt, KEY_LENGTH, SCRYPT_PARAMS);
+  return encodeHash(salt, derived, SCRYPT_PARAMS);
+}
+
+function hashSecretSync(secret) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = crypto.scryptSync(normalizeSecret(secret), salt, KEY_LENGTH, SCRYPT_PARAMS);
+  return encodeHash(salt, derived, SCRYPT_PARAMS);
+}
+
+async function verifySecret(secret, stored) {
+  const normalized = normalizeSecret(secret);
+  const decoded = decodeHash(stored);
+  if (!normalized || !decoded) {
+    return false;
+  }
+
+  const derived = await scryptAsync(normalized, decoded.salt, decoded.hash.length, decoded.params);
+  return derived.length === decoded.hash.length && crypto.timingSafeEqual(derived, decoded.hash);
+}
+
+module.exports = {
+  resolveLookupPepper,
+  normalizeSecret,
+  isHashedSecret,
+  lookupKeyForSecret,
+  hashSecret,
+  hashSecretSync,
+  verifySecret
+};
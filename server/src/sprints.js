@@ -0,0 +1,126 @@
+const { isCalendarDate } = require('./dueDates');
+
+const MAX_SPRINT_NAME_LENGTH = 80;
+const MAX_SPRINT_GOAL_LENGTH = 500;
+
+function normalizeSprintDate(value, field) {
+  if (!isCalendarDate(value)) {
+    throw new Error(`Sprint ${field} date must be a date like 2024-05-31.`);
+  }
+  return value;
+}
+
+/**
+ * Validates sprint fields. With `partial`, missing fields are left out of the
+ * result, for updates; `current` supplies the stored dates so a new start or
+ * end is still checked against the other one.
+ */
+function normalizeSprintInput(
+  { name, goal, startDate, endDate } = {},
+  { partial = false, current = null } = {}
+) {
+  const normalized = {};
+
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Sprint name is required.');
+    }
+    if (trimmed.length > MAX_SPRINT_NAME_LENGTH) {
+      throw new Error(`Sprint names are limited to ${MAX_SPRINT_NAME_LENGTH} characters.`);
+    }
+    normalized.name = trimmed;
+  }
+
+  if (goal !== undefined || !partial) {
+    if (goal !== undefined && goal !== null && typeof goal !== 'string') {
+      throw new Error('Sprint goal must be text.');
+    }
+    const trimmed = (goal || '').trim();
+    if (trimmed.length > MAX_SPRINT_GOAL_LENGTH) {
+      throw new Error(`Sprint goals are limited to ${MAX_SPRINT_GOAL_LENGTH} characters.`);
+    }
+    normalized.goal = trimmed;
+  }
+
+  if (startDate !== undefined || !partial) {
+    normalized.startDate = normalizeSprintDate(startDate, 'start');
+  }
+  if (endDate !== undefined || !partial) {
+    normalized.endDate = normalizeSprintDate(endDate, 'end');
+  }
+
+  const start = normalized.startDate ?? current?.startDate;
+  const end = normalized.endDate ?? current?.endDate;
+  if (start && end && end < start) {
+    throw new Error('A sprint cannot end before it starts.');
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates the sprint a card is planned into. Completed sprints are closed
+ * to new cards; null, undefined and '' put the card back in the backlog.
+ */
+function normalizeSprintId(sprintId, sprints) {
+  if (sprintId === undefined || sprintId === null || sprintId === '') {
+    return null;
+  }
+  const sprint = sprints.find((candidate) => candidate.id === sprintId);
+  if (!sprint) {
+    throw new Error(`Unknown sprint: ${sprintId}`);
+  }
+  if (sprint.state === 'completed') {
+    throw new Error(`"${sprint.name}" is complete, so cards cannot be added to it.`);
+  }
+  return sprint.id;
+}
+
+// Sprints go planned → active → completed, with at most one active per project.
+function assertCanStartSprint(sprint, sprints) {
+  if (sprint.state !== 'planned') {
+    throw new Error(`"${sprint.name}" has already been started.`);
+  }
+  const active = sprints.find((candidate) => candidate.state === 'active');
+  if (active) {
+    throw new Error(`"${active.name}" is still active. Complete it first.`);
+  }
+}
+
+/**
+ * Splits the active sprint's live cards into finished ones (in the workflow's
+ * last column), which stay with the sprint, and unfinished ones, which move
+ * to `moveTo`: another planned sprint, or null for the backlog.
+ */
+function planSprintCompletion(sprint, { items, sprints, workflow, moveTo = null }) {
+  if (sprint.state !== 'active') {
+    throw new Error('Only the active sprint can be completed.');
+  }
+  let target = null;
+  if (moveTo !== undefined && moveTo !== null && moveTo !== '') {
+    target = sprints.find((candidate) => candidate.id === moveTo);
+    if (!target || target.state !== 'planned') {
+      throw new Error('Unfinished cards can only move to a planned sprint.');
+    }
+  }
+  const doneStatus = workflow[workflow.length - 1].key;
+  const cards = items.filter((item) => !item.deletedAt && item.sprintId === sprint.id);
+  return {
+    finished: cards.filter((item) => item.status === doneStatus),
+    unfinished: cards.filter((item) => item.status !== doneStatus),
+    movedTo: target ? target.id : null
+  };
+}
+
+// Sprints list in calendar order; ties keep the order they were created in.
+const compareSprints = (a, b) =>
+  a.startDate.localeCompare(b.startDate) || a.createdAt.localeCompare(b.createdAt);
+
+module.exports = {
+  normalizeSprintInput,
+  normalizeSprintId,
+  assertCanStartSprint,
+  planSprintCompletion,
+  compareSprints
+};
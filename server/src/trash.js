@@ -0,0 +1,56 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function parseRetentionDays(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_RETENTION_DAYS;
+  }
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error('TRASH_RETENTION_DAYS must be a non-negative number.');
+  }
+  return days;
+}
+
+// How long deleted items and projects stay restorable. Zero purges them on
+// the next sweep.
+const TRASH_RETENTION_DAYS = parseRetentionDays(process.env.TRASH_RETENTION_DAYS);
+
+function retentionCutoff(now = new Date()) {
+  return new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+function purgeDate(deletedAt) {
+  if (!deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Runs `purge(cutoff)` now and then every hour. Returns a function that stops
+ * the schedule; the timer never keeps the process alive on its own.
+ */
+function scheduleTrashPurge(purge, { intervalMs = PURGE_INTERVAL_MS } = {}) {
+  const sweep = async () => {
+    try {
+      const { items, projects } = await purge(retentionCutoff());
+      if (items > 0 || projects > 0) {
+        console.log(`Purged ${items} trashed items and ${projects} trashed projects.`);
+      }
+    } catch (error) {
+      console.error('Failed to purge trash.', error);
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  retentionCutoff,
+  purgeDate,
+  scheduleTrashPurge
+};
@@ -0,0 +1,116 @@
+const { workflowStatuses } = require('./workflow');
+
+const MAX_TRELLO_CARDS = 5000;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const byPosition = (a, b) => (Number(a.pos) || 0) - (Number(b.pos) || 0);
+
+/**
+ * Reads the parts of a Trello board export (`Menu → Print, export and share →
+ * Export as JSON`) that map onto a board: its name, lists and cards, each
+ * sorted the way Trello shows them. Everything else in the export is ignored.
+ */
+function parseTrelloBoard(document) {
+  if (!isPlainObject(document) || !Array.isArray(document.lists) || !Array.isArray(document.cards)) {
+    throw new Error('This is not a Trello board export.');
+  }
+  if (document.cards.length > MAX_TRELLO_CARDS) {
+    throw new Error(`Trello imports are limited to ${MAX_TRELLO_CARDS} cards.`);
+  }
+
+  const lists = document.lists
+    .filter((list) => isPlainObject(list) && typeof list.id === 'string')
+    .sort(byPosition)
+    .map((list) => ({
+      id: list.id,
+      name: typeof list.name === 'string' && list.name.trim() ? list.name.trim() : 'Untitled list',
+      closed: list.closed === true,
+      cards: []
+    }));
+  const listsById = new Map(lists.map((list) => [list.id, list]));
+
+  document.cards
+    .filter((card) => isPlainObject(card) && listsById.has(card.idList))
+    .sort(byPosition)
+    .forEach((card) => {
+      const list = listsById.get(card.idList);
+      list.cards.push({
+        sourceId: typeof card.id === 'string' ? card.id : null,
+        title: typeof card.name === 'string' ? card.name.trim() : '',
+        description: typeof card.desc === 'string' ? card.desc.trim() : '',
+        // Cards in an archived list are archived along with it.
+        archived: card.closed === true || list.closed
+      });
+    });
+
+  return {
+    name: typeof document.name === 'string' ? document.name.trim() : '',
+    lists
+  };
+}
+
+// Pairs lists with columns of the same key or label; the rest go to the first column.
+function suggestListMapping(lists, workflow) {
+  return Object.fromEntries(
+    lists.map((list) => {
+      const name = list.name.toLowerCase();
+      const match = workflow.find(
+        (column) => column.key === name || column.label.toLowerCase() === name
+      );
+      return [list.id, (match || workflow[0]).key];
+    })
+  );
+}
+
+/**
+ * Plans a Trello import into an existing board. `listMapping` maps Trello list
+ * ids to column keys, or to `null` to skip a list; lists it leaves out use the
+ * suggested column. Archived cards are skipped unless `includeArchived` is set.
+ * Returns the lists with their chosen column and the item payloads in order.
+ */
+function planTrelloImport(document, { workflow, listMapping, includeArchived = false }) {
+  const board = parseTrelloBoard(document);
+  const statuses = workflowStatuses(workflow);
+  const suggested = suggestListMapping(board.lists, workflow);
+  const mapping = isPlainObject(listMapping) ? listMapping : {};
+
+  const lists = board.lists.map((list) => {
+    const column = Object.prototype.hasOwnProperty.call(mapping, list.id)
+      ? mapping[list.id]
+      : suggested[list.id];
+    if (column !== null && !statuses.includes(column)) {
+      throw new Error(`Invalid status: ${column}`);
+    }
+    return { ...list, column };
+  });
+
+  const items = [];
+  let skipped = 0;
+  lists.forEach((list) => {
+    list.cards.forEach((card) => {
+      if (list.column === null || (card.archived && !includeArchived) || !card.title) {
+        skipped += 1;
+        return;
+      }
+      items.push({ title: card.title, description: card.description, status: list.column });
+    });
+  });
+
+  return {
+    name: board.name,
+    lists: lists.map(({ cards, ...list }) => ({
+      ...list,
+      cardCount: cards.filter((card) => !card.archived).length,
+      archivedCount: cards.filter((card) => card.archived).length
+    })),
+    items,
+    skipped
+  };
+}
+
+module.exports = {
+  parseTrelloBoard,
+  planTrelloImport
+};
@@ -0,0 +1,42 @@
+const { parseBoardQuery } = require('./boardQuery');
+
+const MAX_VIEW_NAME_LENGTH = 60;
+
+const DUPLICATE_VIEW_MESSAGE = 'A view with that name already exists.';
+
+/**
+ * Validates a saved view. The query is only checked for syntax: names in it
+ * are resolved when the board is filtered, so a view keeps working after
+ * the label or sprint it mentions is renamed back. With `partial`, missing
+ * fields are left out for updates.
+ */
+function normalizeViewInput({ name, query } = {}, { partial = false } = {}) {
+  const normalized = {};
+
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('View name is required.');
+    }
+    if (trimmed.length > MAX_VIEW_NAME_LENGTH) {
+      throw new Error(`View names are limited to ${MAX_VIEW_NAME_LENGTH} characters.`);
+    }
+    normalized.name = trimmed;
+  }
+
+  if (query !== undefined || !partial) {
+    const trimmed = typeof query === 'string' ? query.trim() : '';
+    if (!trimmed) {
+      throw new Error('View query is required.');
+    }
+    parseBoardQuery(trimmed);
+    normalized.query = trimmed;
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  DUPLICATE_VIEW_MESSAGE,
+  normalizeViewInput
+};
@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Every event that changes a card, or the order of cards, on the board.
+const WEBHOOK_EVENT_TYPES = [
+  'item.created',
+  'item.updated',
+  'item.deleted',
+  'item.restored',
+  'items.reordered',
+  'items.imported'
+];
+const MAX_WEBHOOKS_PER_PROJECT = 10;
+const MAX_URL_LENGTH = 2000;
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 200;
+
+const SIGNATURE_HEADER = 'X-Backlog-Signature';
+const TIMESTAMP_HEADER = 'X-Backlog-Timestamp';
+const EVENT_HEADER = 'X-Backlog-Event';
+const DELIVERY_HEADER = 'X-Backlog-Delivery';
+
+// Retries wait 30s, 1m, 2m, ... up to an hour; the eighth failure is final.
+const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is not claimed again for this long, so a server that
+// dies mid-request leaves it to be retried rather than lost.
+const DELIVERY_LEASE_MS = 60 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+const DELIVERY_SWEEP_MS = 15 * 1000;
+const DELIVERY_LOG_DAYS = 14;
+const DEFAULT_LOG_SIZE = 50;
+const MAX_LOG_SIZE = 200;
+
+const DUPLICATE_WEBHOOK_MESSAGE = 'This project already has a webhook for that URL.';
+const WEBHOOK_LIMIT_MESSAGE = `A project can have at most ${MAX_WEBHOOKS_PER_PROJECT} webhooks.`;
+
+const generateWebhookSecret = () => crypto.randomBytes(24).toString('hex');
+
+const PRIVATE_DESTINATION_MESSAGE =
+  'Webhook URL must not point to a loopback, link-local or private network address.';
+
+// Addresses a webhook must not reach unless WEBHOOK_ALLOW_PRIVATE_NETWORKS is
+// set: this host, its local networks and cloud metadata endpoints. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function normalizeUrl(url) {
+  const trimmed = typeof url === 'string' ? url.trim() : '';
+  if (!trimmed) {
+    throw new Error('Webhook URL is required.');
+  }
+  if (trimmed.length > MAX_URL_LENGTH) {
+    throw new Error(`Webhook URLs are limited to ${MAX_URL_LENGTH} characters.`);
+  }
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch {
+    throw new Error('Webhook URL must be an absolute http or https URL.');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Webhook URL must be an absolute http or https URL.');
+  }
+  return parsed.toString();
+}
+
+const privateNetworksAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+const isPrivateAddress = ({ address, family }) =>
+  PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+const lookupAll = (hostname) =>
+  new Promise((resolve, reject) => {
+    dns.lookup(hostname, { all: true }, (error, addresses) =>
+      error ? reject(error) : resolve(addresses)
+    );
+  });
+
+/**
+ * Resolves a webhook URL's host and throws when any of its addresses is
+ * loopback, link-local or private. This is the check made when a webhook is
+ * saved; deliveries check the address they actually connect to (see
+ * `lookupPublicAddress`).
+ */
+async function assertPublicDestination(url) {
+  const { hostname } = new URL(normalizeUrl(url));
+  if (privateNetworksAllowed()) {
+    return;
+  }
+  let addresses;
+  try {
+    addresses = await lookupAll(hostname.replace(/^\[|\]$/g, ''));
+  } catch {
+    throw new Error(`Webhook host "${hostname}" could not be resolved.`);
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(PRIVATE_DESTINATION_MESSAGE);
+  }
+}
+
+/**
+ * The `lookup` used when connecting to a receiver. It fails the connection
+ * when the host resolves to a private address, so the address checked is the
+ * one connected to and a host whose DNS answer changes after the webhook was
+ * saved (DNS rebinding) cannot reach this server's networks.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+    } else if (!privateNetworksAllowed() && addresses.some(isPrivateAddress)) {
+      callback(new Error(PRIVATE_DESTINATION_MESSAGE));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// POSTs a body and resolves with the receiver's status code. Redirects are
+// not followed. IP literal hosts are connected to without a lookup, so they
+// are checked up front.
+async function postToReceiver(url, { headers, body, signal }) {
+  if (net.isIP(new URL(url).hostname.replace(/^\[|\]$/g, ''))) {
+    await assertPublicDestination(url);
+  }
+  const transport = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: lookupPublicAddress,
+        signal
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function normalizeEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('Webhook events must be a non-empty list.');
+  }
+  const unknown = events.find((type) => !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown webhook event "${unknown}". Use: ${WEBHOOK_EVENT_TYPES.join(', ')}.`);
+  }
+  return WEBHOOK_EVENT_TYPES.filter((type) => events.includes(type));
+}
+
+function normalizeSecret(secret) {
+  if (typeof secret !== 'string' || secret.trim().length < MIN_SECRET_LENGTH) {
+    throw new Error(`Webhook secrets must be at least ${MIN_SECRET_LENGTH} characters.`);
+  }
+  if (secret.trim().length > MAX_SECRET_LENGTH) {
+    throw new Error(`Webhook secrets are limited to ${MAX_SECRET_LENGTH} characters.`);
+  }
+  return secret.trim();
+}
+
+/**
+ * Validates a webhook subscription. New webhooks listen to every event and
+ * get a random secret unless told otherwise. With `partial`, missing fields
+ * are left out for updates.
+ */
+function normalizeWebhookInput({ url, events, secret, active } = {}, { partial = false } = {}) {
+  const normalized = {};
+
+  if (url !== undefined || !partial) {
+    normalized.url = normalizeUrl(url);
+  }
+  if (events !== undefined) {
+    normalized.events = normalizeEvents(events);
+  } else if (!partial) {
+    normalized.events = [...WEBHOOK_EVENT_TYPES];
+  }
+  if (secret !== undefined) {
+    normalized.secret = normalizeSecret(secret);
+  } else if (!partial) {
+    normalized.secret = generateWebhookSecret();
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new Error('Webhook active must be true or false.');
+    }
+    normalized.active = active;
+  } else if (!partial) {
+    normalized.active = true;
+  }
+
+  return normalized;
+}
+
+// Validates `?limit=` for a webhook's delivery log.
+function parseDeliveryQuery(query = {}) {
+  const limit = query.limit === undefined ? DEFAULT_LOG_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_SIZE) {
+    throw new Error(`Delivery limit must be a whole number between 1 and ${MAX_LOG_SIZE}.`);
+  }
+  return { limit };
+}
+
+// What a receiver gets: the same event the board's live stream carries.
+const webhookBody = (event) =>
+  JSON.stringify({
+    id: event.id,
+    type: event.type,
+    projectId: event.projectId,
+    at: event.at,
+    payload: event.payload
+  });
+
+// `sha256=<hex>` of `<timestamp>.<body>`, keyed with the webhook's secret.
+// The timestamp is the Unix time in seconds sent in the timestamp header;
+// receivers are told to refuse ones more than five minutes off their clock.
+const signWebhookBody = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+function retryDelay(attemptCount) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Where a delivery stands after its latest attempt: `delivered` on any 2xx,
+ * otherwise `pending` with the time of the next retry, or `failed` once
+ * the attempts run out.
+ */
+function nextDeliveryState(attempt, attemptCount, now = new Date()) {
+  if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+    return { status: 'delivered', nextAttemptAt: null };
+  }
+  if (attemptCount >= MAX_DELIVERY_ATTEMPTS) {
+    return { status: 'failed', nextAttemptAt: null };
+  }
+  return {
+    status: 'pending',
+    nextAttemptAt: new Date(now.getTime() + retryDelay(attemptCount)).toISOString()
+  };
+}
+
+/**
+ * POSTs one delivery and describes the attempt as `{ at, statusCode, error,
+ * durationMs }`. Network failures, timeouts and private destinations have a
+ * null status code. Redirects are not followed.
+ */
+async function sendWebhook(delivery) {
+  const body = webhookBody(delivery.event);
+  const startedAt = Date.now();
+  const timestamp = Math.floor(startedAt / 1000);
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null };
+  const signal = AbortSignal.timeout(DELIVERY_TIMEOUT_MS);
+  try {
+    attempt.statusCode = await postToReceiver(delivery.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Backlog-Pilot-Webhooks',
+        [EVENT_HEADER]: delivery.event.type,
+        [DELIVERY_HEADER]: delivery.id,
+        [TIMESTAMP_HEADER]: `${timestamp}`,
+        [SIGNATURE_HEADER]: signWebhookBody(delivery.secret, timestamp, body)
+      },
+      body,
+      signal
+    });
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `Receiver responded with ${attempt.statusCode}.`;
+    }
+  } catch (error) {
+    attempt.error = signal.aborted
+      ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds.`
+      : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+}
+
+/**
+ * Sends every delivery that is due, a batch at a time, until none are left.
+ * `store.claimWebhookDeliveries` leases a batch (with each webhook's URL and
+ * secret) and `store.recordWebhookAttempt` stores how an attempt went.
+ */
+async function deliverDueWebhooks(store, { send = sendWebhook } = {}) {
+  let sent = 0;
+  for (;;) {
+    const batch = await store.claimWebhookDeliveries({
+      limit: DELIVERY_BATCH_SIZE,
+      leaseMs: DELIVERY_LEASE_MS
+    });
+    if (batch.length === 0) {
+      return sent;
+    }
+    await Promise.all(
+      batch.map(async (delivery) => {
+        const attempt = await send(delivery);
+        const state = nextDeliveryState(attempt, delivery.attemptCount + 1);
+        await store.recordWebhookAttempt(delivery.id, attempt, state);
+      })
+    );
+    sent += batch.length;
+  }
+}
+
+/**
+ * Delivers due webhooks now and then every 15 seconds, and drops finished
+ * deliveries older than two weeks from the log. Returns a function that
+ * stops the schedule; the timer never keeps the process alive on its own.
+ */
+function scheduleWebhookDeliveries(store, { intervalMs = DELIVERY_SWEEP_MS } = {}) {
+  const sweep = async () => {
+    try {
+      await deliverDueWebhooks(store);
+      await store.pruneWebhookDeliveries(
+        new Date(Date.now() - DELIVERY_LOG_DAYS * 24 * 60 * 60 * 1000)
+      );
+    } catch (error) {
+      console.error('Failed to deliver webhooks.', error);
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  MAX_WEBHOOKS_PER_PROJECT,
+  MAX_DELIVERY_ATTEMPTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_HEADER,
+  DELIVERY_HEADER,
+  DUPLICATE_WEBHOOK_MESSAGE,
+  WEBHOOK_LIMIT_MESSAGE,
+  normalizeWebhookInput,
+  assertPublicDestination,
+  parseDeliveryQuery,
+  webhookBody,
+  signWebhookBody,
+  nextDeliveryState,
+  sendWebhook,
+  deliverDueWebhooks,
+  scheduleWebhookDeliveries
+};
@@ -0,0 +1,153 @@
+const { WipLimitError } = require('./errors');
+
+const DEFAULT_WORKFLOW = [
+  { key: 'backlog', label: 'Backlog' },
+  { key: 'in_progress', label: 'In Progress' },
+  { key: 'review', label: 'Review' },
+  { key: 'done', label: 'Done' }
+];
+
+const MAX_COLUMNS = 12;
+const MAX_LABEL_LENGTH = 40;
+const KEY_PATTERN = /^[a-z0-9_]{1,40}$/;
+const MAX_WIP_LIMIT = 999;
+
+function defaultWorkflow() {
+  return DEFAULT_WORKFLOW.map((column) => ({ ...column }));
+}
+
+function workflowStatuses(workflow) {
+  return (workflow || DEFAULT_WORKFLOW).map((column) => column.key);
+}
+
+function slugifyLabel(label) {
+  return `${label || ''}`
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+}
+
+function normalizeWipLimit(value) {
+  if (value === undefined || value === null || value === '' || value === 0) {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WIP_LIMIT) {
+    throw new Error(`WIP limit must be a whole number between 1 and ${MAX_WIP_LIMIT}.`);
+  }
+  return limit;
+}
+
+function uniqueKey(base, taken) {
+  const root = base || 'column';
+  let candidate = root;
+  let suffix = 2;
+  while (taken.has(candidate)) {
+    candidate = `${root}_${suffix}`;
+    suffix += 1;
+  }
+  return candidate;
+}
+
+/**
+ * Validates a list of `{ key?, label, wipLimit? }` column definitions. Columns without a
+ * key get one derived from their label; existing keys are kept so renaming a
+ * column never orphans its items.
+ */
+function normalizeWorkflow(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error('A workflow needs at least one column.');
+  }
+  if (columns.length > MAX_COLUMNS) {
+    throw new Error(`A workflow can have at most ${MAX_COLUMNS} columns.`);
+  }
+
+  const taken = new Set();
+  const normalized = columns.map((column) => {
+    const label = `${column?.label || ''}`.trim();
+    if (!label) {
+      throw new Error('Column label is required.');
+    }
+    if (label.length > MAX_LABEL_LENGTH) {
+      throw new Error(`Column label must be at most ${MAX_LABEL_LENGTH} characters.`);
+    }
+
+    let key = column.key !== undefined && column.key !== null ? `${column.key}`.trim() : '';
+    if (key) {
+      if (!KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid column key: ${key}`);
+      }
+      if (taken.has(key)) {
+        throw new Error(`Duplicate column key: ${key}`);
+      }
+    } else {
+      key = uniqueKey(slugifyLabel(label), taken);
+    }
+
+    taken.add(key);
+    const wipLimit = normalizeWipLimit(column.wipLimit);
+    return wipLimit ? { key, label, wipLimit } : { key, label };
+  });
+
+  return normalized;
+}
+
+/**
+ * Works out where items in columns that disappear from `nextWorkflow` should
+ * go. `moveItemsTo` maps each removed key to a key in the new workflow; any
+ * removed column left unmapped falls back to the first remaining column.
+ */
+function planColumnMigrations(currentWorkflow, nextWorkflow, moveItemsTo = {}) {
+  const nextKeys = new Set(workflowStatuses(nextWorkflow));
+  const migrations = {};
+
+  workflowStatuses(currentWorkflow).forEach((key) => {
+    if (nextKeys.has(key)) return;
+    const target = moveItemsTo?.[key] ?? nextWorkflow[0].key;
+    if (!nextKeys.has(target)) {
+      throw new Error(`Invalid target column for ${key}: ${target}`);
+    }
+    migrations[key] = target;
+  });
+
+  return migrations;
+}
+
+/**
+ * Throws a WipLimitError when moving from `before` to `after` (both maps of
+ * status to item count) pushes a limited column past its limit. Columns that
+ * were already over their limit only fail if the move adds to them.
+ */
+function enforceWipLimits(workflow, before, after) {
+  (workflow || []).forEach((column) => {
+    if (!column.wipLimit) return;
+    const nextCount = after[column.key] || 0;
+    if (nextCount > column.wipLimit && nextCount > (before[column.key] || 0)) {
+      throw new WipLimitError(column, nextCount);
+    }
+  });
+}
+
+function assertWipCapacity(workflow, counts, status) {
+  enforceWipLimits(workflow, counts, { ...counts, [status]: (counts[status] || 0) + 1 });
+}
+
+function countByStatus(items) {
+  return items.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  defaultWorkflow,
+  workflowStatuses,
+  normalizeWorkflow,
+  planColumnMigrations,
+  enforceWipLimits,
+  assertWipCapacity,
+  countByStatus
+};
@@ -1,4 +1,7 @@
+const crypto = require('crypto');
+const dns = require('dns');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 
 const TEMP_DB_PATH = path.join(__dirname, 'tmp-db.json');
@@ -6,6 +9,9 @@ process.env.BACKLOG_DB_FILE = TEMP_DB_PATH;
 
 const request = require('supertest');
 const app = require('../src/app');
+const { purgeTrash } = require('../src/db');
+const { resolveLookupPepper } = require('../src/secrets');
+const trelloBoard = require('./fixtures/trello-board.json');
 
 const DEFAULT_DB_CONTENT = {
   projects: [],
@@ -16,6 +22,63 @@ function resetDb() {
   fs.writeFileSync(TEMP_DB_PATH, JSON.stringify(DEFAULT_DB_CONTENT, null, 2));
 }
 
+function openEventStream(server, projectId, secret, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+
+    const notify = () => {
+      waiters.slice().forEach((waiter) => {
+        const match = events.find((event) => event.type === waiter.type);
+        if (match) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(match);
+        }
+      });
+    };
+
+    const req = http.get(
+      {
+        port: server.address().port,
+        path: `/api/projects/${projectId}/events`,
+        headers: { 'x-project-secret': secret, ...headers }
+      },
+      (res) => {
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let boundary = buffer.indexOf('\n\n');
+          while (boundary !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const event = {};
+            block.split('\n').forEach((line) => {
+              if (line.startsWith('event: ')) event.type = line.slice(7);
+              if (line.startsWith('id: ')) event.id = line.slice(4);
+              if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+            });
+            if (event.type) events.push(event);
+            boundary = buffer.indexOf('\n\n');
+          }
+          notify();
+        });
+        resolve({
+          status: res.statusCode,
+          events,
+          next: (type) =>
+            new Promise((resolveEvent) => {
+              waiters.push({ type, resolve: resolveEvent });
+              notify();
+            }),
+          close: () => req.destroy()
+        });
+      }
+    );
+    req.on('error', reject);
+  });
+}
+
 beforeEach(() => {
   resetDb();
 });
@@ -38,6 +101,44 @@ describe('Backlog Board API', () => {
     expect(response.body.project.id).toBeDefined();
   });
 
+  test('stores project secrets as salted hashes', async () => {
+    await request(app)
+      .post('/api/projects')
+      .send({ name: 'Hashed Project', secretKey: 'plain-text-secret' });
+
+    const stored = JSON.parse(fs.readFileSync(TEMP_DB_PATH, 'utf-8')).projects[0];
+    expect(stored).not.toHaveProperty('secretKey');
+    expect(stored.secretHash).toMatch(/^scrypt:/);
+    expect(JSON.stringify(stored)).not.toContain('plain-text-secret');
+  });
+
+  test('upgrades legacy plaintext secrets on first read', async () => {
+    const legacyId = 'c5463c17-6336-4370-b23b-8d52eddc990b';
+    fs.writeFileSync(
+      TEMP_DB_PATH,
+      JSON.stringify({
+        projects: [{ id: legacyId, name: 'Legacy', secretKey: '1234', createdAt: new Date().toISOString() }],
+        items: []
+      })
+    );
+
+    const accessResponse = await request(app)
+      .post('/api/access')
+      .send({ secretKey: '1234' });
+
+    expect(accessResponse.status).toBe(200);
+    expect(accessResponse.body.project.id).toBe(legacyId);
+
+    const stored = JSON.parse(fs.readFileSync(TEMP_DB_PATH, 'utf-8')).projects[0];
+    expect(stored).not.toHaveProperty('secretKey');
+    expect(stored.secretHash).toMatch(/^scrypt:/);
+
+    const projectResponse = await request(app)
+      .get(`/api/projects/${legacyId}`)
+      .set('x-project-secret', '1234');
+    expect(projectResponse.status).toBe(200);
+  });
+
   test('denies duplicate secret keys', async () => {
     await request(app)
       .post('/api/projects')
@@ -133,6 +234,2419 @@ describe('Backlog Board API', () => {
     ]);
   });
 
+  test('customizes the project workflow and migrates items from removed columns', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Flow Board', secretKey: 'flow-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'flow-key' };
+
+    expect(projectRes.body.project.workflow.map((column) => column.key)).toEqual([
+      'backlog',
+      'in_progress',
+      'review',
+      'done'
+    ]);
+
+    const reviewItem = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Needs review', status: 'review' });
+
+    const addRes = await request(app)
+      .post(`/api/projects/${projectId}/workflow/columns`)
+      .set(secretHeader)
+      .send({ label: 'Triage', position: 0 });
+
+    expect(addRes.status).toBe(201);
+    expect(addRes.body.project.workflow[0]).toEqual({ key: 'triage', label: 'Triage' });
+    expect(Object.keys(addRes.body.columns)[0]).toBe('triage');
+
+    const renameRes = await request(app)
+      .patch(`/api/projects/${projectId}/workflow/columns/in_progress`)
+      .set(secretHeader)
+      .send({ label: 'Doing' });
+
+    expect(renameRes.status).toBe(200);
+    expect(renameRes.body.project.workflow[2]).toEqual({ key: 'in_progress', label: 'Doing' });
+
+    const removeRes = await request(app)
+      .delete(`/api/projects/${projectId}/workflow/columns/review`)
+      .set(secretHeader)
+      .send({ moveItemsTo: 'done' });
+
+    expect(removeRes.status).toBe(200);
+    expect(removeRes.body.columns).not.toHaveProperty('review');
+    expect(removeRes.body.columns.done.map((item) => item.id)).toEqual([reviewItem.body.item.id]);
+
+    const invalidStatus = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Lost card', status: 'review' });
+
+    expect(invalidStatus.status).toBe(400);
+
+    const triageItem = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Default column' });
+
+    expect(triageItem.body.item.status).toBe('triage');
+  });
+
+  test('replaces the workflow in one request and validates column definitions', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Replace Flow', secretKey: 'replace-flow' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'replace-flow' };
+
+    const emptyRes = await request(app)
+      .put(`/api/projects/${projectId}/workflow`)
+      .set(secretHeader)
+      .send({ columns: [] });
+
+    expect(emptyRes.status).toBe(400);
+
+    const duplicateRes = await request(app)
+      .put(`/api/projects/${projectId}/workflow`)
+      .set(secretHeader)
+      .send({ columns: [{ key: 'qa', label: 'QA' }, { key: 'qa', label: 'QA again' }] });
+
+    expect(duplicateRes.status).toBe(400);
+
+    const replaceRes = await request(app)
+      .put(`/api/projects/${projectId}/workflow`)
+      .set(secretHeader)
+      .send({
+        columns: [
+          { key: 'done', label: 'Deployed' },
+          { key: 'backlog', label: 'Ideas' },
+          { label: 'QA' }
+        ]
+      });
+
+    expect(replaceRes.status).toBe(200);
+    expect(Object.keys(replaceRes.body.columns)).toEqual(['done', 'backlog', 'qa']);
+
+    const workflowRes = await request(app)
+      .get(`/api/projects/${projectId}/workflow`)
+      .set(secretHeader);
+
+    expect(workflowRes.body.workflow.map((column) => column.label)).toEqual([
+      'Deployed',
+      'Ideas',
+      'QA'
+    ]);
+  });
+
+  test('enforces per-column WIP limits unless overridden', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Limited Board', secretKey: 'wip-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'wip-key' };
+
+    const limitRes = await request(app)
+      .patch(`/api/projects/${projectId}/workflow/columns/in_progress`)
+      .set(secretHeader)
+      .send({ wipLimit: 1 });
+
+    expect(limitRes.status).toBe(200);
+    expect(limitRes.body.project.workflow[1]).toMatchObject({ key: 'in_progress', wipLimit: 1 });
+
+    const first = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Active', status: 'in_progress' });
+    expect(first.status).toBe(201);
+
+    const blockedCreate = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Too much', status: 'in_progress' });
+
+    expect(blockedCreate.status).toBe(409);
+    expect(blockedCreate.body).toMatchObject({
+      code: 'WIP_LIMIT_EXCEEDED',
+      column: 'in_progress',
+      limit: 1,
+      count: 2
+    });
+
+    const waiting = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Waiting' });
+
+    const blockedMove = await request(app)
+      .patch(`/api/projects/${projectId}/items/${waiting.body.item.id}`)
+      .set(secretHeader)
+      .send({ status: 'in_progress' });
+    expect(blockedMove.status).toBe(409);
+
+    const blockedReorder = await request(app)
+      .post(`/api/projects/${projectId}/items/reorder`)
+      .set(secretHeader)
+      .send({
+        columns: {
+          backlog: [],
+          in_progress: [first.body.item.id, waiting.body.item.id],
+          review: [],
+          done: []
+        }
+      });
+    expect(blockedReorder.status).toBe(409);
+
+    const sameColumnReorder = await request(app)
+      .post(`/api/projects/${projectId}/items/reorder`)
+      .set(secretHeader)
+      .send({ columns: { backlog: [waiting.body.item.id], in_progress: [first.body.item.id] } });
+    expect(sameColumnReorder.status).toBe(200);
+
+    const overridden = await request(app)
+      .patch(`/api/projects/${projectId}/items/${waiting.body.item.id}`)
+      .set(secretHeader)
+      .send({ status: 'in_progress', overrideWipLimit: true });
+
+    expect(overridden.status).toBe(200);
+    expect(overridden.body.item.status).toBe('in_progress');
+  });
+
+  test('rejects stale edits with a version conflict', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Shared Board', secretKey: 'version-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'version-key' };
+
+    const createRes = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Draft spec' });
+    const itemId = createRes.body.item.id;
+
+    expect(createRes.body.item.version).toBe(1);
+    expect(createRes.headers.etag).toBe('"1"');
+
+    const firstEdit = await request(app)
+      .patch(`/api/projects/${projectId}/items/${itemId}`)
+      .set({ ...secretHeader, 'If-Match': '"1"' })
+      .send({ title: 'Draft spec v2' });
+
+    expect(firstEdit.status).toBe(200);
+    expect(firstEdit.body.item.version).toBe(2);
+    expect(firstEdit.headers.etag).toBe('"2"');
+
+    const staleEdit = await request(app)
+      .patch(`/api/projects/${projectId}/items/${itemId}`)
+      .set(secretHeader)
+      .send({ title: 'Outdated title', version: 1 });
+
+    expect(staleEdit.status).toBe(409);
+    expect(staleEdit.body).toMatchObject({
+      code: 'VERSION_CONFLICT',
+      item: { id: itemId, title: 'Draft spec v2', version: 2 }
+    });
+
+    const staleMove = await request(app)
+      .post(`/api/projects/${projectId}/items/reorder`)
+      .set(secretHeader)
+      .send({ columns: { backlog: [], review: [itemId] }, versions: { [itemId]: 1 } });
+
+    expect(staleMove.status).toBe(409);
+    expect(staleMove.body.code).toBe('VERSION_CONFLICT');
+    expect(staleMove.body.items.map((item) => item.id)).toEqual([itemId]);
+
+    const freshMove = await request(app)
+      .post(`/api/projects/${projectId}/items/reorder`)
+      .set(secretHeader)
+      .send({ columns: { backlog: [], review: [itemId] }, versions: { [itemId]: 2 } });
+
+    expect(freshMove.status).toBe(200);
+    expect(freshMove.body.columns.review[0]).toMatchObject({ id: itemId, version: 3 });
+
+    const invalidVersion = await request(app)
+      .patch(`/api/projects/${projectId}/items/${itemId}`)
+      .set({ ...secretHeader, 'If-Match': '"abc"' })
+      .send({ title: 'Whatever' });
+    expect(invalidVersion.status).toBe(400);
+  });
+
+  test('records an activity log for every board mutation', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Audited Board', secretKey: 'activity-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'activity-key' };
+
+    const first = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Write docs' });
+    const second = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Ship release' });
+    const firstId = first.body.item.id;
+    const secondId = second.body.item.id;
+
+    await request(app)
+      .patch(`/api/projects/${projectId}/items/${firstId}`)
+      .set(secretHeader)
+      .send({ title: 'Write the docs', description: 'API section' });
+    await request(app)
+      .post(`/api/projects/${projectId}/items/reorder`)
+      .set(secretHeader)
+      .send({ columns: { backlog: [secondId], in_progress: [firstId] } });
+    await request(app).delete(`/api/projects/${projectId}/items/${secondId}`).set(secretHeader);
+
+    const feed = await request(app).get(`/api/projects/${projectId}/activity`).set(secretHeader);
+
+    expect(feed.status).toBe(200);
+    expect(feed.body.nextCursor).toBeNull();
+    expect(feed.body.activity.map((entry) => entry.action)).toEqual([
+      'item.deleted',
+      'items.reordered',
+      'item.moved',
+      'item.updated',
+      'item.created',
+      'item.created'
+    ]);
+
+    const [deleted, reordered, moved, updated] = feed.body.activity;
+    expect(deleted).toMatchObject({ itemId: secondId, itemTitle: 'Ship release' });
+    expect(deleted.changes.title).toEqual({ from: 'Ship release', to: null });
+    expect(reordered.changes.backlog).toEqual({ from: [firstId, secondId], to: [secondId] });
+    expect(moved.changes.status).toEqual({ from: 'backlog', to: 'in_progress' });
+    expect(updated.changes).toEqual({
+      title: { from: 'Write docs', to: 'Write the docs' },
+      description: { from: '', to: 'API section' }
+    });
+    expect(updated.createdAt).toEqual(expect.any(String));
+
+    const firstPage = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ limit: 4 })
+      .set(secretHeader);
+    expect(firstPage.body.activity).toHaveLength(4);
+    expect(firstPage.body.nextCursor).toBe(firstPage.body.activity[3].id);
+
+    const secondPage = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ limit: 4, before: firstPage.body.nextCursor })
+      .set(secretHeader);
+    expect(secondPage.body.activity.map((entry) => entry.action)).toEqual([
+      'item.created',
+      'item.created'
+    ]);
+    expect(secondPage.body.nextCursor).toBeNull();
+
+    const itemFeed = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ itemId: firstId })
+      .set(secretHeader);
+    expect(itemFeed.body.activity.map((entry) => entry.action)).toEqual([
+      'item.moved',
+      'item.updated',
+      'item.created'
+    ]);
+
+    const invalidLimit = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ limit: 0 })
+      .set(secretHeader);
+    expect(invalidLimit.status).toBe(400);
+  });
+
+  test('moves deleted items and projects to the trash and restores them', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Careful Board', secretKey: 'trash-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'trash-key' };
+
+    const ids = [];
+    for (const title of ['First', 'Second', 'Third']) {
+      const res = await request(app)
+        .post(`/api/projects/${projectId}/items`)
+        .set(secretHeader)
+        .send({ title });
+      ids.push(res.body.item.id);
+    }
+
+    const deleteRes = await request(app)
+      .delete(`/api/projects/${projectId}/items/${ids[1]}`)
+      .set(secretHeader);
+    expect(deleteRes.status).toBe(204);
+
+    const boardRes = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(boardRes.body.columns.backlog.map((item) => item.id)).toEqual([ids[0], ids[2]]);
+
+    const trashRes = await request(app).get(`/api/projects/${projectId}/trash`).set(secretHeader);
+    expect(trashRes.status).toBe(200);
+    expect(trashRes.body.retentionDays).toBe(30);
+    expect(trashRes.body.items).toHaveLength(1);
+    expect(trashRes.body.items[0]).toMatchObject({ id: ids[1], deletedAt: expect.any(String) });
+    expect(new Date(trashRes.body.items[0].purgeAt) > new Date()).toBe(true);
+
+    const editTrashed = await request(app)
+      .patch(`/api/projects/${projectId}/items/${ids[1]}`)
+      .set(secretHeader)
+      .send({ title: 'Ghost edit' });
+    expect(editTrashed.status).toBe(404);
+
+    const restoreRes = await request(app)
+      .post(`/api/projects/${projectId}/trash/${ids[1]}/restore`)
+      .set(secretHeader);
+    expect(restoreRes.status).toBe(200);
+    expect(restoreRes.body.item).toMatchObject({ id: ids[1], status: 'backlog', deletedAt: null });
+
+    const restoredBoard = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(restoredBoard.body.columns.backlog.map((item) => item.id)).toEqual(ids);
+
+    const restoreAgain = await request(app)
+      .post(`/api/projects/${projectId}/trash/${ids[1]}/restore`)
+      .set(secretHeader);
+    expect(restoreAgain.status).toBe(404);
+
+    await request(app).delete(`/api/projects/${projectId}`).set(secretHeader).expect(204);
+
+    const listRes = await request(app).get('/api/projects');
+    expect(listRes.body.projects).toHaveLength(0);
+
+    const accessTrashed = await request(app).post('/api/access').send({ secretKey: 'trash-key' });
+    expect(accessTrashed.status).toBe(410);
+    expect(accessTrashed.body).toMatchObject({ code: 'PROJECT_IN_TRASH', projectId });
+
+    const projectRestore = await request(app)
+      .post(`/api/projects/${projectId}/restore`)
+      .set(secretHeader);
+    expect(projectRestore.status).toBe(200);
+    expect(projectRestore.body.project.deletedAt).toBeNull();
+
+    const accessRestored = await request(app).post('/api/access').send({ secretKey: 'trash-key' });
+    expect(accessRestored.status).toBe(200);
+    const itemsAfter = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(itemsAfter.body.columns.backlog).toHaveLength(3);
+  });
+
+  test('purges trash older than the retention period', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Purged Board', secretKey: 'purge-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'purge-key' };
+
+    const itemRes = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Temporary' });
+    await request(app)
+      .delete(`/api/projects/${projectId}/items/${itemRes.body.item.id}`)
+      .set(secretHeader);
+
+    expect(await purgeTrash(new Date(Date.now() - 60000))).toEqual({ items: 0, projects: 0 });
+    expect(await purgeTrash(new Date(Date.now() + 60000))).toEqual({ items: 1, projects: 0 });
+
+    const trashRes = await request(app).get(`/api/projects/${projectId}/trash`).set(secretHeader);
+    expect(trashRes.body.items).toHaveLength(0);
+  });
+
+  test('exports a project archive and imports it under a new secret', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Portable Board', secretKey: 'export-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'export-key' };
+
+    await request(app)
+      .post(`/api/projects/${projectId}/workflow/columns`)
+      .set(secretHeader)
+      .send({ label: 'QA', wipLimit: 2 });
+    const ids = [];
+    for (const [title, status] of [['Spec', 'backlog'], ['Build', 'qa'], ['Scrap', 'backlog']]) {
+      const res = await request(app)
+        .post(`/api/projects/${projectId}/items`)
+        .set(secretHeader)
+        .send({ title, status, description: `${title} notes` });
+      ids.push(res.body.item.id);
+    }
+    await request(app).delete(`/api/projects/${projectId}/items/${ids[2]}`).set(secretHeader);
+
+    const exportRes = await request(app).get(`/api/projects/${projectId}/export`).set(secretHeader);
+
+    expect(exportRes.status).toBe(200);
+    expect(exportRes.headers['content-disposition']).toContain('portable-board-backlog.json');
+    const archive = exportRes.body;
+    expect(archive).toMatchObject({
+      format: 'backlog-pilot/project',
+      version: 2,
+      project: { name: 'Portable Board' }
+    });
+    expect(archive.project.workflow.map((column) => column.key)).toEqual([
+      'backlog',
+      'in_progress',
+      'review',
+      'done',
+      'qa'
+    ]);
+    expect(archive.items).toHaveLength(3);
+    expect(JSON.stringify(archive)).not.toContain('secret');
+
+    const importRes = await request(app)
+      .post('/api/projects/import')
+      .send({ archive, secretKey: 'imported-key', name: 'Imported Board' });
+
+    expect(importRes.status).toBe(201);
+    expect(importRes.body.itemCount).toBe(3);
+    const imported = importRes.body.project;
+    expect(imported.id).not.toBe(projectId);
+    expect(imported.name).toBe('Imported Board');
+    expect(imported.workflow[4]).toEqual({ key: 'qa', label: 'QA', wipLimit: 2 });
+
+    const importedHeader = { 'x-project-secret': 'imported-key' };
+    const boardRes = await request(app).get(`/api/projects/${imported.id}/items`).set(importedHeader);
+    expect(boardRes.body.columns.backlog.map((item) => item.title)).toEqual(['Spec']);
+    expect(boardRes.body.columns.qa[0]).toMatchObject({
+      title: 'Build',
+      description: 'Build notes',
+      createdAt: archive.items.find((item) => item.title === 'Build').createdAt
+    });
+    expect(boardRes.body.columns.qa[0].id).not.toBe(ids[1]);
+
+    const trashRes = await request(app).get(`/api/projects/${imported.id}/trash`).set(importedHeader);
+    expect(trashRes.body.items.map((item) => item.title)).toEqual(['Scrap']);
+
+    const duplicateSecret = await request(app)
+      .post('/api/projects/import')
+      .send({ archive, secretKey: 'export-key' });
+    expect(duplicateSecret.status).toBe(400);
+    expect(duplicateSecret.body.error).toMatch(/already exists/);
+  });
+
+  test('keeps everything a card refers to through an archive', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Full Board', secretKey: 'full-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'full-key' };
+    const base = `/api/projects/${projectId}`;
+    const post = (path, body) => request(app).post(`${base}${path}`).set(secretHeader).send(body);
+
+    const label = (await post('/labels', { name: 'Bug', color: '#ff0000' })).body.label;
+    const person = (await post('/collaborators', { name: 'Ada Lovelace', initials: 'al' })).body
+      .collaborator;
+    const sprint = (
+      await post('/sprints', {
+        name: 'Sprint 1',
+        goal: 'Ship it',
+        startDate: '2026-09-01',
+        endDate: '2026-09-14'
+      })
+    ).body.sprint;
+    await post('/sprints', { name: 'Sprint 2', startDate: '2026-09-15', endDate: '2026-09-28' });
+    await post(`/sprints/${sprint.id}/start`);
+
+    const epic = (await post('/items', { title: 'Checkout epic' })).body.item;
+    const blocker = (await post('/items', { title: 'Payment API', status: 'in_progress' })).body.item;
+    const child = (
+      await post('/items', {
+        title: 'Card form',
+        description: 'Validate the card number',
+        labelIds: [label.id],
+        assignees: [person.id],
+        blockedBy: [blocker.id],
+        epicId: epic.id,
+        sprintId: sprint.id,
+        dueDate: '2026-09-10',
+        priority: 'high',
+        estimate: 2.5
+      })
+    ).body.item;
+    const started = (
+      await request(app).patch(`${base}/items/${child.id}`).set(secretHeader).send({ status: 'in_progress' })
+    ).body.item;
+    const scrapped = (await post('/items', { title: 'Old idea' })).body.item;
+
+    const commentsPath = `/items/${child.id}/comments`;
+    const thread = (await post(commentsPath, { authorName: 'Ada', body: 'Which cards?' })).body.comment;
+    await post(commentsPath, { authorName: 'Bob', body: 'Visa first.', parentId: thread.id });
+    await request(app).delete(`${base}/items/${child.id}/comments/${thread.id}`).set(secretHeader);
+    await post(commentsPath, { authorName: 'Bob', body: 'Done with the UI.' });
+    const steps = [];
+    for (const text of ['Number', 'Expiry', 'CVC']) {
+      steps.push((await post(`/items/${child.id}/checklist`, { text })).body.entry);
+    }
+    await request(app)
+      .patch(`${base}/items/${child.id}/checklist/${steps[1].id}`)
+      .set(secretHeader)
+      .send({ done: true });
+    await request(app)
+      .put(`${base}/items/${child.id}/checklist/order`)
+      .set(secretHeader)
+      .send({ entryIds: [steps[2].id, steps[0].id, steps[1].id] });
+    await post(`/items/${scrapped.id}/comments`, { authorName: 'Ada', body: 'Not now.' });
+    await request(app).delete(`${base}/items/${scrapped.id}`).set(secretHeader);
+
+    const archive = (await request(app).get(`${base}/export`).set(secretHeader)).body;
+    const importRes = await request(app)
+      .post('/api/projects/import')
+      .send({ archive, secretKey: 'full-copy-key' });
+    expect(importRes.status).toBe(201);
+    const copyId = importRes.body.project.id;
+    const copyHeader = { 'x-project-secret': 'full-copy-key' };
+
+    const copyItems = (await request(app).get(`/api/projects/${copyId}/items`).set(copyHeader)).body
+      .columns;
+    const copiedChild = Object.values(copyItems)
+      .flat()
+      .find((item) => item.title === 'Card form');
+    expect(copiedChild.id).not.toBe(child.id);
+    expect(copiedChild.labelIds).not.toEqual([label.id]);
+    const copiedPath = `/api/projects/${copyId}/items/${copiedChild.id}`;
+    const comments = (await request(app).get(`${copiedPath}/comments`).set(copyHeader)).body.comments;
+    expect(
+      comments.map((comment) => [comment.body, comment.replies.map((reply) => reply.body)])
+    ).toEqual([
+      ['', ['Visa first.']],
+      ['Done with the UI.', []]
+    ]);
+    const checklist = (await request(app).get(`${copiedPath}/checklist`).set(copyHeader)).body
+      .checklist;
+    expect(checklist.map((entry) => [entry.text, entry.done])).toEqual([
+      ['CVC', false],
+      ['Number', false],
+      ['Expiry', true]
+    ]);
+
+    // Re-exporting the copy gives the same archive once ids are replaced by what
+    // they name. Only the project itself is new.
+    const reexported = (await request(app).get(`/api/projects/${copyId}/export`).set(copyHeader))
+      .body;
+    const comparable = (document) => {
+      const names = new Map();
+      document.labels.forEach((record) => names.set(record.id, `label:${record.name}`));
+      document.collaborators.forEach((record) => names.set(record.id, `person:${record.name}`));
+      document.sprints.forEach((record) => names.set(record.id, `sprint:${record.name}`));
+      document.items.forEach((item) => {
+        names.set(item.id, `item:${item.title}`);
+        item.comments.forEach((comment) => names.set(comment.id, `comment:${comment.createdAt}`));
+      });
+      const { exportedAt, ...rest } = JSON.parse(JSON.stringify(document), (key, value) =>
+        names.has(value) ? names.get(value) : value
+      );
+      rest.items.sort((a, b) => a.title.localeCompare(b.title));
+      delete rest.project.createdAt;
+      return rest;
+    };
+    const original = comparable(archive);
+    expect(comparable(reexported)).toEqual(original);
+    expect(original.items.find((item) => item.title === 'Card form')).toMatchObject({
+      labelIds: ['label:Bug'],
+      assignees: ['person:Ada Lovelace'],
+      blockedBy: ['item:Payment API'],
+      epicId: 'item:Checkout epic',
+      sprintId: 'sprint:Sprint 1',
+      dueDate: '2026-09-10',
+      priority: 'high',
+      estimate: 2.5
+    });
+    expect(original.sprints.map((record) => [record.name, record.state])).toEqual([
+      ['Sprint 1', 'active'],
+      ['Sprint 2', 'planned']
+    ]);
+    expect(original.collaborators[0]).toMatchObject({ initials: 'AL' });
+    expect(original.items.find((item) => item.title === 'Old idea')).toMatchObject({
+      deletedAt: expect.any(String),
+      comments: [expect.objectContaining({ body: 'Not now.' })]
+    });
+    // Status history and column entry times come across as recorded, not rebuilt.
+    const archivedChild = original.items.find((item) => item.title === 'Card form');
+    expect(archivedChild.transitions.map(({ from, to }) => [from, to])).toEqual([
+      [null, 'backlog'],
+      ['backlog', 'in_progress']
+    ]);
+    expect(archivedChild.columnEnteredAt).toEqual(started.columnEnteredAt);
+    expect(Object.keys(started.columnEnteredAt).sort()).toEqual(['backlog', 'in_progress']);
+    expect(
+      original.items.find((item) => item.title === 'Old idea').transitions.map(({ to }) => to)
+    ).toEqual(['backlog', null]);
+
+    const childIndex = archive.items.findIndex((item) => item.title === 'Card form');
+    const replyIndex = archive.items[childIndex].comments.findIndex((comment) => comment.parentId);
+    const broken = JSON.parse(JSON.stringify(archive));
+    broken.labels = [];
+    broken.sprints.forEach((record) => {
+      record.state = 'active';
+    });
+    broken.items[childIndex].comments[replyIndex].parentId = 'missing';
+    broken.items[childIndex].sprintId = 'missing';
+    broken.items[childIndex].columnEnteredAt.in_progress = 'soon';
+    broken.items[childIndex].transitions[0].createdAt = 'yesterday';
+    broken.items[childIndex].blockedBy = ['missing'];
+    broken.items[childIndex].epicId = 'missing';
+    const dangling = await request(app)
+      .post('/api/projects/import')
+      .send({ secretKey: 'dangling-key', archive: broken });
+    expect(dangling.status).toBe(422);
+    expect(dangling.body.problems.map((problem) => problem.path)).toEqual([
+      'sprints[1].state',
+      `items[${childIndex}].labelIds`,
+      `items[${childIndex}].sprintId`,
+      `items[${childIndex}].columnEnteredAt.in_progress`,
+      `items[${childIndex}].transitions[0].createdAt`,
+      `items[${childIndex}].comments[${replyIndex}].parentId`,
+      `items[${childIndex}].blockedBy`,
+      `items[${childIndex}].epicId`
+    ]);
+  });
+
+  test('validates archives before importing them', async () => {
+    const invalid = await request(app)
+      .post('/api/projects/import')
+      .send({
+        secretKey: 'broken-key',
+        archive: {
+          format: 'backlog-pilot/project',
+          version: 99,
+          project: { name: 'Broken', workflow: [{ key: 'todo', label: 'To do' }] },
+          items: [{ title: '', status: 'todo' }, { title: 'Lost', status: 'missing', position: 0 }]
+        }
+      });
+
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.code).toBe('INVALID_ARCHIVE');
+    expect(invalid.body.problems.map((problem) => problem.path)).toEqual([
+      'version',
+      'items[0].title',
+      'items[1].status',
+      'items[1].position'
+    ]);
+
+    const notAnArchive = await request(app)
+      .post('/api/projects/import')
+      .send({ secretKey: 'broken-key', archive: 'nope' });
+    expect(notAnArchive.status).toBe(422);
+
+    const largeArchive = {
+      format: 'backlog-pilot/project',
+      version: 1,
+      project: { name: 'Large', workflow: [{ key: 'todo', label: 'To do' }] },
+      items: Array.from({ length: 200 }, (_, index) => ({
+        title: `Item ${index + 1}`,
+        description: 'x'.repeat(1000),
+        status: 'todo',
+        position: index + 1
+      }))
+    };
+    const largeImport = await request(app)
+      .post('/api/projects/import')
+      .send({ secretKey: 'large-key', archive: largeArchive });
+    expect(largeImport.status).toBe(201);
+    expect(largeImport.body.itemCount).toBe(200);
+
+    const listRes = await request(app).get('/api/projects');
+    expect(listRes.body.projects.map((project) => project.name)).toEqual(['Large']);
+  });
+
+  test('exports items as CSV and imports them back', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Spreadsheet Board', secretKey: 'csv-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'csv-key' };
+
+    await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Quote "this", please', description: 'Line one\nLine two', status: 'review' });
+    await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: '=SUM(A1:A2)' });
+
+    const exportRes = await request(app).get(`/api/projects/${projectId}/export/csv`).set(secretHeader);
+
+    expect(exportRes.status).toBe(200);
+    expect(exportRes.headers['content-type']).toMatch(/^text\/csv/);
+    expect(exportRes.headers['content-disposition']).toContain('spreadsheet-board-items.csv');
+    const lines = exportRes.text.split('\r\n');
+    expect(lines[0]).toBe('id,title,description,status,position,createdAt,updatedAt');
+    expect(exportRes.text).toContain('"Quote ""this"", please","Line one\nLine two",review,1');
+    expect(exportRes.text).toContain(",'=SUM(A1:A2),,backlog,1,");
+
+    const reimport = await request(app)
+      .post(`/api/projects/${projectId}/import/csv`)
+      .set(secretHeader)
+      .send({ csv: exportRes.text });
+
+    expect(reimport.status).toBe(201);
+    expect(reimport.body.created).toBe(2);
+    const boardRes = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(boardRes.body.columns.backlog.map((item) => item.title)).toEqual([
+      '=SUM(A1:A2)',
+      '=SUM(A1:A2)'
+    ]);
+    expect(boardRes.body.columns.review[1]).toMatchObject({
+      title: 'Quote "this", please',
+      description: 'Line one\nLine two',
+      position: 2
+    });
+  });
+
+  test('round-trips cells that start like a formula through CSV', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Bullet Board', secretKey: 'csv-bullets-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'csv-bullets-key' };
+    const cards = [
+      { title: '-42', description: '- bullet\n- another bullet' },
+      { title: "'=not a formula", description: '+1 from the team' },
+      { title: "'quoted'", description: '' }
+    ];
+    for (const card of cards) {
+      await request(app).post(`/api/projects/${projectId}/items`).set(secretHeader).send(card);
+    }
+
+    const exportRes = await request(app).get(`/api/projects/${projectId}/export/csv`).set(secretHeader);
+
+    expect(exportRes.text).toContain(`,-42,"'- bullet\n- another bullet",backlog,1,`);
+    expect(exportRes.text).toContain(",''=not a formula,'+1 from the team,backlog,2,");
+    expect(exportRes.text).toContain(",'quoted',,backlog,3,");
+
+    const reimport = await request(app)
+      .post(`/api/projects/${projectId}/import/csv`)
+      .set(secretHeader)
+      .send({ csv: exportRes.text });
+
+    expect(reimport.status).toBe(201);
+    const boardRes = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(
+      boardRes.body.columns.backlog
+        .slice(cards.length)
+        .map(({ title, description }) => ({ title, description }))
+    ).toEqual(cards);
+  });
+
+  test('previews CSV imports and rejects invalid rows', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Preview Board', secretKey: 'preview-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'preview-key' };
+    const csv = 'Summary,Notes,Stage\nWrite docs,For the API,In Progress\nShip it,,launched\n,,done\n';
+
+    const preview = await request(app)
+      .post(`/api/projects/${projectId}/import/csv`)
+      .set(secretHeader)
+      .send({ csv, dryRun: true });
+
+    expect(preview.status).toBe(200);
+    expect(preview.body.headers).toEqual(['Summary', 'Notes', 'Stage']);
+    expect(preview.body.mapping).toEqual({ title: 'Summary', description: 'Notes', status: 'Stage' });
+    expect(preview.body.summary).toEqual({ valid: 1, invalid: 2 });
+    expect(preview.body.rows[0]).toEqual({
+      line: 2,
+      title: 'Write docs',
+      description: 'For the API',
+      status: 'in_progress'
+    });
+    expect(preview.body.rows[1].error).toBe('Unknown status "launched".');
+    expect(preview.body.rows[2].error).toBe('Title is required.');
+
+    const afterPreview = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(Object.values(afterPreview.body.columns).flat()).toHaveLength(0);
+
+    const rejected = await request(app)
+      .post(`/api/projects/${projectId}/import/csv`)
+      .set(secretHeader)
+      .send({ csv });
+    expect(rejected.status).toBe(422);
+    expect(rejected.body.code).toBe('INVALID_CSV_ROWS');
+    expect(rejected.body.rows.map((row) => row.line)).toEqual([3, 4]);
+
+    const badMapping = await request(app)
+      .post(`/api/projects/${projectId}/import/csv`)
+      .set(secretHeader)
+      .send({ csv, mapping: { title: 'Name' } });
+    expect(badMapping.status).toBe(400);
+    expect(badMapping.body.error).toBe('Mapped column "Name" is not in the CSV header.');
+
+    const skipped = await request(app)
+      .post(`/api/projects/${projectId}/import/csv`)
+      .set(secretHeader)
+      .send({ csv, mapping: { title: 'Summary', status: 'Stage' }, skipInvalid: true });
+    expect(skipped.status).toBe(201);
+    expect(skipped.body).toMatchObject({ created: 1, skipped: 2 });
+    expect(skipped.body.items[0]).toMatchObject({ title: 'Write docs', description: '', status: 'in_progress' });
+  });
+
+  test('reports the source line of rows after multi-line cells and blank lines', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Line Board', secretKey: 'csv-lines-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'csv-lines-key' };
+    const csv = [
+      'Title,Description,Status',
+      'Write docs,"First line',
+      'second line',
+      'third line",backlog',
+      '',
+      'Ship it,,launched',
+      ''
+    ].join('\r\n');
+
+    const preview = await request(app)
+      .post(`/api/projects/${projectId}/import/csv`)
+      .set(secretHeader)
+      .send({ csv, dryRun: true });
+
+    expect(preview.status).toBe(200);
+    expect(preview.body.rows).toEqual([
+      {
+        line: 2,
+        title: 'Write docs',
+        description: 'First line\r\nsecond line\r\nthird line',
+        status: 'backlog'
+      },
+      {
+        line: 6,
+        title: 'Ship it',
+        description: '',
+        status: 'backlog',
+        error: 'Unknown status "launched".'
+      }
+    ]);
+  });
+
+  test('previews a Trello export and imports it with a list mapping', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'From Trello', secretKey: 'trello-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'trello-key' };
+    const lists = {
+      backlog: '5f1c0a4e8b1d2a00123456b2',
+      inProgress: '5f1c0a4e8b1d2a00123456c3',
+      qa: '5f1c0a4e8b1d2a00123456e5',
+      done: '5f1c0a4e8b1d2a00123456d4',
+      parkingLot: '5f1c0a4e8b1d2a00123456f6'
+    };
+
+    const preview = await request(app)
+      .post(`/api/projects/${projectId}/import/trello`)
+      .set(secretHeader)
+      .send({ board: trelloBoard, dryRun: true });
+
+    expect(preview.status).toBe(200);
+    expect(preview.body.name).toBe('Mobile App Launch');
+    expect(preview.body.lists).toEqual([
+      { id: lists.backlog, name: 'Backlog', closed: false, column: 'backlog', cardCount: 2, archivedCount: 1 },
+      { id: lists.inProgress, name: 'In progress', closed: false, column: 'in_progress', cardCount: 1, archivedCount: 0 },
+      { id: lists.qa, name: 'QA check', closed: false, column: 'backlog', cardCount: 1, archivedCount: 0 },
+      { id: lists.done, name: 'Done', closed: false, column: 'done', cardCount: 1, archivedCount: 0 },
+      { id: lists.parkingLot, name: 'Parking lot', closed: true, column: 'backlog', cardCount: 0, archivedCount: 1 }
+    ]);
+    expect(preview.body.summary).toEqual({ cards: 5, skipped: 2 });
+
+    const invalidMapping = await request(app)
+      .post(`/api/projects/${projectId}/import/trello`)
+      .set(secretHeader)
+      .send({ board: trelloBoard, listMapping: { [lists.qa]: 'qa' } });
+    expect(invalidMapping.status).toBe(400);
+    expect(invalidMapping.body.error).toBe('Invalid status: qa');
+
+    const importRes = await request(app)
+      .post(`/api/projects/${projectId}/import/trello`)
+      .set(secretHeader)
+      .send({
+        board: trelloBoard,
+        listMapping: { [lists.qa]: 'review', [lists.done]: null },
+        includeArchived: true
+      });
+
+    expect(importRes.status).toBe(201);
+    expect(importRes.body).toMatchObject({ created: 6, skipped: 1 });
+
+    const boardRes = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    const titles = (status) => boardRes.body.columns[status].map((item) => item.title);
+    expect(titles('backlog')).toEqual([
+      'App store screenshots',
+      'Push notification opt-in',
+      'Old onboarding flow',
+      'Tablet layout'
+    ]);
+    expect(titles('in_progress')).toEqual(['Crash on login with SSO']);
+    expect(titles('review')).toEqual(['Accessibility audit']);
+    expect(titles('done')).toEqual([]);
+    expect(boardRes.body.columns.in_progress[0].description).toBe(
+      'Steps:\n1. Sign in with Google\n2. Background the app\n3. Resume'
+    );
+
+    const notTrello = await request(app)
+      .post(`/api/projects/${projectId}/import/trello`)
+      .set(secretHeader)
+      .send({ board: { name: 'Nope' } });
+    expect(notTrello.status).toBe(400);
+    expect(notTrello.body.error).toBe('This is not a Trello board export.');
+  });
+
+  test('threads comments on items and counts them on the board', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Discussion Board', secretKey: 'comment-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'comment-key' };
+    const itemRes = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Pick a charting library' });
+    const itemId = itemRes.body.item.id;
+    const commentsPath = `/api/projects/${projectId}/items/${itemId}/comments`;
+
+    const missingAuthor = await request(app).post(commentsPath).set(secretHeader).send({ body: 'Hi' });
+    expect(missingAuthor.status).toBe(400);
+    expect(missingAuthor.body.error).toBe('Author name is required.');
+
+    const first = await request(app)
+      .post(commentsPath)
+      .set(secretHeader)
+      .send({ authorName: ' Ada ', body: ' Recharts or visx? ' });
+    expect(first.status).toBe(201);
+    expect(first.body.comment).toMatchObject({
+      itemId,
+      parentId: null,
+      authorName: 'Ada',
+      body: 'Recharts or visx?',
+      deletedAt: null
+    });
+    expect(first.body.commentCount).toBe(1);
+    const rootId = first.body.comment.id;
+
+    const reply = await request(app)
+      .post(commentsPath)
+      .set(secretHeader)
+      .send({ authorName: 'Grace', body: 'visx, it tree-shakes.', parentId: rootId });
+    const nested = await request(app)
+      .post(commentsPath)
+      .set(secretHeader)
+      .send({ authorName: 'Ada', body: 'Agreed.', parentId: reply.body.comment.id });
+    expect(nested.body.comment.parentId).toBe(rootId);
+    await request(app)
+      .post(commentsPath)
+      .set(secretHeader)
+      .send({ authorName: 'Linus', body: 'Unrelated note' });
+
+    const edited = await request(app)
+      .patch(`${commentsPath}/${reply.body.comment.id}`)
+      .set(secretHeader)
+      .send({ body: 'visx: it tree-shakes well.' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.comment.body).toBe('visx: it tree-shakes well.');
+
+    const boardRes = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(boardRes.body.columns.backlog[0].commentCount).toBe(4);
+
+    expect((await request(app).delete(`${commentsPath}/${rootId}`).set(secretHeader)).status).toBe(204);
+    let thread = await request(app).get(commentsPath).set(secretHeader);
+    expect(thread.body.count).toBe(3);
+    expect(thread.body.comments).toHaveLength(2);
+    expect(thread.body.comments[0]).toMatchObject({ id: rootId, body: '' });
+    expect(thread.body.comments[0].deletedAt).not.toBeNull();
+    expect(thread.body.comments[0].replies.map((comment) => comment.body)).toEqual([
+      'visx: it tree-shakes well.',
+      'Agreed.'
+    ]);
+    expect(thread.body.comments[1]).toMatchObject({ body: 'Unrelated note', replies: [] });
+
+    const replyToDeleted = await request(app)
+      .post(commentsPath)
+      .set(secretHeader)
+      .send({ authorName: 'Grace', body: 'Too late', parentId: rootId });
+    expect(replyToDeleted.status).toBe(404);
+
+    await request(app).delete(`${commentsPath}/${reply.body.comment.id}`).set(secretHeader);
+    await request(app).delete(`${commentsPath}/${nested.body.comment.id}`).set(secretHeader);
+    thread = await request(app).get(commentsPath).set(secretHeader);
+    expect(thread.body.comments.map((comment) => comment.body)).toEqual(['Unrelated note']);
+
+    await request(app).delete(`/api/projects/${projectId}/items/${itemId}`).set(secretHeader);
+    const onTrashedItem = await request(app).get(commentsPath).set(secretHeader);
+    expect(onTrashedItem.status).toBe(404);
+  });
+
+  test('manages project labels and assigns them to items', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Labelled Board', secretKey: 'label-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'label-key' };
+    const labelsPath = `/api/projects/${projectId}/labels`;
+
+    const bug = await request(app).post(labelsPath).set(secretHeader).send({ name: ' Bug ', color: '#E11D48' });
+    expect(bug.status).toBe(201);
+    expect(bug.body.label).toMatchObject({ name: 'Bug', color: '#e11d48' });
+    const feature = await request(app).post(labelsPath).set(secretHeader).send({ name: 'Feature' });
+    expect(feature.body.label.color).toBe('#64748b');
+
+    const duplicate = await request(app).post(labelsPath).set(secretHeader).send({ name: 'bug' });
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toBe('A label with that name already exists.');
+    const badColor = await request(app).post(labelsPath).set(secretHeader).send({ name: 'Chore', color: 'red' });
+    expect(badColor.status).toBe(400);
+
+    const renamed = await request(app)
+      .patch(`${labelsPath}/${feature.body.label.id}`)
+      .set(secretHeader)
+      .send({ name: 'Enhancement' });
+    expect(renamed.body.label).toMatchObject({ name: 'Enhancement', color: '#64748b' });
+
+    const bugId = bug.body.label.id;
+    const featureId = feature.body.label.id;
+    const itemRes = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Login loops forever', labelIds: [bugId] });
+    expect(itemRes.status).toBe(201);
+    expect(itemRes.body.item.labelIds).toEqual([bugId]);
+    const itemId = itemRes.body.item.id;
+
+    const unknown = await request(app)
+      .patch(`/api/projects/${projectId}/items/${itemId}`)
+      .set(secretHeader)
+      .send({ labelIds: ['not-a-label'] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown label: not-a-label');
+
+    const relabelled = await request(app)
+      .patch(`/api/projects/${projectId}/items/${itemId}`)
+      .set(secretHeader)
+      .send({ labelIds: [featureId, bugId, bugId] });
+    expect(relabelled.status).toBe(200);
+    expect(relabelled.body.item.labelIds).toEqual([bugId, featureId].sort());
+    expect(relabelled.body.item.version).toBe(2);
+
+    const listRes = await request(app).get(labelsPath).set(secretHeader);
+    expect(listRes.body.labels.map((label) => label.name)).toEqual(['Bug', 'Enhancement']);
+
+    expect((await request(app).delete(`${labelsPath}/${bugId}`).set(secretHeader)).status).toBe(204);
+    const boardRes = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(boardRes.body.columns.backlog[0]).toMatchObject({ labelIds: [featureId], version: 3 });
+
+    const activityRes = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ itemId })
+      .set(secretHeader);
+    expect(activityRes.body.activity[0].changes).toEqual({
+      labelIds: { from: [bugId, featureId].sort(), to: [featureId] }
+    });
+
+    const missing = await request(app).delete(`${labelsPath}/${bugId}`).set(secretHeader);
+    expect(missing.status).toBe(404);
+  });
+
+  test('keeps a collaborator roster and assigns cards from it', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Staffed Board', secretKey: 'roster-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'roster-key' };
+    const rosterPath = `/api/projects/${projectId}/collaborators`;
+
+    const ada = await request(app).post(rosterPath).set(secretHeader).send({ name: ' Ada Lovelace ' });
+    expect(ada.status).toBe(201);
+    expect(ada.body.collaborator).toMatchObject({ name: 'Ada Lovelace', initials: null });
+    const grace = await request(app)
+      .post(rosterPath)
+      .set(secretHeader)
+      .send({ name: 'Grace Hopper', initials: 'gmh' });
+    expect(grace.body.collaborator.initials).toBe('GMH');
+
+    const duplicate = await request(app).post(rosterPath).set(secretHeader).send({ name: 'ada lovelace' });
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toBe('Someone with that name is already on the roster.');
+    const badInitials = await request(app)
+      .post(rosterPath)
+      .set(secretHeader)
+      .send({ name: 'Alan Turing', initials: 'A.T.' });
+    expect(badInitials.status).toBe(400);
+
+    const cleared = await request(app)
+      .patch(`${rosterPath}/${grace.body.collaborator.id}`)
+      .set(secretHeader)
+      .send({ initials: '' });
+    expect(cleared.body.collaborator).toMatchObject({ name: 'Grace Hopper', initials: null });
+
+    const adaId = ada.body.collaborator.id;
+    const graceId = grace.body.collaborator.id;
+    const itemRes = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Write the compiler', assignees: [graceId, adaId] });
+    expect(itemRes.status).toBe(201);
+    expect(itemRes.body.item.assignees).toEqual([adaId, graceId].sort());
+    const itemId = itemRes.body.item.id;
+
+    const stranger = await request(app)
+      .patch(`/api/projects/${projectId}/items/${itemId}`)
+      .set(secretHeader)
+      .send({ assignees: ['someone-else'] });
+    expect(stranger.status).toBe(400);
+    expect(stranger.body.error).toBe('Unknown assignee: someone-else');
+
+    const listRes = await request(app).get(rosterPath).set(secretHeader);
+    expect(listRes.body.collaborators.map((collaborator) => collaborator.name)).toEqual([
+      'Ada Lovelace',
+      'Grace Hopper'
+    ]);
+
+    expect((await request(app).delete(`${rosterPath}/${adaId}`).set(secretHeader)).status).toBe(204);
+    const boardRes = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(boardRes.body.columns.backlog[0]).toMatchObject({ assignees: [graceId], version: 2 });
+
+    const activityRes = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ itemId })
+      .set(secretHeader);
+    expect(activityRes.body.activity[0].changes).toEqual({
+      assignees: { from: [adaId, graceId].sort(), to: [graceId] }
+    });
+
+    const missing = await request(app).patch(`${rosterPath}/${adaId}`).set(secretHeader).send({ name: 'Ada' });
+    expect(missing.status).toBe(404);
+  });
+
+  test('validates due dates and lists items due soon', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Deadline Board', secretKey: 'due-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'due-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+
+    const create = (title, dueDate, status) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, dueDate, status });
+
+    const invalid = await create('Leap day', '2023-02-29');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Due date must be a date like 2024-05-31.');
+
+    const late = await create('Send invoices', '2024-05-28');
+    expect(late.status).toBe(201);
+    expect(late.body.item.dueDate).toBe('2024-05-28');
+    await create('Plan offsite', '2024-06-03');
+    await create('Book venue', '2024-06-20');
+    await create('Ship release notes', '2024-05-20', 'done');
+    const undated = await create('Tidy wiki');
+    expect(undated.body.item.dueDate).toBeNull();
+
+    const dueRes = await request(app)
+      .get(`/api/projects/${projectId}/due`)
+      .query({ today: '2024-05-31', days: 7 })
+      .set(secretHeader);
+    expect(dueRes.status).toBe(200);
+    expect(dueRes.body).toMatchObject({ today: '2024-05-31', until: '2024-06-07' });
+    expect(dueRes.body.items.map((item) => item.title)).toEqual(['Send invoices', 'Plan offsite']);
+
+    const cleared = await request(app)
+      .patch(`${itemsPath}/${late.body.item.id}`)
+      .set(secretHeader)
+      .send({ dueDate: null });
+    expect(cleared.body.item.dueDate).toBeNull();
+
+    const activityRes = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ itemId: late.body.item.id })
+      .set(secretHeader);
+    expect(activityRes.body.activity[0].changes).toEqual({
+      dueDate: { from: '2024-05-28', to: null }
+    });
+
+    const badWindow = await request(app)
+      .get(`/api/projects/${projectId}/due`)
+      .query({ days: 365 })
+      .set(secretHeader);
+    expect(badWindow.status).toBe(400);
+  });
+
+  test('stores priority and estimates and sorts columns by them', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Planning Board', secretKey: 'plan-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'plan-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+
+    const create = (title, fields) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, ...fields });
+
+    const badPriority = await create('Unclear', { priority: 'critical' });
+    expect(badPriority.status).toBe(400);
+    expect(badPriority.body.error).toBe('Priority must be one of: low, medium, high, urgent.');
+    expect((await create('Too precise', { estimate: 1.25 })).status).toBe(400);
+    expect((await create('Negative', { estimate: -3 })).status).toBe(400);
+
+    const login = await create('Login', { priority: 'high', estimate: 5 });
+    expect(login.status).toBe(201);
+    expect(login.body.item).toMatchObject({ priority: 'high', estimate: 5 });
+    await create('Typos', { priority: 'low', estimate: 0.5 });
+    await create('Outage', { priority: 'urgent', estimate: 8 });
+    await create('Someday');
+
+    const byPriority = await request(app).get(itemsPath).query({ sort: 'priority' }).set(secretHeader);
+    expect(byPriority.body.sort).toEqual({ key: 'priority', order: 'desc' });
+    expect(byPriority.body.columns.backlog.map((item) => item.title)).toEqual([
+      'Outage',
+      'Login',
+      'Typos',
+      'Someday'
+    ]);
+
+    const byEstimate = await request(app)
+      .get(itemsPath)
+      .query({ sort: 'estimate', order: 'asc' })
+      .set(secretHeader);
+    expect(byEstimate.body.columns.backlog.map((item) => item.estimate)).toEqual([0.5, 5, 8, null]);
+
+    const manual = await request(app).get(itemsPath).set(secretHeader);
+    expect(manual.body.columns.backlog.map((item) => item.title)).toEqual([
+      'Login',
+      'Typos',
+      'Outage',
+      'Someday'
+    ]);
+
+    const badSort = await request(app).get(itemsPath).query({ sort: 'colour' }).set(secretHeader);
+    expect(badSort.status).toBe(400);
+
+    const cleared = await request(app)
+      .patch(`${itemsPath}/${login.body.item.id}`)
+      .set(secretHeader)
+      .send({ priority: null, estimate: 3 });
+    expect(cleared.body.item).toMatchObject({ priority: null, estimate: 3 });
+  });
+
+  test('keeps an ordered checklist per item and reports its progress', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Checklist Board', secretKey: 'check-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'check-key' };
+    const itemRes = await request(app)
+      .post(`/api/projects/${projectId}/items`)
+      .set(secretHeader)
+      .send({ title: 'Release' });
+    const itemId = itemRes.body.item.id;
+    const checklistPath = `/api/projects/${projectId}/items/${itemId}/checklist`;
+
+    const blank = await request(app).post(checklistPath).set(secretHeader).send({ text: '  ' });
+    expect(blank.status).toBe(400);
+    expect(blank.body.error).toBe('Checklist text is required.');
+
+    const add = (text) => request(app).post(checklistPath).set(secretHeader).send({ text });
+    const tag = await add('Tag the build');
+    expect(tag.status).toBe(201);
+    expect(tag.body).toMatchObject({
+      entry: { text: 'Tag the build', done: false },
+      progress: { done: 0, total: 1 }
+    });
+    const notes = (await add('Write notes')).body.entry;
+    const announce = (await add('Announce')).body.entry;
+
+    const toggled = await request(app)
+      .patch(`${checklistPath}/${notes.id}`)
+      .set(secretHeader)
+      .send({ done: true });
+    expect(toggled.body.entry.done).toBe(true);
+    expect(toggled.body.progress).toEqual({ done: 1, total: 3 });
+    const badToggle = await request(app)
+      .patch(`${checklistPath}/${notes.id}`)
+      .set(secretHeader)
+      .send({ done: 'yes' });
+    expect(badToggle.status).toBe(400);
+
+    const partialOrder = await request(app)
+      .put(`${checklistPath}/order`)
+      .set(secretHeader)
+      .send({ entryIds: [announce.id, notes.id] });
+    expect(partialOrder.status).toBe(400);
+    const reordered = await request(app)
+      .put(`${checklistPath}/order`)
+      .set(secretHeader)
+      .send({ entryIds: [announce.id, tag.body.entry.id, notes.id] });
+    expect(reordered.body.checklist.map((entry) => entry.text)).toEqual([
+      'Announce',
+      'Tag the build',
+      'Write notes'
+    ]);
+
+    const removed = await request(app).delete(`${checklistPath}/${announce.id}`).set(secretHeader);
+    expect(removed.status).toBe(204);
+    const missing = await request(app).delete(`${checklistPath}/${announce.id}`).set(secretHeader);
+    expect(missing.status).toBe(404);
+
+    const listed = await request(app).get(checklistPath).set(secretHeader);
+    expect(listed.body.progress).toEqual({ done: 1, total: 2 });
+    const board = await request(app).get(`/api/projects/${projectId}/items`).set(secretHeader);
+    expect(board.body.columns.backlog[0].checklist).toEqual({ done: 1, total: 2 });
+  });
+
+  test('tracks blocking dependencies and keeps blocked items out of done', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Dependency Board', secretKey: 'dep-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'dep-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const create = (title, fields) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, ...fields });
+    const patch = (item, body) =>
+      request(app).patch(`${itemsPath}/${item.id}`).set(secretHeader).send(body);
+
+    const schema = (await create('Schema')).body.item;
+    const api = (await create('API', { blockedBy: [schema.id] })).body.item;
+    expect(api.blockedBy).toEqual([schema.id]);
+    const ui = (await create('UI', { blockedBy: [api.id] })).body.item;
+
+    const unknown = await create('Docs', { blockedBy: ['not-an-item'] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown blocker: not-an-item');
+    expect((await patch(schema, { blockedBy: [schema.id] })).body.error).toBe(
+      'An item cannot block itself.'
+    );
+
+    const cycle = await patch(schema, { blockedBy: [ui.id] });
+    expect(cycle.status).toBe(400);
+    expect(cycle.body.error).toBe('Blockers cannot form a cycle: "Schema" → "UI" → "API" → "Schema".');
+
+    const blockedMove = await patch(api, { status: 'done' });
+    expect(blockedMove.status).toBe(409);
+    expect(blockedMove.body).toMatchObject({
+      code: 'ITEM_BLOCKED',
+      itemId: api.id,
+      blockers: [{ id: schema.id, title: 'Schema' }]
+    });
+    expect(blockedMove.body.error).toBe('"API" is blocked by "Schema". Finish it first.');
+
+    const blockedReorder = await request(app)
+      .post(`${itemsPath}/reorder`)
+      .set(secretHeader)
+      .send({ columns: { backlog: [schema.id], done: [ui.id, api.id] } });
+    expect(blockedReorder.status).toBe(409);
+    expect(blockedReorder.body.blockers).toEqual([{ id: schema.id, title: 'Schema' }]);
+
+    expect((await patch(schema, { status: 'done' })).status).toBe(200);
+    const reordered = await request(app)
+      .post(`${itemsPath}/reorder`)
+      .set(secretHeader)
+      .send({ columns: { backlog: [ui.id], done: [schema.id, api.id] } });
+    expect(reordered.status).toBe(200);
+
+    const history = await request(app)
+      .get(`/api/projects/${projectId}/activity`)
+      .query({ itemId: ui.id })
+      .set(secretHeader);
+    expect(history.body.activity[0].changes.blockedBy).toEqual({ from: null, to: [api.id] });
+  });
+
+  test('groups items under epics with rollup progress', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Epic Board', secretKey: 'epic-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'epic-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const create = (title, fields) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, ...fields });
+
+    const epic = (await create('Checkout revamp')).body.item;
+    const cart = (await create('Cart page', { epicId: epic.id, status: 'done' })).body.item;
+    expect(cart.epicId).toBe(epic.id);
+    await create('Payment form', { epicId: epic.id });
+    await create('Receipts', { epicId: epic.id });
+    const unrelated = (await create('Unrelated')).body.item;
+
+    expect((await create('Nested', { epicId: cart.id })).body.error).toBe(
+      '"Cart page" is part of an epic, so it cannot be one.'
+    );
+    const epicAsChild = await request(app)
+      .patch(`${itemsPath}/${epic.id}`)
+      .set(secretHeader)
+      .send({ epicId: unrelated.id });
+    expect(epicAsChild.status).toBe(400);
+    expect(epicAsChild.body.error).toBe('An epic cannot be part of another epic.');
+
+    const rollup = await request(app).get(`/api/projects/${projectId}/epics/${epic.id}`).set(secretHeader);
+    expect(rollup.status).toBe(200);
+    expect(rollup.body.epic.title).toBe('Checkout revamp');
+    expect(rollup.body.children.map((child) => child.title)).toEqual([
+      'Payment form',
+      'Receipts',
+      'Cart page'
+    ]);
+    expect(rollup.body.progress).toEqual({ done: 1, total: 3, percent: 33 });
+
+    const undecided = await request(app).delete(`${itemsPath}/${epic.id}`).set(secretHeader);
+    expect(undecided.status).toBe(409);
+    expect(undecided.body).toMatchObject({ code: 'EPIC_HAS_CHILDREN', childCount: 3 });
+    const badChoice = await request(app)
+      .delete(`${itemsPath}/${epic.id}`)
+      .set(secretHeader)
+      .send({ children: 'keep' });
+    expect(badChoice.status).toBe(400);
+
+    const detached = await request(app)
+      .delete(`${itemsPath}/${epic.id}`)
+      .set(secretHeader)
+      .send({ children: 'detach' });
+    expect(detached.status).toBe(204);
+    let board = await request(app).get(itemsPath).set(secretHeader);
+    expect(board.body.columns.backlog.map((item) => item.epicId)).toEqual([null, null, null]);
+    expect(board.body.columns.done[0]).toMatchObject({ title: 'Cart page', epicId: null, version: 2 });
+
+    const second = (await create('Search')).body.item;
+    await create('Filters', { epicId: second.id });
+    const cascaded = await request(app)
+      .delete(`${itemsPath}/${second.id}`)
+      .query({ children: 'delete' })
+      .set(secretHeader);
+    expect(cascaded.status).toBe(204);
+    board = await request(app).get(itemsPath).set(secretHeader);
+    expect(board.body.columns.backlog.map((item) => item.title)).toEqual([
+      'Payment form',
+      'Receipts',
+      'Unrelated'
+    ]);
+  });
+
+  test('drops links to cards still in the trash when restoring an item', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Restore Links Board', secretKey: 'restore-links-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'restore-links-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const create = (title, fields) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, ...fields });
+    const restore = (item) =>
+      request(app).post(`/api/projects/${projectId}/trash/${item.id}/restore`).set(secretHeader);
+
+    const epic = (await create('Checkout revamp')).body.item;
+    const api = (await create('Payment API')).body.item;
+    const legacy = (await create('Legacy gateway')).body.item;
+    const form = (
+      await create('Card form', { epicId: epic.id, blockedBy: [api.id, legacy.id] })
+    ).body.item;
+
+    await request(app)
+      .delete(`${itemsPath}/${epic.id}`)
+      .query({ children: 'delete' })
+      .set(secretHeader);
+    await request(app).delete(`${itemsPath}/${legacy.id}`).set(secretHeader);
+
+    const restored = await restore(form);
+    expect(restored.status).toBe(200);
+    expect(restored.body.item).toMatchObject({ epicId: null, blockedBy: [api.id] });
+
+    // Restoring the epic first keeps its children attached.
+    const second = (await create('Search')).body.item;
+    const filters = (await create('Filters', { epicId: second.id })).body.item;
+    await request(app)
+      .delete(`${itemsPath}/${second.id}`)
+      .query({ children: 'delete' })
+      .set(secretHeader);
+    await restore(second);
+    expect((await restore(filters)).body.item.epicId).toBe(second.id);
+  });
+
+  test('plans sprints and carries unfinished cards over on completion', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Sprint Board', secretKey: 'sprint-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'sprint-key' };
+    const sprintsPath = `/api/projects/${projectId}/sprints`;
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const createSprint = (fields) => request(app).post(sprintsPath).set(secretHeader).send(fields);
+
+    const backwards = await createSprint({ name: 'Oops', startDate: '2024-06-14', endDate: '2024-06-03' });
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.error).toBe('A sprint cannot end before it starts.');
+
+    const first = await createSprint({
+      name: 'Sprint 1',
+      goal: '  Ship checkout  ',
+      startDate: '2024-06-03',
+      endDate: '2024-06-14'
+    });
+    expect(first.status).toBe(201);
+    expect(first.body.sprint).toMatchObject({ name: 'Sprint 1', goal: 'Ship checkout', state: 'planned' });
+    const sprintOne = first.body.sprint;
+    const sprintTwo = (
+      await createSprint({ name: 'Sprint 2', startDate: '2024-06-17', endDate: '2024-06-28' })
+    ).body.sprint;
+
+    const create = (title, fields) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, ...fields });
+    const done = (await create('Cart', { sprintId: sprintOne.id, status: 'done' })).body.item;
+    expect(done.sprintId).toBe(sprintOne.id);
+    const open = (await create('Payment', { sprintId: sprintOne.id })).body.item;
+    expect((await create('Stray', { sprintId: 'nope' })).body.error).toBe('Unknown sprint: nope');
+
+    const early = await request(app).post(`${sprintsPath}/${sprintOne.id}/complete`).set(secretHeader);
+    expect(early.status).toBe(400);
+    expect(early.body.error).toBe('Only the active sprint can be completed.');
+
+    const started = await request(app).post(`${sprintsPath}/${sprintOne.id}/start`).set(secretHeader);
+    expect(started.status).toBe(200);
+    expect(started.body.sprint.state).toBe('active');
+    const second = await request(app).post(`${sprintsPath}/${sprintTwo.id}/start`).set(secretHeader);
+    expect(second.status).toBe(400);
+    expect(second.body.error).toBe('"Sprint 1" is still active. Complete it first.');
+
+    const completed = await request(app)
+      .post(`${sprintsPath}/${sprintOne.id}/complete`)
+      .set(secretHeader)
+      .send({ moveTo: sprintTwo.id });
+    expect(completed.status).toBe(200);
+    expect(completed.body.sprint.state).toBe('completed');
+    expect(completed.body.finished.map((item) => item.title)).toEqual(['Cart']);
+    expect(completed.body.unfinished).toEqual([
+      expect.objectContaining({ id: open.id, sprintId: sprintTwo.id, version: 2 })
+    ]);
+    expect(completed.body.movedTo).toBe(sprintTwo.id);
+
+    const closed = await request(app)
+      .patch(`${itemsPath}/${open.id}`)
+      .set(secretHeader)
+      .send({ sprintId: sprintOne.id });
+    expect(closed.body.error).toBe('"Sprint 1" is complete, so cards cannot be added to it.');
+
+    const removed = await request(app).delete(`${sprintsPath}/${sprintTwo.id}`).set(secretHeader);
+    expect(removed.status).toBe(204);
+    const board = await request(app).get(itemsPath).set(secretHeader);
+    expect(board.body.columns.backlog[0]).toMatchObject({ title: 'Payment', sprintId: null });
+    expect(board.body.columns.done[0]).toMatchObject({ title: 'Cart', sprintId: sprintOne.id });
+
+    const sprints = await request(app).get(sprintsPath).set(secretHeader);
+    expect(sprints.body.sprints.map((sprint) => sprint.name)).toEqual(['Sprint 1']);
+    const missing = await request(app).post(`${sprintsPath}/${sprintTwo.id}/start`).set(secretHeader);
+    expect(missing.status).toBe(404);
+  });
+
+  test('records status transitions and reports cumulative flow', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Flow Board', secretKey: 'flow-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'flow-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const flowPath = `/api/projects/${projectId}/analytics/cumulative-flow`;
+    const create = (title, fields) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, ...fields });
+
+    const cart = (await create('Cart')).body.item;
+    const payment = (await create('Payment')).body.item;
+    const receipts = (await create('Receipts', { status: 'review' })).body.item;
+    const stray = (await create('Stray')).body.item;
+
+    await request(app).patch(`${itemsPath}/${cart.id}`).set(secretHeader).send({ status: 'in_progress' });
+    await request(app)
+      .post(`${itemsPath}/reorder`)
+      .set(secretHeader)
+      .send({
+        columns: {
+          backlog: [payment.id, stray.id],
+          in_progress: [],
+          review: [],
+          done: [cart.id, receipts.id]
+        }
+      });
+    await request(app).delete(`${itemsPath}/${stray.id}`).set(secretHeader);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const flow = await request(app).get(flowPath).query({ from: yesterday, to: today }).set(secretHeader);
+    expect(flow.status).toBe(200);
+    expect(flow.body.columns.map((column) => column.key)).toEqual([
+      'backlog',
+      'in_progress',
+      'review',
+      'done'
+    ]);
+    expect(flow.body.days).toEqual([
+      { date: yesterday, counts: { backlog: 0, in_progress: 0, review: 0, done: 0 } },
+      { date: today, counts: { backlog: 1, in_progress: 0, review: 0, done: 2 } }
+    ]);
+
+    const defaultRange = await request(app).get(flowPath).set(secretHeader);
+    expect(defaultRange.body.days).toHaveLength(30);
+    expect(defaultRange.body.to).toBe(today);
+
+    const backwards = await request(app)
+      .get(flowPath)
+      .query({ from: today, to: yesterday })
+      .set(secretHeader);
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.error).toBe('Flow range cannot end before it starts.');
+    const tooLong = await request(app)
+      .get(flowPath)
+      .query({ from: '2020-01-01', to: '2024-01-01' })
+      .set(secretHeader);
+    expect(tooLong.body.error).toBe('Flow ranges are limited to 366 days.');
+  });
+
+  test('keeps column entry times and reports cycle and lead time percentiles', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Metrics Board', secretKey: 'metrics-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'metrics-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const metricsPath = `/api/projects/${projectId}/analytics/cycle-time`;
+    const create = (title, fields) =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, ...fields });
+    const move = (item, status) =>
+      request(app).patch(`${itemsPath}/${item.id}`).set(secretHeader).send({ status });
+
+    const cart = (await create('Cart')).body.item;
+    expect(Object.keys(cart.columnEnteredAt)).toEqual(['backlog']);
+    const payment = (await create('Payment')).body.item;
+    const receipts = (await create('Receipts')).body.item;
+    const shipped = (await create('Shipped', { status: 'done' })).body.item;
+
+    await move(payment, 'in_progress');
+    await move(payment, 'done');
+    const reopened = (await move(payment, 'review')).body.item;
+    expect(Object.keys(reopened.columnEnteredAt).sort()).toEqual(['backlog', 'in_progress', 'review']);
+    const finished = (await move(payment, 'done')).body.item;
+    expect(finished.columnEnteredAt.in_progress).toBe(reopened.columnEnteredAt.in_progress);
+
+    // Older cards get their entry times from the recorded status history.
+    const data = JSON.parse(fs.readFileSync(TEMP_DB_PATH, 'utf-8'));
+    const history = {
+      [cart.id]: ['2024-05-01', 'backlog', '2024-05-03', 'in_progress', '2024-05-08', 'done'],
+      [receipts.id]: [
+        '2024-05-02', 'backlog',
+        '2024-05-04', 'in_progress',
+        '2024-05-05', 'review',
+        '2024-05-06', 'done'
+      ]
+    };
+    data.transitions = data.transitions.filter((transition) => !history[transition.itemId]);
+    Object.entries(history).forEach(([itemId, steps]) => {
+      const item = data.items.find((candidate) => candidate.id === itemId);
+      delete item.columnEnteredAt;
+      item.status = 'done';
+      item.createdAt = `${steps[0]}T00:00:00.000Z`;
+      for (let index = 0; index < steps.length; index += 2) {
+        data.transitions.push({
+          projectId,
+          itemId,
+          from: index === 0 ? null : steps[index - 1],
+          to: steps[index + 1],
+          createdAt: `${steps[index]}T00:00:00.000Z`
+        });
+      }
+    });
+    fs.writeFileSync(TEMP_DB_PATH, JSON.stringify(data, null, 2));
+
+    const may = await request(app)
+      .get(metricsPath)
+      .query({ from: '2024-05-01', to: '2024-05-31' })
+      .set(secretHeader);
+    expect(may.status).toBe(200);
+    expect(may.body.count).toBe(2);
+    expect(may.body.items).toEqual([
+      expect.objectContaining({ title: 'Receipts', leadTime: 4, cycleTime: 2 }),
+      expect.objectContaining({ title: 'Cart', leadTime: 7, cycleTime: 5 })
+    ]);
+    expect(may.body.leadTime).toEqual({ p50: 4, p85: 7, p95: 7 });
+    expect(may.body.cycleTime).toEqual({ p50: 2, p85: 5, p95: 5 });
+
+    const recent = await request(app).get(metricsPath).set(secretHeader);
+    expect(recent.body.items.map((item) => [item.id, item.cycleTime === null])).toEqual([
+      [shipped.id, true],
+      [payment.id, false]
+    ]);
+    expect(recent.body.cycleTime.p50).toBe(recent.body.items[1].cycleTime);
+
+    const invalid = await request(app).get(metricsPath).query({ from: 'May' }).set(secretHeader);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('Metrics range start must be a date like 2024-05-31.');
+  });
+
+  test('starts cycle time when a card enters In Progress', async () => {
+    const createBoard = async (name, secretKey) => {
+      const projectRes = await request(app).post('/api/projects').send({ name, secretKey });
+      return projectRes.body.project.id;
+    };
+    const defaultBoard = await createBoard('Review First Board', 'review-first-key');
+    const customBoard = await createBoard('Custom Flow Board', 'custom-flow-key');
+    const customHeader = { 'x-project-secret': 'custom-flow-key' };
+    await request(app)
+      .put(`/api/projects/${customBoard}/workflow`)
+      .set(customHeader)
+      .send({
+        columns: [
+          { key: 'todo', label: 'To do' },
+          { key: 'build', label: 'Build' },
+          { key: 'test', label: 'Test' },
+          { key: 'shipped', label: 'Shipped' }
+        ]
+      });
+
+    const cards = [
+      [defaultBoard, 'review-first-key', 'Reviewed early', ['backlog', 'review', 'in_progress', 'done']],
+      [defaultBoard, 'review-first-key', 'Never started', ['backlog', 'review', 'done']],
+      [customBoard, 'custom-flow-key', 'Tested early', ['todo', 'test', 'build', 'shipped']]
+    ];
+    // Columns are entered on May 1, 3, 6 and 8.
+    const days = ['01', '03', '06', '08'];
+    const entries = {};
+    for (const [projectId, secretKey, title, columns] of cards) {
+      const item = (
+        await request(app)
+          .post(`/api/projects/${projectId}/items`)
+          .set({ 'x-project-secret': secretKey })
+          .send({ title })
+      ).body.item;
+      entries[item.id] = Object.fromEntries(
+        columns.map((status, index) => [status, `2024-05-${days[index]}T00:00:00.000Z`])
+      );
+    }
+    const data = JSON.parse(fs.readFileSync(TEMP_DB_PATH, 'utf-8'));
+    data.items
+      .filter((item) => entries[item.id])
+      .forEach((item) => {
+        const statuses = Object.keys(entries[item.id]);
+        item.columnEnteredAt = entries[item.id];
+        item.status = statuses[statuses.length - 1];
+        item.createdAt = entries[item.id][statuses[0]];
+      });
+    fs.writeFileSync(TEMP_DB_PATH, JSON.stringify(data, null, 2));
+
+    const report = async (projectId, secretKey) =>
+      (
+        await request(app)
+          .get(`/api/projects/${projectId}/analytics/cycle-time`)
+          .query({ from: '2024-05-01', to: '2024-05-31' })
+          .set({ 'x-project-secret': secretKey })
+      ).body.items.map((item) => [item.title, item.leadTime, item.cycleTime]);
+
+    expect(await report(defaultBoard, 'review-first-key')).toEqual([
+      ['Never started', 5, null],
+      ['Reviewed early', 7, 2]
+    ]);
+    // Without an In Progress column, work starts in the first column after the first.
+    expect(await report(customBoard, 'custom-flow-key')).toEqual([['Tested early', 7, 2]]);
+  });
+
+  test('searches titles and descriptions with ranked, highlighted matches', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Search Board', secretKey: 'search-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'search-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const search = (query) => request(app).get(`${itemsPath}/search`).query(query).set(secretHeader);
+    const create = (title, description = '') =>
+      request(app).post(itemsPath).set(secretHeader).send({ title, description });
+
+    const notes = (await create('Release notes', 'Mention the new checkout flow.')).body.item;
+    const checkout = (await create('Checkout payment', 'Card and wallet payments.')).body.item;
+    await create('Shipping rates', 'Flat rate for now.');
+    const longRead = (
+      await create(
+        'Research',
+        `${'Background reading on carriers and parcel sizes. '.repeat(4)}` +
+          `Compare checkout conversion between the two providers. ${'More notes follow here. '.repeat(4)}`
+      )
+    ).body.item;
+
+    const results = await search({ q: 'chec' });
+    expect(results.status).toBe(200);
+    expect(results.body.query).toBe('chec');
+    expect(results.body.results.map((result) => result.item.id)).toEqual([
+      checkout.id,
+      notes.id,
+      longRead.id
+    ]);
+    const [top, second, third] = results.body.results;
+    expect(top.rank).toBeGreaterThan(second.rank);
+    expect(top.title).toEqual([
+      { text: 'Checkout', match: true },
+      { text: ' payment', match: false }
+    ]);
+    expect(top.snippet).toBeNull();
+    expect(second.snippet).toEqual([
+      { text: 'Mention the new ', match: false },
+      { text: 'checkout', match: true },
+      { text: ' flow.', match: false }
+    ]);
+    expect(third.snippet[0]).toEqual({ text: '…', match: false });
+    expect(third.snippet.filter((segment) => segment.match)).toEqual([{ text: 'checkout', match: true }]);
+    expect(third.snippet.map((segment) => segment.text).join('').length).toBeLessThan(170);
+
+    const both = await search({ q: 'Checkout PAY' });
+    expect(both.body.results.map((result) => result.item.title)).toEqual(['Checkout payment']);
+
+    await request(app).patch(`${itemsPath}/${checkout.id}`).set(secretHeader).send({ title: 'Pay page' });
+    const renamed = await search({ q: 'checkout', limit: '1' });
+    expect(renamed.body.results.map((result) => result.item.id)).toEqual([notes.id]);
+    await request(app).delete(`${itemsPath}/${notes.id}`).set(secretHeader);
+    expect((await search({ q: 'mention' })).body.results).toEqual([]);
+
+    const empty = await search({ q: '  ' });
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toBe('Search text is required.');
+    expect((await search({ q: '?!' })).body.error).toBe(
+      'Search text needs at least one letter or digit.'
+    );
+    expect((await search({ q: 'pay', limit: '500' })).status).toBe(400);
+  });
+
+  test('filters the board with a query and saves named views', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Query Board', secretKey: 'query-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'query-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const viewsPath = `/api/projects/${projectId}/views`;
+    const board = (q) => request(app).get(itemsPath).query({ q }).set(secretHeader);
+    const titles = (response) =>
+      Object.values(response.body.columns)
+        .flat()
+        .map((item) => item.title)
+        .sort();
+
+    const label = (
+      await request(app)
+        .post(`/api/projects/${projectId}/labels`)
+        .set(secretHeader)
+        .send({ name: 'Bug' })
+    ).body.label;
+    const create = (item) => request(app).post(itemsPath).set(secretHeader).send(item);
+    await create({ title: 'Login form', status: 'review', labelIds: [label.id], priority: 'high' });
+    await create({ title: 'Password reset', description: 'Reuse the login email.', status: 'review' });
+    await create({ title: 'Signup', status: 'backlog', priority: 'low', estimate: 3 });
+
+    expect(titles(await board('status:review text:"login"'))).toEqual(['Login form', 'Password reset']);
+    expect(titles(await board('login -label:bug'))).toEqual(['Password reset']);
+    expect(titles(await board('priority:>=medium'))).toEqual(['Login form']);
+    expect(titles(await board('status:Backlog,Review estimate:none'))).toEqual([
+      'Login form',
+      'Password reset'
+    ]);
+    const today = new Date().toISOString().slice(0, 10);
+    expect(titles(await board(`created:<${today}`))).toEqual([]);
+    const filtered = await board('label:BUG');
+    expect(filtered.body.query).toBe('label:BUG');
+    expect(filtered.body.columns.review.map((item) => item.title)).toEqual(['Login form']);
+    expect(filtered.body.columns.backlog).toEqual([]);
+
+    const unknownField = await board('colour:red');
+    expect(unknownField.status).toBe(400);
+    expect(unknownField.body).toMatchObject({ code: 'INVALID_QUERY', position: 0 });
+    expect(unknownField.body.error).toMatch(/^Unknown field "colour"\. Use one of: status, /);
+    expect((await board('status:review text:"login')).body).toMatchObject({
+      error: 'Unclosed quote. (at character 20)',
+      position: 19
+    });
+    expect((await board('created:>yesterday')).body.error).toBe(
+      'created expects a date like 2026-09-01, got "yesterday". (at character 10)'
+    );
+    expect((await board('status:>review')).body.error).toBe(
+      'status cannot be compared with >. (at character 1)'
+    );
+    expect((await board('label:feature')).body.error).toBe(
+      'No label named "feature". (at character 1)'
+    );
+
+    const saved = await request(app)
+      .post(viewsPath)
+      .set(secretHeader)
+      .send({ name: ' Review queue ', query: 'status:review' });
+    expect(saved.status).toBe(201);
+    expect(saved.body.view).toMatchObject({ name: 'Review queue', query: 'status:review' });
+    const viewId = saved.body.view.id;
+
+    const duplicate = await request(app)
+      .post(viewsPath)
+      .set(secretHeader)
+      .send({ name: 'review QUEUE', query: 'label:bug' });
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toBe('A view with that name already exists.');
+    const badQuery = await request(app)
+      .post(viewsPath)
+      .set(secretHeader)
+      .send({ name: 'Broken', query: 'due:soon' });
+    expect(badQuery.status).toBe(400);
+    expect(badQuery.body.code).toBe('INVALID_QUERY');
+
+    const renamed = await request(app)
+      .patch(`${viewsPath}/${viewId}`)
+      .set(secretHeader)
+      .send({ query: 'status:review -label:bug' });
+    expect(renamed.body.view).toMatchObject({ name: 'Review queue', query: 'status:review -label:bug' });
+    expect((await request(app).get(viewsPath).set(secretHeader)).body.views).toEqual([
+      renamed.body.view
+    ]);
+
+    expect((await request(app).delete(`${viewsPath}/${viewId}`).set(secretHeader)).status).toBe(204);
+    expect((await request(app).delete(`${viewsPath}/${viewId}`).set(secretHeader)).status).toBe(404);
+    expect((await request(app).get(viewsPath).set(secretHeader)).body.views).toEqual([]);
+  });
+
+  describe('board event stream', () => {
+    let server;
+
+    beforeAll((done) => {
+      server = app.listen(0, done);
+    });
+
+    afterAll((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    async function createBoard(secretKey) {
+      const projectRes = await request(server)
+        .post('/api/projects')
+        .send({ name: 'Live Board', secretKey });
+      return projectRes.body.project.id;
+    }
+
+    test('streams item mutations to subscribers', async () => {
+      const projectId = await createBoard('live-key');
+      const secretHeader = { 'x-project-secret': 'live-key' };
+
+      const denied = await openEventStream(server, projectId, 'wrong-key');
+      expect(denied.status).toBe(403);
+      denied.close();
+
+      const stream = await openEventStream(server, projectId, 'live-key');
+      expect(stream.status).toBe(200);
+      await stream.next('ready');
+
+      const created = await request(server)
+        .post(`/api/projects/${projectId}/items`)
+        .set(secretHeader)
+        .send({ title: 'Shared task' });
+      const createdEvent = await stream.next('item.created');
+      expect(createdEvent.data.payload.item.id).toBe(created.body.item.id);
+
+      await request(server)
+        .post(`/api/projects/${projectId}/items/reorder`)
+        .set(secretHeader)
+        .send({ columns: { done: [created.body.item.id] } });
+      const reorderedEvent = await stream.next('items.reordered');
+      expect(reorderedEvent.data.payload.columns.done).toEqual([created.body.item.id]);
+
+      await request(server)
+        .delete(`/api/projects/${projectId}/items/${created.body.item.id}`)
+        .set(secretHeader);
+      const deletedEvent = await stream.next('item.deleted');
+      expect(deletedEvent.data.payload.itemId).toBe(created.body.item.id);
+
+      stream.close();
+    });
+
+    test('replays missed events after a reconnect and asks for a resync on gaps', async () => {
+      const projectId = await createBoard('replay-key');
+      const secretHeader = { 'x-project-secret': 'replay-key' };
+
+      const first = await openEventStream(server, projectId, 'replay-key');
+      await first.next('ready');
+      const created = await request(server)
+        .post(`/api/projects/${projectId}/items`)
+        .set(secretHeader)
+        .send({ title: 'Before disconnect' });
+      const createdEvent = await first.next('item.created');
+      first.close();
+
+      await request(server)
+        .patch(`/api/projects/${projectId}/items/${created.body.item.id}`)
+        .set(secretHeader)
+        .send({ title: 'While offline' });
+
+      const resumed = await openEventStream(server, projectId, 'replay-key', {
+        'Last-Event-ID': createdEvent.id
+      });
+      const missed = await resumed.next('item.updated');
+      expect(missed.data.payload.item.title).toBe('While offline');
+      expect(resumed.events.some((event) => event.type === 'ready')).toBe(false);
+      resumed.close();
+
+      const stale = await openEventStream(server, projectId, 'replay-key', {
+        'Last-Event-ID': 'unknown-event'
+      });
+      await stale.next('board.resync');
+      stale.close();
+    });
+  });
+
+  test('applies bulk operations all at once or not at all', async () => {
+    const projectRes = await request(app)
+      .post('/api/projects')
+      .send({ name: 'Bulk Board', secretKey: 'bulk-key' });
+    const projectId = projectRes.body.project.id;
+    const secretHeader = { 'x-project-secret': 'bulk-key' };
+    const itemsPath = `/api/projects/${projectId}/items`;
+    const bulk = (body) => request(app).post(`${itemsPath}/bulk`).set(secretHeader).send(body);
+    const create = async (title) =>
+      (await request(app).post(itemsPath).set(secretHeader).send({ title })).body.item;
+    const board = async () => (await request(app).get(itemsPath).set(secretHeader)).body.columns;
+
+    const login = await create('Login');
+    const signup = await create('Signup');
+    const stale = await create('Stale idea');
+    const reset = await create('Password reset');
+
+    const applied = await bulk({
+      operations: [
+        { type: 'move', itemId: login.id, status: 'review' },
+        { type: 'update', itemId: signup.id, changes: { priority: 'high', estimate: 3 } },
+        { type: 'move', itemId: signup.id, status: 'review', version: signup.version + 1 },
+        { type: 'delete', itemId: stale.id }
+      ]
+    });
+    expect(applied.status).toBe(200);
+    expect(applied.body.deleted).toEqual([stale.id]);
+    expect(applied.body.updated).toEqual([
+      expect.objectContaining({ id: login.id, status: 'review', position: 1 }),
+      expect.objectContaining({ id: signup.id, status: 'review', position: 2, priority: 'high' })
+    ]);
+    let columns = await board();
+    expect(columns.backlog.map((item) => item.id)).toEqual([reset.id]);
+    expect(columns.review.map((item) => item.id)).toEqual([login.id, signup.id]);
+
+    const missing = await bulk({
+      operations: [
+        { type: 'move', itemId: reset.id, status: 'done' },
+        { type: 'delete', itemId: stale.id }
+      ]
+    });
+    expect(missing.status).toBe(404);
+    expect(missing.body).toMatchObject({ error: 'Operation 2: Item not found.', operation: 1 });
+
+    const conflict = await bulk({
+      operations: [
+        { type: 'update', itemId: reset.id, changes: { title: 'Reset flow' } },
+        { type: 'delete', itemId: login.id, version: login.version }
+      ]
+    });
+    expect(conflict.status).toBe(409);
+    expect(conflict.body).toMatchObject({ code: 'VERSION_CONFLICT', operation: 1 });
+
+    await request(app)
+      .patch(`/api/projects/${projectId}/workflow/columns/in_progress`)
+      .set(secretHeader)
+      .send({ wipLimit: 1 });
+    const overLimit = await bulk({
+      operations: [login, signup].map((item) => ({
+        type: 'move',
+        itemId: item.id,
+        status: 'in_progress'
+      }))
+    });
+    expect(overLimit.status).toBe(409);
+    expect(overLimit.body).toMatchObject({
+      code: 'WIP_LIMIT_EXCEEDED',
+      column: 'in_progress',
+      operation: 1
+    });
+
+    columns = await board();
+    expect(columns.backlog.map((item) => item.title)).toEqual(['Password reset']);
+    expect(columns.review.map((item) => item.id)).toEqual([login.id, signup.id]);
+    expect(columns.in_progress).toEqual([]);
+
+    expect((await bulk({ operations: [] })).body.error).toBe('Operations must be a non-empty array.');
+    expect((await bulk({ operations: [{ type: 'archive', itemId: reset.id }] })).body.error).toBe(
+      'Operation 1: type must be one of: move, update, delete.'
+    );
+    const unknownField = await bulk({
+      operations: [{ type: 'update', itemId: reset.id, changes: { owner: 'sam' } }]
+    });
+    expect(unknownField.status).toBe(400);
+    expect(unknownField.body.error).toMatch(/^Operation 1: "owner" cannot be changed\./);
+  });
+
+  test('signs webhook deliveries and retries failed ones', async () => {
+    const received = [];
+    const statuses = [500];
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    const receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    const waitFor = async (check) => {
+      for (let attempt = 0; attempt < 150; attempt += 1) {
+        const result = await check();
+        if (result) return result;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      throw new Error('Timed out waiting for webhook delivery.');
+    };
+
+    try {
+      const projectRes = await request(app)
+        .post('/api/projects')
+        .send({ name: 'Hooked Board', secretKey: 'hook-key' });
+      const projectId = projectRes.body.project.id;
+      const secretHeader = { 'x-project-secret': 'hook-key' };
+      const webhooksPath = `/api/projects/${projectId}/webhooks`;
+      const secret = 'receiver-shared-secret';
+
+      // Loopback, link-local and private hosts are refused unless allowed.
+      for (const url of [receiverUrl, 'http://169.254.169.254/latest', 'http://[::1]:8080/']) {
+        const blocked = await request(app).post(webhooksPath).set(secretHeader).send({ url });
+        expect(blocked.status).toBe(400);
+        expect(blocked.body.error).toBe(
+          'Webhook URL must not point to a loopback, link-local or private network address.'
+        );
+      }
+      process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true';
+
+      const invalid = [
+        { url: 'ftp://example.com/hooks' },
+        { url: receiverUrl, events: ['item.created', 'label.created'] },
+        { url: receiverUrl, secret: 'short' }
+      ];
+      for (const body of invalid) {
+        expect((await request(app).post(webhooksPath).set(secretHeader).send(body)).status).toBe(400);
+      }
+
+      const created = await request(app)
+        .post(webhooksPath)
+        .set(secretHeader)
+        .send({ url: receiverUrl, events: ['item.updated', 'item.created'], secret });
+      expect(created.status).toBe(201);
+      expect(created.body.webhook).toMatchObject({
+        url: receiverUrl,
+        events: ['item.created', 'item.updated'],
+        active: true,
+        secret
+      });
+      const webhookId = created.body.webhook.id;
+      const deliveriesPath = `${webhooksPath}/${webhookId}/deliveries`;
+
+      const duplicate = await request(app)
+        .post(webhooksPath)
+        .set(secretHeader)
+        .send({ url: receiverUrl });
+      expect(duplicate.status).toBe(400);
+      const listed = await request(app).get(webhooksPath).set(secretHeader);
+      expect(listed.body.webhooks).toHaveLength(1);
+      expect(listed.body.webhooks[0]).not.toHaveProperty('secret');
+
+      const item = await request(app)
+        .post(`/api/projects/${projectId}/items`)
+        .set(secretHeader)
+        .send({ title: 'Wire up CI' });
+      const itemId = item.body.item.id;
+
+      // The receiver fails the first attempt; the delivery stays queued for a retry.
+      const [failed] = await waitFor(async () => {
+        const { body } = await request(app).get(deliveriesPath).set(secretHeader);
+        return body.deliveries[0]?.attempts.length === 1 && body.deliveries;
+      });
+      expect(failed).toMatchObject({ eventType: 'item.created', status: 'pending', statusCode: 500 });
+      const retryIn = new Date(failed.nextAttemptAt) - new Date(failed.attempts[0].at);
+      expect(retryIn).toBeGreaterThanOrEqual(29000);
+      expect(retryIn).toBeLessThanOrEqual(31000);
+
+      const first = received[0];
+      const timestamp = first.headers['x-backlog-timestamp'];
+      expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(60);
+      const signature = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${first.body}`)
+        .digest('hex');
+      expect(first.headers['x-backlog-signature']).toBe(`sha256=${signature}`);
+      expect(first.headers['x-backlog-event']).toBe('item.created');
+      expect(first.headers['x-backlog-delivery']).toBe(failed.id);
+      expect(JSON.parse(first.body)).toMatchObject({
+        id: failed.eventId,
+        type: 'item.created',
+        projectId,
+        payload: { item: { id: itemId, title: 'Wire up CI' } }
+      });
+
+      const redelivered = await request(app)
+        .post(`${deliveriesPath}/${failed.id}/redeliver`)
+        .set(secretHeader);
+      expect(redelivered.status).toBe(202);
+      const [delivered] = await waitFor(async () => {
+        const { body } = await request(app).get(deliveriesPath).set(secretHeader);
+        return body.deliveries[0]?.status === 'delivered' && body.deliveries;
+      });
+      expect(delivered.statusCode).toBe(200);
+      expect(delivered.attempts.map((attempt) => attempt.statusCode)).toEqual([500, 200]);
+      expect(delivered.nextAttemptAt).toBeNull();
+      expect(received[1].body).toBe(first.body);
+      expect(received[1].headers['x-backlog-delivery']).toBe(failed.id);
+
+      // Events the webhook does not listen to are not delivered.
+      await request(app).delete(`/api/projects/${projectId}/items/${itemId}`).set(secretHeader);
+      await request(app)
+        .post(`/api/projects/${projectId}/items`)
+        .set(secretHeader)
+        .send({ title: 'Second card' });
+      const log = await waitFor(async () => {
+        const { body } = await request(app).get(deliveriesPath).set(secretHeader);
+        const settled = body.deliveries.length === 2 && body.deliveries[0].status === 'delivered';
+        return settled && body.deliveries;
+      });
+      expect(log.map((delivery) => delivery.eventType)).toEqual(['item.created', 'item.created']);
+      expect(received.map((hit) => hit.headers['x-backlog-event'])).toEqual([
+        'item.created',
+        'item.created',
+        'item.created'
+      ]);
+
+      // Removing a column moves its cards, and each move is delivered as an update.
+      const removedColumn = await request(app)
+        .delete(`/api/projects/${projectId}/workflow/columns/backlog`)
+        .set(secretHeader)
+        .send({ moveItemsTo: 'in_progress' });
+      expect(removedColumn.status).toBe(200);
+      const [moved] = await waitFor(async () => {
+        const { body } = await request(app).get(deliveriesPath).set(secretHeader);
+        const settled = body.deliveries.length === 3 && body.deliveries[0].status === 'delivered';
+        return settled && body.deliveries;
+      });
+      expect(moved).toMatchObject({ eventType: 'item.updated', statusCode: 200 });
+      expect(JSON.parse(received[3].body).payload.item).toMatchObject({
+        title: 'Second card',
+        status: 'in_progress'
+      });
+
+      const paused = await request(app)
+        .patch(`${webhooksPath}/${webhookId}`)
+        .set(secretHeader)
+        .send({ active: false });
+      expect(paused.body.webhook).toMatchObject({ active: false });
+      expect(paused.body.webhook).not.toHaveProperty('secret');
+
+      const badLimit = await request(app).get(`${deliveriesPath}?limit=0`).set(secretHeader);
+      expect(badLimit.status).toBe(400);
+      expect(
+        (await request(app).post(`${deliveriesPath}/missing/redeliver`).set(secretHeader)).status
+      ).toBe(404);
+      const removed = await request(app).delete(`${webhooksPath}/${webhookId}`).set(secretHeader);
+      expect(removed.status).toBe(204);
+      expect((await request(app).get(deliveriesPath).set(secretHeader)).status).toBe(404);
+    } finally {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+
+  test('checks the address a webhook delivery connects to', async () => {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      received.push(req.url);
+      res.end();
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    const receiverUrl = `http://hooks.example.test:${receiver.address().port}/hooks`;
+
+    // The host looks public when the webhook is saved, then rebinds to loopback.
+    const answers = ['93.184.216.34'];
+    const lookup = dns.lookup;
+    const lookupSpy = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      if (hostname !== 'hooks.example.test') {
+        return lookup(hostname, options, callback);
+      }
+      const address = answers.shift() || '127.0.0.1';
+      setImmediate(() =>
+        options.all ? callback(null, [{ address, family: 4 }]) : callback(null, address, 4)
+      );
+    });
+
+    const waitFor = async (check) => {
+      for (let attempt = 0; attempt < 150; attempt += 1) {
+        const result = await check();
+        if (result) return result;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      throw new Error('Timed out waiting for webhook delivery.');
+    };
+
+    try {
+      const projectRes = await request(app)
+        .post('/api/projects')
+        .send({ name: 'Rebound Board', secretKey: 'rebound-key' });
+      const projectId = projectRes.body.project.id;
+      const secretHeader = { 'x-project-secret': 'rebound-key' };
+      const webhooksPath = `/api/projects/${projectId}/webhooks`;
+
+      const created = await request(app)
+        .post(webhooksPath)
+        .set(secretHeader)
+        .send({ url: receiverUrl, events: ['item.created'] });
+      expect(created.status).toBe(201);
+      const deliveriesPath = `${webhooksPath}/${created.body.webhook.id}/deliveries`;
+
+      await request(app)
+        .post(`/api/projects/${projectId}/items`)
+        .set(secretHeader)
+        .send({ title: 'Rebind me' });
+      const [refused] = await waitFor(async () => {
+        const { body } = await request(app).get(deliveriesPath).set(secretHeader);
+        return body.deliveries[0]?.attempts.length === 1 && body.deliveries;
+      });
+      expect(refused).toMatchObject({ status: 'pending', statusCode: null });
+      expect(refused.attempts[0].error).toBe(
+        'Webhook URL must not point to a loopback, link-local or private network address.'
+      );
+      expect(received).toEqual([]);
+
+      // The connection goes through that same lookup, so its answer is what gets reached.
+      process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true';
+      await request(app).post(`${deliveriesPath}/${refused.id}/redeliver`).set(secretHeader);
+      const [delivered] = await waitFor(async () => {
+        const { body } = await request(app).get(deliveriesPath).set(secretHeader);
+        return body.deliveries[0]?.status === 'delivered' && body.deliveries;
+      });
+      expect(delivered.statusCode).toBe(200);
+      expect(received).toEqual(['/hooks']);
+    } finally {
+      lookupSpy.mockRestore();
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+
+  test('only falls back to the development pepper outside production', () => {
+    expect(() => resolveLookupPepper(undefined, 'production')).toThrow(
+      'SECRET_PEPPER must be set in production.'
+    );
+    expect(() => resolveLookupPepper('', 'production')).toThrow(
+      'SECRET_PEPPER must be set in production.'
+    );
+    expect(resolveLookupPepper('a-long-random-pepper', 'production')).toBe('a-long-random-pepper');
+    expect(resolveLookupPepper('a-long-random-pepper', 'development')).toBe('a-long-random-pepper');
+    expect(resolveLookupPepper(undefined, 'development')).toBe('backlog-pilot-lookup');
+    expect(resolveLookupPepper(undefined, undefined)).toBe('backlog-pilot-lookup');
+  });
+
   test('rejects invalid secrets on protected routes', async () => {
     const projectRes = await request(app)
       .post('/api/projects')